@@ -225,6 +225,10 @@ class acf {
 	
 	function include_after_plugins() {
 		
+		// multilingual plugins
+		include_once('core/language.php');
+		
+		
 		// wpml
 		if( defined('ICL_SITEPRESS_VERSION') )
 		{
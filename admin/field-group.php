@@ -146,7 +146,10 @@ class acf_field_group {
 			'parent_fields'		=>	__("Parent fields",'acf'),
 			'sibling_fields'	=>	__("Sibling fields",'acf'),
 			'hide_show_all'		=>	__("Hide / Show All",'acf'),
-			'move_field'		=>	__("Move Custom Field",'acf')
+			'move_field'		=>	__("Move Custom Field",'acf'),
+			'ok'				=>	__("OK",'acf'),
+			'cancel'			=>	__("Cancel",'acf'),
+			'close'				=>	__("Close",'acf')
 		);
 		
 		$o = array(
@@ -0,0 +1,195 @@
+<?php
+
+// vars
+$groups = $field_group['conditional_logic'];
+$disabled = empty($groups) ? 1 : 0;
+
+
+// UI needs at least 1 conditional logic rule
+if( empty($groups) )
+{
+	$groups = array(
+	
+		// group 0
+		array(
+		
+			// rule 0
+			array(
+				'field'		=>	'',
+				'operator'	=>	'==',
+				'value'		=>	'',
+			)
+		)
+		
+	);
+}
+
+
+// trigger choices (fields from other field groups)
+$choices = array();
+$types = array( 'select', 'checkbox', 'true_false', 'radio', 'text', 'number', 'textarea', 'email', 'relationship', 'post_object', 'user', 'taxonomy', 'date_picker', 'image' );
+
+foreach( acf_get_field_groups() as $other_group )
+{
+	// validate
+	if( $other_group['key'] == $field_group['key'] )
+	{
+		continue;
+	}
+	
+	
+	// load fields
+	$fields = acf_get_fields( $other_group );
+	
+	if( empty($fields) )
+	{
+		continue;
+	}
+	
+	
+	foreach( $fields as $field )
+	{
+		if( in_array($field['type'], $types) )
+		{
+			$choices[ $other_group['title'] ][ $field['key'] ] = $field['label'];
+		}
+	}
+}
+
+if( empty($choices) )
+{
+	$choices[''] = __("No toggle fields available",'acf');
+}
+
+?>
+<tr data-name="conditional_logic" class="acf-field">
+	<td class="acf-label">
+		<label><?php _e("Conditional Logic",'acf'); ?></label>
+		<p class="description"><?php _e("Show or hide this field group based on the values of fields in other field groups on the same edit screen",'acf'); ?></p>
+	</td>
+	<td class="acf-input">
+		<?php
+		
+		acf_render_field(array(
+			'type'			=> 'radio',
+			'name'			=> 'conditional_logic',
+			'prefix'		=> 'acf_field_group',
+			'value'			=> $disabled ? 0 : 1,
+			'choices'		=> array(
+								1	=> __("Yes",'acf'),
+								0	=> __("No",'acf'),
+			),
+			'layout'		=> 'horizontal',
+		));
+		
+		?>
+		<div class="location-groups" <?php if($disabled): ?>style="display:none;"<?php endif; ?>>
+		
+			<?php foreach( $groups as $group_id => $group ):
+			
+				// $group_id must be completely different to $rule_id to avoid JS issues
+				$group_id = "group_{$group_id}";
+				
+				?>
+				<div class="location-group" data-id="<?php echo $group_id; ?>">
+				
+					<?php if( $group_id == 'group_0' ): ?>
+						<h4><?php _e("Show this field group if",'acf'); ?></h4>
+					<?php else: ?>
+						<h4><?php _e("or",'acf'); ?></h4>
+					<?php endif; ?>
+					
+					<?php if( is_array($group) ): ?>
+					
+					<table class="acf-table acf-clear-table">
+						<tbody>
+						<?php foreach( $group as $rule_id => $rule ):
+						
+							// $group_id must be completely different to $rule_id to avoid JS issues
+							$rule_id = "rule_{$rule_id}";
+							$prefix = "acf_field_group[conditional_logic][{$group_id}][{$rule_id}]";
+							
+							?>
+							<tr data-id="<?php echo $rule_id; ?>">
+								<td class="param">
+									<?php
+									
+									// create field
+									acf_render_field(array(
+										'type'		=> 'select',
+										'prefix'	=> $prefix,
+										'name'		=> 'field',
+										'value'		=> $rule['field'],
+										'choices'	=> $choices,
+										'disabled'	=> $disabled,
+									));
+									
+									?>
+								</td>
+								<td class="operator">
+									<?php
+									
+									// create field
+									acf_render_field(array(
+										'type'		=> 'select',
+										'prefix'	=> $prefix,
+										'name'		=> 'operator',
+										'value'		=> $rule['operator'],
+										'choices' 	=> array(
+											'=='			=>	__("is equal to",'acf'),
+											'!='			=>	__("is not equal to",'acf'),
+											'>'				=>	__("is greater than",'acf'),
+											'<'				=>	__("is less than",'acf'),
+											'contains'		=>	__("contains",'acf'),
+											'starts_with'	=>	__("starts with",'acf'),
+											'empty'			=>	__("is empty",'acf'),
+											'not_empty'		=>	__("is not empty",'acf'),
+											'regex'			=>	__("matches pattern",'acf'),
+										),
+										'class'		=> 'conditional-logic-operator',
+										'disabled'	=> $disabled,
+									));
+									
+									?>
+								</td>
+								<td class="value">
+									<?php
+									
+									// 'empty' and 'not_empty' need no value
+									$input = in_array($rule['operator'], array('empty', 'not_empty')) ? '' : 'text';
+									
+									
+									// create field
+									acf_render_field(array(
+										'type'		=> 'text',
+										'prefix'	=> $prefix,
+										'name'		=> 'value',
+										'value'		=> $rule['value'],
+										'class'		=> 'conditional-logic-value-text' . ( $input == 'text' ? '' : ' acf-hidden' ),
+										'disabled'	=> ( $disabled || $input != 'text' ),
+									));
+									
+									?>
+								</td>
+								<td class="add">
+									<a href="#" class="acf-button location-add-rule"><?php _e("and",'acf'); ?></a>
+								</td>
+								<td class="remove">
+									<a href="#" class="acf-icon location-remove-rule"><i class="acf-sprite-remove"></i></a>
+								</td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+					<?php endif; ?>
+				</div>
+			<?php endforeach; ?>
+			
+			<h4><?php _e("or",'acf'); ?></h4>
+			
+			<a class="acf-button location-add-group" href="#"><?php _e("Add rule group",'acf'); ?></a>
+			
+		</div>
+		
+	</td>
+</tr>
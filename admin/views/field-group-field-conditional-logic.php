@@ -97,8 +97,15 @@ if( empty($groups) )
 									<?php 	
 									
 									$choices = array(
-										'=='	=>	__("is equal to",'acf'),
-										'!='	=>	__("is not equal to",'acf'),
+										'=='			=>	__("is equal to",'acf'),
+										'!='			=>	__("is not equal to",'acf'),
+										'>'				=>	__("is greater than",'acf'),
+										'<'				=>	__("is less than",'acf'),
+										'contains'		=>	__("contains",'acf'),
+										'starts_with'	=>	__("starts with",'acf'),
+										'empty'			=>	__("is empty",'acf'),
+										'not_empty'		=>	__("is not empty",'acf'),
+										'regex'			=>	__("matches pattern",'acf'),
 									);
 									
 									
@@ -118,6 +125,19 @@ if( empty($groups) )
 								<td class="value">
 									<?php 
 									
+									// operators '==' and '!=' compare against a choice, 'empty' and 'not_empty' need no value
+									$input = 'text';
+									
+									if( in_array($rule['operator'], array('==', '!=')) )
+									{
+										$input = 'select';
+									}
+									elseif( in_array($rule['operator'], array('empty', 'not_empty')) )
+									{
+										$input = '';
+									}
+									
+									
 									$choices = array();
 									$choices[ $rule['value'] ] = $rule['value'];
 									
@@ -128,8 +148,18 @@ if( empty($groups) )
 										'name'		=> 'value',
 										'value'		=> $rule['value'],
 										'choices'	=> $choices,
-										'class'		=> 'conditional-logic-value',
-										'disabled'	=> $disabled,
+										'class'		=> 'conditional-logic-value' . ( $input == 'select' ? '' : ' acf-hidden' ),
+										'disabled'	=> ( $disabled || $input != 'select' ),
+									));
+									
+									// create field (resolved into 'value' by acf_get_valid_conditional_logic)
+									acf_render_field(array(
+										'type'		=> 'text',
+										'prefix'	=> $prefix,
+										'name'		=> 'value_text',
+										'value'		=> $rule['value'],
+										'class'		=> 'conditional-logic-value-text' . ( $input == 'text' ? '' : ' acf-hidden' ),
+										'disabled'	=> ( $disabled || $input != 'text' ),
 									));
 									
 									?>
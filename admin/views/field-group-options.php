@@ -115,6 +115,10 @@ if( !$field_group['key'] )
 			)
 		), 'tr');
 		
+		
+		// conditional logic
+		include( acf_get_path('admin/views/field-group-conditional-logic.php') );
+		
 		?>
 	</tbody>
 </table>
\ No newline at end of file
@@ -27,7 +27,8 @@ function acf_get_valid_field_group( $field_group = false ) {
 		'style'					=> 'seamless',
 		'label_placement'		=> 'top',
 		'instruction_placement'	=> 'label',
-		'hide_on_screen'		=> array()
+		'hide_on_screen'		=> array(),
+		'conditional_logic'		=> 0
 	));
 	
 	
@@ -406,6 +407,22 @@ function acf_update_field_group( $field_group = array() ) {
 	}
 	
 	
+	// conditional logic may also contain 'uniquid' array keys
+	if( !empty($field_group['conditional_logic']) && is_array($field_group['conditional_logic']) )
+	{
+		$field_group['conditional_logic'] = array_values( $field_group['conditional_logic'] );
+		
+		foreach( $field_group['conditional_logic'] as $k => $v )
+		{
+			$field_group['conditional_logic'][ $k ] = array_values( $v );
+		}
+	}
+	else
+	{
+		$field_group['conditional_logic'] = 0;
+	}
+	
+	
 	// store origional field group for return
 	$data = $field_group;
 	
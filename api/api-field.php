@@ -627,6 +627,64 @@ function _acf_get_field_by_name( $name = '' ) {
 }
 
 
+/*
+*  acf_get_valid_conditional_logic
+*
+*  This function will remove the 'uniquid' array keys from posted conditional logic and
+*  resolve each rule's value from the input used by its operator (select or text)
+*
+*  @type	function
+*  @date	2/04/2014
+*  @since	5.0.0
+*
+*  @param	$conditional_logic (array)
+*  @return	$conditional_logic (array)
+*/
+
+function acf_get_valid_conditional_logic( $conditional_logic ) {
+	
+	// groups
+	$conditional_logic = array_values( $conditional_logic );
+	
+	foreach( array_keys($conditional_logic) as $i )
+	{
+		// rules
+		$conditional_logic[ $i ] = array_values( $conditional_logic[ $i ] );
+		
+		foreach( array_keys($conditional_logic[ $i ]) as $j )
+		{
+			// vars
+			$rule = $conditional_logic[ $i ][ $j ];
+			
+			
+			// bail early if no text value
+			if( !isset($rule['value_text']) )
+			{
+				continue;
+			}
+			
+			
+			// '==' and '!=' use the select unless it was disabled (trigger has no choices)
+			if( !isset($rule['value']) || !isset($rule['operator']) || !in_array($rule['operator'], array('==', '!=')) )
+			{
+				$rule['value'] = $rule['value_text'];
+			}
+			
+			unset( $rule['value_text'] );
+			
+			
+			// update
+			$conditional_logic[ $i ][ $j ] = $rule;
+		}
+	}
+	
+	
+	// return
+	return $conditional_logic;
+	
+}
+
+
 /*
 *  acf_update_field
 *
@@ -668,12 +726,7 @@ function acf_update_field( $field = false, $specific = false ) {
 	// clean up conditional logic keys
 	if( !empty($field['conditional_logic']) )
 	{
-		$field['conditional_logic'] = array_values( $field['conditional_logic'] );
-		
-		foreach( array_keys($field['conditional_logic']) as $key )
-		{
-			$field['conditional_logic'][ $key ] = array_values( $field['conditional_logic'][ $key ] );
-		}
+		$field['conditional_logic'] = acf_get_valid_conditional_logic( $field['conditional_logic'] );
 	}
 	
 	
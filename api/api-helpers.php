@@ -324,6 +324,7 @@ function acf_render_field_wrap( $field, $el = 'div', $instruction = 'label', $at
 	if( $field['required'] )
 	{
 		//$atts['class'] .= ' required';
+		$atts['data-required'] = 1;
 	}
 	
 	
@@ -1346,6 +1347,145 @@ function acf_json_encode( $json ) {
 }
 
 
+/*
+*  acf_get_plural_forms
+*
+*  This function will return the plural forms expression (eg: 'n != 1') of the loaded 'acf' translation.
+*  The expression is used by acf._n() to select the correct plural form in JS
+*
+*  @type	function
+*  @date	24/03/2014
+*  @since	5.0.0
+*
+*  @param	n/a
+*  @return	(string)
+*/
+
+function acf_get_plural_forms() {
+	
+	// vars
+	$translations = get_translations_for_domain('acf');
+	$expression = 'n != 1';
+	
+	
+	// find expression from header
+	if( method_exists($translations, 'get_header') )
+	{
+		$header = $translations->get_header('Plural-Forms');
+		
+		if( $header )
+		{
+			list( $nplurals, $expression ) = $translations->nplurals_and_expression_from_header( $header );
+		}
+	}
+	
+	
+	// return
+	return $expression;
+	
+}
+
+
+/*
+*  acf_get_plural_strings
+*
+*  This function will return an array containing a translation of the string for each plural form of the
+*  current language (in plural form order). Strings are registered with _n_noop() so they can be found by gettext
+*
+*  @type	function
+*  @date	24/03/2014
+*  @since	5.0.0
+*
+*  @param	$nooped (array) the result of _n_noop()
+*  @return	(array)
+*/
+
+function acf_get_plural_strings( $nooped ) {
+	
+	// vars
+	$translations = get_translations_for_domain('acf');
+	$count = $translations->get_plural_forms_count();
+	$forms = array();
+	
+	
+	// find a number for each plural form
+	for( $n = 0; $n < 1000 && count($forms) < $count; $n++ )
+	{
+		$i = $translations->select_plural_form( $n );
+		
+		if( !isset($forms[ $i ]) )
+		{
+			$forms[ $i ] = translate_nooped_plural( $nooped, $n, 'acf' );
+		}
+	}
+	
+	
+	// fill in any missing forms
+	for( $i = 0; $i < $count; $i++ )
+	{
+		if( !isset($forms[ $i ]) )
+		{
+			$forms[ $i ] = $nooped['plural'];
+		}
+	}
+	
+	ksort( $forms );
+	
+	
+	// return
+	return array_values( $forms );
+	
+}
+
+
+/*
+*  acf_get_language
+*
+*  This function will return the current language code from the active multilingual plugin.
+*  Adapters for WPML and Polylang are found in core/language.php, others may hook into the 'acf/get_language' filter
+*
+*  @type	function
+*  @date	1/04/2014
+*  @since	5.0.0
+*
+*  @param	n/a
+*  @return	(string)
+*/
+
+function acf_get_language() {
+	
+	return apply_filters('acf/get_language', '');
+	
+}
+
+
+/*
+*  acf_switch_language
+*
+*  This function will switch the active multilingual plugin to a language (used by AJAX requests)
+*
+*  @type	function
+*  @date	1/04/2014
+*  @since	5.0.0
+*
+*  @param	$lang (string)
+*  @return	n/a
+*/
+
+function acf_switch_language( $lang ) {
+	
+	// bail early if no language
+	if( !$lang )
+	{
+		return;
+	}
+	
+	
+	do_action('acf/switch_language', $lang);
+	
+}
+
+
 /*
 *  Hacks
 *
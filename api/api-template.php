@@ -986,7 +986,7 @@ function acf_form_head() {
 			// redirect
 			if( !empty($_POST['return']) )
 			{
-				wp_redirect( $_POST['return'] );
+				wp_redirect( str_replace('%post_id%', $post_id, $_POST['return']) );
 				exit;
 			}
 		}
@@ -1015,17 +1015,35 @@ add_filter('acf/pre_save_post', '_acf_pre_save_post', 0);
 
 function _acf_pre_save_post( $post_id ) {
 	
+	// new post
+	if( $post_id === 'new' )
+	{
+		// vars
+		$save = _acf_get_new_post_args();
+		
+		
+		// validate
+		if( !$save )
+		{
+			return $post_id;
+		}
+	}
+	
+	
 	// validate post_id
-	if( !is_numeric($post_id) )
+	elseif( !is_numeric($post_id) )
 	{
 		return $post_id;
 	}
 	
 	
 	// vars
-	$save = array(
-		'ID' => $post_id
-	);
+	else
+	{
+		$save = array(
+			'ID' => $post_id
+		);
+	}
 	
 	
 	// save post_title
@@ -1042,8 +1060,19 @@ function _acf_pre_save_post( $post_id ) {
 	}
 	
 	
+	// insert post
+	if( $post_id === 'new' )
+	{
+		$post_id = wp_insert_post( $save );
+		
+		
+		// update $_POST (3rd party save actions and the AJAX response use this)
+		$_POST['post_id'] = $post_id;
+	}
+	
+	
 	// update post
-	if( count($save) > 1 )
+	elseif( count($save) > 1 )
 	{
 		wp_update_post( $save );
 	}
@@ -1054,6 +1083,115 @@ function _acf_pre_save_post( $post_id ) {
 }
 
 
+/*
+*  _acf_get_new_post_args
+*
+*  This function will return the new_post args posted by acf_form. The args are signed with wp_hash
+*  to prevent a user from changing them (eg: post_status)
+*
+*  @type	function
+*  @date	30/03/2014
+*  @since	5.0.0
+*
+*  @param	n/a
+*  @return	(mixed) array or false
+*/
+
+function _acf_get_new_post_args() {
+	
+	// validate
+	if( empty($_POST['new_post']) || empty($_POST['new_post_hash']) )
+	{
+		return false;
+	}
+	
+	
+	// vars
+	$json = wp_unslash( $_POST['new_post'] );
+	
+	
+	// verify hash
+	if( wp_hash( $json ) !== $_POST['new_post_hash'] )
+	{
+		return false;
+	}
+	
+	
+	// return
+	return json_decode( $json, true );
+}
+
+
+/*
+*  _acf_ajax_form_submit
+*
+*  This function will validate and save an acf_form submitted via AJAX (see the 'ajax' setting of acf_form)
+*
+*  @type	function
+*  @date	30/03/2014
+*  @since	5.0.0
+*
+*  @param	n/a
+*  @return	n/a
+*/
+
+add_action('wp_ajax_acf/form/submit', '_acf_ajax_form_submit');
+add_action('wp_ajax_nopriv_acf/form/submit', '_acf_ajax_form_submit');
+
+function _acf_ajax_form_submit() {
+	
+	// verify nonce
+	if( !acf_verify_nonce('acf_form') )
+	{
+		die( json_encode(array(
+			'result'	=> 0,
+			'message'	=> __('Your session has expired. Please reload the page and try again.', 'acf'),
+			'errors'	=> 0
+		)));
+	}
+	
+	
+	// language
+	if( !empty($_POST['lang']) )
+	{
+		acf_switch_language( $_POST['lang'] );
+	}
+	
+	
+	// validate data
+	if( !acf_validate_save_post() )
+	{
+		die( json_encode(array(
+			'result'	=> 0,
+			'message'	=> __('Validation failed', 'acf'),
+			'errors'	=> acf_get_validation_errors()
+		)));
+	}
+	
+	
+	// $post_id to save against
+	$post_id = $_POST['post_id'];
+	
+	
+	// allow for custom save
+	$post_id = apply_filters('acf/pre_save_post', $post_id);
+	
+	
+	// save
+	acf_save_post( $post_id );
+	
+	
+	// return
+	die( json_encode(array(
+		'result'	=> 1,
+		'message'	=> __('Post updated', 'acf'),
+		'post_id'	=> $post_id,
+		'return'	=> empty($_POST['return']) ? '' : str_replace('%post_id%', $post_id, $_POST['return'])
+	)));
+	
+}
+
+
 /*
 *  acf_form()
 *
@@ -1069,11 +1207,16 @@ function _acf_pre_save_post( $post_id ) {
 *						  the post_id will not be used to dynamically find the field groups
 *			boolean		+ form: display the form tag or not. Defaults to true
 *			array		+ form_attributes: an array containg attributes which will be added into the form tag
-*			string		+ return: the return URL
+*			string		+ return: the return URL. %post_id% will be replaced with the saved post ID
 *			string		+ html_before_fields: html inside form before fields
 *			string		+ html_after_fields: html inside form after fields
 *			string		+ submit_value: value of submit button
 *			string		+ updated_message: default updated message. Can be false					 
+*			boolean		+ ajax: save the form via AJAX without reloading the page. If return is not set, the
+*						  updated_message is shown instead of redirecting. Defaults to false
+*			array		+ new_post: post data used to create a new post when post_id is 'new'
+*			boolean		+ wizard: show each tab as a step with Next / Back buttons. Defaults to false
+*			boolean		+ wizard_draft: keep the values and current step of a wizard in the browser. Defaults to false
 *
 *  @return	N/A
 */
@@ -1084,6 +1227,13 @@ function acf_form( $args = array() ) {
 	$url = home_url( $_SERVER['REQUEST_URI'] );
 	
 	
+	// AJAX forms show the updated message instead of redirecting (unless a return url is set)
+	if( !empty($args['ajax']) && !isset($args['return']) )
+	{
+		$args['return'] = '';
+	}
+	
+	
 	// defaults
 	$args = acf_parse_args( $args, array(
 		'id'					=> 'acf-form-1',
@@ -1105,6 +1255,10 @@ function acf_form( $args = array() ) {
 		'html_after_fields'		=> '',
 		'submit_value'			=> __("Update", 'acf'),
 		'updated_message'		=> __("Post updated", 'acf'),
+		'ajax'					=> false,
+		'new_post'				=> array(),
+		'wizard'				=> false,
+		'wizard_draft'			=> false,
 		'label_placement'		=> 'top',
 		'instruction_placement'	=> 'label',
 		'field_el'				=> 'div'
@@ -1187,6 +1341,16 @@ function acf_form( $args = array() ) {
 	}
 	
 	
+	// new post
+	if( $args['post_id'] == 'new' )
+	{
+		$args['new_post'] = json_encode( acf_parse_args($args['new_post'], array(
+			'post_type'		=> $args['post_type'] ? $args['post_type'] : 'post',
+			'post_status'	=> 'draft'
+		)));
+	}
+	
+	
 	// updated message
 	if( !empty($_GET['updated']) && $args['updated_message'] )
 	{
@@ -1210,9 +1374,22 @@ function acf_form( $args = array() ) {
 	<div class="acf-hidden">
 		<input type="hidden" name="return" value="<?php echo $args['return']; ?>" />
 		<input type="hidden" name="post_id" value="<?php echo $args['post_id']; ?>" />
+		<?php if( $args['post_id'] == 'new' ): ?>
+		<input type="hidden" name="new_post" value="<?php echo esc_attr( $args['new_post'] ); ?>" />
+		<input type="hidden" name="new_post_hash" value="<?php echo wp_hash( $args['new_post'] ); ?>" />
+		<?php endif; ?>
+		<?php if( $args['ajax'] ): ?>
+		<input type="hidden" name="_acfajax" value="1" />
+		<?php endif; ?>
 	</div>
 	
-	<div class="acf-form-fields">
+	<?php if( $args['ajax'] && $args['updated_message'] ): ?>
+	<div class="acf-form-updated acf-hidden">
+		<div class="updated"><p><?php echo $args['updated_message']; ?></p></div>
+	</div>
+	<?php endif; ?>
+	
+	<div <?php acf_esc_attr_e(array( 'class' => 'acf-form-fields' . ( $args['wizard'] ? ' acf-wizard' : '' ), 'data-draft' => $args['wizard_draft'] ? 1 : 0 )); ?>>
 	<?php
 	
 	// html before fields
@@ -25,6 +25,8 @@ class acf_input {
 		// ajax
 		add_action( 'wp_ajax_acf/validate_save_post',			array($this, 'ajax_validate_save_post') );
 		add_action( 'wp_ajax_nopriv_acf/validate_save_post',	array($this, 'ajax_validate_save_post') );
+		add_action( 'wp_ajax_acf/validate_field',				array($this, 'ajax_validate_field') );
+		add_action( 'wp_ajax_nopriv_acf/validate_field',		array($this, 'ajax_validate_field') );
 	}
 	
 	
@@ -114,17 +116,45 @@ class acf_input {
 			'ajaxurl'		=> admin_url( 'admin-ajax.php' ),
 			'ajax'			=> $args['ajax'],
 			'wp_version'	=> $wp_version,
+			'modified'		=> is_numeric($args['post_id']) ? get_post_modified_time('U', true, $args['post_id']) : 0,
+			'validation_bypass'	=> current_user_can('manage_options') ? 1 : 0,
+			'lang'			=> acf_get_language(),
 		);
 		
 		
 		// l10n
 		$l10n = apply_filters( 'acf/input/admin_l10n', array(
+			'plural_forms' => acf_get_plural_forms(),
 			'core' => array(
 				'expand_details' => __("Expand Details",'acf'),
-				'collapse_details' => __("Collapse Details",'acf')
+				'collapse_details' => __("Collapse Details",'acf'),
+				'unload' => __("The changes you made will be lost if you navigate away from this page",'acf'),
+				'draft_found' => __("A backup of this page exists in your browser which is newer than the saved version.",'acf'),
+				'draft_restore' => __("Restore the backup",'acf'),
+				'draft_dismiss' => __("Dismiss",'acf'),
+				'ok' => __("OK",'acf'),
+				'cancel' => __("Cancel",'acf'),
+				'close' => __("Close",'acf')
+			),
+			'wizard' => array(
+				'next' => __('Next', 'acf'),
+				'back' => __('Back', 'acf'),
+				'step' => __('Step %s of %s', 'acf')
 			),
 			'validation' => array(
-				'error' => __("Validation Failed. One or more fields below are required.",'acf')
+				'error' => __("Validation Failed. One or more fields below are required.",'acf'),
+				'row' => __('Row %s', 'acf'),
+				'failed' => __('Validation could not be completed. Please try again.', 'acf'),
+				'bypass' => __('Validation could not be completed. Save anyway without validating?', 'acf'),
+				'warnings' => __('Please review the following warnings before saving.', 'acf'),
+				'save_anyway' => __('Save anyway', 'acf'),
+				'required' => __('%s value is required', 'acf'),
+				'email' => __('%s must be a valid email address', 'acf'),
+				'number' => __('%s must be a number', 'acf'),
+				'min' => __('%s must be greater than or equal to %s', 'acf'),
+				'max' => __('%s must be less than or equal to %s', 'acf'),
+				'step' => __('%s must be a multiple of %s', 'acf'),
+				'maxlength' => acf_get_plural_strings( _n_noop('%s must not exceed %s character', '%s must not exceed %s characters', 'acf') )
 			)
 		));
 		
@@ -172,13 +202,21 @@ class acf_input {
 		}
 		
 		
+		// language
+		if( !empty($_POST['lang']) )
+		{
+			acf_switch_language( $_POST['lang'] );
+		}
+		
+		
 		// success
 		if( acf_validate_save_post() )
 		{
 			$json = array(
 				'result'	=> 1,
 				'message'	=> __('Validation successful', 'acf'),
-				'errors'	=> 0
+				'errors'	=> 0,
+				'warnings'	=> acf_get_validation_warnings()
 			);
 			
 			die( json_encode($json) );
@@ -189,7 +227,8 @@ class acf_input {
 		$json = array(
 			'result'	=> 0,
 			'message'	=> __('Validation failed', 'acf'),
-			'errors'	=> acf_get_validation_errors()
+			'errors'	=> acf_get_validation_errors(),
+			'warnings'	=> acf_get_validation_warnings()
 		);
 
 		
@@ -203,6 +242,76 @@ class acf_input {
 		
 	}
 	
+	
+	/*
+	*  ajax_validate_field
+	*
+	*  This function will validate a single field's value (used by live validation as the field is left)
+	*
+	*  @type	function
+	*  @date	26/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	N/A
+	*  @return	N/A
+	*/
+	
+	function ajax_validate_field() {
+		
+		// validate
+		if( !isset($_POST['_acfnonce'], $_POST['key'], $_POST['input']) )
+		{
+			// ignore validation, this form $_POST was not correctly configured
+			die();
+		}
+		
+		
+		// language
+		if( !empty($_POST['lang']) )
+		{
+			acf_switch_language( $_POST['lang'] );
+		}
+		
+		
+		// vars
+		$field = acf_get_field( $_POST['key'] );
+		$input = $_POST['input'];
+		
+		
+		// validate
+		if( !$field )
+		{
+			die();
+		}
+		
+		
+		// success
+		if( acf_validate_value( acf_get_posted_value($input), $field, $input ) && !acf_get_validation_errors() )
+		{
+			$json = array(
+				'result'	=> 1,
+				'message'	=> __('Validation successful', 'acf'),
+				'errors'	=> 0,
+				'warnings'	=> acf_get_validation_warnings()
+			);
+			
+			die( json_encode($json) );
+		}
+		
+		
+		// fail
+		$json = array(
+			'result'	=> 0,
+			'message'	=> __('Validation failed', 'acf'),
+			'errors'	=> acf_get_validation_errors(),
+			'warnings'	=> acf_get_validation_warnings()
+		);
+		
+		
+		die( json_encode($json) );
+		
+	}
+	
 }
 
 
@@ -472,6 +581,14 @@ function acf_validate_value( $value, $field, $input ) {
 	$valid = apply_filters( "acf/validate_value/key={$field['key']}", $valid, $value, $field, $input );
 	
 	
+	// allow $valid to be a warning (eg: array('warning' => $message)) which does not prevent saving
+	if( is_array($valid) && isset($valid['warning']) )
+	{
+		acf_add_validation_warning( $input, $valid['warning'] );
+		$valid = true;
+	}
+	
+	
 	// allow $valid to be a custom error message
 	if( !empty($valid) && is_string($valid) )
 	{
@@ -524,6 +641,44 @@ function acf_add_validation_error( $input, $message = '' ) {
 }
 
 
+/*
+*  acf_get_posted_value
+*
+*  This function will return a value from $_POST for an input name (eg: acf[field_123][0][field_456])
+*
+*  @type	function
+*  @date	26/03/2014
+*  @since	5.0.0
+*
+*  @param	$input (string)
+*  @return	(mixed)
+*/
+
+function acf_get_posted_value( $input ) {
+	
+	// vars
+	$path = explode('[', str_replace(']', '', $input));
+	$value = $_POST;
+	
+	
+	// walk path
+	foreach( $path as $k )
+	{
+		if( !is_array($value) || !isset($value[ $k ]) )
+		{
+			return null;
+		}
+		
+		$value = $value[ $k ];
+	}
+	
+	
+	// return
+	return $value;
+	
+}
+
+
 /*
 *  acf_add_validation_error
 *
@@ -549,4 +704,74 @@ function acf_get_validation_errors() {
 }
 
 
+/*
+*  acf_add_validation_warning
+*
+*  This function will add a non-blocking warning message for a field.
+*  Warnings acknowledged by the editor (posted back in $_POST['_acfacknowledged']) are not raised again
+*
+*  @type	function
+*  @date	29/03/2014
+*  @since	5.0.0
+*
+*  @param	$input (string)
+*  @param	$message (string)
+*  @return	n/a
+*/
+
+function acf_add_validation_warning( $input, $message = '' ) {
+	
+	// vars
+	$id = md5( $input . '|' . $message );
+	
+	
+	// bail early if acknowledged
+	if( !empty($_POST['_acfacknowledged']) && in_array($id, (array) $_POST['_acfacknowledged']) )
+	{
+		return;
+	}
+	
+	
+	// instantiate array if empty
+	if( empty($GLOBALS['acf_validation_warnings']) )
+	{
+		$GLOBALS['acf_validation_warnings'] = array();
+	}
+	
+	
+	// add to array
+	$GLOBALS['acf_validation_warnings'][] = array(
+		'id'		=> $id,
+		'input'		=> $input,
+		'message'	=> $message
+	);
+	
+}
+
+
+/*
+*  acf_get_validation_warnings
+*
+*  This function will return an array of validation warnings
+*
+*  @type	function
+*  @date	29/03/2014
+*  @since	5.0.0
+*
+*  @param	n/a
+*  @return	(mixed) array or false
+*/
+
+function acf_get_validation_warnings() {
+	
+	if( empty($GLOBALS['acf_validation_warnings']) )
+	{
+		return false;
+	}
+	
+	return $GLOBALS['acf_validation_warnings'];
+	
+}
+
+
 ?>
\ No newline at end of file
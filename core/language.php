@@ -0,0 +1,176 @@
+<?php
+
+class acf_language {
+	
+	/*
+	*  Constructor
+	*
+	*  This function will construct all the neccessary actions and filters
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	N/A
+	*  @return	N/A
+	*/
+	
+	function __construct() {
+		
+		// WPML
+		if( defined('ICL_SITEPRESS_VERSION') )
+		{
+			add_filter('acf/get_language',		array($this, 'wpml_get_language'), 10, 1);
+			add_action('acf/switch_language',	array($this, 'wpml_switch_language'), 10, 1);
+		}
+		
+		
+		// Polylang
+		if( defined('POLYLANG_VERSION') )
+		{
+			add_filter('acf/get_language',		array($this, 'polylang_get_language'), 10, 1);
+			add_action('acf/switch_language',	array($this, 'polylang_switch_language'), 10, 1);
+		}
+		
+	}
+	
+	
+	/*
+	*  wpml_get_language
+	*
+	*  This function will return the current WPML language
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$lang (string)
+	*  @return	$lang (string)
+	*/
+	
+	function wpml_get_language( $lang ) {
+		
+		// vars
+		global $sitepress;
+		
+		
+		// bail early if already found
+		if( $lang )
+		{
+			return $lang;
+		}
+		
+		
+		// sitepress (reflects any language switch)
+		if( !empty($sitepress) )
+		{
+			return $sitepress->get_current_language();
+		}
+		
+		
+		// constant
+		if( defined('ICL_LANGUAGE_CODE') )
+		{
+			return ICL_LANGUAGE_CODE;
+		}
+		
+		
+		// return
+		return $lang;
+		
+	}
+	
+	
+	/*
+	*  wpml_switch_language
+	*
+	*  This function will switch the WPML language
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$lang (string)
+	*  @return	n/a
+	*/
+	
+	function wpml_switch_language( $lang ) {
+		
+		// vars
+		global $sitepress;
+		
+		
+		if( !empty($sitepress) )
+		{
+			$sitepress->switch_lang( $lang );
+		}
+		
+	}
+	
+	
+	/*
+	*  polylang_get_language
+	*
+	*  This function will return the current Polylang language
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$lang (string)
+	*  @return	$lang (string)
+	*/
+	
+	function polylang_get_language( $lang ) {
+		
+		// bail early if already found
+		if( $lang )
+		{
+			return $lang;
+		}
+		
+		
+		// current language
+		if( function_exists('pll_current_language') )
+		{
+			$lang = pll_current_language();
+		}
+		
+		
+		// return
+		return $lang ? $lang : '';
+		
+	}
+	
+	
+	/*
+	*  polylang_switch_language
+	*
+	*  This function will switch the Polylang language
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$lang (string)
+	*  @return	n/a
+	*/
+	
+	function polylang_switch_language( $lang ) {
+		
+		// vars
+		global $polylang;
+		
+		
+		if( !empty($polylang->model) )
+		{
+			$polylang->curlang = $polylang->model->get_language( $lang );
+		}
+		
+	}
+	
+}
+
+new acf_language();
+
+?>
\ No newline at end of file
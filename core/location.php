@@ -1038,38 +1038,7 @@ new acf_location();
 function acf_get_field_group_visibility( $field_group, $args = array() )
 {
 	// vars
-	$args = acf_parse_args($args, array(
-		'post_id'		=> 0,
-		'post_type'		=> 0,
-		'page_template'	=> 0,
-		'page_parent'	=> 0,
-		'page_type'		=> 0,
-		'post_category'	=> array(),
-		'post_format'	=> 0,
-		'post_taxonomy'	=> array(),
-		'taxonomy'		=> 0,
-		'user_id'		=> 0,
-		'user_role'		=> 0,
-		'user_form'		=> 0,
-		'attachment'	=> 0,
-		'comment'		=> 0,
-		'widget'		=> 0,
-		'lang'			=> 0,
-		'ajax'			=> false
-	));
-	
-	
-	// WPML
-	if( defined('ICL_LANGUAGE_CODE') )
-	{
-		$args['lang'] = ICL_LANGUAGE_CODE;
-		
-		//global $sitepress;
-		//$sitepress->switch_lang( $options['lang'] );
-	}
-	
-	
-	// vars
+	$args = acf_get_location_args( $args );
 	$visibility = false;
 	
 	
@@ -1109,4 +1078,100 @@ function acf_get_field_group_visibility( $field_group, $args = array() )
 	return $visibility;
 }
 
+
+/*
+*  acf_get_field_group_location
+*
+*  This function will return the field group's location rules with the result of each rule ('match')
+*  for the given args. Used by acf.ajax to evaluate simple rules in JS without an AJAX request
+*
+*  @type	function
+*  @date	1/04/2014
+*  @since	5.0.0
+*
+*  @param	$field group (array)
+*  @param	$args (array)
+*  @return	(array)
+*/
+
+function acf_get_field_group_location( $field_group, $args = array() )
+{
+	// vars
+	$args = acf_get_location_args( $args );
+	$location = array();
+	
+	
+	// loop through location rules
+	foreach( $field_group['location'] as $group_id => $group )
+	{
+		// vars
+		$rules = array();
+		
+		if( is_array($group) )
+		{
+			foreach( $group as $rule_id => $rule )
+			{
+				$rule['match'] = apply_filters( 'acf/location/rule_match/' . $rule['param'] , false, $rule, $args ) ? 1 : 0;
+				
+				$rules[] = $rule;
+			}
+		}
+		
+		$location[] = $rules;
+	}
+	
+	
+	// return
+	return $location;
+}
+
+
+/*
+*  acf_get_location_args
+*
+*  This function will return the args used to match location rules (with defaults)
+*
+*  @type	function
+*  @date	1/04/2014
+*  @since	5.0.0
+*
+*  @param	$args (array)
+*  @return	$args (array)
+*/
+
+function acf_get_location_args( $args = array() )
+{
+	// vars
+	$args = acf_parse_args($args, array(
+		'post_id'		=> 0,
+		'post_type'		=> 0,
+		'page_template'	=> 0,
+		'page_parent'	=> 0,
+		'page_type'		=> 0,
+		'post_category'	=> array(),
+		'post_format'	=> 0,
+		'post_taxonomy'	=> array(),
+		'taxonomy'		=> 0,
+		'user_id'		=> 0,
+		'user_role'		=> 0,
+		'user_form'		=> 0,
+		'attachment'	=> 0,
+		'comment'		=> 0,
+		'widget'		=> 0,
+		'lang'			=> 0,
+		'ajax'			=> false
+	));
+	
+	
+	// language
+	if( !$args['lang'] )
+	{
+		$args['lang'] = acf_get_language();
+	}
+	
+	
+	// return
+	return $args;
+}
+
 ?>
\ No newline at end of file
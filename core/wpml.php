@@ -19,8 +19,6 @@ class acf_wpml_compatibility {
 		
 		// actions
 		add_action('icl_make_duplicate',			array($this, 'icl_make_duplicate'), 10, 4);
-		add_action('acf/field_group/admin_head',	array($this, 'admin_head'));
-		add_action('acf/input/admin_head',			array($this, 'admin_head'));
 		
 		
 	}
@@ -55,41 +53,6 @@ class acf_wpml_compatibility {
 
 	}
 	
-	
-	/*
-	*  admin_head
-	*
-	*  description
-	*
-	*  @type	function
-	*  @date	27/02/2014
-	*  @since	5.0.0
-	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
-	*/
-	
-	function admin_head() {
-		
-		?>
-		<script type="text/javascript">
-				
-		acf.add_filter('prepare_for_ajax', function( args ){
-			
-			if( typeof icl_this_lang != 'undefined' )
-			{
-				args.lang = icl_this_lang;
-			}
-			
-			return args;
-			
-		});
-		
-		</script>
-		<?php
-		
-	}
-	
 }
 
 new acf_wpml_compatibility();
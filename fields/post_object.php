@@ -87,12 +87,8 @@ class acf_field_post_object extends acf_field
 		}
 		
 		
-		// WPML
-		if( $options['lang'] )
-		{
-			global $sitepress;
-			$sitepress->switch_lang( $options['lang'] );
-		}
+		// language
+		acf_switch_language( $options['lang'] );
 		
 		
 		// load field
@@ -26,9 +26,10 @@ class acf_field_relationship extends acf_field
 			'return_format'		=> 'object'
 		);
 		$this->l10n = array(
-			'max'		=> __("Maximum values reached ( {max} values )",'acf'),
+			'max'		=> acf_get_plural_strings( _n_noop("Maximum values reached ( {max} value )", "Maximum values reached ( {max} values )", 'acf') ),
 			'loading'	=> __('Loading','acf'),
 			'empty'		=> __('No matches found','acf'),
+			'total'		=> acf_get_plural_strings( _n_noop("{total} match", "{total} matches", 'acf') ),
 			'tmpl_li'	=> '<li>
 								<input type="hidden" name="<%= name %>[]" value="<%= value %>" />
 								<span data-id="<%= value %>" class="acf-relationship-item">
@@ -52,7 +53,8 @@ class acf_field_relationship extends acf_field
 	/*
 	*  query_posts
 	*
-	*  description
+	*  This function will return a page of results for the 'acf/fields/relationship/query' AJAX action.
+	*  Note: the response is an object { results: array, total: int, more: bool } (previously the results array)
 	*
 	*  @type	function
 	*  @date	24/10/13
@@ -73,12 +75,15 @@ class acf_field_relationship extends acf_field
 			'lang'						=>	false,
 			'field_key'					=>	'',
 			'nonce'						=>	'',
+			'paged'						=>	1,
 		));
 		
 		
 		// args
 		$args = array(
-			'posts_per_page'			=> -1,
+			'posts_per_page'			=> 20,
+			'paged'						=> max( 1, intval($options['paged']) ),
+			'ignore_sticky_posts'		=> true,
 			'post_type'					=> 'post',
 			'orderby'					=> 'menu_order title',
 			'order'						=> 'ASC',
@@ -99,16 +104,8 @@ class acf_field_relationship extends acf_field
 		}
 		
 		
-		// WPML
-		if( $options['lang'] )
-		{
-			global $sitepress;
-			
-			if( !empty($sitepress) )
-			{
-				$sitepress->switch_lang( $options['lang'] );
-			}
-		}
+		// language
+		acf_switch_language( $options['lang'] );
 		
 		
 		// load field
@@ -123,7 +120,7 @@ class acf_field_relationship extends acf_field
 		// update post_type
 		$pt = '';
 		
-		if( $options['post_type'] )
+		if( $options['post_type'] && array_key_exists($options['post_type'], $this->get_post_type_choices( $field )) )
 		{
 			$pt = $options['post_type'];
 		}
@@ -155,7 +152,7 @@ class acf_field_relationship extends acf_field
 		// update taxonomy
 		$t = array();
 		
-		if( $options['taxonomy'] )
+		if( $options['taxonomy'] && $this->is_taxonomy_choice( $options['taxonomy'], $field ) )
 		{
 			$t[] = $options['taxonomy'];
 		}
@@ -209,8 +206,9 @@ class acf_field_relationship extends acf_field
 		}
 		
 		
-		// get posts
-		$posts = get_posts( $args );
+		// get posts (WP_Query provides the total number of matches)
+		$query = new WP_Query( $args );
+		$posts = $query->posts;
 		
 		foreach( $post_types as $post_type )
 		{
@@ -239,8 +237,8 @@ class acf_field_relationship extends acf_field
 			// sort into hierachial order!
 			if( is_post_type_hierarchical( $post_type ) )
 			{
-				// this will fail if a search has taken place because parents wont exist
-				if( empty($args['s']) )
+				// this will fail if a search has taken place or the results are paged because parents wont exist (these are returned flat)
+				if( empty($args['s']) && $query->max_num_pages <= 1 )
 				{
 					$this_posts = get_page_children( 0, $this_posts );
 				}
@@ -277,7 +275,11 @@ class acf_field_relationship extends acf_field
 		
 		
 		// return JSON
-		echo json_encode( $r );
+		echo json_encode(array(
+			'results'	=> $r,
+			'total'		=> $query->found_posts ? intval( $query->found_posts ) : count( $query->posts ),
+			'more'		=> ( $args['paged'] < $query->max_num_pages )
+		));
 		die();
 			
 	}
@@ -316,7 +318,15 @@ class acf_field_relationship extends acf_field
 		{
 			if( in_array('featured_image', $field['elements']) )
 			{
-				$image = get_the_post_thumbnail( $post->ID, array(17, 17) );
+				// attachments are their own image
+				if( $post->post_type == 'attachment' )
+				{
+					$image = wp_get_attachment_image( $post->ID, array(17, 17) );
+				}
+				else
+				{
+					$image = get_the_post_thumbnail( $post->ID, array(17, 17) );
+				}
 				
 				$title .= '<div class="thumbnail">' . $image . '</div>';
 			}
@@ -336,13 +346,17 @@ class acf_field_relationship extends acf_field
 		
 		
 		// title
-		$title .= get_the_title( $post->ID );
+		$title .= '<span class="title">' . get_the_title( $post->ID ) . '</span>';
 		
 		
 		// status
-		if( get_post_status( $post->ID ) != "publish" )
+		$status = get_post_status( $post->ID );
+		
+		if( $status != 'publish' && $status != 'inherit' )
 		{
-			$title .= ' (' . get_post_status( $post->ID ) . ')';
+			$status_object = get_post_status_object( $status );
+			
+			$title .= ' <span class="status status-' . esc_attr($status) . '">' . ( $status_object ? $status_object->label : $status ) . '</span>';
 		}
 					
 		
@@ -357,6 +371,162 @@ class acf_field_relationship extends acf_field
 	}
 	
 	
+	/*
+	*  get_post_type_choices
+	*
+	*  This function will return the post types (name => label) available to the post type filter
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$field (array)
+	*  @return	(array)
+	*/
+	
+	function get_post_type_choices( $field ) {
+		
+		// vars
+		$r = array();
+		$post_types = empty($field['post_type']) ? acf_get_post_types() : $field['post_type'];
+		
+		
+		foreach( $post_types as $post_type )
+		{
+			// vars
+			$post_type_object = get_post_type_object( $post_type );
+			
+			
+			// bail early if post type does not exist
+			if( !$post_type_object )
+			{
+				continue;
+			}
+			
+			
+			$r[ $post_type ] = $post_type_object->labels->singular_name;
+		}
+		
+		
+		// return
+		return $r;
+		
+	}
+	
+	
+	/*
+	*  get_taxonomy_choices
+	*
+	*  This function will return the terms (label => array of taxonomy:slug => name) available to the taxonomy filter.
+	*  These are the terms selected in the field settings, or the terms of all taxonomies used by the field's post types
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$field (array)
+	*  @return	(array)
+	*/
+	
+	function get_taxonomy_choices( $field ) {
+		
+		// vars
+		$taxonomies = array();
+		$allowed = acf_get_taxonomies();
+		
+		
+		// find taxonomies
+		if( !empty($field['taxonomy']) )
+		{
+			foreach( array_keys(acf_decode_taxonomy_terms( $field['taxonomy'] )) as $taxonomy )
+			{
+				$taxonomies[] = $taxonomy;
+			}
+		}
+		else
+		{
+			$taxonomies = get_object_taxonomies( array_keys($this->get_post_type_choices( $field )) );
+		}
+		
+		
+		// labels
+		$labels = array();
+		
+		foreach( $taxonomies as $taxonomy )
+		{
+			// vars
+			$taxonomy_object = get_taxonomy( $taxonomy );
+			
+			
+			// bail early if not allowed
+			if( !$taxonomy_object || !isset($allowed[ $taxonomy ]) )
+			{
+				continue;
+			}
+			
+			
+			$labels[ $taxonomy ] = $taxonomy_object->labels->singular_name;
+		}
+		
+		
+		// terms
+		$terms = empty($labels) ? array() : acf_get_taxonomy_terms( $labels );
+		
+		
+		// remove terms which were not selected in the field settings
+		if( !empty($field['taxonomy']) )
+		{
+			foreach( array_keys($terms) as $label )
+			{
+				$terms[ $label ] = array_intersect_key( $terms[ $label ], array_flip($field['taxonomy']) );
+				
+				if( empty($terms[ $label ]) )
+				{
+					unset( $terms[ $label ] );
+				}
+			}
+		}
+		
+		
+		// return
+		return $terms;
+		
+	}
+	
+	
+	/*
+	*  is_taxonomy_choice
+	*
+	*  This function will return true if a taxonomy:slug value may be used by the taxonomy filter
+	*
+	*  @type	function
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$term (string)
+	*  @param	$field (array)
+	*  @return	(boolean)
+	*/
+	
+	function is_taxonomy_choice( $term, $field ) {
+		
+		// selected in the field settings
+		if( !empty($field['taxonomy']) )
+		{
+			return in_array( $term, $field['taxonomy'] );
+		}
+		
+		
+		// vars
+		$taxonomy = current( explode(':', $term) );
+		
+		
+		// return
+		return in_array( $taxonomy, get_object_taxonomies( array_keys($this->get_post_type_choices( $field )) ) );
+		
+	}
+	
+	
 	/*
 	*  render_field()
 	*
@@ -383,16 +553,8 @@ class acf_field_relationship extends acf_field
 		);
 		
 		
-		// Lang
-		if( defined('ICL_LANGUAGE_CODE') )
-		{
-			$atts['data-lang'] = ICL_LANGUAGE_CODE;
-		}
-		
-		
-		// filters
+		// vars
 		$post_types = acf_get_post_types();
-		$terms = acf_get_taxonomy_terms();
 		
 		
 		// populate values
@@ -418,53 +580,23 @@ class acf_field_relationship extends acf_field
 		}
 		
 		
-		// remove from filters
-		if( !empty($field['post_type']) )
+		// filters
+		$post_types = $this->get_post_type_choices( $field );
+		$terms = $this->get_taxonomy_choices( $field );
+		
+		
+		// a filter with less than 2 choices is not useful
+		if( !empty($field['filters']) )
 		{
-			// loop through all available post types
-			foreach( array_keys($post_types) as $k )
+			if( count($post_types) < 2 )
 			{
-				// if post type was not selected for this field, remove it
-				if( !in_array( $k, $field['post_type']) )
-				{
-					unset($post_types[ $k ]);
-				}
+				$field['filters'] = array_diff( $field['filters'], array('post_type') );
 			}
-		}
-		
-		if( !empty($field['taxonomy']) )
-		{
-			$new_terms = array();
 			
-			foreach( $terms as $k => $v )
+			if( empty($terms) )
 			{
-				foreach( $v as $k2 => $v2 )
-				{
-					// Bail early if the current term was not selected as a field option
-					if( !in_array($k2, $field['taxonomy']) )
-					{
-						continue;
-					}
-					
-					
-					// add blank array
-					if( !array_key_exists($k, $new_terms) )
-					{
-						$new_terms[ $k ] = array();
-					}
-					
-					
-					// add to array
-					$new_terms[ $k ][ $k2 ] = $v2;
-					
-				}
+				$field['filters'] = array_diff( $field['filters'], array('taxonomy') );
 			}
-			
-			
-			// update $terms
-			$terms = $new_terms;
-			
-			unset($new_terms);
 		}
 		
 		
@@ -541,7 +673,7 @@ class acf_field_relationship extends acf_field
 			<li style="width:<?php echo $width['post_type']; ?>%;">
 				<div class="inner">
 				<select class="filter" data-filter="post_type">
-					<option value="">Select post type</option>
+					<option value=""><?php _e("Select post type",'acf'); ?></option>
 					<?php foreach( $post_types as $k => $v ): ?>
 						<option value="<?php echo $k; ?>"><?php echo $v; ?></option>
 					<?php endforeach; ?>
@@ -554,9 +686,9 @@ class acf_field_relationship extends acf_field
 			<li style="width:<?php echo $width['taxonomy']; ?>%;">
 				<div class="inner">
 				<select class="filter" data-filter="taxonomy">
-					<option value="">Select taxonomy</option>
+					<option value=""><?php _e("Select taxonomy",'acf'); ?></option>
 					<?php foreach( $terms as $k_opt => $v_opt ): ?>
-						<optgroup label="<?php echo $k_opt; ?>">
+						<optgroup label="<?php echo esc_attr($k_opt); ?>">
 							<?php foreach( $v_opt as $k => $v ): ?>
 								<option value="<?php echo $k; ?>"><?php echo $v; ?></option>
 							<?php endforeach; ?>
@@ -576,6 +708,7 @@ class acf_field_relationship extends acf_field
 			<ul class="acf-bl list">
 				
 			</ul>
+			<div class="count"></div>
 		</div>
 		<div class="values">
 			<ul class="acf-bl list">
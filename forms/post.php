@@ -243,10 +243,12 @@ class acf_controller_post {
 		
 		
 		// vars
-		$visibility = acf_get_field_group_visibility( $field_group, array(
+		$location_args = array(
 			'post_id'	=> $this->post_id, 
 			'post_type'	=> $this->typenow
-		));
+		);
+		
+		$visibility = acf_get_field_group_visibility( $field_group, $location_args );
 		
 		
 		// classes
@@ -298,6 +300,21 @@ class acf_controller_post {
 				$('#<?php echo $id; ?>').addClass('<?php echo $class; ?>').removeClass('hide-if-js');
 				$('#adv-settings label[for="<?php echo $id; ?>-hide"]').addClass('<?php echo $toggle_class; ?>');
 				
+				if( typeof acf !== 'undefined' )
+				{
+					acf.ajax.add_group( '<?php echo $field_group['key']; ?>', <?php echo json_encode(array(
+						'location'	=> acf_get_field_group_location( $field_group, $location_args ),
+						'style'		=> acf_get_field_group_style( $field_group )
+					)); ?>);
+				}
+				
+				<?php if( !empty($field_group['conditional_logic']) ): ?>
+				if( typeof acf !== 'undefined' )
+				{
+					acf.conditional_logic.add_group( '<?php echo $field_group['key']; ?>', <?php echo json_encode($field_group['conditional_logic']); ?>);
+				}
+				<?php endif; ?>
+				
 			})(jQuery);	
 			</script>
 			<?php
@@ -345,7 +362,8 @@ class acf_controller_post {
 		// vars
 		$options = acf_parse_args($_POST, array(
 			'nonce'		=> '',
-			'post_id'	=> 0
+			'post_id'	=> 0,
+			'lang'		=> ''
 		));
 		
 		
@@ -360,6 +378,10 @@ class acf_controller_post {
 		}
 		
 		
+		// language
+		acf_switch_language( $options['lang'] );
+		
+		
 		// get field groups
 		$field_groups = acf_get_field_groups( $options );
 		
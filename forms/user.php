@@ -224,7 +224,7 @@ class acf_controller_user {
 		
 		
 		// get field groups
-		$field_groups = acf_get_field_groups( $args );
+		$field_groups = $this->get_field_groups( $args );
 		
 		
 		// render
@@ -232,14 +232,18 @@ class acf_controller_user {
 			
 			acf_form_data(array( 
 				'post_id'	=> $post_id, 
-				'nonce'		=> 'user' 
+				'nonce'		=> 'user',
+				'ajax'		=> 1
 			));
 			
 			foreach( $field_groups as $field_group ): 
 				
 				$fields = acf_get_fields( $field_group );
-
+				$visibility = acf_get_field_group_visibility( $field_group, $args );
+				
 				?>
+				<div id="acf-<?php echo $field_group['key']; ?>" class="acf-postbox<?php if( !$visibility ): ?> acf-hidden<?php endif; ?>">
+				
 				<?php if( $show_title && $field_group['style'] == 'default' ): ?>
 					<h3><?php echo $field_group['title']; ?></h3>
 				<?php endif; ?>
@@ -255,6 +259,25 @@ class acf_controller_user {
 						</tbody>
 					</table>
 				<?php endif; ?>
+				
+				</div>
+				<script type="text/javascript">
+				(function($) {
+					
+					if( typeof acf !== 'undefined' )
+					{
+						acf.ajax.add_group( '<?php echo $field_group['key']; ?>', <?php echo json_encode(array(
+							'location'	=> acf_get_field_group_location( $field_group, $args ),
+							'style'		=> ''
+						)); ?>);
+						
+						<?php if( !$visibility ): ?>
+						acf.disable_inputs( $('#acf-<?php echo $field_group['key']; ?>'), 'location' );
+						<?php endif; ?>
+					}
+					
+				})(jQuery);	
+				</script>
 				<?php 
 				
 			endforeach; 
@@ -264,6 +287,66 @@ class acf_controller_user {
 	}
 	
 	
+	/*
+	*  get_field_groups
+	*
+	*  This function will return the field groups for this user form, including those only hidden by
+	*  'user_role' rules. These are rendered hidden and shown by acf.ajax when the role is changed
+	*
+	*  @type	function
+	*  @date	2/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$args (array)
+	*  @return	$field_groups (array)
+	*/
+	
+	function get_field_groups( $args ) {
+		
+		// vars
+		$field_groups = array();
+		
+		
+		// loop through field groups
+		foreach( acf_get_field_groups() as $field_group )
+		{
+			// vars
+			$location = acf_get_field_group_location( $field_group, $args );
+			
+			
+			// groups (or)
+			foreach( $location as $group )
+			{
+				// vars
+				$match_group = true;
+				
+				
+				// rules (and), ignoring 'user_role' which can be changed on this screen
+				foreach( $group as $rule )
+				{
+					if( $rule['param'] != 'user_role' && !$rule['match'] )
+					{
+						$match_group = false;
+						break;
+					}
+				}
+				
+				
+				if( $match_group )
+				{
+					$field_groups[] = $field_group;
+					break;
+				}
+			}
+		}
+		
+		
+		// return
+		return $field_groups;
+		
+	}
+	
+	
 	/*
 	*  save_user
 	*
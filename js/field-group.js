@@ -21,9 +21,11 @@ var acf_field_group = {};
 		
 		if( !title.val() )
 		{
-			alert( acf.l10n.title );
-			
-			title.focus();
+			acf.notice( acf.l10n.title ).done(function(){
+				
+				title.focus();
+				
+			});
 		
 			return false;
 		}
@@ -45,14 +47,25 @@ var acf_field_group = {};
 	*  @return	n/a
 	*/
 	
-	$(document).on('click', '#submit-delete', function(){
-			
-		var response = confirm( acf.l10n.move_to_trash );
+	$(document).on('click', '#submit-delete', function( e ){
 		
-		if( !response )
-		{
-			return false;
-		}
+		// vars
+		var href = $(this).attr('href');
+		
+		
+		// prevent default
+		e.preventDefault();
+		
+		
+		// confirm
+		acf.confirm( acf.l10n.move_to_trash ).done(function( response ){
+			
+			if( response )
+			{
+				window.location.href = href;
+			}
+			
+		});
 		
 	});
 	
@@ -930,15 +943,15 @@ var acf_field_group = {};
 				
 				
 				// load location html
-				$.ajax({
+				acf.request({
 					url			: acf.get('ajaxurl'),
-					data		: acf.prepare_for_ajax({
+					data		: {
 						'action'	: 'acf/field_group/render_location_value',
 						'rule_id'	: rule_id,
 						'group_id'	: group_id,
 						'value'		: '',
 						'param'		: $(this).val(),
-					}),
+					},
 					type		: 'post',
 					dataType	: 'html',
 					success		: function(html){
@@ -1083,10 +1096,29 @@ $(document).on('change', '#adv-settings input[name="show-field_key"]', function(
 		
 		$el : null,
 		
+		
+		// field types which can be used as a trigger
+		types : [ 'select', 'checkbox', 'true_false', 'radio', 'text', 'number', 'textarea', 'email', 'relationship', 'post_object', 'user', 'taxonomy', 'date_picker', 'image' ],
+		
+		
+		// field types which provide a list of choices
+		choice_types : [ 'select', 'checkbox', 'true_false', 'radio' ],
+		
+		
+		// operators available for field types which do not support every operator
+		operators : {
+			true_false		: [ '==', '!=' ],
+			relationship	: [ '==', '!=', 'empty', 'not_empty' ],
+			post_object		: [ '==', '!=', 'empty', 'not_empty' ],
+			user			: [ '==', '!=', 'empty', 'not_empty' ],
+			taxonomy		: [ '==', '!=', 'empty', 'not_empty' ],
+			image			: [ '==', '!=', 'empty', 'not_empty' ]
+		},
+		
 		init : function(){
 			
-			// vars
-			this.$el = acf_field_group.fields.$el;
+			// vars (field group conditional logic is edited within the options postbox)
+			this.$el = acf_field_group.fields.$el.add('#acf-field-group-options');
 			
 			
 			// reference
@@ -1128,6 +1160,14 @@ $(document).on('change', '#adv-settings input[name="show-field_key"]', function(
 				
 			});
 			
+			_this.$el.on('change', '.conditional-logic-operator', function( e ){
+				
+				e.preventDefault();
+				
+				_this.change_operator( $(this) );
+				
+			});
+			
 			
 			// add rule
 			_this.$el.on('click', '.location-add-rule', function( e ){
@@ -1241,7 +1281,7 @@ $(document).on('change', '#adv-settings input[name="show-field_key"]', function(
 										
 					
 					// add this field to available triggers
-					if( this_type == 'select' || this_type == 'checkbox' || this_type == 'true_false' || this_type == 'radio' )
+					if( $.inArray(this_type, _this.types) > -1 )
 					{
 						choices.push({
 							value	: this_key,
@@ -1279,6 +1319,10 @@ $(document).on('change', '#adv-settings input[name="show-field_key"]', function(
 		
 		change_toggle : function( $input ){
 			
+			// reference
+			var _this = this;
+			
+			
 			// vars
 			var val = $input.val(),
 				$td = $input.closest('.acf-input');
@@ -1288,6 +1332,14 @@ $(document).on('change', '#adv-settings input[name="show-field_key"]', function(
 			{
 				$td.find('.location-groups').show();
 				$td.find('.location-groups').find('[name]').removeAttr('disabled');
+				
+				
+				// only the value input used by each operator should be enabled
+				$td.find('.conditional-logic-operator').each(function(){
+					
+					_this.change_operator( $(this) );
+					
+				});
 			}
 			else
 			{
@@ -1345,6 +1397,54 @@ $(document).on('change', '#adv-settings input[name="show-field_key"]', function(
 			// update select
 			this.update_select( $value, choices );
 			
+			
+			// update operators
+			var $operator = $select.closest('tr').find('.conditional-logic-operator'),
+				operators = this.operators[ type ] || false;
+			
+			$operator.find('option').each(function(){
+				
+				$(this).prop('disabled', operators && $.inArray($(this).val(), operators) < 0);
+				
+			});
+			
+			if( $operator.find('option:selected').prop('disabled') )
+			{
+				$operator.val('==');
+			}
+			
+			this.change_operator( $operator );
+			
+		},
+		
+		change_operator : function( $select ){
+			
+			// vars
+			var operator	= $select.val(),
+				$tr			= $select.closest('tr'),
+				$td			= $tr.children('td.value'),
+				$choice		= $td.find('.conditional-logic-value'),
+				$text		= $td.find('.conditional-logic-value-text'),
+				type		= this.$el.find('.field[data-key="' + $tr.find('.conditional-logic-field').val() + '"]').attr('data-type'),
+				disabled	= $select.prop('disabled'),
+				input		= 'text';
+			
+			
+			// '==' and '!=' compare against a choice (if the trigger has choices), 'empty' and 'not_empty' need no value
+			if( operator == 'empty' || operator == 'not_empty' )
+			{
+				input = '';
+			}
+			else if( (operator == '==' || operator == '!=') && $.inArray(type, this.choice_types) > -1 )
+			{
+				input = 'select';
+			}
+			
+			
+			// hide / disable inputs
+			$choice.toggleClass('acf-hidden', input != 'select').prop('disabled', disabled || input != 'select');
+			$text.toggleClass('acf-hidden', input != 'text').prop('disabled', disabled || input != 'text');
+			
 		},
 		
 		add_rule : function( $tr ){
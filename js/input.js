@@ -22,7 +22,11 @@
 			addFilter : addFilter,
 			removeAction : removeAction,
 			doAction : doAction,
-			addAction : addAction
+			addAction : addAction,
+			debug : debug,
+			getLog : getLog,
+			clearLog : clearLog,
+			getHooks : getHooks
 		};
 
 		/**
@@ -34,20 +38,30 @@
 			filters : {}
 		};
 
+		/**
+		 * Contains the debug state and a log of every action / filter that ran while debugging was enabled.
+		 */
+		var DEBUG = {
+			enabled : false,
+			limit : 1000,
+			log : []
+		};
+
 		/**
 		 * Adds an action to the event manager.
 		 *
 		 * @param action Must contain namespace.identifier
 		 * @param callback Must be a valid callback function before this action is added
 		 * @param priority Defaults to 10
+		 * @param once If true, the callback is removed after it has run once
 		 */
-		function addAction( action, callback, priority ) {
+		function addAction( action, callback, priority, once ) {
 			if( _validateNamespace( action ) === false || typeof callback !== 'function' ) {
 				return MethodsAvailable;
 			}
 
 			priority = parseInt( ( priority || 10 ), 10 );
-			_addHook( 'actions', action, callback, priority );
+			_addHook( 'actions', action, callback, priority, once );
 			return MethodsAvailable;
 		}
 
@@ -72,13 +86,14 @@
 		 * Removes the specified action if it contains a namespace.identifier & exists.
 		 *
 		 * @param action The action to remove
+		 * @param callback Optional. Only remove this callback, otherwise all callbacks are removed
 		 */
-		function removeAction( action ) {
+		function removeAction( action, callback ) {
 			if( _validateNamespace( action ) === false ) {
 				return MethodsAvailable;
 			}
 
-			_removeHook( 'actions', action );
+			_removeHook( 'actions', action, callback );
 			return MethodsAvailable;
 		}
 
@@ -88,14 +103,15 @@
 		 * @param filter Must contain namespace.identifier
 		 * @param callback Must be a valid callback function before this action is added
 		 * @param priority Defaults to 10
+		 * @param once If true, the callback is removed after it has run once
 		 */
-		function addFilter( filter, callback, priority ) {
+		function addFilter( filter, callback, priority, once ) {
 			if( _validateNamespace( filter ) === false || typeof callback !== 'function' ) {
 				return MethodsAvailable;
 			}
 
 			priority = parseInt( ( priority || 10 ), 10 );
-			_addHook( 'filters', filter, callback, priority );
+			_addHook( 'filters', filter, callback, priority, once );
 			return MethodsAvailable;
 		}
 
@@ -119,27 +135,132 @@
 		 * Removes the specified filter if it contains a namespace.identifier & exists.
 		 *
 		 * @param filter The action to remove
+		 * @param callback Optional. Only remove this callback, otherwise all callbacks are removed
 		 */
-		function removeFilter( filter ) {
+		function removeFilter( filter, callback ) {
 			if( _validateNamespace( filter ) === false ) {
 				return MethodsAvailable;
 			}
 
-			_removeHook( 'filters', filter );
+			_removeHook( 'filters', filter, callback );
+			return MethodsAvailable;
+		}
+
+		/**
+		 * Enables or disables debug mode. While enabled, each action / filter call is recorded in the log along with
+		 * its arguments, the registered callbacks, their priorities and execution time.
+		 *
+		 * @param enabled Boolean. Returns the current state when omitted
+		 * @param limit Maximum number of log entries to keep. Defaults to 1000
+		 */
+		function debug( enabled, limit ) {
+			if( typeof enabled === 'undefined' ) {
+				return DEBUG.enabled;
+			}
+
+			DEBUG.enabled = !!enabled;
+			DEBUG.limit = parseInt( ( limit || DEBUG.limit ), 10 );
+			return MethodsAvailable;
+		}
+
+		/**
+		 * Returns the debug log. May be limited to a single hook.
+		 *
+		 * @param hook Optional hook (namespace.identifier)
+		 */
+		function getLog( hook ) {
+			var log = [];
+
+			for( var i = 0, len = DEBUG.log.length; i < len; i++ ) {
+				if( !hook || DEBUG.log[ i ].hook === hook ) {
+					log.push( DEBUG.log[ i ] );
+				}
+			}
+
+			return log;
+		}
+
+		/**
+		 * Empties the debug log.
+		 */
+		function clearLog() {
+			DEBUG.log = [];
 			return MethodsAvailable;
 		}
 
 		/**
-		 * Removes the specified hook by resetting the value of it.
+		 * Returns the callbacks (and their priorities) currently registered to a hook.
+		 *
+		 * @param type 'actions' or 'filters'
+		 * @param hook Optional hook (namespace.identifier). Returns all hooks of this type when omitted
+		 */
+		function getHooks( type, hook ) {
+			if( !STORAGE[ type ] ) {
+				return false;
+			}
+
+			if( typeof hook === 'undefined' ) {
+				return STORAGE[ type ];
+			}
+
+			return ( STORAGE[ type ][ hook ] || [] ).slice();
+		}
+
+		/**
+		 * Returns the current time in milliseconds (high resolution if available).
+		 *
+		 * @private
+		 */
+		function _now() {
+			if( window.performance && window.performance.now ) {
+				return window.performance.now();
+			}
+
+			return new Date().getTime();
+		}
+
+		/**
+		 * Adds an entry to the debug log, removing the oldest entries once the limit is reached.
+		 *
+		 * @param entry The log entry
+		 * @private
+		 */
+		function _log( entry ) {
+			DEBUG.log.push( entry );
+
+			if( DEBUG.log.length > DEBUG.limit ) {
+				DEBUG.log.splice( 0, DEBUG.log.length - DEBUG.limit );
+			}
+		}
+
+		/**
+		 * Removes the specified hook by resetting the value of it. If a callback is given, only that callback is removed.
 		 *
 		 * @param type Type of hook, either 'actions' or 'filters'
 		 * @param hook The hook (namespace.identifier) to remove
+		 * @param callback Optional. The callback (or hook object) to remove
 		 * @private
 		 */
-		function _removeHook( type, hook ) {
-			if( STORAGE[ type ][ hook ] ) {
+		function _removeHook( type, hook, callback ) {
+			var hooks = STORAGE[ type ][ hook ];
+			if( !hooks ) {
+				return;
+			}
+
+			if( typeof callback === 'undefined' ) {
 				STORAGE[ type ][ hook ] = [];
+				return;
+			}
+
+			// build a new array so that hooks currently running are not affected
+			var remaining = [];
+			for( var i = 0, len = hooks.length; i < len; i++ ) {
+				if( hooks[ i ] !== callback && hooks[ i ].callback !== callback ) {
+					remaining.push( hooks[ i ] );
+				}
 			}
+
+			STORAGE[ type ][ hook ] = remaining;
 		}
 
 		/**
@@ -167,12 +288,14 @@
 		 * @param hook The hook (namespace.identifier) to add to our event manager
 		 * @param callback The function that will be called when the hook is executed.
 		 * @param priority The priority of this hook. Must be an integer.
+		 * @param once If true, the hook is removed after it has run once.
 		 * @private
 		 */
-		function _addHook( type, hook, callback, priority ) {
+		function _addHook( type, hook, callback, priority, once ) {
 			var hookObject = {
 				callback : callback,
-				priority : priority
+				priority : priority,
+				once : !!once
 			};
 
 			// Utilize 'prop itself' : http://jsperf.com/hasownproperty-vs-in-vs-undefined/19
@@ -219,6 +342,10 @@
 		 * @private
 		 */
 		function _runHook( type, hook, args ) {
+			if( DEBUG.enabled ) {
+				return _debugHook( type, hook, args );
+			}
+
 			var hooks = STORAGE[ type ][ hook ];
 			if( typeof hooks === 'undefined' ) {
 				if( type === 'filters' ) {
@@ -228,6 +355,10 @@
 			}
 
 			for( var i = 0, len = hooks.length; i < len; i++ ) {
+				if( hooks[ i ].once ) {
+					_removeHook( type, hook, hooks[ i ] );
+				}
+
 				if( type === 'actions' ) {
 					hooks[ i ].callback.apply( undefined, args );
 				}
@@ -243,6 +374,59 @@
 			return args[ 0 ];
 		}
 
+		/**
+		 * Runs the specified hook (same as _runHook) and records it in the debug log.
+		 *
+		 * @param type 'actions' or 'filters'
+		 * @param hook The hook ( namespace.identifier ) to be ran.
+		 * @param args Arguments to pass to the action/filter.
+		 * @private
+		 */
+		function _debugHook( type, hook, args ) {
+			var hooks = ( STORAGE[ type ][ hook ] || [] ).slice();
+			var start = _now();
+			var entry = {
+				type : type,
+				hook : hook,
+				args : args.slice(),
+				callbacks : [],
+				time : 0
+			};
+
+			// log before running so that nested hooks appear after their parent
+			_log( entry );
+
+			for( var i = 0, len = hooks.length; i < len; i++ ) {
+				var callbackStart = _now();
+
+				if( hooks[ i ].once ) {
+					_removeHook( type, hook, hooks[ i ] );
+				}
+
+				if( type === 'actions' ) {
+					hooks[ i ].callback.apply( undefined, args );
+				}
+				else {
+					args[ 0 ] = hooks[ i ].callback.apply( undefined, args );
+				}
+
+				entry.callbacks.push( {
+					callback : hooks[ i ].callback,
+					priority : hooks[ i ].priority,
+					time : _now() - callbackStart
+				} );
+			}
+
+			entry.time = _now() - start;
+
+			if( type === 'actions' ) {
+				return ( typeof STORAGE[ type ][ hook ] !== 'undefined' );
+			}
+
+			entry.result = args[ 0 ];
+			return args[ 0 ];
+		}
+
 		// return all of the publicly available methods
 		return MethodsAvailable;
 
@@ -281,10 +465,15 @@ var acf = {
 	get					: null,
 	update				: null,
 	_e					: null,
+	_n					: null,
+	sprintf				: null,
 	get_atts			: null,
 	get_fields			: null,
 	get_uniqid			: null,
 	serialize_form		: null,
+	serialize_nested	: null,
+	confirm				: null,
+	notice				: null,
 	
 	
 	// hooks
@@ -293,12 +482,17 @@ var acf = {
 	do_action			: null,
 	add_filter			: null,
 	remove_filtern		: null,
+	add_action_once		: null,
+	add_filter_once		: null,
+	apply_filters_async	: null,
 	apply_filters		: null,
 	
 	
 	// modules
 	validation			:	null,
 	conditional_logic	:	null,
+	modal				:	null,
+	debug				:	null,
 	media				:	null,
 	
 	
@@ -366,6 +560,149 @@ var acf = {
 			
 		},
 		
+		
+		/*
+		*  _n
+		*
+		*  This function will return the correct plural form of a translated string for the given count.
+		*  Plural strings are exported as an array (one item per plural form of the current language)
+		*
+		*  @type	function
+		*  @date	24/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	context (string)
+		*  @param	string (string)
+		*  @param	count (int)
+		*  @param	args (object) optional placeholder values. {count} is added automatically
+		*  @return	(string)
+		*/
+		
+		_n : function( context, string, count, args ){
+			
+			// vars
+			var r = this._e( context, string );
+			
+			count = parseInt( count ) || 0;
+			
+			
+			// find plural form
+			if( $.isArray(r) )
+			{
+				r = r[ this.get_plural_form( count ) ] || r[ r.length - 1 ] || '';
+			}
+			
+			
+			// args
+			args = $.extend({ count : count }, args);
+			
+			
+			// return
+			return this.sprintf( r, args );
+			
+		},
+		
+		
+		/*
+		*  get_plural_form
+		*
+		*  This function will return the plural form index for a number by evaluating the Plural-Forms
+		*  expression exported in acf.l10n.plural_forms
+		*
+		*  @type	function
+		*  @date	24/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	n (int)
+		*  @return	(int)
+		*/
+		
+		get_plural_form : function( n ){
+			
+			// compile expression
+			if( typeof this.plural_form_callback !== 'function' )
+			{
+				var expression = this.l10n.plural_forms || 'n != 1';
+				
+				// only allow safe characters
+				if( ! /^[\sn0-9\(\)\?:%!=<>&|]+$/.test(expression) )
+				{
+					expression = 'n != 1';
+				}
+				
+				try
+				{
+					this.plural_form_callback = new Function( 'n', 'return Number( ' + expression + ' );' );
+				}
+				catch(e)
+				{
+					this.plural_form_callback = function( n ){ return Number( n != 1 ); };
+				}
+			}
+			
+			
+			// return
+			return this.plural_form_callback( n ) || 0;
+			
+		},
+		
+		
+		/*
+		*  sprintf
+		*
+		*  This function will replace placeholders in a string.
+		*  Named placeholders ({key}) are replaced by an object, %s / %d are replaced in order by extra arguments
+		*
+		*  @type	function
+		*  @date	24/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	string (string)
+		*  @param	args (object|mixed)
+		*  @return	(string)
+		*/
+		
+		sprintf : function( string, args ){
+			
+			// vars
+			var values = Array.prototype.slice.call( arguments, 1 );
+			
+			string = string || '';
+			
+			
+			// named placeholders
+			if( $.isPlainObject(args) )
+			{
+				values.shift();
+				
+				string = string.replace(/\{([a-z0-9_]+)\}/gi, function( match, key ){
+					
+					return ( typeof args[ key ] === 'undefined' ) ? match : args[ key ];
+					
+				});
+			}
+			
+			
+			// ordered placeholders
+			string = string.replace(/%(s|d)/g, function( match, type ){
+				
+				if( !values.length )
+				{
+					return match;
+				}
+				
+				var value = values.shift();
+				
+				return ( type == 'd' ) ? parseInt( value ) : value;
+				
+			});
+			
+			
+			// return
+			return string;
+			
+		},
+		
 		get_fields : function( args, $el, allow_filter ){
 			
 			// defaults
@@ -558,6 +895,21 @@ var acf = {
 			
 		},
 		
+		get_sub_fields : function( $el ){
+			
+			// vars
+			var $parent = $el.closest('.acf-field');
+			
+			
+			// only return fields which belong directly to $el (not to a nested field)
+			return this.get_fields({}, $el).filter(function(){
+				
+				return ( $(this).parent().closest('.acf-field')[0] === $parent[0] );
+				
+			});
+			
+		},
+		
 		get_uniqid : function( prefix, more_entropy ){
 		
 			// + original by: Kevin van Zonneveld (http://kevin.vanzonneveld.net)
@@ -607,7 +959,21 @@ var acf = {
 			
 		},
 		
-		serialize_form : function( $el ){
+		serialize_form : function( $el, args ){
+			
+			// defaults
+			args = $.extend({
+				nested	: false,	// return a nested object instead of a flat name -> value map
+				keys	: 'key'		// 'key' or 'name' (nested only)
+			}, args);
+			
+			
+			// nested
+			if( args.nested )
+			{
+				return this.serialize_nested( $el, args );
+			}
+			
 			
 			// vars
 			var data = {},
@@ -625,7 +991,7 @@ var acf = {
 				if( pair.name.slice(-2) === '[]' )
 				{
 					// remove []
-					pair.name = pair.name.replace('[]', '');
+					pair.name = pair.name.slice(0, -2);
 					
 					
 					// initiate counter
@@ -654,894 +1020,871 @@ var acf = {
 			return data;
 		},
 		
-		remove_tr : function( $tr, callback ){
+		serialize_nested : function( $el, args ){
 			
-			// vars
-			var height = $tr.height(),
-				children = $tr.children().length;
+			// reference
+			var _this = this;
 			
 			
-			// add class
-			$tr.addClass('acf-remove-element');
+			// vars
+			var data = {},
+				order = {};
 			
 			
-			// after animation
-			setTimeout(function(){
-				
-				// remove class
-				$tr.removeClass('acf-remove-element');
-				
+			// populate data
+			$.each( $el.find('select, textarea, input').serializeArray(), function( i, pair ){
 				
 				// vars
-				$tr.html('<td style="padding:0; height:' + height + 'px" colspan="' + children + '"></td>');
+				var path = _this.parse_name( pair.name );
 				
 				
-				$tr.children('td').animate({ height : 0}, 250, function(){
+				// remember the DOM order of keys (object keys which look like numbers are not kept in order)
+				for( var j = 1; j < path.length; j++ )
+				{
+					var parent = path.slice(0, j).join('|');
 					
-					$tr.remove();
+					order[ parent ] = order[ parent ] || [];
 					
-					if( typeof(callback) == 'function' )
+					if( $.inArray( path[ j ], order[ parent ] ) < 0 )
 					{
-						callback();
+						order[ parent ].push( path[ j ] );
 					}
-					
-					
-				});
+				}
+				
+				
+				_this.set_path( data, path, pair.value );
 				
-					
-			}, 250);
-			
-		},
-		
-		remove_el : function( $el, callback, end_height ){
-			
-			// defaults
-			end_height = end_height || 0;
-			
-			
-			// set layout
-			$el.css({
-				height		: $el.height(),
-				width		: $el.width(),
-				position	: 'absolute',
-				padding		: 0
 			});
 			
 			
-			// wrap field
-			$el.wrap( '<div class="acf-temp-wrap" style="height:' + $el.outerHeight(true) + 'px"></div>' );
-			
-			
-			// fade $el
-			$el.animate({ opacity : 0 }, 250);
+			// convert rows to arrays (deepest fields first so that parent row ids are still in the path)
+			var $fields = this.get_fields({}, $el).filter(function(){
+				
+				var type = acf.get_data($(this), 'type');
+				
+				return ( type == 'repeater' || type == 'flexible_content' );
+				
+			});
 			
+			$fields = $fields.sort(function( a, b ){
+				
+				return $(b).parents('.acf-field').length - $(a).parents('.acf-field').length;
+				
+			});
 			
-			// remove
-			$el.parent('.acf-temp-wrap').animate({ height : end_height }, 250, function(){
+			$fields.each(function(){
 				
-				$(this).remove();
+				// vars
+				var path = _this.get_field_path( $(this) ),
+					rows = path ? _this.get_path( data, path ) : null;
 				
-				if( typeof(callback) == 'function' )
+				
+				// validate
+				if( rows === null )
 				{
-					callback();
+					return;
 				}
 				
-			});
-			
-			
-		},
-		
-		isset : function(){
-			
-			var a = arguments,
-		        l = a.length,
-		        c = null,
-		        undef;
+				
+				// convert (in DOM order)
+				var value = [];
+				
+				if( $.isPlainObject(rows) )
+				{
+					$.each( order[ path.join('|') ] || [], function( i, id ){
+						
+						if( rows.hasOwnProperty( id ) )
+						{
+							value.push( rows[ id ] );
+						}
+						
+					});
+				}
+				
+				_this.set_path( data, path, value );
+				
+			});
 			
-		    if (l === 0) {
-		        throw new Error('Empty isset');
-		    }
 			
-			c = a[0];
+			// use field names instead of field keys
+			if( args.keys == 'name' )
+			{
+				var names = {};
+				
+				this.get_fields({}, $el).each(function(){
+					
+					names[ acf.get_data($(this), 'key') ] = acf.get_data($(this), 'name');
+					
+				});
+				
+				data = this.rename_keys( data, names );
+			}
 			
-		    for (i = 1; i < l; i++) {
-		    	
-		        if (a[i] === undef || c[ a[i] ] === undef) {
-		            return false;
-		        }
-		        
-		        c = c[ a[i] ];
-		        
-		    }
-		    
-		    return true;	
+			
+			// return
+			return data;
 			
 		},
 		
-		open_popup : function( args ){
+		parse_name : function( name ){
 			
 			// vars
-			$popup = $('body > #acf-poup');
+			var i = name.indexOf('['),
+				path = [];
 			
 			
-			// already exists?
-			if( $popup.exists() )
+			// no brackets
+			if( i < 1 )
 			{
-				return update_popup(args);
+				return [ name ];
 			}
 			
 			
-			// template
-			var tmpl = [
-				'<div id="acf-popup">',
-					'<div class="acf-popup-box acf-box">',
-						'<div class="title"><h3></h3><a href="#" class="acf-icon"><i class="acf-sprite-delete "></i></a></div>',
-						'<div class="inner"></div>',
-						'<div class="loading"><i class="acf-loading"></i></div>',
-					'</div>',
-					'<div class="bg"></div>',
-				'</div>'
-			].join('');
+			// base
+			path.push( name.substr(0, i) );
 			
 			
-			// append
-			$('body').append( tmpl );
-			
+			// segments
+			var matches = name.substr(i).match(/\[[^\]]*\]/g) || [];
 			
-			$('#acf-popup .bg, #acf-popup .acf-icon').on('click', function(){
+			$.each(matches, function( k, match ){
 				
-				acf.close_popup();
+				path.push( match.slice(1, -1) );
 				
 			});
 			
 			
-			// update
-			return this.update_popup(args);
+			// return
+			return path;
 			
 		},
 		
-		update_popup : function( args ){
+		set_path : function( data, path, value ){
 			
 			// vars
-			$popup = $('#acf-popup');
+			var node = data;
 			
 			
-			// validate
-			if( !$popup.exists() )
+			// walk path (an empty segment appends a new item, like PHP)
+			for( var i = 0; i < path.length; i++ )
 			{
-				return false
+				// vars
+				var segment = path[ i ],
+					last = ( i == path.length - 1 );
+				
+				
+				// append
+				if( segment === '' )
+				{
+					if( !$.isArray(node) )
+					{
+						return;
+					}
+					
+					segment = node.length;
+				}
+				
+				
+				// set value
+				if( last )
+				{
+					node[ segment ] = value;
+					break;
+				}
+				
+				
+				// create child
+				if( typeof node[ segment ] !== 'object' || node[ segment ] === null )
+				{
+					node[ segment ] = ( path[ i + 1 ] === '' ) ? [] : {};
+				}
+				
+				node = node[ segment ];
 			}
 			
+		},
+		
+		get_path : function( data, path ){
 			
-			// defaults
-			args = $.extend({}, {
-				title	: '',
-				content : '',
-				width	: 0,
-				height	: 0,
-				loading : false
-			}, args);
-			
-			
-			if( args.width )
-			{
-				$popup.find('.acf-popup-box').css({
-					'width'			: args.width,
-					'margin-left'	: 0 - (args.width / 2),
-				});
-			}
+			// vars
+			var node = data;
 			
-			if( args.height )
-			{
-				$popup.find('.acf-popup-box').css({
-					'height'		: args.height,
-					'margin-top'	: 0 - (args.height / 2),
-				});	
-			}
 			
-			if( args.title )
+			// walk path
+			for( var i = 0; i < path.length; i++ )
 			{
-				$popup.find('.title h3').html( args.title );
+				if( node === null || typeof node !== 'object' || !node.hasOwnProperty(path[ i ]) )
+				{
+					return null;
+				}
+				
+				node = node[ path[ i ] ];
 			}
 			
-			if( args.content )
-			{
-				$popup.find('.inner').html( args.content );
-			}
 			
-			if( args.loading )
-			{
-				$popup.find('.loading').show();
-			}
-			else
-			{
-				$popup.find('.loading').hide();
-			}
+			// return
+			return node;
 			
-			return $popup;
 		},
 		
-		close_popup : function(){
+		get_field_path : function( $field ){
 			
 			// vars
-			$popup = $('#acf-popup');
+			var key = '[' + acf.get_data($field, 'key') + ']',
+				path = null;
 			
 			
-			// already exists?
-			if( $popup.exists() )
-			{
-				$popup.remove();
-			}
+			// find the input name prefix of this field
+			$field.find('[name]').each(function(){
+				
+				var name = $(this).attr('name'),
+					i = name.indexOf( key );
+				
+				if( i > -1 )
+				{
+					path = acf.parse_name( name.substr(0, i + key.length) );
+					return false;
+				}
+				
+			});
+			
 			
+			// return
+			return path;
 			
 		},
 		
-		prepare_for_ajax : function( args ) {
-			
-			// nonce
-			args.nonce = acf.get('nonce');
-			
-			
-			// filter for 3rd party customization
-			args = acf.apply_filters('prepare_for_ajax', args);	
+		rename_keys : function( data, names ){
 			
+			// reference
+			var _this = this;
 			
-			// return
-			return args;
 			
-		}
-		
-	});
-	
-	
-	/*
-	*  Hooks
-	*
-	*  These functions act as wrapper functions for the included event-manajer JS library
-	*  Wrapper functions will ensure that future changes to event-manager do not distrupt
-	*  any custom actions / filter code written by users
-	*
-	*  @type	functions
-	*  @date	30/11/2013
-	*  @since	5.0.0
-	*
-	*  @param	n/a
-	*  @return	n/a
-	*/
-	
-	$.extend(acf, {
-		
-		add_action : function() {
+			// arrays
+			if( $.isArray(data) )
+			{
+				return $.map(data, function( item ){
+					
+					return [ _this.rename_keys( item, names ) ];
+					
+				});
+			}
 			
-			// allow multiple action parameters such as 'ready append'
-			var actions = arguments[0].split(' ');
 			
-			for( k in actions )
+			// objects
+			if( $.isPlainObject(data) )
 			{
-				// prefix action
-				arguments[0] = 'acf.' + actions[ k ];
+				var r = {};
 				
-				wp.hooks.addAction.apply(this, arguments);
+				$.each(data, function( k, v ){
+					
+					r[ names[ k ] || k ] = _this.rename_keys( v, names );
+					
+				});
+				
+				return r;
 			}
 			
-			return this;
+			
+			// return
+			return data;
+			
 		},
 		
-		remove_action : function() {
+		remove_tr : function( $tr, callback ){
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+			// vars
+			var height = $tr.height(),
+				children = $tr.children().length;
 			
-			wp.hooks.removeAction.apply(this, arguments);
 			
-			return this;
-		},
-		
-		do_action : function() {
+			// add class
+			$tr.addClass('acf-remove-element');
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
 			
-			wp.hooks.doAction.apply(this, arguments);
+			// after animation
+			setTimeout(function(){
+				
+				// remove class
+				$tr.removeClass('acf-remove-element');
+				
+				
+				// vars
+				$tr.html('<td style="padding:0; height:' + height + 'px" colspan="' + children + '"></td>');
+				
+				
+				$tr.children('td').animate({ height : 0}, 250, function(){
+					
+					$tr.remove();
+					
+					if( typeof(callback) == 'function' )
+					{
+						callback();
+					}
+					
+					
+				});
+				
+					
+			}, 250);
 			
-			return this;
 		},
 		
-		add_filter : function() {
+		remove_el : function( $el, callback, end_height ){
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+			// defaults
+			end_height = end_height || 0;
 			
-			wp.hooks.addFilter.apply(this, arguments);
 			
-			return this;
-		},
-		
-		remove_filter : function() {
+			// set layout
+			$el.css({
+				height		: $el.height(),
+				width		: $el.width(),
+				position	: 'absolute',
+				padding		: 0
+			});
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
 			
-			wp.hooks.removeFilter.apply(this, arguments);
+			// wrap field
+			$el.wrap( '<div class="acf-temp-wrap" style="height:' + $el.outerHeight(true) + 'px"></div>' );
 			
-			return this;
-		},
-		
-		apply_filters : function() {
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+			// fade $el
+			$el.animate({ opacity : 0 }, 250);
 			
-			return wp.hooks.applyFilters.apply(this, arguments);
-		}
-		
-	});
-    
-    
-    acf.add_filter('is_field_ready_for_js', function( ready, $field ){
-		
-		// repeater sub field
-		if( $field.parents('.acf-row.clone').exists() )
-		{
-			ready = false;
-		}
-		
-		
-		// flexible content sub field
-		if( $field.parents('.acf-flexible-content > .clones').exists() )
-		{
-			ready = false;
-		}
-		
-		
-		// widget
-		if( $field.parents('#available-widgets').exists() )
-		{
-			ready = false;
-		}
+			
+			// remove
+			$el.parent('.acf-temp-wrap').animate({ height : end_height }, 250, function(){
+				
+				$(this).remove();
+				
+				if( typeof(callback) == 'function' )
+				{
+					callback();
+				}
+				
+			});
+			
+			
+		},
 		
+		isset : function(){
+			
+			var a = arguments,
+		        l = a.length,
+		        c = null,
+		        undef;
+			
+		    if (l === 0) {
+		        throw new Error('Empty isset');
+		    }
+			
+			c = a[0];
+			
+		    for (i = 1; i < l; i++) {
+		    	
+		        if (a[i] === undef || c[ a[i] ] === undef) {
+		            return false;
+		        }
+		        
+		        c = c[ a[i] ];
+		        
+		    }
+		    
+		    return true;	
+			
+		},
 		
-		// debug
-		//console.log('is_field_ready_for_js %o, %b', $field, ready);
+		open_popup : function( args ){
+			
+			// vars
+			var modal = acf.modal.top();
+			
+			
+			// already exists?
+			if( modal )
+			{
+				return this.update_popup( args );
+			}
+			
+			
+			// open
+			return acf.modal.open( args ).$el;
+			
+		},
 		
+		update_popup : function( args ){
+			
+			// vars
+			var modal = acf.modal.top();
+			
+			
+			// validate
+			if( !modal )
+			{
+				return false;
+			}
+			
+			
+			// update
+			return acf.modal.update( modal, args ).$el;
+			
+		},
 		
-		// return
-		return ready;
-	    
-    });
-	
-	
-	/*
-	*  Exists
-	*
-	*  @description: returns true / false		
-	*  @created: 1/03/2011
-	*/
-	
-	$.fn.exists = function()
-	{
-		return $(this).length>0;
-	};
-	
-	
-	/*
-	*  outerHTML
-	*
-	*  This function will return a string containing the HTML of the selected element
-	*
-	*  @type	function
-	*  @date	19/11/2013
-	*  @since	5.0.0
-	*
-	*  @param	$.fn
-	*  @return	(string)
-	*/
-	
-	$.fn.outerHTML = function() {
-	    
-	    return $(this).clone().wrap('<div>').parent().html();
-	    
-	}
-	
-	
-	/*
-	*  3.5 Media
-	*
-	*  @description: 
-	*  @since: 3.5.7
-	*  @created: 16/01/13
-	*/
-	
-	acf.media = {
+		close_popup : function(){
+			
+			// vars
+			var modal = acf.modal.top();
+			
+			
+			// close
+			if( modal )
+			{
+				acf.modal.close( modal );
+			}
+			
+		},
 		
-		upload_popup : function( args ) {
+		confirm : function( message, args ){
 			
 			// defaults
-			args = $.extend({}, {
-				title		: '',		// Uploade Image
-				type		: '',		// image
-				query		: {},		// library query
-				uploadedTo	: 0,		// restrict browsing to post_id
-				multiple	: 0,		// allow multiple attachments to be selected
-				activate	: function(){},
-				select		: function( attachment, i ){}
+			args = $.extend({
+				title	: '',
+				yes		: acf.modal.l10n('ok'),
+				no		: acf.modal.l10n('cancel')
 			}, args);
 			
 			
-			// args.query
-			if( args.type )
-			{
-				args.query = { 
-					type : args.type
-				};
-			}
+			// open (resolves with true / false)
+			return acf.modal.open({
+				title	: args.title,
+				content	: '<p>' + message + '</p>',
+				role	: 'alertdialog',
+				dismiss	: false,
+				buttons	: [
+					{ label : args.no, value : false },
+					{ label : args.yes, value : true, primary : true }
+				]
+			});
 			
+		},
+		
+		notice : function( message, args ){
 			
-			// create frame
-			var frame = wp.media({
-				states : [
-					new wp.media.controller.Library({
-						title		: args.title,
-						multiple	: args.multiple,
-						library		: wp.media.query(args.query),
-						priority	: 20,
-						filterable	: 'all'
-					})
+			// defaults
+			args = $.extend({
+				title	: '',
+				ok		: acf.modal.l10n('ok')
+			}, args);
+			
+			
+			// open (resolves once closed)
+			return acf.modal.open({
+				title	: args.title,
+				content	: '<p>' + message + '</p>',
+				role	: 'alertdialog',
+				dismiss	: true,
+				buttons	: [
+					{ label : args.ok, value : true, primary : true }
 				]
 			});
 			
+		},
+		
+		prepare_for_ajax : function( args ) {
 			
-			// events
-			frame.on('content:activate', function(){
-				
-				// vars
-				var toolbar = null,
-					filters = null;
+			// nonce
+			args.nonce = acf.get('nonce');
+			
+			
+			// filter for 3rd party customization
+			args = acf.apply_filters('prepare_for_ajax', args);	
+			
+			
+			// return
+			return args;
+			
+		},
+		
+		prepare_for_ajax_async : function( args ) {
+			
+			// nonce
+			args.nonce = acf.get('nonce');
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			return acf.apply_filters_async('prepare_for_ajax', args);
+			
+		},
+		
+		
+		/*
+		*  request
+		*
+		*  This function will send an AJAX request once the data has been through the prepare_for_ajax filter.
+		*  The returned object can be aborted while the filter is still running
+		*
+		*  @type	function
+		*  @date	2/04/2014
+		*  @since	5.0.0
+		*
+		*  @param	args (object) $.ajax settings
+		*  @return	(object)
+		*/
+		
+		request : function( args ) {
+			
+			// vars
+			var request = {
+				xhr		: null,
+				aborted	: false,
+				abort	: function(){
+					
+					this.aborted = true;
+					
+					if( this.xhr )
+					{
+						this.xhr.abort();
+					}
 					
+				}
+			};
+			
+			
+			// filter
+			acf.prepare_for_ajax_async( args.data || {} ).done(function( data ){
 				
-				// populate above vars making sure to allow for failure
-				try
+				// bail early if aborted
+				if( request.aborted )
 				{
-					toolbar = frame.content.get().toolbar;
-					filters = toolbar.get('filters');
-				} 
-				catch(e)
-				{
-					// one of the objects was 'undefined'... perhaps the frame open is Upload Files
-					//console.log( e );
+					return;
 				}
 				
 				
-				// validate
-				if( !filters )
+				// ajax
+				request.xhr = $.ajax( $.extend({}, args, { data : data }) );
+				
+			}).fail(function(){
+				
+				// bail early if aborted
+				if( request.aborted )
 				{
-					return false;
+					return;
 				}
 				
 				
-				// no need for 'uploaded' filter
-				if( args.uploadedTo )
+				// callbacks
+				if( args.error )
 				{
-					filters.$el.find('option[value="uploaded"]').remove();
-					filters.$el.after('<span>' + acf._e('image', 'uploadedTo') + '</span>')
-					
-					$.each( filters.filters, function( k, v ){
-						
-						v.props.uploadedTo = args.uploadedTo;
-						
-					});
+					args.error();
 				}
 				
-				
-				// image
-				if( args.type == 'image' )
+				if( args.complete )
 				{
-					// filter only images
-					$.each( filters.filters, function( k, v ){
-					
-						v.props.type = 'image';
-						
-					});
-					
-					
-					// remove non image options from filter list
-					filters.$el.find('option').each(function(){
-						
-						// vars
-						var v = $(this).attr('value');
-						
-						
-						// don't remove the 'uploadedTo' if the library option is 'all'
-						if( v == 'uploaded' && !args.uploadedTo )
-						{
-							return;
-						}
-						
-						if( v.indexOf('image') === -1 )
-						{
-							$(this).remove();
-						}
-						
-					});
-					
-					
-					// set default filter
-					filters.$el.val('image').trigger('change');
-					
+					args.complete();
 				}
 				
-				
-				// callback
-				if( typeof args.activate === 'function' )
-				{
-					args.activate.apply( this, [ frame ] );
-				}
 			});
 			
 			
-			// select callback
-			frame.on( 'select', function() {
-				
-				
-				// validate
-				if( typeof args.select !== 'function' )
-				{
-					return false;
-				}
-				
-				
-				// get selected images
-				var selection = frame.state().get('selection');
-				
-				
-				// loop over selection
-				if( selection )
-				{
-					var i = -1;
-					
-					selection.each(function( attachment ){
-						
-						i++;
-						
-						args.select.apply( this, [ attachment, i] );
-						
-					});
-				}
-				
-			});
+			// return
+			return request;
 			
+		}
+		
+	});
+	
+	
+	/*
+	*  Values
+	*
+	*  These functions will get / set the value of a field. A field type may provide its own
+	*  get_value / set_value functions within acf.fields to return a structured value,
+	*  otherwise the value is read from / written to the field's inputs
+	*
+	*  @type	function
+	*  @date	18/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	$field (jQuery)
+	*  @return	n/a
+	*/
+	
+	$.extend(acf, {
+		
+		get_value : function( $field ){
 			
-			// close
-			frame.on('close',function(){
+			// vars
+			var type = acf.get_data( $field, 'type' ),
+				model = acf.fields[ type ],
+				value = null;
 			
-				setTimeout(function(){
-					
-					// detach
-					frame.detach();
-					frame.dispose();
-					
-					
-					// reset var
-					frame = null;
-					
-				}, 500);
-				
-			});
 			
+			// get value
+			if( model && typeof model.get_value === 'function' )
+			{
+				value = model.get_value( $field );
+			}
+			else
+			{
+				value = this.get_input_value( $field );
+			}
 			
-			// open popup
-			frame.open();
+			
+			// filter for 3rd party customization
+			value = acf.apply_filters('get_value', value, $field);
 			
 			
 			// return
-			return frame;
+			return value;
 			
 		},
 		
-		edit_popup : function( args ) {
+		set_value : function( $field, value ){
 			
-			// defaults
-			args = $.extend({}, {
-				title		: '',
-				button		: '',
-				id			: 0
-			}, args);
+			// vars
+			var type = acf.get_data( $field, 'type' ),
+				model = acf.fields[ type ];
 			
 			
-			// create frame
-			var frame = wp.media({
-				title		: args.title,
-				multiple	: 0,
-				button		: { text : args.button }
-			});
+			// filter for 3rd party customization
+			value = acf.apply_filters('set_value', value, $field);
 			
 			
-			// open
-			frame.on('open',function() {
+			// set value
+			if( model && typeof model.set_value === 'function' )
+			{
+				model.set_value( $field, value );
+			}
+			else
+			{
+				this.set_input_value( $field, value );
+			}
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('set_value', $field, value);
+			
+			
+			// return this for chaining
+			return this;
+			
+		},
+		
+		get_inputs : function( $field ){
+			
+			return $field.children('.acf-input').find('input, textarea, select');
+			
+		},
+		
+		get_input_value : function( $field ){
+			
+			// vars
+			var $inputs = this.get_inputs( $field ),
+				value = '',
+				values = [],
+				multiple = $inputs.filter('[name$="[]"]').exists();
+			
+			
+			// select2 holds its own value
+			var $select2 = $inputs.filter(function(){
 				
-				// set to browse
-				if( frame.content._mode != 'browse' )
-				{
-					frame.content.mode('browse');
-				}
+				return $(this).data('select2') ? true : false;
 				
+			});
+			
+			if( $select2.exists() )
+			{
+				return $select2.first().select2('val');
+			}
+			
+			
+			// loop over inputs
+			$.each( $inputs.serializeArray(), function( i, pair ){
 				
-				// add class
-				frame.$el.closest('.media-modal').addClass('acf-media-modal acf-expanded');
+				// array
+				if( pair.name.slice(-2) === '[]' )
+				{
+					if( pair.value !== '' )
+					{
+						values.push( pair.value );
+					}
 					
-				
-				// set selection
-				var selection	=	frame.state().get('selection'),
-					attachment	=	wp.media.attachment( args.id );
+					return;
+				}
 				
 				
-				// to fetch or not to fetch
-				if( $.isEmptyObject(attachment.changed) )
-				{
-					attachment.fetch();
-				}
+				// last value wins (true_false, radio 'other')
+				value = pair.value;
 				
-
-				selection.add( attachment );
-						
 			});
 			
 			
-			// select callback
-			frame.on( 'select', function() {
-				
+			// return
+			return multiple ? values : value;
+			
+		},
+		
+		set_input_value : function( $field, value ){
+			
+			// vars
+			var $inputs = this.get_inputs( $field ),
+				values = $.isArray(value) ? value : [ value ];
+			
+			
+			// convert values to strings for comparison
+			values = $.map(values, function( v ){
 				
-				// validate
-				if( typeof args.select !== 'function' )
+				if( v === true )
 				{
-					return false;
+					return '1';
 				}
-				
-				
-				// get selected images
-				var selection = frame.state().get('selection');
-				
-				
-				// loop over selection
-				if( selection )
+				else if( v === false || v === null )
 				{
-					var i = -1;
-					
-					selection.each(function( attachment ){
-						
-						i++;
-						
-						args.select( attachment, i );
-						
-					});
+					return '0';
 				}
 				
+				return String( v );
+				
 			});
 			
 			
-			// close
-			frame.on('close',function(){
+			// select2
+			var $select2 = $inputs.filter(function(){
 				
-				setTimeout(function(){
-					
-					// detach
-					frame.detach();
-					frame.dispose();
-					
-					
-					// reset var
-					frame = null;
-					
-				}, 500);
+				return $(this).data('select2') ? true : false;
+				
+			});
+			
+			if( $select2.exists() )
+			{
+				$select2.first().select2('val', value).trigger('change');
 				
+				return;
+			}
+			
+			
+			// checkbox / radio
+			$inputs.filter('input[type="checkbox"], input[type="radio"]').each(function(){
 				
-				// remove class
-				frame.$el.closest('.media-modal').removeClass('acf-media-modal');
+				$(this).prop('checked', $.inArray($(this).val(), values) > -1);
 				
 			});
 			
 			
-			// open popup
-			frame.open();
+			// select
+			$inputs.filter('select').val( $.isArray(value) ? values : values[0] );
 			
 			
-			// return
-			return frame;
-
-		},
-		
-		init : function(){
+			// text, textarea
+			$inputs.filter('textarea, input:not([type="hidden"], [type="checkbox"], [type="radio"])').val( values[0] );
 			
-			// bail early if wp.media does not exist (field group edit page)
-			if( typeof wp == 'undefined' )
-			{
-				return false;
-			}
 			
+			// trigger change
+			$inputs.last().trigger('change');
 			
-			// validate prototype
-			if( ! acf.isset(wp, 'media', 'view', 'AttachmentCompat', 'prototype') )
-			{
-				return false;	
-			}
-			
-			
-			// vars
-			var _prototype = wp.media.view.AttachmentCompat.prototype;
-			
-			
-			// orig
-			_prototype.orig_render = _prototype.render;
-			_prototype.orig_dispose = _prototype.dispose;
-			
-			
-			// update class
-			_prototype.className = 'compat-item acf_postbox no_box';
-			
+		}
+		
+	});
+	
+	
+	/*
+	*  Inputs
+	*
+	*  These functions will disable / enable the inputs within an element (disabled inputs are not saved).
+	*  Each caller gives a reason and an input is only enabled once every reason has been removed. Inputs which
+	*  were already disabled (such as repeater / flexible content clone templates) are left untouched
+	*
+	*  @type	function
+	*  @date	2/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$el (jQuery)
+	*  @param	reason (string)
+	*  @return	n/a
+	*/
+	
+	$.extend(acf, {
+		
+		disable_inputs : function( $el, reason ){
 			
-			// modify render
-			_prototype.render = function() {
+			$el.find('input, textarea, select').each(function(){
 				
-				// reference
-				var _this = this;
+				// vars
+				var $input = $(this),
+					reasons = $input.data('acf_disabled');
 				
 				
-				// validate
-				if( _this.ignore_render )
+				// bail early if disabled by something else
+				if( !reasons && $input.is('[disabled]') )
 				{
-					return this;	
+					return;
 				}
 				
 				
-				// run the old render function
-				this.orig_render();
-				
-				
-				// add button
-				setTimeout(function(){
-					
-					// vars
-					var $media_model = _this.$el.closest('.media-modal');
-					
-					
-					// is this an edit only modal?
-					if( $media_model.hasClass('acf-media-modal') )
-					{
-						return;	
-					}
-					
-					
-					// does button already exist?
-					if( $media_model.find('.media-frame-router .acf-expand-details').exists() )
-					{
-						return;	
-					}
-					
-					
-					// create button
-					var button = $([
-						'<a href="#" class="acf-expand-details">',
-							'<span class="is-closed"><span class="acf-icon small"><i class="acf-sprite-left"></i></span>' + acf.l10n.core.expand_details +  '</span>',
-							'<span class="is-open"><span class="acf-icon small"><i class="acf-sprite-right"></i></span>' + acf.l10n.core.collapse_details +  '</span>',
-						'</a>'
-					].join('')); 
-					
-					
-					// add events
-					button.on('click', function( e ){
-						
-						e.preventDefault();
-						
-						if( $media_model.hasClass('acf-expanded') )
-						{
-							$media_model.removeClass('acf-expanded');
-						}
-						else
-						{
-							$media_model.addClass('acf-expanded');
-						}
-						
-					});
-					
-					
-					// append
-					$media_model.find('.media-frame-router').append( button );
-						
-				
-				}, 0);
-				
+				// add reason
+				reasons = reasons || {};
+				reasons[ reason ] = 1;
 				
-				// setup fields
-				// The clearTimout is needed to prevent many setup functions from running at the same time
-				clearTimeout( acf.media.render_timout );
-				acf.media.render_timout = setTimeout(function(){
-
-					$(document).trigger( 'acf/setup_fields', [ _this.$el ] );
-					
-				}, 50);
-
+				$input.data('acf_disabled', reasons).attr('disabled', 'disabled');
 				
-				// return based on the origional render function
-				return this;
-			};
+			});
 			
+		},
+		
+		enable_inputs : function( $el, reason ){
 			
-			// modify dispose
-			_prototype.dispose = function() {
+			$el.find('input, textarea, select').each(function(){
 				
-				// remove
-				$(document).trigger('acf/remove_fields', [ this.$el ]);
+				// vars
+				var $input = $(this),
+					reasons = $input.data('acf_disabled');
 				
 				
-				// run the old render function
-				this.orig_dispose();
+				// bail early if not disabled for this reason
+				if( !reasons || !reasons[ reason ] )
+				{
+					return;
+				}
 				
-			};
-			
-			
-			// override save
-			_prototype.save = function( event ) {
-			
-				var data = {},
-					names = {};
 				
-				if ( event )
-					event.preventDefault();
-					
-					
-				_.each( this.$el.serializeArray(), function( pair ) {
+				// remove reason
+				delete reasons[ reason ];
 				
-					// initiate name
-					if( pair.name.slice(-2) === '[]' )
-					{
-						// remove []
-						pair.name = pair.name.replace('[]', '');
-						
-						
-						// initiate counter
-						if( typeof names[ pair.name ] === 'undefined'){
-							
-							names[ pair.name ] = -1;
-							//console.log( names[ pair.name ] );
-							
-						}
-						
-						
-						names[ pair.name ]++
-						
-						pair.name += '[' + names[ pair.name ] +']';
-						
-						
-					}
- 
-					data[ pair.name ] = pair.value;
-				});
- 
-				this.ignore_render = true;
-				this.model.saveCompat( data );
+				if( $.isEmptyObject(reasons) )
+				{
+					$input.removeData('acf_disabled').removeAttr('disabled');
+				}
 				
-			};
+			});
+			
 		}
-	};
+		
+	});
 	
 	
 	/*
-	*  conditional_logic
+	*  modal
 	*
-	*  description
+	*  This object will open accessible modal dialogs. Each modal is a promise which is resolved with the value
+	*  of the button used to close it (or the 'dismiss' value when closed via the Escape key, close icon or background).
+	*  Modals may be stacked, focus is kept within the top modal and returned to the previous element once closed
 	*
-	*  @type	function
-	*  @date	21/02/2014
-	*  @since	3.5.1
+	*  @type	object
+	*  @date	20/03/2014
+	*  @since	5.0.0
 	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
+	*  @param	n/a
+	*  @return	n/a
 	*/
+	
+	acf.modal = {
 		
-	acf.conditional_logic = {
+		// vars
+		stack	: [],
+		z_index	: 159900,
+		focusable : 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])',
 		
-		items : {},
-		triggers : {},
 		
 		init : function(){
 			
@@ -1549,762 +1892,5291 @@ var acf = {
 			var _this = this;
 			
 			
+			// keyboard
+			$(document).on('keydown', function( e ){
+				
+				_this.keydown( e );
+				
+			});
+			
+		},
+		
+		l10n : function( string ){
+			
+			return acf._e('core', string) || acf._e(string);
+			
+		},
+		
+		top : function(){
+			
+			return this.stack.length ? this.stack[ this.stack.length - 1 ] : null;
+			
+		},
+		
+		open : function( args ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// defaults
+			args = $.extend({
+				title	: '',
+				content : '',
+				buttons	: [],
+				role	: 'dialog',
+				dismiss	: false
+			}, args);
+			
+			
+			// vars
+			var id = acf.get_uniqid('acf-modal-'),
+				deferred = $.Deferred(),
+				modal = {
+					id		: id,
+					args	: args,
+					$focus	: $( document.activeElement ),
+					$el		: null
+				};
+			
+			
+			// template
+			var $el = $([
+				'<div class="acf-modal" id="' + id + '">',
+					'<div class="acf-modal-box acf-box" role="' + args.role + '" aria-modal="true" aria-labelledby="' + id + '-title" tabindex="-1">',
+						'<div class="title"><h3 id="' + id + '-title"></h3><a href="#" class="acf-icon" data-name="close" aria-label="' + this.l10n('close') + '"><i class="acf-sprite-delete "></i></a></div>',
+						'<div class="inner"></div>',
+						'<div class="acf-modal-buttons"></div>',
+						'<div class="loading"><i class="acf-loading"></i></div>',
+					'</div>',
+					'<div class="bg"></div>',
+				'</div>'
+			].join(''));
+			
+			modal.$el = $el;
+			
+			
+			// buttons
+			$.each(args.buttons, function( i, button ){
+				
+				var $button = $('<button type="button" class="button"></button>');
+				
+				$button.text( button.label ).data('value', button.value);
+				
+				if( button.primary )
+				{
+					$button.addClass('button-primary');
+				}
+				
+				$el.find('.acf-modal-buttons').append( $button );
+				
+			});
+			
+			if( !args.buttons.length )
+			{
+				$el.find('.acf-modal-buttons').remove();
+			}
+			
+			
 			// events
-			$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+			$el.on('click', '.bg, [data-name="close"]', function( e ){
 				
-				_this.change( $(this) );
+				e.preventDefault();
+				
+				_this.close( modal, args.dismiss );
+				
+			});
+			
+			$el.on('click', '.acf-modal-buttons .button', function( e ){
+				
+				e.preventDefault();
 				
+				_this.close( modal, $(this).data('value') );
+				
+			});
+			
+			
+			// stack
+			$el.css('z-index', this.z_index + this.stack.length);
+			
+			this.stack.push( modal );
+			
+			
+			// append
+			$('body').append( $el );
+			
+			
+			// make modal a promise
+			modal.deferred = deferred;
+			deferred.promise( modal );
+			
+			
+			// update
+			this.update( modal, args );
+			
+			
+			// focus
+			this.focus( modal );
+			
+			
+			// action for 3rd party customization
+			acf.do_action('open_modal', modal);
+			
+			
+			// return
+			return modal;
+			
+		},
+		
+		update : function( modal, args ){
+			
+			// vars
+			var $box = modal.$el.find('.acf-modal-box');
+			
+			
+			// defaults
+			args = $.extend({}, {
+				title	: '',
+				content : '',
+				width	: 0,
+				height	: 0,
+				loading : false
+			}, args);
+			
+			
+			if( args.width )
+			{
+				$box.css({
+					'width'			: args.width,
+					'margin-left'	: 0 - (args.width / 2),
+				});
+			}
+			
+			if( args.height )
+			{
+				$box.css({
+					'height'		: args.height,
+					'margin-top'	: 0 - (args.height / 2),
+				});	
+			}
+			
+			if( args.title )
+			{
+				modal.$el.find('.title h3').html( args.title );
+			}
+			
+			if( args.content )
+			{
+				modal.$el.find('.inner').html( args.content );
+			}
+			
+			if( args.loading )
+			{
+				modal.$el.find('.loading').show();
+			}
+			else
+			{
+				modal.$el.find('.loading').hide();
+			}
+			
+			
+			// center vertically
+			if( !args.height && !modal.args.height )
+			{
+				$box.css('margin-top', 0 - ($box.outerHeight() / 2));
+			}
+			
+			
+			// return
+			return modal;
+			
+		},
+		
+		close : function( modal, value ){
+			
+			// vars
+			var i = $.inArray(modal, this.stack);
+			
+			
+			// bail early if already closed
+			if( i === -1 )
+			{
+				return;
+			}
+			
+			
+			// remove
+			this.stack.splice(i, 1);
+			
+			modal.$el.remove();
+			
+			
+			// return focus
+			if( modal.$focus.exists() && modal.$focus.closest('body').exists() )
+			{
+				modal.$focus.focus();
+			}
+			
+			
+			// action for 3rd party customization
+			acf.do_action('close_modal', modal, value);
+			
+			
+			// resolve
+			modal.deferred.resolve( value );
+			
+		},
+		
+		focus : function( modal ){
+			
+			// vars
+			var $focusable = modal.$el.find('.acf-modal-box').find( this.focusable ).filter(':visible'),
+				$primary = modal.$el.find('.acf-modal-buttons .button-primary');
+			
+			
+			// focus the primary button, the first focusable element or the box
+			if( $primary.exists() )
+			{
+				$primary.focus();
+			}
+			else if( $focusable.not('[data-name="close"]').exists() )
+			{
+				$focusable.not('[data-name="close"]').first().focus();
+			}
+			else
+			{
+				modal.$el.find('.acf-modal-box').focus();
+			}
+			
+		},
+		
+		keydown : function( e ){
+			
+			// vars
+			var modal = this.top();
+			
+			
+			// bail early if no modal is open
+			if( !modal )
+			{
+				return;
+			}
+			
+			
+			// escape
+			if( e.which == 27 )
+			{
+				e.preventDefault();
+				
+				this.close( modal, modal.args.dismiss );
+				
+				return;
+			}
+			
+			
+			// tab (keep focus within the top modal)
+			if( e.which == 9 )
+			{
+				// vars
+				var $focusable = modal.$el.find('.acf-modal-box').find( this.focusable ).filter(':visible'),
+					$first = $focusable.first(),
+					$last = $focusable.last(),
+					inside = $.contains( modal.$el[0], document.activeElement );
+				
+				
+				if( !$focusable.exists() )
+				{
+					e.preventDefault();
+				}
+				else if( !inside || (e.shiftKey && document.activeElement === $first[0]) )
+				{
+					e.preventDefault();
+					
+					( e.shiftKey ? $last : $first ).focus();
+				}
+				else if( !e.shiftKey && document.activeElement === $last[0] )
+				{
+					e.preventDefault();
+					
+					$first.focus();
+				}
+			}
+			
+		}
+		
+	};
+	
+	
+	$(document).ready(function(){
+		
+		acf.modal.init();
+		
+	});
+	
+	
+	/*
+	*  Hooks
+	*
+	*  These functions act as wrapper functions for the included event-manajer JS library
+	*  Wrapper functions will ensure that future changes to event-manager do not distrupt
+	*  any custom actions / filter code written by users
+	*
+	*  @type	functions
+	*  @date	30/11/2013
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	$.extend(acf, {
+		
+		add_action : function() {
+			
+			// allow multiple action parameters such as 'ready append'
+			var actions = arguments[0].split(' ');
+			
+			for( k in actions )
+			{
+				// prefix action
+				arguments[0] = 'acf.' + actions[ k ];
+				
+				wp.hooks.addAction.apply(this, arguments);
+			}
+			
+			return this;
+		},
+		
+		add_action_once : function( action, callback, priority ) {
+			
+			return this.add_action( action, callback, priority || 10, true );
+			
+		},
+		
+		remove_action : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.removeAction.apply(this, arguments);
+			
+			return this;
+		},
+		
+		do_action : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.doAction.apply(this, arguments);
+			
+			return this;
+		},
+		
+		add_filter : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.addFilter.apply(this, arguments);
+			
+			return this;
+		},
+		
+		remove_filter : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.removeFilter.apply(this, arguments);
+			
+			return this;
+		},
+		
+		apply_filters : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			return wp.hooks.applyFilters.apply(this, arguments);
+		},
+		
+		add_filter_once : function( filter, callback, priority ) {
+			
+			return this.add_filter( filter, callback, priority || 10, true );
+			
+		},
+		
+		apply_filters_async : function() {
+			
+			// vars
+			var args = Array.prototype.slice.call( arguments ),
+				filter = 'acf.' + args.shift(),
+				hooks = wp.hooks.getHooks('filters', filter) || [],
+				deferred = $.Deferred(),
+				i = 0;
+			
+			
+			// run each callback in order, waiting for any promise returned before running the next one
+			var next = function( value ){
+				
+				// done
+				if( i >= hooks.length )
+				{
+					deferred.resolve( value );
+					return;
+				}
+				
+				
+				// vars
+				var hook = hooks[ i++ ];
+				
+				
+				// remove one-shot callbacks
+				if( hook.once )
+				{
+					wp.hooks.removeFilter( filter, hook );
+				}
+				
+				
+				// run (a callback which throws rejects the filter)
+				var result;
+				
+				args[0] = value;
+				
+				try
+				{
+					result = hook.callback.apply(undefined, args);
+				}
+				catch(e)
+				{
+					deferred.reject();
+					return;
+				}
+				
+				$.when( result ).then( next, deferred.reject );
+				
+			};
+			
+			next( args[0] );
+			
+			
+			// return
+			return deferred.promise();
+			
+		}
+		
+	});
+	
+	
+	/*
+	*  debug
+	*
+	*  This object provides a console API to trace actions and filters. Debug mode can be enabled from the
+	*  console via acf.debug.enable() and will remain enabled (via localStorage) until acf.debug.disable()
+	*
+	*  @type	object
+	*  @date	21/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.debug = {
+		
+		key : 'acf_debug',
+		
+		init : function(){
+			
+			// enable if saved (runs before any hooks are fired)
+			if( this.get_setting() )
+			{
+				wp.hooks.debug( true );
+			}
+			
+		},
+		
+		get_setting : function(){
+			
+			try
+			{
+				return window.localStorage.getItem( this.key ) == '1';
+			}
+			catch(e)
+			{
+				return false;
+			}
+			
+		},
+		
+		update_setting : function( value ){
+			
+			try
+			{
+				if( value )
+				{
+					window.localStorage.setItem( this.key, '1' );
+				}
+				else
+				{
+					window.localStorage.removeItem( this.key );
+				}
+			}
+			catch(e)
+			{
+				// localStorage not available
+			}
+			
+		},
+		
+		enable : function( limit ){
+			
+			wp.hooks.debug( true, limit );
+			
+			this.update_setting( true );
+			
+			return this;
+			
+		},
+		
+		disable : function(){
+			
+			wp.hooks.debug( false );
+			
+			this.update_setting( false );
+			
+			return this;
+			
+		},
+		
+		clear : function(){
+			
+			wp.hooks.clearLog();
+			
+			return this;
+			
+		},
+		
+		warn : function( message ){
+			
+			// only warn in debug mode
+			if( wp.hooks.debug() && typeof console !== 'undefined' )
+			{
+				console.warn( 'ACF: ' + message );
+			}
+			
+			return this;
+			
+		},
+		
+		log : function( name ){
+			
+			// vars
+			var log = wp.hooks.getLog( name ? 'acf.' + name : false );
+			
+			
+			// only return acf hooks
+			return $.grep(log, function( entry ){
+				
+				return ( entry.hook.indexOf('acf.') === 0 );
+				
+			});
+			
+		},
+		
+		hooks : function( name ){
+			
+			// vars
+			var hook = 'acf.' + name;
+			
+			
+			// return
+			return {
+				actions	: wp.hooks.getHooks('actions', hook),
+				filters	: wp.hooks.getHooks('filters', hook)
+			};
+			
+		},
+		
+		dump : function( name ){
+			
+			// bail early if no console
+			if( typeof console === 'undefined' )
+			{
+				return this;
+			}
+			
+			
+			// vars
+			var log = this.log( name );
+			
+			
+			// warn if not enabled
+			if( !wp.hooks.debug() )
+			{
+				console.warn('ACF: debug mode is disabled. Enable it with acf.debug.enable()');
+			}
+			
+			
+			// loop
+			$.each(log, function( i, entry ){
+				
+				// vars
+				var title = entry.type.slice(0, -1) + ' "' + entry.hook.substr(4) + '" (' + entry.callbacks.length + ' callbacks, ' + entry.time.toFixed(2) + 'ms)';
+				
+				
+				if( console.groupCollapsed )
+				{
+					console.groupCollapsed( title );
+				}
+				else
+				{
+					console.log( title );
+				}
+				
+				
+				console.log( 'arguments', entry.args );
+				
+				$.each(entry.callbacks, function( j, callback ){
+					
+					console.log( 'priority ' + callback.priority + ', ' + callback.time.toFixed(2) + 'ms', callback.callback );
+					
+				});
+				
+				if( entry.type == 'filters' )
+				{
+					console.log( 'result', entry.result );
+				}
+				
+				
+				if( console.groupEnd )
+				{
+					console.groupEnd();
+				}
+				
+			});
+			
+			
+			// return
+			return this;
+			
+		}
+		
+	};
+	
+	acf.debug.init();
+    
+    
+    acf.add_filter('is_field_ready_for_js', function( ready, $field ){
+		
+		// repeater sub field
+		if( $field.parents('.acf-row.clone').exists() )
+		{
+			ready = false;
+		}
+		
+		
+		// flexible content sub field
+		if( $field.parents('.acf-flexible-content > .clones').exists() )
+		{
+			ready = false;
+		}
+		
+		
+		// widget
+		if( $field.parents('#available-widgets').exists() )
+		{
+			ready = false;
+		}
+		
+		
+		// debug
+		//console.log('is_field_ready_for_js %o, %b', $field, ready);
+		
+		
+		// return
+		return ready;
+	    
+    });
+	
+	
+	/*
+	*  Exists
+	*
+	*  @description: returns true / false		
+	*  @created: 1/03/2011
+	*/
+	
+	$.fn.exists = function()
+	{
+		return $(this).length>0;
+	};
+	
+	
+	/*
+	*  outerHTML
+	*
+	*  This function will return a string containing the HTML of the selected element
+	*
+	*  @type	function
+	*  @date	19/11/2013
+	*  @since	5.0.0
+	*
+	*  @param	$.fn
+	*  @return	(string)
+	*/
+	
+	$.fn.outerHTML = function() {
+	    
+	    return $(this).clone().wrap('<div>').parent().html();
+	    
+	}
+	
+	
+	/*
+	*  3.5 Media
+	*
+	*  @description: 
+	*  @since: 3.5.7
+	*  @created: 16/01/13
+	*/
+	
+	acf.media = {
+		
+		upload_popup : function( args ) {
+			
+			// defaults
+			args = $.extend({}, {
+				title		: '',		// Uploade Image
+				type		: '',		// image
+				query		: {},		// library query
+				uploadedTo	: 0,		// restrict browsing to post_id
+				multiple	: 0,		// allow multiple attachments to be selected
+				activate	: function(){},
+				select		: function( attachment, i ){}
+			}, args);
+			
+			
+			// args.query
+			if( args.type )
+			{
+				args.query = { 
+					type : args.type
+				};
+			}
+			
+			
+			// create frame
+			var frame = wp.media({
+				states : [
+					new wp.media.controller.Library({
+						title		: args.title,
+						multiple	: args.multiple,
+						library		: wp.media.query(args.query),
+						priority	: 20,
+						filterable	: 'all'
+					})
+				]
+			});
+			
+			
+			// events
+			frame.on('content:activate', function(){
+				
+				// vars
+				var toolbar = null,
+					filters = null;
+					
+				
+				// populate above vars making sure to allow for failure
+				try
+				{
+					toolbar = frame.content.get().toolbar;
+					filters = toolbar.get('filters');
+				} 
+				catch(e)
+				{
+					// one of the objects was 'undefined'... perhaps the frame open is Upload Files
+					//console.log( e );
+				}
+				
+				
+				// validate
+				if( !filters )
+				{
+					return false;
+				}
+				
+				
+				// no need for 'uploaded' filter
+				if( args.uploadedTo )
+				{
+					filters.$el.find('option[value="uploaded"]').remove();
+					filters.$el.after('<span>' + acf._e('image', 'uploadedTo') + '</span>')
+					
+					$.each( filters.filters, function( k, v ){
+						
+						v.props.uploadedTo = args.uploadedTo;
+						
+					});
+				}
+				
+				
+				// image
+				if( args.type == 'image' )
+				{
+					// filter only images
+					$.each( filters.filters, function( k, v ){
+					
+						v.props.type = 'image';
+						
+					});
+					
+					
+					// remove non image options from filter list
+					filters.$el.find('option').each(function(){
+						
+						// vars
+						var v = $(this).attr('value');
+						
+						
+						// don't remove the 'uploadedTo' if the library option is 'all'
+						if( v == 'uploaded' && !args.uploadedTo )
+						{
+							return;
+						}
+						
+						if( v.indexOf('image') === -1 )
+						{
+							$(this).remove();
+						}
+						
+					});
+					
+					
+					// set default filter
+					filters.$el.val('image').trigger('change');
+					
+				}
+				
+				
+				// callback
+				if( typeof args.activate === 'function' )
+				{
+					args.activate.apply( this, [ frame ] );
+				}
+			});
+			
+			
+			// select callback
+			frame.on( 'select', function() {
+				
+				
+				// validate
+				if( typeof args.select !== 'function' )
+				{
+					return false;
+				}
+				
+				
+				// get selected images
+				var selection = frame.state().get('selection');
+				
+				
+				// loop over selection
+				if( selection )
+				{
+					var i = -1;
+					
+					selection.each(function( attachment ){
+						
+						i++;
+						
+						args.select.apply( this, [ attachment, i] );
+						
+					});
+				}
+				
+			});
+			
+			
+			// close
+			frame.on('close',function(){
+			
+				setTimeout(function(){
+					
+					// detach
+					frame.detach();
+					frame.dispose();
+					
+					
+					// reset var
+					frame = null;
+					
+				}, 500);
+				
+			});
+			
+			
+			// open popup
+			frame.open();
+			
+			
+			// return
+			return frame;
+			
+		},
+		
+		edit_popup : function( args ) {
+			
+			// defaults
+			args = $.extend({}, {
+				title		: '',
+				button		: '',
+				id			: 0
+			}, args);
+			
+			
+			// create frame
+			var frame = wp.media({
+				title		: args.title,
+				multiple	: 0,
+				button		: { text : args.button }
+			});
+			
+			
+			// open
+			frame.on('open',function() {
+				
+				// set to browse
+				if( frame.content._mode != 'browse' )
+				{
+					frame.content.mode('browse');
+				}
+				
+				
+				// add class
+				frame.$el.closest('.media-modal').addClass('acf-media-modal acf-expanded');
+					
+				
+				// set selection
+				var selection	=	frame.state().get('selection'),
+					attachment	=	wp.media.attachment( args.id );
+				
+				
+				// to fetch or not to fetch
+				if( $.isEmptyObject(attachment.changed) )
+				{
+					attachment.fetch();
+				}
+				
+
+				selection.add( attachment );
+						
+			});
+			
+			
+			// select callback
+			frame.on( 'select', function() {
+				
+				
+				// validate
+				if( typeof args.select !== 'function' )
+				{
+					return false;
+				}
+				
+				
+				// get selected images
+				var selection = frame.state().get('selection');
+				
+				
+				// loop over selection
+				if( selection )
+				{
+					var i = -1;
+					
+					selection.each(function( attachment ){
+						
+						i++;
+						
+						args.select( attachment, i );
+						
+					});
+				}
+				
+			});
+			
+			
+			// close
+			frame.on('close',function(){
+				
+				setTimeout(function(){
+					
+					// detach
+					frame.detach();
+					frame.dispose();
+					
+					
+					// reset var
+					frame = null;
+					
+				}, 500);
+				
+				
+				// remove class
+				frame.$el.closest('.media-modal').removeClass('acf-media-modal');
+				
+			});
+			
+			
+			// open popup
+			frame.open();
+			
+			
+			// return
+			return frame;
+
+		},
+		
+		init : function(){
+			
+			// bail early if wp.media does not exist (field group edit page)
+			if( typeof wp == 'undefined' )
+			{
+				return false;
+			}
+			
+			
+			// validate prototype
+			if( ! acf.isset(wp, 'media', 'view', 'AttachmentCompat', 'prototype') )
+			{
+				return false;	
+			}
+			
+			
+			// vars
+			var _prototype = wp.media.view.AttachmentCompat.prototype;
+			
+			
+			// orig
+			_prototype.orig_render = _prototype.render;
+			_prototype.orig_dispose = _prototype.dispose;
+			
+			
+			// update class
+			_prototype.className = 'compat-item acf_postbox no_box';
+			
+			
+			// modify render
+			_prototype.render = function() {
+				
+				// reference
+				var _this = this;
+				
+				
+				// validate
+				if( _this.ignore_render )
+				{
+					return this;	
+				}
+				
+				
+				// run the old render function
+				this.orig_render();
+				
+				
+				// add button
+				setTimeout(function(){
+					
+					// vars
+					var $media_model = _this.$el.closest('.media-modal');
+					
+					
+					// is this an edit only modal?
+					if( $media_model.hasClass('acf-media-modal') )
+					{
+						return;	
+					}
+					
+					
+					// does button already exist?
+					if( $media_model.find('.media-frame-router .acf-expand-details').exists() )
+					{
+						return;	
+					}
+					
+					
+					// create button
+					var button = $([
+						'<a href="#" class="acf-expand-details">',
+							'<span class="is-closed"><span class="acf-icon small"><i class="acf-sprite-left"></i></span>' + acf.l10n.core.expand_details +  '</span>',
+							'<span class="is-open"><span class="acf-icon small"><i class="acf-sprite-right"></i></span>' + acf.l10n.core.collapse_details +  '</span>',
+						'</a>'
+					].join('')); 
+					
+					
+					// add events
+					button.on('click', function( e ){
+						
+						e.preventDefault();
+						
+						if( $media_model.hasClass('acf-expanded') )
+						{
+							$media_model.removeClass('acf-expanded');
+						}
+						else
+						{
+							$media_model.addClass('acf-expanded');
+						}
+						
+					});
+					
+					
+					// append
+					$media_model.find('.media-frame-router').append( button );
+						
+				
+				}, 0);
+				
+				
+				// setup fields
+				// The clearTimout is needed to prevent many setup functions from running at the same time
+				clearTimeout( acf.media.render_timout );
+				acf.media.render_timout = setTimeout(function(){
+
+					$(document).trigger( 'acf/setup_fields', [ _this.$el ] );
+					
+				}, 50);
+
+				
+				// return based on the origional render function
+				return this;
+			};
+			
+			
+			// modify dispose
+			_prototype.dispose = function() {
+				
+				// remove
+				$(document).trigger('acf/remove_fields', [ this.$el ]);
+				
+				
+				// run the old render function
+				this.orig_dispose();
+				
+			};
+			
+			
+			// override save
+			_prototype.save = function( event ) {
+			
+				var data = {},
+					names = {};
+				
+				if ( event )
+					event.preventDefault();
+					
+					
+				_.each( this.$el.serializeArray(), function( pair ) {
+				
+					// initiate name
+					if( pair.name.slice(-2) === '[]' )
+					{
+						// remove []
+						pair.name = pair.name.replace('[]', '');
+						
+						
+						// initiate counter
+						if( typeof names[ pair.name ] === 'undefined'){
+							
+							names[ pair.name ] = -1;
+							//console.log( names[ pair.name ] );
+							
+						}
+						
+						
+						names[ pair.name ]++
+						
+						pair.name += '[' + names[ pair.name ] +']';
+						
+						
+					}
+ 
+					data[ pair.name ] = pair.value;
+				});
+ 
+				this.ignore_render = true;
+				this.model.saveCompat( data );
+				
+			};
+		}
+	};
+	
+	
+	/*
+	*  conditional_logic
+	*
+	*  description
+	*
+	*  @type	function
+	*  @date	21/02/2014
+	*  @since	3.5.1
+	*
+	*  @param	$post_id (int)
+	*  @return	$post_id (int)
+	*/
+		
+	acf.conditional_logic = {
+		
+		items : {},
+		groups : {},
+		triggers : {},
+		cycles : {},
+		
+		init : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// events
+			$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+				
+				_this.change( $(this) );
+				
+			});
+			
+			
+			// actions
+			acf.add_action('append', function( $el ){
+				
+				//console.log('acf/setup_fields calling acf.conditional_logic.refresh()');
+				_this.render( $el );
+				
+			});
+			
+			
+			//console.log('acf.conditional_logic.init() calling acf.conditional_logic.refresh()');
+			_this.render();
+			
+		},
+		
+		add : function( key, groups ){
+			
+			// append items
+			this.items[ key ] = groups;
+			
+			
+			// populate triggers
+			this.add_triggers( key, groups );
+			
+		},
+		
+		add_group : function( key, groups ){
+			
+			// append field group (postbox)
+			this.groups[ key ] = groups;
+			
+			
+			// populate triggers
+			this.add_triggers( key, groups );
+			
+		},
+		
+		add_triggers : function( key, groups ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// populate triggers
+			$.each(groups, function( k1, group ){
+				
+				$.each(group, function( k2, rule ){
+					
+					// add rule.field to triggers
+					if( !acf.isset(_this, 'triggers', rule.field) )
+					{
+						_this.triggers[ rule.field ] = [];
+					}
+					
+					
+					// add key to this trigger
+					if( _this.triggers[ rule.field ].indexOf(key) === -1 )
+					{
+						 _this.triggers[ rule.field ].push( key );
+					}
+										
+				});
+				
+			});
+			
+		},
+		
+		change : function( $el ){
+			
+			// vars
+			var key = acf.get_field_data($el, 'key');
+			
+			
+			// update visibility of all fields depending on this field (directly or through other fields)
+			this.render_fields( this.get_dependents( key ) );
+			
+		},
+		
+		get_dependents : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var dependents = [],
+				queue = [ key ];
+			
+			
+			// walk the triggers map
+			while( queue.length )
+			{
+				var trigger = queue.shift();
+				
+				$.each(_this.get_targets( trigger ), function( i, target ){
+					
+					if( $.inArray(target, dependents) === -1 )
+					{
+						dependents.push( target );
+						queue.push( target );
+					}
+					
+				});
+			}
+			
+			
+			// return
+			return dependents;
+			
+		},
+		
+		get_targets : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var targets = ( this.triggers[ key ] || [] ).slice();
+			
+			
+			// a field group also affects every trigger field within it (hidden fields count as empty)
+			if( acf.isset(this, 'groups', key) )
+			{
+				acf.get_fields({}, $('#acf-' + key)).each(function(){
+					
+					var field_key = acf.get_data($(this), 'key');
+					
+					if( acf.isset(_this, 'triggers', field_key) && $.inArray(field_key, targets) === -1 )
+					{
+						targets.push( field_key );
+					}
+					
+				});
+			}
+			
+			
+			// return
+			return targets;
+			
+		},
+		
+		sort : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var sorted = [],
+				incoming = {},
+				queue = [];
+			
+			
+			// count incoming edges (triggers within keys)
+			$.each(keys, function( i, key ){
+				
+				incoming[ key ] = 0;
+				
+			});
+			
+			$.each(keys, function( i, key ){
+				
+				$.each(_this.get_targets( key ), function( j, target ){
+					
+					if( incoming.hasOwnProperty(target) && target !== key )
+					{
+						incoming[ target ]++;
+					}
+					
+				});
+				
+			});
+			
+			
+			// start with keys which do not depend on any other key
+			$.each(keys, function( i, key ){
+				
+				if( incoming[ key ] === 0 )
+				{
+					queue.push( key );
+				}
+				
+			});
+			
+			
+			// topological sort
+			while( queue.length )
+			{
+				var key = queue.shift();
+				
+				sorted.push( key );
+				
+				$.each(_this.get_targets( key ), function( j, target ){
+					
+					if( incoming.hasOwnProperty(target) && target !== key )
+					{
+						incoming[ target ]--;
+						
+						if( incoming[ target ] === 0 )
+						{
+							queue.push( target );
+						}
+					}
+					
+				});
+			}
+			
+			
+			// any remaining keys are part of (or depend on) a cycle
+			if( sorted.length < keys.length )
+			{
+				var cycle = $.grep(keys, function( key ){
+					
+					return ( $.inArray(key, sorted) === -1 );
+					
+				});
+				
+				
+				// report
+				this.report_cycle( cycle );
+				
+				
+				// render the remaining keys once, in their original order
+				sorted = sorted.concat( cycle );
+			}
+			
+			
+			// return
+			return sorted;
+			
+		},
+		
+		report_cycle : function( keys ){
+			
+			// vars
+			var id = keys.slice().sort().join(',');
+			
+			
+			// only report each cycle once
+			if( acf.isset(this, 'cycles', id) )
+			{
+				return;
+			}
+			
+			this.cycles[ id ] = keys;
+			
+			
+			// report
+			acf.debug.warn( 'conditional logic cycle detected between fields ' + keys.join(', ') );
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('conditional_logic_cycle', keys);
+			
+		},
+		
+		render_fields : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// render in dependency order so that triggers are rendered before their targets
+			$.each(this.sort( keys ), function( i, key ){
+				
+				if( acf.isset(_this, 'items', key) )
+				{
+					_this.render_field( key );
+				}
+				else if( acf.isset(_this, 'groups', key) )
+				{
+					_this.render_group( key );
+				}
+				
+			});
+			
+		},
+		
+		render_field : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// get conditional logic
+			var groups = this.items[ key ];
+			
+			
+			// get targets
+			var $targets = acf.get_fields({key : key});
+			
+			
+			// may be multiple targets (sub fields)
+			$targets.each(function(){
+			
+				// vars
+				var visibility = false;
+				
+				
+				// $el
+				var $target = $(this);
+				
+				
+				// loop over groups
+				$.each( groups, function( k, group ){
+					
+					var match_group = true;
+					
+					
+					// loop over rules
+					$.each( group, function( k2, rule ){
+						
+						if( !_this.get_visibility( $target, rule) )
+						{
+							match_group = false;
+							return false;
+						}
+						
+					});
+					
+					
+					if( match_group )
+					{
+						visibility = true;
+						return false;
+					}
+					
+				});
+				
+				
+				// hide / show field
+				if( visibility )
+				{
+					_this.show_field( $target );					
+				}
+				else
+				{
+					_this.hide_field( $target );
+				}
+				
+				
+			});
+			
+			
+		},
+		
+		
+		show_field : function( $field ){
+			
+			// vars
+			var key = acf.get_data($field, 'key'),
+				c = 'hidden-by-conditional-logic';
+			
+			
+			if( acf.is_sub_field($field) )
+			{
+				var $repeater = $field.closest('table').parent('.acf-repeater');
+				
+				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
+				{
+					c += ' appear-empty';
+					
+					$repeater.find('> table > thead th[data-key="' + key + '"]').removeClass( c );
+				}
+				
+			}
+			
+			
+			// add class
+			$field.removeClass( c );
+			
+			
+			// remove "disabled"
+			acf.enable_inputs( $field, 'conditional_logic_' + key );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_show', $field );
+			
+		},
+		
+		hide_field : function( $field ){
+			
+			// vars
+			var key = acf.get_data($field, 'key'),
+				c = 'hidden-by-conditional-logic';
+			
+			
+			if( acf.is_sub_field($field) )
+			{
+				var $repeater = $field.closest('table').parent('.acf-repeater');
+				
+				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
+				{
+					c += ' appear-empty';
+					
+					$repeater.find('> table > thead th[data-key="' + key + '"]').addClass( c );
+				}
+				
+			}
+			
+			
+			// add class
+			$field.addClass( c );
+			
+			
+			// add "disabled"
+			acf.disable_inputs( $field, 'conditional_logic_' + key );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_hide', $field );
+			
+		},
+		
+		render_group : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var $postbox = $('#acf-' + key),
+				visibility = false;
+			
+			
+			// bail early if this field group is not on the screen
+			if( !$postbox.exists() )
+			{
+				return;
+			}
+			
+			
+			// loop over groups
+			$.each( this.groups[ key ], function( k, group ){
+				
+				var match_group = true;
+				
+				
+				// loop over rules
+				$.each( group, function( k2, rule ){
+					
+					if( !_this.get_visibility( $postbox, rule) )
+					{
+						match_group = false;
+						return false;
+					}
+					
+				});
+				
+				
+				if( match_group )
+				{
+					visibility = true;
+					return false;
+				}
+				
+			});
+			
+			
+			// hide / show field group
+			if( visibility )
+			{
+				this.show_group( $postbox );
+			}
+			else
+			{
+				this.hide_group( $postbox );
+			}
+			
+		},
+		
+		show_group : function( $postbox ){
+			
+			// vars
+			var c = 'hidden-by-conditional-logic';
+			
+			
+			// bail early if already visible
+			if( !$postbox.hasClass(c) )
+			{
+				return;
+			}
+			
+			
+			// remove class
+			$postbox.removeClass( c );
+			
+			
+			// remove "disabled" (fields hidden by their own conditional logic or the location rules remain disabled)
+			acf.enable_inputs( $postbox, 'conditional_logic_group' );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_show_group', $postbox );
+			
+		},
+		
+		hide_group : function( $postbox ){
+			
+			// vars
+			var c = 'hidden-by-conditional-logic';
+			
+			
+			// bail early if already hidden
+			if( $postbox.hasClass(c) )
+			{
+				return;
+			}
+			
+			
+			// add class
+			$postbox.addClass( c );
+			
+			
+			// add "disabled"
+			acf.disable_inputs( $postbox, 'conditional_logic_group' );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_hide_group', $postbox );
+			
+		},
+		
+		get_visibility : function( $target, rule ){
+			
+			// vars
+			var $search = acf.is_sub_field( $target ) ? $target.parent() : $('body');
+			
+			
+			// vars
+			var $trigger = acf.get_fields({key : rule.field}, $search);
+			
+			
+			if( !$trigger.exists() )
+			{
+				// loop through all the parents that could contain sub fields
+				$target.parents('tr').each(function(){
+					
+					$trigger = acf.get_fields({key : rule.field}, $(this));
+					
+					if( $trigger.length == 1 )
+					{
+						return false;
+					}
+					
+				});
+				
+			}
+			
+						
+			//console.log('this.calculate( %o, %o, %o );', rule, $trigger, $target);
+			
+			
+			// calculate
+			var visibility = this.calculate( rule, $trigger, $target );
+			
+			
+			// return
+			return visibility;
+		},
+		
+		render : function( $el ){
+			
+			// defaults
+			$el = $el || $('body');
+			
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var keys = [];
+			
+			
+			// find fields with conditional logic
+			acf.get_fields({},$el).each(function(){
+				
+				var key = acf.get_data($(this), 'key');
+				
+				if( acf.isset(_this, 'items', key) && $.inArray(key, keys) === -1 )
+				{
+					keys.push( key );
+				}
+				
+			});
+			
+			
+			// render (dependents of these fields may live outside $el)
+			$.each(keys.slice(), function( i, key ){
+				
+				$.each(_this.get_dependents( key ), function( j, dependent ){
+					
+					if( $.inArray(dependent, keys) === -1 )
+					{
+						keys.push( dependent );
+					}
+					
+				});
+				
+			});
+			
+			// a full render also includes all field groups with conditional logic
+			if( $el.is('body') )
+			{
+				$.each(this.groups, function( key ){
+					
+					if( $.inArray(key, keys) === -1 )
+					{
+						keys.push( key );
+					}
+					
+				});
+			}
+			
+			
+			this.render_fields( keys );
+			
+		},
+		
+		calculate : function( rule, $trigger, $target ){
+			
+			// vars
+			var type = acf.get_data( $trigger.first(), 'type' ),
+				values = [];
+			
+			
+			// a trigger hidden by conditional logic (or within a hidden field group) counts as empty
+			if( $trigger.exists() && !$trigger.first().closest('.hidden-by-conditional-logic').exists() )
+			{
+				values = this.get_trigger_values( $trigger.first() );
+			}
+			
+			
+			// return
+			return this.compare( rule, values, type );
+			
+		},
+		
+		get_trigger_values : function( $trigger ){
+			
+			// vars
+			var values = [];
+			
+			
+			// choice fields compare against the checked inputs
+			if( $trigger.hasClass('field_type-true_false') || $trigger.hasClass('field_type-checkbox') || $trigger.hasClass('field_type-radio') )
+			{
+				$trigger.find('input:checked').each(function(){
+					
+					values.push( $(this).val() );
+					
+				});
+				
+				return values;
+			}
+			
+			
+			// get value and make sure it is an array
+			var value = acf.get_value( $trigger );
+			
+			if( $.isArray(value) )
+			{
+				values = value;
+			}
+			else if( value !== null && typeof value !== 'object' && typeof value !== 'undefined' )
+			{
+				values = [ value ];
+			}
+			
+			
+			// convert to strings (relational fields use 0 as an empty value)
+			return $.map( values, function( v ){
+				
+				return ( v === 0 || v === null ) ? null : String( v );
+				
+			});
+			
+		},
+		
+		cast : function( value, type ){
+			
+			// number
+			if( type == 'number' )
+			{
+				return parseFloat( value );
+			}
+			
+			
+			// date (yyyy-mm-dd or yyyymmdd)
+			if( type == 'date_picker' )
+			{
+				var m = String( value ).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+				
+				if( m )
+				{
+					return new Date( m[1], m[2] - 1, m[3] ).getTime();
+				}
+				
+				return Date.parse( value );
+			}
+			
+			
+			// string
+			return String( value );
+			
+		},
+		
+		compare : function( rule, values, type ){
+			
+			// vars
+			var r = false,
+				value = ( rule.value === null || typeof rule.value === 'undefined' ) ? '' : String( rule.value ),
+				filled = $.grep( values, function( v ){
+					
+					return ( v !== '' );
+					
+				}),
+				typed = ( type == 'number' || type == 'date_picker' ),
+				_this = this,
+				matches = function( callback ){
+					
+					return $.grep( filled, callback ).length > 0;
+					
+				};
+			
+			
+			// compare values
+			switch( rule.operator )
+			{
+				case '==':
+					r = typed ? matches(function( v ){ return _this.cast(v, type) === _this.cast(value, type); }) : ( $.inArray(value, values) > -1 );
+					break;
+				
+				case '!=':
+					r = typed ? !matches(function( v ){ return _this.cast(v, type) === _this.cast(value, type); }) : ( $.inArray(value, values) < 0 );
+					break;
+				
+				case '>':
+					r = matches(function( v ){ return _this.cast(v, typed ? type : 'number') > _this.cast(value, typed ? type : 'number'); });
+					break;
+				
+				case '<':
+					r = matches(function( v ){ return _this.cast(v, typed ? type : 'number') < _this.cast(value, typed ? type : 'number'); });
+					break;
+				
+				case 'contains':
+					r = matches(function( v ){ return String(v).indexOf( value ) > -1; });
+					break;
+				
+				case 'starts_with':
+					r = matches(function( v ){ return String(v).indexOf( value ) === 0; });
+					break;
+				
+				case 'empty':
+					r = ( filled.length == 0 );
+					break;
+				
+				case 'not_empty':
+					r = ( filled.length > 0 );
+					break;
+				
+				case 'regex':
+					
+					// an invalid pattern never matches
+					try
+					{
+						var regex = new RegExp( value );
+						
+						r = matches(function( v ){ return regex.test( v ); });
+					}
+					catch(e)
+					{
+						r = false;
+					}
+					
+					break;
+			}
+			
+			
+			// filter for 3rd party customization
+			r = acf.apply_filters('conditional_logic_compare', r, rule, values, type);
+			
+			
+			// return
+			return r;
+			
+		}
+		
+	}; 
+	
+	
+	/*
+	*  ready
+	*
+	*  description
+	*
+	*  @type	function
+	*  @date	19/02/2014
+	*  @since	5.0.0
+	*
+	*  @param	$post_id (int)
+	*  @return	$post_id (int)
+	*/
+	
+	$(document).ready(function(){
+		
+		// fire ready
+		acf.do_action('ready', $('body'));
+		
+		
+		// initialize conditional logic
+		acf.conditional_logic.init();
+		
+	});
+	
+	
+	
+	/*
+	*  Force revisions
+	*
+	*  description
+	*
+	*  @type	function
+	*  @date	19/02/2014
+	*  @since	5.0.0
+	*
+	*  @param	$post_id (int)
+	*  @return	$post_id (int)
+	*/
+	
+	$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+		
+		// preview hack
+		if( $('#acf-form-data input[name="_acfchanged"]').exists() )
+		{
+			$('#acf-form-data input[name="_acfchanged"]').val(1);
+		}
+		
+	});
+	
+	
+	/*
+	*  unload
+	*
+	*  This object will track changes made to ACF fields and prompt the user before leaving the page with unsaved changes
+	*
+	*  @type	object
+	*  @date	13/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.unload = {
+		
+		// vars
+		active	: 1,
+		changed	: 0,
+		
+		
+		// changes within these elements are saved via AJAX and do not need a prompt
+		ignore	: '.media-frame, .widget, #addtag',
+		
+		
+		init : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// bail early if this page does not contain an ACF form
+			if( !$('#acf-form-data').exists() )
+			{
+				return;
+			}
+			
+			
+			// field changes
+			$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+				
+				_this.change( $(this) );
+				
+			});
+			
+			
+			// actions (repeater rows, flexible content layouts, gallery attachments)
+			acf.add_action('change_field', function( $field ){
+				
+				_this.change( $field );
+				
+			});
+			
+			acf.add_action('sortstop', function( $item ){
+				
+				_this.change( $item );
+				
+			});
+			
+			
+			// AJAX form saved
+			acf.add_action('form_saved', function(){
+				
+				_this.off();
+				
+			});
+			
+			
+			// submit (validation runs first and may prevent the form from being submitted)
+			$(document).on('submit', 'form', function( e ){
+				
+				if( !e.isDefaultPrevented() && $(this).find('#acf-form-data').exists() )
+				{
+					_this.off();
+				}
+				
+			});
+			
+			
+			// prompt
+			$(window).on('beforeunload', function(){
+				
+				if( _this.active && _this.changed )
+				{
+					return acf._e('core', 'unload');
+				}
+				
+			});
+			
+		},
+		
+		change : function( $el ){
+			
+			// bail early if this change is not part of an ACF form
+			if( $el.closest( this.ignore ).exists() || !$el.closest('form').find('#acf-form-data').exists() )
+			{
+				return;
+			}
+			
+			
+			this.on();
+			
+		},
+		
+		on : function(){
+			
+			this.changed = 1;
+			
+		},
+		
+		off : function(){
+			
+			this.changed = 0;
+			
+		}
+		
+	};
+	
+	
+	acf.add_action('ready', function(){
+		
+		acf.unload.init();
+		
+	}, 20);
+	
+	
+	/*
+	*  drafts
+	*
+	*  This object will periodically save a snapshot of all field values to localStorage and offer to restore it
+	*  on the next page load if it is newer than the saved data
+	*
+	*  @type	object
+	*  @date	14/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.drafts = {
+		
+		// vars
+		active		: 1,
+		interval	: 10000,
+		timeout		: null,
+		last		: '',
+		key			: '',
+		message_class : 'acf-draft-message',
+		
+		
+		// el
+		$form : null,
+		
+		
+		init : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			this.$form = $('#acf-form-data').closest('form');
+			
+			
+			// bail early if disabled, not supported or this page does not contain an ACF form
+			if( this.active == 0 || !this.supported() || !this.$form.exists() )
+			{
+				return;
+			}
+			
+			
+			// key
+			this.key = this.get_key();
+			
+			
+			// offer to restore an existing draft
+			var draft = this.get();
+			
+			if( draft )
+			{
+				if( this.is_newer( draft ) )
+				{
+					this.offer( draft );
+				}
+				else
+				{
+					this.remove();
+				}
+			}
+			
+			
+			// mark the draft as submitted (validation runs first and may prevent the form from being submitted)
+			$(document).on('submit', 'form', function( e ){
+				
+				if( !e.isDefaultPrevented() && this === _this.$form[0] )
+				{
+					_this.snapshot( true );
+				}
+				
+			});
+			
+			
+			// AJAX form saved
+			acf.add_action('form_saved', function( $form ){
+				
+				if( $form[0] === _this.$form[0] )
+				{
+					_this.remove();
+				}
+				
+			});
+			
+			
+			// snapshot
+			this.timeout = setInterval(function(){
+				
+				_this.snapshot();
+				
+			}, this.interval);
+			
+		},
+		
+		supported : function(){
+			
+			try
+			{
+				return ( 'localStorage' in window && window.localStorage !== null );
+			}
+			catch(e)
+			{
+				return false;
+			}
+			
+		},
+		
+		get_key : function( $form ){
+			
+			// defaults
+			$form = $form || this.$form;
+			
+			
+			// vars
+			var identity = $form.attr('id') || '',
+				hash = 0;
+			
+			
+			// the fields in this form (many forms may share a post_id such as 'new')
+			acf.get_fields({}, $form).each(function(){
+				
+				if( !$(this).parent().closest('.acf-field').exists() )
+				{
+					identity += '|' + acf.get_data($(this), 'key');
+				}
+				
+			});
+			
+			
+			// hash
+			for( var i = 0; i < identity.length; i++ )
+			{
+				hash = ( ( hash << 5 ) - hash + identity.charCodeAt(i) ) | 0;
+			}
+			
+			
+			// return
+			return 'acf_draft_' + acf.get('post_id') + '_' + ( hash >>> 0 ).toString(36);
+			
+		},
+		
+		get : function(){
+			
+			try
+			{
+				return $.parseJSON( window.localStorage.getItem( this.key ) );
+			}
+			catch(e)
+			{
+				return null;
+			}
+			
+		},
+		
+		remove : function(){
+			
+			window.localStorage.removeItem( this.key );
+			
+		},
+		
+		is_newer : function( draft ){
+			
+			// vars
+			var modified = parseInt( acf.get('modified') ) || 0;
+			
+			
+			// the post has been saved since this draft was taken (modified is issued by the server, clocks are not compared)
+			if( ( parseInt(draft.modified) || 0 ) !== modified )
+			{
+				return false;
+			}
+			
+			
+			// without a saved date, a submitted draft can not be compared and is assumed to be saved
+			if( draft.submitted && !modified )
+			{
+				return false;
+			}
+			
+			
+			// return
+			return true;
+			
+		},
+		
+		serialize : function(){
+			
+			// vars
+			var data = {};
+			
+			
+			// only keep field values
+			$.each( acf.serialize_form( this.$form ), function( name, value ){
+				
+				if( name.indexOf('acf[') === 0 )
+				{
+					data[ name ] = value;
+				}
+				
+			});
+			
+			
+			// return
+			return data;
+			
+		},
+		
+		snapshot : function( submitted ){
+			
+			// defaults
+			submitted = submitted || false;
+			
+			
+			// bail early if nothing has changed
+			if( !submitted && !acf.unload.changed )
+			{
+				return;
+			}
+			
+			
+			// vars
+			var data = JSON.stringify( this.serialize() );
+			
+			
+			// bail early if the values are the same as the last snapshot
+			if( !submitted && data === this.last )
+			{
+				return;
+			}
+			
+			this.last = data;
+			
+			
+			// save
+			try
+			{
+				window.localStorage.setItem( this.key, JSON.stringify({
+					time		: new Date().getTime(),
+					modified	: parseInt( acf.get('modified') ) || 0,
+					submitted	: submitted ? 1 : 0,
+					data		: $.parseJSON( data )
+				}));
+			}
+			catch(e)
+			{
+				// quota exceeded
+			}
+			
+		},
+		
+		offer : function( draft ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var $message = $([
+				'<div class="' + this.message_class + '">',
+					'<p>' + acf._e('core', 'draft_found') + ' ',
+						'<a href="#" data-name="restore">' + acf._e('core', 'draft_restore') + '</a> | ',
+						'<a href="#" data-name="dismiss">' + acf._e('core', 'draft_dismiss') + '</a>',
+					'</p>',
+				'</div>'
+			].join(''));
+			
+			
+			// events
+			$message.on('click', 'a', function( e ){
+				
+				e.preventDefault();
+				
+				if( $(this).attr('data-name') == 'restore' )
+				{
+					_this.restore( draft.data );
+				}
+				
+				_this.remove();
+				
+				$message.remove();
+				
+			});
+			
+			
+			// show message
+			this.$form.prepend( $message );
+			
+		},
+		
+		restore : function( data ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// restore top level fields (sub fields are restored by their parent)
+			acf.get_fields({}, this.$form).each(function(){
+				
+				if( $(this).parent().closest('.acf-field').exists() )
+				{
+					return;
+				}
+				
+				_this.restore_field( $(this), 'acf[' + acf.get_data($(this), 'key') + ']', data );
+				
+			});
+			
+			
+			// the restored values are not saved yet
+			acf.unload.on();
+			
+		},
+		
+		restore_field : function( $field, name, data ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var type = acf.get_data($field, 'type'),
+				ids = this.get_children( name, data );
+			
+			
+			// repeater
+			if( type == 'repeater' )
+			{
+				// vars
+				var repeater = acf.fields.repeater.set( $field ),
+					$rows = repeater.get_rows();
+				
+				
+				// remove extra rows
+				if( $rows.length > ids.length )
+				{
+					var $remove = $rows.slice( ids.length );
+					
+					acf.do_action('remove', $remove);
+					
+					$remove.remove();
+				}
+				
+				
+				// add missing rows
+				for( var i = $rows.length; i < ids.length; i++ )
+				{
+					acf.fields.repeater.set( $field ).add( $() );
+				}
+				
+				
+				// restore sub fields
+				$rows = acf.fields.repeater.set( $field ).get_rows();
+				
+				$.each(ids, function( i, id ){
+					
+					acf.get_sub_fields( $rows.eq(i) ).each(function(){
+						
+						_this.restore_field( $(this), name + '[' + id + '][' + acf.get_data($(this), 'key') + ']', data );
+						
+					});
+					
+				});
+				
+				
+				// render
+				acf.fields.repeater.set( $field ).render();
+				
+			}
+			
+			
+			// flexible content
+			else if( type == 'flexible_content' )
+			{
+				// vars
+				var flexible_content = acf.fields.flexible_content.set( $field ),
+					$layouts = flexible_content.$values.children('.layout');
+				
+				
+				// remove current layouts
+				acf.do_action('remove', $layouts);
+				
+				$layouts.remove();
+				
+				
+				// add layouts and restore sub fields
+				$.each(ids, function( i, id ){
+					
+					acf.fields.flexible_content.set( $field ).add( data[ name + '[' + id + '][acf_fc_layout]' ] );
+					
+					
+					// vars
+					var $layout = acf.fields.flexible_content.$values.children('.layout').last();
+					
+					
+					acf.get_sub_fields( $layout ).each(function(){
+						
+						_this.restore_field( $(this), name + '[' + id + '][' + acf.get_data($(this), 'key') + ']', data );
+						
+					});
+					
+				});
+				
+				
+				// no value message
+				if( !ids.length )
+				{
+					flexible_content.$el.children('.no-value-message').show();
+				}
+				
+			}
+			
+			
+			// other fields
+			else
+			{
+				var value = this.get_value( name, ids, data );
+				
+				if( value !== null )
+				{
+					acf.set_value( $field, value );
+				}
+			}
+			
+		},
+		
+		get_children : function( name, data ){
+			
+			// vars
+			var children = [],
+				prefix = name + '[';
+			
+			
+			// find the next segment of each name within this name (in order)
+			$.each( data, function( k ){
+				
+				if( k.indexOf(prefix) !== 0 )
+				{
+					return;
+				}
+				
+				
+				// vars
+				var child = k.substr( prefix.length ).split(']')[0];
+				
+				
+				// ignore clones
+				if( child != 'acfcloneindex' && $.inArray(child, children) === -1 )
+				{
+					children.push( child );
+				}
+				
+			});
+			
+			
+			// return
+			return children;
+			
+		},
+		
+		get_value : function( name, children, data ){
+			
+			// array (checkbox, multiple select, relationship, gallery, etc)
+			if( children.length && $.isNumeric(children[0]) )
+			{
+				return $.map(children, function( child ){
+					
+					return data[ name + '[' + child + ']' ];
+					
+				});
+			}
+			
+			
+			// object (google map, etc)
+			if( children.length )
+			{
+				var value = {};
+				
+				$.each(children, function( i, child ){
+					
+					value[ child ] = data[ name + '[' + child + ']' ];
+					
+				});
+				
+				return value;
+			}
+			
+			
+			// single value
+			if( data.hasOwnProperty(name) )
+			{
+				return data[ name ];
+			}
+			
+			
+			// return
+			return null;
+			
+		}
+		
+	};
+	
+	
+	acf.add_action('ready', function(){
+		
+		acf.drafts.init();
+		
+	}, 20);
+	
+	
+	/*
+	*  form
+	*
+	*  This object will save a front end acf_form via AJAX (when the 'ajax' setting is used).
+	*  acf.validation calls submit() instead of submitting the form again once validation has passed
+	*
+	*  @type	object
+	*  @date	30/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.form = {
+		
+		is_ajax : function( $form ){
+			
+			return ( $form.find('input[name="_acfajax"]').val() == 1 );
+			
+		},
+		
+		submit : function( $form ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var data = acf.serialize_form( $form ),
+				$submit = $form.find('[type="submit"]');
+			
+			
+			// append AJAX action
+			data.action = 'acf/form/submit';
+			
+			
+			// loading
+			acf.validation.busy = 1;
+			$submit.prop('disabled', true);
+			$form.find('.acf-form-updated').addClass('acf-hidden');
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
+				
+				$.ajax({
+					url			: acf.get('ajaxurl'),
+					data		: data,
+					type		: 'post',
+					dataType	: 'json',
+					timeout		: acf.validation.timeout,
+					success		: function( json ){
+						
+						$submit.prop('disabled', false);
+						_this.complete( $form, json );
+						
+					},
+					error		: function(){
+						
+						$submit.prop('disabled', false);
+						acf.validation.render( $form, acf.validation.get_failure( acf._e('validation', 'failed') ) );
+						
+					}
+				});
+				
+			}).fail(function( message ){
+				
+				$submit.prop('disabled', false);
+				acf.validation.render( $form, acf.validation.get_failure( message ) );
+				
+			});
+			
+		},
+		
+		complete : function( $form, json ){
+			
+			// validate
+			if( !json || json.result != 1 )
+			{
+				acf.validation.render( $form, json || acf.validation.get_failure() );
+				return;
+			}
+			
+			
+			// update busy
+			acf.validation.busy = 0;
+			
+			
+			// hook for 3rd party customization (acf.get('post_id') is still the previous value, eg: 'new')
+			acf.do_action('form_saved', $form, json.post_id, json);
+			
+			
+			// update post_id (a new post was created, future saves will update it)
+			$form.find('input[name="post_id"]').val( json.post_id );
+			$form.find('input[name="new_post"], input[name="new_post_hash"]').remove();
+			acf.update('post_id', json.post_id);
+			
+			
+			// redirect
+			if( json['return'] )
+			{
+				window.location.href = json['return'];
+				return;
+			}
+			
+			
+			// show message
+			$form.find('.acf-form-updated').removeClass('acf-hidden');
+			
+		}
+		
+	};
+	
+	
+	/*
+	*  language
+	*
+	*  This object will find the current language from the active multilingual plugin via a list of providers.
+	*  The language is sent with all AJAX requests (field groups, relationship / post object queries, validation)
+	*
+	*  @type	object
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.language = {
+		
+		lang		: null,
+		providers	: [],
+		
+		add_provider : function( provider ){
+			
+			// defaults
+			provider = $.extend({
+				name		: '',
+				priority	: 10,
+				selector	: '',	// an input which changes the language (optional)
+				get			: function(){ return ''; }
+			}, provider);
+			
+			
+			// insert after providers of a lower or equal priority
+			var i = 0;
+			
+			while( i < this.providers.length && this.providers[ i ].priority <= provider.priority )
+			{
+				i++;
+			}
+			
+			this.providers.splice( i, 0, provider );
+			
+			
+			// return
+			return this;
+			
+		},
+		
+		get : function(){
+			
+			// find language once
+			if( this.lang === null )
+			{
+				this.lang = this.detect();
+			}
+			
+			
+			// return
+			return this.lang;
+			
+		},
+		
+		detect : function(){
+			
+			// vars
+			var lang = '';
+			
+			
+			// loop over providers
+			$.each( this.providers, function( i, provider ){
+				
+				lang = provider.get() || '';
+				
+				if( lang )
+				{
+					return false;
+				}
+				
+			});
+			
+			
+			// filter for 3rd party customization
+			return acf.apply_filters('get_language', lang);
+			
+		},
+		
+		refresh : function(){
+			
+			// vars
+			var prev = this.lang;
+			
+			
+			// find language
+			this.lang = this.detect();
+			
+			
+			// hook
+			if( this.lang !== prev )
+			{
+				acf.do_action('change_language', this.lang, prev);
+			}
+			
+		},
+		
+		prepare_for_ajax : function( args ){
+			
+			// vars
+			var lang = this.get();
+			
+			
+			// append lang (without overriding an explicit value)
+			if( lang && !args.lang )
+			{
+				args.lang = lang;
+			}
+			
+			
+			// return
+			return args;
+			
+		},
+		
+		init : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// listen to language changes
+			$.each( this.providers, function( i, provider ){
+				
+				if( !provider.selector )
+				{
+					return;
+				}
+				
+				$(document).on('change', provider.selector, function(){
+					
+					_this.refresh();
+					
+				});
+				
+			});
+			
+		}
+		
+	};
+	
+	
+	// WPML
+	acf.language.add_provider({
+		name		: 'wpml',
+		selector	: 'select[name="icl_post_language"]',
+		get			: function(){
+			
+			// post language
+			var $select = $('select[name="icl_post_language"]');
+			
+			if( $select.exists() )
+			{
+				return $select.val();
+			}
+			
+			
+			// admin language
+			if( typeof icl_this_lang !== 'undefined' )
+			{
+				return icl_this_lang;
+			}
+			
+			
+			// admin language switcher
+			var results = /lang=([^&#]*)/.exec( $('#icl-als-first').children('a').attr('href') || '' );
+			
+			return results ? results[1] : '';
+			
+		}
+	});
+	
+	
+	// Polylang
+	acf.language.add_provider({
+		name		: 'polylang',
+		selector	: '#post_lang_choice',
+		get			: function(){
+			
+			return $('#post_lang_choice').val() || '';
+			
+		}
+	});
+	
+	
+	// server (see acf_get_language)
+	acf.language.add_provider({
+		name		: 'acf',
+		priority	: 20,
+		get			: function(){
+			
+			return acf.get('lang') || '';
+			
+		}
+	});
+	
+	
+	acf.add_filter('prepare_for_ajax', function( args ){
+		
+		return acf.language.prepare_for_ajax( args );
+		
+	}, 5);
+	
+	
+	acf.add_action('ready', function(){
+		
+		acf.language.init();
+		
+	});
+			
+			
+			
+	/*
+	*  window load
+	*
+	*  @description: 
+	*  @since: 3.5.5
+	*  @created: 22/12/12
+	*/
+	
+	$(window).load(function(){
+		
+		acf.do_action('load', $('body'));
+		
+		
+		// init
+		acf.media.init();
+		
+		
+		setTimeout(function(){
+			
+			// Hack for CPT without a content editor
+			try
+			{
+				// post_id may be string (user_1) and therefore, the uploaded image cannot be attached to the post
+				if( $.isNumeric(acf.o.post_id) )
+				{
+					wp.media.view.settings.post.id = acf.o.post_id;
+				}
+				
+			} 
+			catch(e)
+			{
+				// one of the objects was 'undefined'...
+			}
+			
+			
+			// setup fields
+			//$(document).trigger('acf/setup_fields', [ $(document) ]);
+			
+		}, 10);
+		
+	});
+	
+	
+	/*
+	*  Sortable
+	*
+	*  These functions will hook into the start and stop of a jQuery sortable event and modify the item and placeholder to look seamless
+	*
+	*  @type	function
+	*  @date	12/11/2013
+	*  @since	5.0.0
+	*
+	*  @param	$post_id (int)
+	*  @return	$post_id (int)
+	*/
+	
+	acf.add_action('sortstart', function( $item, $placeholder ){
+		
+		// if $item is a tr, apply some css to the elements
+		if( $item.is('tr') )
+		{
+			// temp set as relative to find widths
+			$item.css('position', 'relative');
+			
+			
+			// set widths for td children		
+			$item.children().each(function(){
+			
+				$(this).width($(this).width());
+				
+			});
+			
+			
+			// revert postision css
+			$item.css('position', 'absolute');
+			
+			
+			// add markup to the placeholder
+			$placeholder.html('<td style="height:' + $item.height() + 'px; padding:0;" colspan="' + $item.children('td').length + '"></td>');
+		}
+		
+	});
+	
+	
+	
+})(jQuery);
+
+/* **********************************************
+     Begin ajax.js
+********************************************** */
+
+(function($){
+	
+	acf.ajax = {
+		
+		o : {
+			action 			:	'acf/post/get_field_groups',
+			post_id			:	0,
+			page_template	:	0,
+			page_parent		:	0,
+			page_type		:	0,
+			post_category	:	0,
+			post_format		:	0,
+			post_taxonomy	:	0,
+			lang			:	0,
+			nonce			:	0
+		},
+		
+		
+		// request
+		delay	: 300,	// changes within this time (ms) are coalesced into 1 request
+		timeout	: null,
+		xhr		: null,
+		index	: 0,
+		
+		
+		// location rules of the field groups on this screen (added by each postbox)
+		groups	: {},
+		changed	: {},
+		
+		
+		// values of hidden field groups
+		values	: {},
+		
+		
+		// location rule params evaluated in JS, and the options they depend on
+		params	: {
+			page_template	: [ 'page_template' ],
+			post_format		: [ 'post_format' ],
+			post_category	: [ 'post_taxonomy' ],
+			page_type		: [ 'page_type', 'page_parent' ],
+			page_parent		: [ 'page_parent' ],
+			post_taxonomy	: [ 'post_taxonomy' ],
+			user_role		: [ 'user_role' ]
+		},
+		
+		update : function( k, v ){
+			
+			this.o[ k ] = v;
+			this.changed[ k ] = 1;
+			return this;
+			
+		},
+		
+		add_group : function( key, group ){
+			
+			this.groups[ key ] = group;
+			
+		},
+		
+		get : function( k ){
+			
+			return this.o[ k ] || null;
+			
+		},
+		
+		init : function(){
+			
+			// bail early if ajax is disabled
+			if( ! acf.get('ajax') )
+			{
+				return false;	
+			}
+			
+			
+			// vars
+			this.update('post_id', acf.o.post_id);
+			this.update('nonce', acf.o.nonce);
+			this.update('lang', acf.language.get());
+			
+			
+			// changes made after this point are evaluated against the location rules
+			this.changed = {};
+			
+			
+			// add triggers
+			this.add_events();
+		},
+		
+		fetch : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// coalesce changes
+			clearTimeout( this.timeout );
+			
+			
+			// bring the location rules up to date with the changes made since the last fetch
+			this.update_rules();
+			
+			
+			// evaluate location rules in JS (falls back to the server for rules which can not be decided)
+			var keys = this.get_visible_groups();
+			
+			if( keys !== false )
+			{
+				this.cancel();
+				this.show_groups( keys );
+				return;
+			}
+			
+			
+			this.timeout = setTimeout(function(){
+				
+				_this.send();
+				
+			}, this.delay);
+			
+		},
+		
+		send : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var index = ++this.index;
+			
+			
+			// abort previous request
+			if( this.xhr )
+			{
+				this.xhr.abort();
+			}
+			
+			
+			// loading
+			this.loading( true );
+			
+			
+			// ajax
+			this.xhr = $.ajax({
+				url			: acf.get('ajaxurl'),
+				data		: $.extend({}, this.o),
+				type		: 'post',
+				dataType	: 'json',
+				success		: function( json ){
+					
+					// only render the latest response
+					if( index !== _this.index )
+					{
+						return;
+					}
+					
+					if( json && json.length )
+					{
+						_this.render( json );
+					}
+					
+				},
+				complete	: function(){
+					
+					// a newer request is in flight
+					if( index !== _this.index )
+					{
+						return;
+					}
+					
+					_this.xhr = null;
+					_this.loading( false );
+					
+				}
+			});
+			
+		},
+		
+		cancel : function(){
+			
+			// invalidate the current request
+			this.index++;
+			
+			
+			// abort
+			if( this.xhr )
+			{
+				this.xhr.abort();
+				this.xhr = null;
+			}
+			
+			
+			this.loading( false );
+			
+		},
+		
+		get_visible_groups : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var keys = [],
+				r = true;
+			
+			
+			// bail early if no location rules
+			if( $.isEmptyObject(this.groups) )
+			{
+				return false;
+			}
+			
+			
+			// loop over groups
+			$.each( this.groups, function( key, group ){
+				
+				// vars
+				var visible = _this.match_location( group.location );
+				
+				
+				// can not be decided
+				if( visible === null )
+				{
+					r = false;
+					return false;
+				}
+				
+				
+				if( visible )
+				{
+					// fields have not been loaded yet
+					if( $('#acf-' + key).find('.acf-replace-with-fields').exists() )
+					{
+						r = false;
+						return false;
+					}
+					
+					keys.push( key );
+				}
+				
+			});
+			
+			
+			// return
+			return r ? keys : false;
+			
+		},
+		
+		match_location : function( location ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var visibility = false;
+			
+			
+			// groups (or)
+			$.each( location, function( i, group ){
+				
+				// vars
+				var match_group = true;
+				
+				
+				// rules (and)
+				$.each( group, function( j, rule ){
+					
+					var match = _this.match_rule( rule );
+					
+					if( match === false )
+					{
+						match_group = false;
+						return false;
+					}
+					
+					if( match === null )
+					{
+						match_group = null;
+					}
+					
+				});
+				
+				
+				if( match_group === true )
+				{
+					visibility = true;
+					return false;
+				}
+				
+				if( match_group === null )
+				{
+					visibility = null;
+				}
+				
+			});
+			
+			
+			// return
+			return visibility;
+			
+		},
+		
+		update_rules : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// loop over rules
+			$.each( this.groups, function( key, group ){
+				
+				$.each( group.location, function( i, rules ){
+					
+					$.each( rules, function( j, rule ){
+						
+						if( _this.is_changed( rule ) )
+						{
+							rule.match = _this.evaluate_rule( rule );
+						}
+						
+					});
+					
+				});
+				
+			});
+			
+			
+			// changes have now been applied to the rules
+			this.changed = {};
+			
+		},
+		
+		is_changed : function( rule ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var params = this.params[ rule.param ] || [],
+				changed = false;
+			
+			
+			// the result from the server is only valid for the language it was found in
+			if( this.changed.lang )
+			{
+				return true;
+			}
+			
+			
+			// find changes
+			$.each( params, function( i, k ){
+				
+				if( _this.changed[ k ] )
+				{
+					changed = true;
+					return false;
+				}
+				
+			});
+			
+			
+			// return
+			return changed;
+			
+		},
+		
+		evaluate_rule : function( rule ){
+			
+			// a language change can only be evaluated by the server
+			if( this.changed.lang )
+			{
+				return null;
+			}
+			
+			
+			// evaluate
+			if( typeof this.rules[ rule.param ] === 'function' )
+			{
+				return this.rules[ rule.param ].call( this, rule );
+			}
+			
+			
+			// can not be decided
+			return null;
+			
+		},
+		
+		match_rule : function( rule ){
+			
+			// null is used for rules which can only be decided by the server
+			if( rule.match === null )
+			{
+				return null;
+			}
+			
+			
+			// return
+			return rule.match ? true : false;
+			
+		},
+		
+		compare : function( rule, match ){
+			
+			return ( rule.operator == '!=' ) ? !match : match;
+			
+		},
+		
+		rules : {
+			
+			page_template : function( rule ){
+				
+				return this.compare( rule, this.o.page_template === rule.value );
+				
+			},
+			
+			post_format : function( rule ){
+				
+				return this.compare( rule, this.o.post_format === rule.value );
+				
+			},
+			
+			post_category : function( rule ){
+				
+				// vars
+				var terms = $.isArray( this.o.post_taxonomy ) ? this.o.post_taxonomy : [];
+				
+				
+				// return
+				return this.compare( rule, $.inArray( String(rule.value), terms ) > -1 );
+				
+			},
+			
+			page_type : function( rule ){
+				
+				// top level / child depend on the page parent
+				if( rule.value == 'top_level' )
+				{
+					return this.compare( rule, this.o.page_type == 'parent' );
+				}
+				
+				if( rule.value == 'child' )
+				{
+					return this.compare( rule, this.o.page_type == 'child' );
+				}
+				
+				
+				// front_page, posts_page and parent do not change on this screen
+				return rule.match;
+				
+			},
+			
+			user_role : function( rule ){
+				
+				// all
+				if( rule.value === 'all' )
+				{
+					return this.compare( rule, true );
+				}
+				
+				
+				// return
+				return this.compare( rule, this.o.user_role === rule.value );
+				
+			}
+			
+		},
+		
+		show_groups : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// hide other metaboxes
+			this.hide_groups( keys );
+			
+			
+			// show the postboxes
+			$.each( keys, function( k, key ){
+				
+				_this.show_group( key );
+				
+				
+				// update style
+				if( k === 0 )
+				{
+					$('#acf-style').html( _this.groups[ key ].style );
+				}
+				
+			});
+			
+		},
+		
+		hide_groups : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			keys = keys || [];
+			
+			
+			$('.acf-postbox').each(function(){
+				
+				// vars
+				var key = $(this).attr('id').substr(4);
+				
+				
+				if( $.inArray(key, keys) === -1 )
+				{
+					_this.hide_group( key );
+				}
+				
+			});
+			
+		},
+		
+		hide_group : function( key ){
+			
+			// vars
+			var $el = $('#acf-' + key),
+				$toggle = $('#adv-settings .acf-postbox-toggle[for="acf-' + key + '-hide"]');
+			
+			
+			// toggle
+			$toggle.addClass('acf-hidden');
+			
+			
+			// bail early if already hidden
+			if( $el.hasClass('acf-hidden') )
+			{
+				return $el;
+			}
+			
+			
+			// remember values
+			this.values[ key ] = this.get_values( $el );
+			
+			
+			// add class
+			$el.addClass('acf-hidden');
+			
+			
+			// add "disabled" (hidden field groups are not saved)
+			acf.disable_inputs( $el, 'location' );
+			
+			
+			// return
+			return $el;
+			
+		},
+		
+		show_group : function( key ){
+			
+			// vars
+			var $el = $('#acf-' + key),
+				$toggle = $('#adv-settings .acf-postbox-toggle[for="acf-' + key + '-hide"]');
+			
+			
+			// toggle
+			$toggle.removeClass('acf-hidden hide-if-js');
+			$toggle.find('input[type="checkbox"]').attr('checked', 'checked');
+			
+			
+			// bail early if already visible
+			if( !$el.hasClass('acf-hidden') )
+			{
+				$el.removeClass('hide-if-js');
+				return $el;
+			}
+			
+			
+			// remove class
+			$el.removeClass('acf-hidden hide-if-js');
+			
+			
+			// remove "disabled" (fields hidden by conditional logic remain disabled)
+			acf.enable_inputs( $el, 'location' );
+			
+			
+			// restore values
+			this.restore_values( key );
+			
+			
+			// return
+			return $el;
+			
+		},
+		
+		get_values : function( $el ){
+			
+			// vars
+			var values = {};
+			
+			
+			// top level fields (sub fields are part of their parent's value)
+			acf.get_fields({}, $el).each(function(){
+				
+				if( $(this).parent().closest('.acf-field').exists() )
+				{
+					return;
+				}
+				
+				values[ acf.get_data($(this), 'key') ] = acf.get_value( $(this) );
+				
+			});
+			
+			
+			// return
+			return values;
+			
+		},
+		
+		restore_values : function( key ){
+			
+			// vars
+			var $el = $('#acf-' + key),
+				values = this.values[ key ];
+			
+			
+			// bail early if no values
+			if( !values )
+			{
+				return;
+			}
+			
+			
+			acf.get_fields({}, $el).each(function(){
+				
+				// vars
+				var $field = $(this),
+					field_key = acf.get_data($field, 'key');
+				
+				
+				// bail early if sub field or not remembered
+				if( $field.parent().closest('.acf-field').exists() || !values.hasOwnProperty(field_key) )
+				{
+					return;
+				}
+				
+				
+				// set value via the field type (updates the UI and triggers change)
+				if( JSON.stringify( acf.get_value($field) ) !== JSON.stringify( values[ field_key ] ) )
+				{
+					acf.set_value( $field, values[ field_key ] );
+				}
+				
+			});
+			
+		},
+		
+		loading : function( loading ){
+			
+			$('.acf-postbox').toggleClass('acf-loading', loading);
+			
+		},
+		
+		render : function( json ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var keys = [];
+			
+			$.each(json, function( k, field_group ){
+				
+				keys.push( field_group.key );
+				
+			});
+			
+			
+			// hide other metaboxes
+			this.hide_groups( keys );
+			
+			
+			// show the new postboxes
+			$.each(json, function( k, field_group ){
+				
+				// vars
+				var $el = _this.show_group( field_group.key );
+				
+				
+				// replace HTML if needed
+				$el.find('.acf-replace-with-fields').each(function(){
+					
+					$(this).replaceWith( field_group.html );
+					
+					acf.do_action('append', $el);
+					
+					_this.restore_values( field_group.key );
+					
+				});
+				
+				
+				// update style if needed
+				if( k === 0 )
+				{
+					$('#acf-style').html( field_group.style );
+				}
+				
+			});
+			
+		},
+		
+		sync_taxonomy_terms : function(){
+			
+			// vars
+			var values = [];
+			
+			
+			$('.categorychecklist input:checked, .acf-taxonomy-field input:checked, .acf-taxonomy-field option:selected').each(function(){
+				
+				// validate
+				if( $(this).is(':hidden') || $(this).is(':disabled') )
+				{
+					return;
+				}
+				
+				
+				// validate media popup
+				if( $(this).closest('.media-frame').exists() )
+				{
+					return;
+				}
+				
+				
+				// validate acf
+				if( $(this).closest('.acf-taxonomy-field').exists() )
+				{
+					if( $(this).closest('.acf-taxonomy-field').attr('data-save') == '0' )
+					{
+						return;
+					}
+				}
+				
+				
+				// append
+				if( values.indexOf( $(this).val() ) === -1 )
+				{
+					values.push( $(this).val() );
+				}
+				
+			});
+	
+			
+			// update screen
+			this.update( 'post_taxonomy', values ).fetch();
+			
+		},
+		
+		add_events : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// page template
+			$(document).on('change', '#page_template', function(){
+				
+				var page_template = $(this).val();
+				
+				_this.update( 'page_template', page_template ).fetch();
+			    
+			});
+			
+			
+			// page parent
+			$(document).on('change', '#parent_id', function(){
+				
+				var val = $(this).val(),
+					page_type = 'parent',
+					page_parent = 0;
+				
+				
+				if( val != "" )
+				{
+					page_type = 'child';
+					page_parent = $(this).val();
+				}
+				
+				_this.update( 'page_type', page_type ).update( 'page_parent', page_parent ).fetch();
+			    
+			});
+			
+			
+			// post format
+			$(document).on('change', '#post-formats-select input[type="radio"]', function(){
+				
+				var post_format = $(this).val();
+				
+				if( post_format == '0' )
+				{
+					post_format = 'standard';
+				}
+				
+				_this.update( 'post_format', post_format ).fetch();
+				
+			});
+			
+			
+			// post taxonmy
+			$(document).on('change', '.categorychecklist input, .acf-taxonomy-field input, .acf-taxonomy-field select', function(){
+				
+				// a taxonomy field may trigger this change event, however, the value selected is not
+				// actually a term relatinoship, it is meta data
+				if( $(this).closest('.acf-taxonomy-field').exists() )
+				{
+					if( $(this).closest('.acf-taxonomy-field').attr('data-save') == '0' )
+					{
+						return;
+					}
+				}
+				
+				
+				// this may be triggered from editing an imgae in a popup. Popup does not support correct metaboxes so ignore this
+				if( $(this).closest('.media-frame').exists() )
+				{
+					return;
+				}
+				
+				
+				// set timeout to fix issue with chrome which does not register the change has yet happened
+				setTimeout(function(){
+					
+					_this.sync_taxonomy_terms();
+				
+				}, 1);
+				
+				
+			});
+			
+			
+			
+			// language
+			acf.add_action('change_language', function( lang ){
+				
+				_this.update( 'lang', lang ).fetch();
+				
+			});
+			
+			
+			// user role
+			$(document).on('change', 'select[id="role"][name="role"]', function(){
+				
+				_this.update( 'user_role', $(this).val() ).fetch();
+				
+			});
+			
+		}
+		
+	};
+	
+	
+	/*
+	*  Document Ready
+	*
+	*  Initialize the object
+	*
+	*  @type	function
+	*  @date	1/03/2011
+	*
+	*  @param	N/A
+	*  @return	N/A
+	*/
+	
+	$(document).ready(function(){
+		
+		// initialize
+		acf.ajax.init();
+		
+	});
+
+
+	
+})(jQuery);
+
+/* **********************************************
+     Begin color-picker.js
+********************************************** */
+
+(function($){
+	
+	acf.fields.color_picker = {
+		
+		init : function( $input ){
+			
+			$input.wpColorPicker();
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $input = $field.find('input[type="text"]');
+			
+			
+			// update color picker
+			if( $input.closest('.wp-picker-container').exists() )
+			{
+				$input.wpColorPicker('color', value);
+			}
+			
+			
+			// update input
+			$input.val( value ).trigger('change');
+			
+		}
+	};
+	
+	
+	/*
+	*  acf/setup_fields
+	*
+	*  run init function on all elements for this field
+	*
+	*  @type	event
+	*  @date	20/07/13
+	*
+	*  @param	{object}	e		event object
+	*  @param	{object}	el		DOM object which may contain new ACF elements
+	*  @return	N/A
+	*/
+	
+	acf.add_action('ready append', function( $el ){
+		
+		acf.get_fields({ type : 'color_picker'}, $el).each(function(){
+			
+			acf.fields.color_picker.init( $(this).find('input[type="text"]') );
+			
+		});
+		
+	});
+	
+
+})(jQuery);
+
+/* **********************************************
+     Begin date-picker.js
+********************************************** */
+
+(function($){
+	
+	/*
+	*  Date Picker
+	*
+	*  static model for this field
+	*
+	*  @type	event
+	*  @date	1/06/13
+	*
+	*/
+	
+	acf.fields.date_picker = {
+		
+		init : function( $el ){
+			
+			// vars
+			var $input = $el.find('input[type="text"]'),
+				$hidden = $el.find('input[type="hidden"]');
+			
+			
+			// get options
+			var o = acf.get_data( $el );
+			
+			
+			// get and set value from alt field
+			$input.val( $hidden.val() );
+			
+			
+			// create options
+			var args = $.extend( {}, acf.l10n.date_picker, { 
+				dateFormat		:	'yy-mm-dd',
+				altField		:	$hidden,
+				altFormat		:	'yy-mm-dd',
+				changeYear		:	true,
+				yearRange		:	"-100:+100",
+				changeMonth		:	true,
+				showButtonPanel	:	true,
+				firstDay		:	o.first_day
+			});
+			
+			
+			// filter for 3rd party customization
+			args = acf.apply_filters('date_picker_args', args, $el);
+			
+			
+			// add date picker
+			$input.addClass('active').datepicker( args );
+			
+			
+			// now change the format back to how it should be.
+			$input.datepicker( "option", "dateFormat", o.display_format );
+			
+			
+			// wrap the datepicker (only if it hasn't already been wrapped)
+			if( $('body > #ui-datepicker-div').exists() )
+			{
+				$('body > #ui-datepicker-div').wrap('<div class="acf-ui-datepicker" />');
+			}
+			
+		},
+		
+		blur : function( $input ){
+			
+			if( !$input.val() )
+			{
+				$input.siblings('input[type="hidden"]').val('');
+			}
+			
+		},
+		
+		get_value : function( $field ){
+			
+			return $field.find('.acf-date_picker input[type="hidden"]').val();
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $el = $field.find('.acf-date_picker'),
+				$input = $el.find('input[type="text"]'),
+				$hidden = $el.find('input[type="hidden"]');
+			
+			
+			// update hidden value
+			$hidden.val( value || '' );
+			
+			
+			// update datepicker (altField will remain in sync)
+			if( $input.hasClass('hasDatepicker') )
+			{
+				$input.datepicker('setDate', value ? $.datepicker.parseDate('yy-mm-dd', value) : null);
+			}
+			
+			
+			// trigger change
+			$hidden.trigger('change');
+			
+		}
+		
+	};
+	
+	
+	/*
+	*  acf/setup_fields
+	*
+	*  run init function on all elements for this field
+	*
+	*  @type	event
+	*  @date	20/07/13
+	*
+	*  @param	{object}	e		event object
+	*  @param	{object}	el		DOM object which may contain new ACF elements
+	*  @return	N/A
+	*/
+	
+	acf.add_action('ready append', function( $el ){
+		
+		acf.get_fields({ type : 'date_picker'}, $el).each(function(){
+			
+			acf.fields.date_picker.init( $(this).find('.acf-date_picker') );
+			
+		});
+		
+	});
+		
+	
+	/*
+	*  Events
+	*
+	*  jQuery events for this field
+	*
+	*  @type	event
+	*  @date	1/06/13
+	*
+	*/
+	
+	$(document).on('blur', '.acf-date_picker input[type="text"]', function( e ){
+		
+		acf.fields.date_picker.blur( $(this) );
+					
+	});
+	
+
+})(jQuery);
+
+/* **********************************************
+     Begin file.js
+********************************************** */
+
+(function($){
+	
+	acf.fields.file = {
+		
+		edit : function( $a ) {
+			
+			// vars
+			var $el = $a.closest('.acf-file-uploader'),
+				id = $el.find('[data-name="id"]').val();
+			
+			
+			acf.media.edit_popup({
+				title		: acf._e('file', 'edit'),
+				button		: acf._e('file', 'update'),
+				id			: id,
+				select		: function( attachment, i ) {
+					
+			    	// vars
+			    	var file = {
+				    	id		:	attachment.id,
+				    	title	:	attachment.attributes.title,
+				    	name	:	attachment.attributes.filename,
+				    	url		:	attachment.attributes.url,
+				    	icon	:	attachment.attributes.icon,
+				    	size	:	attachment.attributes.filesize
+			    	};
+			    	
+			    	
+			    	// add file to field
+			        acf.fields.file.add( $el, file );
+					
+				}
+			});
+			
+		},
+		
+		remove : function( $a ) {
+			
+			// vars
+			var $el = $a.closest('.acf-file-uploader');
+			
+			
+			// set atts
+			$el.find('[data-name="icon"]').attr( 'src', '' );
+			$el.find('[data-name="title"]').text( '' );
+		 	$el.find('[data-name="name"]').text( '' ).attr( 'href', '' );
+		 	$el.find('[data-name="size"]').text( '' );
+			$el.find('[data-name="id"]').val( '' ).trigger('change');
+			
+			
+			// remove class
+			$el.removeClass('has-value');
+			
+		},
+		
+		popup : function( $a ) {
+			
+			// vars
+			var $el = $a.closest('.acf-file-uploader'),
+				library = acf.get_data( $el, 'library' );
+			
+			
+			// popup
+			var frame = acf.media.upload_popup({
+				title		: acf._e('file', 'select'),
+				type		: '',
+				multiple	: ( $el.closest('.repeater').exists() ) ? 1 : 0,
+				uploadedTo	: ( library == 'uploadedTo' ) ? acf.get('post_id') : 0,
+				select		: function( attachment, i ) {
+					
+					// select / add another file field?
+			    	if( i > 1 )
+					{
+						// vars
+						var $td			=	$el.closest('td'),
+							$tr 		=	$td.closest('.row'),
+							$repeater 	=	$tr.closest('.repeater'),
+							key 		=	$td.attr('data-field_key'),
+							selector	=	'td .acf-file-uploader:first';
+							
+						
+						// key only exists for repeater v1.0.1 +
+						if( key )
+						{
+							selector = 'td[data-field_key="' + key + '"] .acf-file-uploader';
+						}
+						
+						
+						// add row?
+						if( ! $tr.next('.row').exists() )
+						{
+							$repeater.find('.add-row-end').trigger('click');
+							
+						}
+						
+						
+						// update current div
+						$el = $tr.next('.row').find( selector );
+						
+					}
+											
+					
+			    	// vars
+			    	var file = {
+				    	id		:	attachment.id,
+				    	title	:	attachment.attributes.title,
+				    	name	:	attachment.attributes.filename,
+				    	url		:	attachment.attributes.url,
+				    	icon	:	attachment.attributes.icon,
+				    	size	:	attachment.attributes.filesize
+			    	};
+			    	
+			    	
+			    	// add file to field
+			        acf.fields.file.add( $el, file );
+					
+				}
+			});
+			
+			
+		},
+
+		add : function( $el, file ){
+			
+			// set atts
+			$el.find('[data-name="icon"]').attr( 'src', file.icon );
+			$el.find('[data-name="title"]').text( file.title );
+		 	$el.find('[data-name="name"]').text( file.name ).attr( 'href', file.url );
+		 	$el.find('[data-name="size"]').text( file.size );
+			$el.find('[data-name="id"]').val( file.id ).trigger('change');
+			
+					 	
+		 	// set div class
+		 	$el.addClass('has-value');
+	
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var id = $field.find('.acf-file-uploader [data-name="id"]').val();
+			
+			
+			// return
+			return id ? parseInt(id) : 0;
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $el = $field.find('.acf-file-uploader');
+			
+			
+			// remove
+			if( !value )
+			{
+				this.remove( $el );
+				return;
+			}
+			
+			
+			// file object
+			if( $.isPlainObject(value) )
+			{
+				this.add( $el, value );
+				return;
+			}
+			
+			
+			// bail early if wp.media does not exist
+			if( !acf.isset(window, 'wp', 'media', 'attachment') )
+			{
+				return;
+			}
+			
+			
+			// fetch attachment to find file data
+			var attachment = wp.media.attachment( value );
+			
+			attachment.fetch().done(function(){
+				
+				acf.fields.file.add( $el, {
+					id		:	attachment.id,
+					title	:	attachment.get('title'),
+					name	:	attachment.get('filename'),
+					url		:	attachment.get('url'),
+					icon	:	attachment.get('icon'),
+					size	:	attachment.get('filesize')
+				});
+				
+			});
+			
+		}
+		
+	};
+	
+	
+	/*
+	*  Events
+	*
+	*  jQuery events for this field
+	*
+	*  @type	function
+	*  @date	1/03/2011
+	*
+	*  @param	N/A
+	*  @return	N/A
+	*/
+	
+	$(document).on('click', '.acf-file-uploader [data-name="remove-button"]', function( e ){
+		
+		e.preventDefault();
+		
+		acf.fields.file.remove( $(this) );
+			
+	});
+	
+	$(document).on('click', '.acf-file-uploader [data-name="edit-button"]', function( e ){
+		
+		e.preventDefault();
+		
+		acf.fields.file.edit( $(this) );
+			
+	});
+	
+	$(document).on('click', '.acf-file-uploader [data-name="add-button"]', function( e ){
+		
+		e.preventDefault();
+		
+		acf.fields.file.popup( $(this) );
+		
+	});
+	
+
+})(jQuery);
+
+/* **********************************************
+     Begin google-map.js
+********************************************** */
+
+(function($){
+	
+	/*
+	*  Location
+	*
+	*  static model for this field
+	*
+	*  @type	event
+	*  @date	1/06/13
+	*
+	*/
+	
+	acf.fields.google_map = {
+		
+		$el : null,
+		$input : null,
+		
+		o : {},
+		
+		ready : false,
+		geocoder : false,
+		map : false,
+		maps : {},
+		
+		set : function( o ){
+			
+			// merge in new option
+			$.extend( this, o );
+			
+			
+			// find input
+			this.$input = this.$el.find('.value');
+			
+			
+			// get options
+			this.o = acf.get_data( this.$el );
+			
+			
+			// get map
+			if( this.maps[ this.o.id ] )
+			{
+				this.map = this.maps[ this.o.id ];
+			}
+			
+				
+			// return this for chaining
+			return this;
+			
+		},
+		init : function(){
+			
+			// geocode
+			if( !this.geocoder )
+			{
+				this.geocoder = new google.maps.Geocoder();
+			}
+			
+			
+			// google maps is loaded and ready
+			this.ready = true;
+			
+			
+			// render map
+			this.render();
+					
+		},
+		render : function(){
+			
+			// reference
+			var _this	= this,
+				_$el	= this.$el;
+			
+			
+			// vars
+			var args = {
+        		zoom		: parseInt(this.o.zoom),
+        		center		: new google.maps.LatLng(this.o.lat, this.o.lng),
+        		mapTypeId	: google.maps.MapTypeId.ROADMAP
+        	};
+			
+			// create map	        	
+        	this.map = new google.maps.Map( this.$el.find('.canvas')[0], args);
+	        
+	        
+	        // add search
+			var autocomplete = new google.maps.places.Autocomplete( this.$el.find('.search')[0] );
+			autocomplete.map = this.map;
+			autocomplete.bindTo('bounds', this.map);
+			
+			
+			// add dummy marker
+	        this.map.marker = new google.maps.Marker({
+		        draggable	: true,
+		        raiseOnDrag	: true,
+		        map			: this.map,
+		    });
+		    
+		    
+		    // add references
+		    this.map.$el = this.$el;
+		    
+		    
+		    // value exists?
+		    var lat = this.$el.find('.input-lat').val(),
+		    	lng = this.$el.find('.input-lng').val();
+		    
+		    if( lat && lng )
+		    {
+			    this.update( lat, lng ).center();
+		    }
+		    
+		    
+			// events
+			google.maps.event.addListener(autocomplete, 'place_changed', function( e ) {
+			    
+			    // reference
+			    var $el = this.map.$el;
+
+
+			    // manually update address
+			    var address = $el.find('.search').val();
+			    $el.find('.input-address').val( address );
+			    $el.find('.title h4').text( address );
+			    
+			    
+			    // vars
+			    var place = this.getPlace();
+			    
+			    
+			    // validate
+			    if( place.geometry )
+			    {
+			    	var lat = place.geometry.location.lat(),
+						lng = place.geometry.location.lng();
+						
+						
+				    _this.set({ $el : $el }).update( lat, lng ).center();
+			    }
+			    else
+			    {
+				    // client hit enter, manulaly get the place
+				    _this.geocoder.geocode({ 'address' : address }, function( results, status ){
+				    	
+				    	// validate
+						if( status != google.maps.GeocoderStatus.OK )
+						{
+							console.log('Geocoder failed due to: ' + status);
+							return;
+						}
+						
+						if( !results[0] )
+						{
+							console.log('No results found');
+							return;
+						}
+						
+						
+						// get place
+						place = results[0];
+						
+						var lat = place.geometry.location.lat(),
+							lng = place.geometry.location.lng();
+							
+							
+					    _this.set({ $el : $el }).update( lat, lng ).center();
+					    
+					});
+			    }
+			    
+			});
+		    
+		    
+		    google.maps.event.addListener( this.map.marker, 'dragend', function(){
+		    	
+		    	// reference
+			    var $el = this.map.$el;
+			    
+			    
+		    	// vars
+				var position = this.map.marker.getPosition(),
+					lat = position.lat(),
+			    	lng = position.lng();
+			    	
+				_this.set({ $el : $el }).update( lat, lng ).sync();
+			    
 			});
 			
 			
-			// actions
-			acf.add_action('append', function( $el ){
+			google.maps.event.addListener( this.map, 'click', function( e ) {
 				
-				//console.log('acf/setup_fields calling acf.conditional_logic.refresh()');
-				_this.render( $el );
+				// reference
+			    var $el = this.$el;
+			    
+			    
+				// vars
+				var lat = e.latLng.lat(),
+					lng = e.latLng.lng();
 				
-			});
+				
+				_this.set({ $el : $el }).update( lat, lng ).sync();
 			
+			});
+
 			
-			//console.log('acf.conditional_logic.init() calling acf.conditional_logic.refresh()');
-			_this.render();
 			
+	        // add to maps
+	        this.maps[ this.o.id ] = this.map;
+	        
+	        
 		},
 		
-		add : function( key, groups ){
-			
-			// reference
-			var _this = this;
+		update : function( lat, lng ){
 			
+			// vars
+			var latlng = new google.maps.LatLng( lat, lng );
+		    
+		    
+		    // update inputs
+			this.$el.find('.input-lat').val( lat );
+			this.$el.find('.input-lng').val( lng ).trigger('change');
 			
-			// append items
-			_this.items[ key ] = groups;
 			
+		    // update marker
+		    this.map.marker.setPosition( latlng );
+		    
+		    
+			// show marker
+			this.map.marker.setVisible( true );
+		    
+		    
+	        // update class
+	        this.$el.addClass('active');
+	        
+	        
+	        // validation
+			this.$el.closest('.acf-field').removeClass('error');
 			
-			// populate triggers
-			$.each(groups, function( k1, group ){
-				
-				$.each(group, function( k2, rule ){
-					
-					// add rule.field to triggers
-					if( !acf.isset(_this, 'triggers', rule.field) )
-					{
-						_this.triggers[ rule.field ] = [];
-					}
-					
-					
-					// add key to this trigger
-					if( _this.triggers[ rule.field ].indexOf(key) === -1 )
-					{
-						 _this.triggers[ rule.field ].push( key );
-					}
-										
-				});
-				
-			});
 			
+	        // return for chaining
+	        return this;
 		},
 		
-		change : function( $el ){
-			
-			console.log('change %o', $el);
-			
-			
-			// reference
-			var _this = this;
-			
+		center : function(){
 			
 			// vars
-			var key = acf.get_field_data($el, 'key');
+			var position = this.map.marker.getPosition(),
+				lat = this.o.lat,
+				lng = this.o.lng;
 			
 			
-			// does this field trigger any actions
-			if( acf.isset(_this, 'triggers', key) )
+			// if marker exists, center on the marker
+			if( position )
 			{
-				// update visibiliy
-				$.each(_this.triggers[ key ], function( i, target ){
-					
-					_this.render_field( target );
-					
-				});
+				lat = position.lat();
+				lng = position.lng();
 			}
 			
+			
+			var latlng = new google.maps.LatLng( lat, lng );
+				
+			
+			// set center of map
+	        this.map.setCenter( latlng );
 		},
 		
-		render_field : function( key ){
+		sync : function(){
 			
 			// reference
-			var _this = this;
-			
-			
-			// get conditional logic
-			var groups = this.items[ key ];
-			
-			
-			// get targets
-			var $targets = acf.get_fields({key : key});
+			var $el	= this.$el;
+				
 			
+			// vars
+			var position = this.map.marker.getPosition(),
+				latlng = new google.maps.LatLng( position.lat(), position.lng() );
 			
-			// may be multiple targets (sub fields)
-			$targets.each(function(){
 			
-				// vars
-				var visibility = false;
+			this.geocoder.geocode({ 'latLng' : latlng }, function( results, status ){
 				
+				// validate
+				if( status != google.maps.GeocoderStatus.OK )
+				{
+					console.log('Geocoder failed due to: ' + status);
+					return;
+				}
 				
-				// $el
-				var $target = $(this);
+				if( !results[0] )
+				{
+					console.log('No results found');
+					return;
+				}
 				
 				
-				// loop over groups
-				$.each( groups, function( k, group ){
-					
-					var match_group = true;
-					
-					
-					// loop over rules
-					$.each( group, function( k2, rule ){
-						
-						if( !_this.get_visibility( $target, rule) )
-						{
-							match_group = false;
-							return false;
-						}
-						
-					});
-					
-					
-					if( match_group )
-					{
-						visibility = true;
-						return false;
-					}
-					
-				});
+				// get location
+				var location = results[0];
 				
 				
-				// hide / show field
-				if( visibility )
-				{
-					_this.show_field( $target );					
-				}
-				else
-				{
-					_this.hide_field( $target );
-				}
+				// update h4
+				$el.find('.title h4').text( location.formatted_address );
+
 				
+				// update input
+				$el.find('.input-address').val( location.formatted_address ).trigger('change');
 				
 			});
 			
 			
+			// return for chaining
+	        return this;
 		},
 		
-		
-		show_field : function( $field ){
+		locate : function(){
 			
-			// vars
-			var key = acf.get_data($field, 'key'),
-				c = 'hidden-by-conditional-logic';
+			// reference
+			var _this	= this,
+				_$el	= this.$el;
 			
 			
-			if( acf.is_sub_field($field) )
+			// Try HTML5 geolocation
+			if( ! navigator.geolocation )
 			{
-				var $repeater = $field.closest('table').parent('.acf-repeater');
-				
-				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
-				{
-					c += ' appear-empty';
-					
-					$repeater.find('> table > thead th[data-key="' + key + '"]').removeClass( c );
-				}
-				
+				acf.notice( acf.l10n.google_map.browser_support );
+				return this;
 			}
 			
 			
-			// add class
-			$field.removeClass( c );
-			
+			// show loading text
+			_$el.find('.title h4').text(acf.l10n.google_map.locating + '...');
+			_$el.addClass('active');
 			
-			// remove "disabled"
-			$field.find('input, textarea, select').removeAttr('disabled');
+		    navigator.geolocation.getCurrentPosition(function(position){
+		    	
+		    	// vars
+				var lat = position.coords.latitude,
+			    	lng = position.coords.longitude;
+			    	
+				_this.set({ $el : _$el }).update( lat, lng ).sync().center();
+				
+			});
+
+				
+		},
+		
+		clear : function(){
 			
+			// update class
+	        this.$el.removeClass('active');
 			
-			// hook
-			acf.do_action('conditional_logic_show', $field );
 			
-		},
-		
-		hide_field : function( $field ){
+			// clear search
+			this.$el.find('.search').val('');
 			
-			// vars
-			var key = acf.get_data($field, 'key'),
-				c = 'hidden-by-conditional-logic';
 			
+			// clear inputs
+			this.$el.find('.input-address').val('');
+			this.$el.find('.input-lat').val('');
+			this.$el.find('.input-lng').val('');
 			
-			if( acf.is_sub_field($field) )
-			{
-				var $repeater = $field.closest('table').parent('.acf-repeater');
-				
-				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
-				{
-					c += ' appear-empty';
-					
-					$repeater.find('> table > thead th[data-key="' + key + '"]').addClass( c );
-				}
-				
-			}
 			
+			// hide marker
+			this.map.marker.setVisible( false );
+		},
+		
+		edit : function(){
 			
-			// add class
-			$field.addClass( c );
+			// update class
+	        this.$el.removeClass('active');
 			
 			
-			// add "disabled"
-			$field.find('input, textarea, select').attr('disabled', 'disabled');
+			// clear search
+			var val = this.$el.find('.title h4').text();
 			
 			
-			// hook
-			acf.do_action('conditional_logic_hide', $field );
+			this.$el.find('.search').val( val ).focus();
 			
 		},
 		
-		get_visibility : function( $target, rule ){
+		refresh : function(){
 			
-			// vars
-			var $search = acf.is_sub_field( $target ) ? $target.parent() : $('body');
+			// trigger resize on div
+			google.maps.event.trigger(this.map, 'resize');
+			
+			// center map
+			this.center();
 			
+		},
+		
+		get_value : function( $field ){
 			
 			// vars
-			var $trigger = acf.get_fields({key : rule.field}, $search);
+			var $el = $field.find('.acf-google-map'),
+				lat = $el.find('.input-lat').val(),
+				lng = $el.find('.input-lng').val();
 			
 			
-			if( !$trigger.exists() )
+			// no value
+			if( !lat || !lng )
 			{
-				// loop through all the parents that could contain sub fields
-				$target.parents('tr').each(function(){
-					
-					$trigger = acf.get_fields({key : rule.field}, $(this));
-					
-					if( $trigger.length == 1 )
-					{
-						return false;
-					}
-					
-				});
-				
+				return null;
 			}
 			
-						
-			//console.log('this.calculate( %o, %o, %o );', rule, $trigger, $target);
-			
-			
-			// calculate
-			var visibility = this.calculate( rule, $trigger, $target );
-			
 			
 			// return
-			return visibility;
+			return {
+				address	: $el.find('.input-address').val(),
+				lat		: parseFloat( lat ),
+				lng		: parseFloat( lng )
+			};
+			
 		},
 		
-		render : function( $el ){
-			
-			// defaults
-			$el = $el || $('body');
+		set_value : function( $field, value ){
 			
-			
-			// reference
-			var _this = this;
+			// vars
+			var $el = $field.find('.acf-google-map');
 			
 			
-			acf.get_fields({},$el).each(function(){
-				
-				var key = acf.get_data($(this), 'key');
-				
-				if( acf.isset(_this, 'items', key) )
-				{
-					_this.render_field( key );
-				}
-				/*
-else if( acf.isset(_this, 'triggers', key) )
-				{
-					key = _this.triggers[ key ];
-					_this.render_field( key );
-				}
-*/
-				
-			});
+			// set
+			this.set({ $el : $el });
 			
-		},
-		
-		calculate : function( rule, $trigger, $target ){
 			
 			// vars
-			var r = false;
+			var has_map = ( this.ready && this.maps[ this.o.id ] ) ? true : false;
 			
-
-			// compare values
-			if( $trigger.hasClass('field_type-true_false') || $trigger.hasClass('field_type-checkbox') || $trigger.hasClass('field_type-radio') )
+			
+			// clear
+			if( !value )
 			{
-				var exists = $trigger.find('input[value="' + rule.value + '"]:checked').exists();
-				
-				
-				if( rule.operator == "==" )
+				if( has_map )
 				{
-					if( exists )
-					{
-						r = true;
-					}
+					this.clear();
 				}
 				else
 				{
-					if( ! exists )
-					{
-						r = true;
-					}
+					$el.removeClass('active').find('.input-address, .input-lat, .input-lng').val('');
 				}
 				
+				return;
+			}
+			
+			
+			// update address
+			$el.find('.input-address').val( value.address );
+			$el.find('.title h4').text( value.address );
+			
+			
+			// update map
+			if( has_map )
+			{
+				this.update( value.lat, value.lng ).center();
 			}
 			else
 			{
-				// get val and make sure it is an array
-				var val = $trigger.find('input, textarea, select').last().val();
-				
-				if( ! $.isArray(val) )
-				{
-					val = [ val ];
-				}
-				
-				
-				if( rule.operator == "==" )
-				{
-					if( $.inArray(rule.value, val) > -1 )
-					{
-						r = true;
-					}
-				}
-				else
-				{
-					if( $.inArray(rule.value, val) < 0 )
-					{
-						r = true;
-					}
-				}
-				
+				$el.find('.input-lat').val( value.lat );
+				$el.find('.input-lng').val( value.lng ).trigger('change');
+				$el.addClass('active');
 			}
 			
-			
-			// return
-			return r;
-			
 		}
-		
-	}; 
+
+	
+	};
 	
 	
 	/*
-	*  ready
+	*  acf/setup_fields
 	*
-	*  description
+	*  run init function on all elements for this field
 	*
-	*  @type	function
-	*  @date	19/02/2014
-	*  @since	5.0.0
+	*  @type	event
+	*  @date	20/07/13
 	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
+	*  @param	{object}	e		event object
+	*  @param	{object}	el		DOM object which may contain new ACF elements
+	*  @return	N/A
 	*/
 	
-	$(document).ready(function(){
+	acf.add_action('ready append', function( $el ){
 		
-		// fire ready
-		acf.do_action('ready', $('body'));
+		//vars
+		var $fields = acf.get_fields({ type : 'google_map'}, $el);
 		
 		
-		// initialize conditional logic
-		acf.conditional_logic.init();
+		// validate
+		if( !$fields.exists() )
+		{
+			return;
+		}
+		
+		
+		// validate google
+		if( typeof google === 'undefined' )
+		{
+			$.getScript('https://www.google.com/jsapi', function(){
+			
+			    google.load('maps', '3', { other_params: 'sensor=false&libraries=places', callback: function(){
+			    
+			        $fields.each(function(){
+					
+						acf.fields.google_map.set({ $el : $(this).find('.acf-google-map') }).init();
+						
+					});
+			        
+			    }});
+			});
+			
+		}
+		else
+		{
+			$fields.each(function(){
+				
+				acf.fields.google_map.set({ $el : $(this).find('.acf-google-map') }).init();
+				
+			});
+			
+		}
+		
 		
 	});
 	
 	
-	
 	/*
-	*  Force revisions
+	*  Events
 	*
-	*  description
+	*  jQuery events for this field
 	*
 	*  @type	function
-	*  @date	19/02/2014
-	*  @since	5.0.0
+	*  @date	1/03/2011
 	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
+	*  @param	N/A
+	*  @return	N/A
 	*/
 	
-	$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+	$(document).on('click', '.acf-google-map .acf-sprite-remove', function( e ){
 		
-		// preview hack
-		if( $('#acf-form-data input[name="_acfchanged"]').exists() )
-		{
-			$('#acf-form-data input[name="_acfchanged"]').val(1);
-		}
+		e.preventDefault();
 		
-	});
-			
-			
-			
-	/*
-	*  window load
-	*
-	*  @description: 
-	*  @since: 3.5.5
-	*  @created: 22/12/12
-	*/
-	
-	$(window).load(function(){
+		acf.fields.google_map.set({ $el : $(this).closest('.acf-google-map') }).clear();
 		
-		acf.do_action('load', $('body'));
+		$(this).blur();
 		
+	});
+	
+	
+	$(document).on('click', '.acf-google-map .acf-sprite-locate', function( e ){
 		
-		// init
-		acf.media.init();
+		e.preventDefault();
 		
+		acf.fields.google_map.set({ $el : $(this).closest('.acf-google-map') }).locate();
 		
-		setTimeout(function(){
-			
-			// Hack for CPT without a content editor
-			try
-			{
-				// post_id may be string (user_1) and therefore, the uploaded image cannot be attached to the post
-				if( $.isNumeric(acf.o.post_id) )
-				{
-					wp.media.view.settings.post.id = acf.o.post_id;
-				}
-				
-			} 
-			catch(e)
-			{
-				// one of the objects was 'undefined'...
-			}
-			
-			
-			// setup fields
-			//$(document).trigger('acf/setup_fields', [ $(document) ]);
-			
-		}, 10);
+		$(this).blur();
 		
 	});
 	
+	$(document).on('click', '.acf-google-map .title h4', function( e ){
+		
+		e.preventDefault();
+		
+		acf.fields.google_map.set({ $el : $(this).closest('.acf-google-map') }).edit();
+			
+	});
 	
-	/*
-	*  Sortable
-	*
-	*  These functions will hook into the start and stop of a jQuery sortable event and modify the item and placeholder to look seamless
-	*
-	*  @type	function
-	*  @date	12/11/2013
-	*  @since	5.0.0
-	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
-	*/
-	
-	acf.add_action('sortstart', function( $item, $placeholder ){
+	$(document).on('keydown', '.acf-google-map .search', function( e ){
 		
-		// if $item is a tr, apply some css to the elements
-		if( $item.is('tr') )
+		// prevent form from submitting
+		if( e.which == 13 )
 		{
-			// temp set as relative to find widths
-			$item.css('position', 'relative');
-			
-			
-			// set widths for td children		
-			$item.children().each(function(){
-			
-				$(this).width($(this).width());
-				
-			});
-			
-			
-			// revert postision css
-			$item.css('position', 'absolute');
+		    return false;
+		}
 			
+	});
+	
+	$(document).on('blur', '.acf-google-map .search', function( e ){
+		
+		// vars
+		var $el = $(this).closest('.acf-google-map');
+		
+		
+		// has a value?
+		if( $el.find('.input-lat').val() )
+		{
+			$el.addClass('active');
+		}
 			
-			// add markup to the placeholder
-			$placeholder.html('<td style="height:' + $item.height() + 'px; padding:0;" colspan="' + $item.children('td').length + '"></td>');
+	});
+	
+	acf.add_action('show_field', function( $field ){
+		
+		// validate
+		if( ! acf.fields.google_map.ready )
+		{
+			return;
+		}
+		
+		
+		// validate
+		if( acf.is_field($field, {type : 'google_map'}) )
+		{
+			acf.fields.google_map.set({ $el : $field.find('.acf-google-map') }).refresh();
 		}
 		
 	});
 	
-	
-	
+
 })(jQuery);
 
 /* **********************************************
-     Begin ajax.js
+     Begin image.js
 ********************************************** */
 
 (function($){
 	
-	acf.ajax = {
-		
-		o : {
-			action 			:	'acf/post/get_field_groups',
-			post_id			:	0,
-			page_template	:	0,
-			page_parent		:	0,
-			page_type		:	0,
-			post_category	:	0,
-			post_format		:	0,
-			post_taxonomy	:	0,
-			lang			:	0,
-			nonce			:	0
-		},
-		
-		update : function( k, v ){
+	acf.fields.image = {
+				
+		edit : function( $a ) {
 			
-			this.o[ k ] = v;
-			return this;
+			// vars
+			var $el = $a.closest('.acf-image-uploader'),
+				id = $el.find('[data-name="value-id"]').val();
 			
-		},
-		
-		get : function( k ){
 			
-			return this.o[ k ] || null;
+			acf.media.edit_popup({
+				title : acf._e('image', 'edit'),
+				button : acf._e('image', 'update'),
+				id : id
+			});
 			
 		},
 		
-		init : function(){
-			
-			// bail early if ajax is disabled
-			if( ! acf.get('ajax') )
-			{
-				return false;	
-			}
-			
+		remove : function( $a ) {
 			
 			// vars
-			this.update('post_id', acf.o.post_id);
-			this.update('nonce', acf.o.nonce);
+			var $el = $a.closest('.acf-image-uploader');
 			
 			
-			// MPML
-			if( $('#icl-als-first').length > 0 )
-			{
-				var href = $('#icl-als-first').children('a').attr('href'),
-					regex = new RegExp( "lang=([^&#]*)" ),
-					results = regex.exec( href );
-				
-				// lang
-				this.update('lang', results[1]);
-				
-			}
+			// set atts
+		 	$el.find('[data-name="value-url"]').attr( 'src', '' );
+			$el.find('[data-name="value-id"]').val('').trigger('change');
 			
 			
-			// add triggers
-			this.add_events();
+			// remove class
+			$el.removeClass('has-value');
+			
 		},
 		
-		fetch : function(){
+		popup : function( $a ) {
 			
-			// reference
-			var _this = this;
+			// vars
+			var $el = $a.closest('.acf-image-uploader'),
+				library = acf.get_data( $el, 'library' ),
+				preview_size = acf.get_data( $el, 'preview_size' );
 			
 			
-			// ajax
-			$.ajax({
-				url			: acf.get('ajaxurl'),
-				data		: this.o,
-				type		: 'post',
-				dataType	: 'json',
-				success		: function( json ){
+			// popup
+			var frame = acf.media.upload_popup({
+				title		: acf._e('image', 'select'),
+				type		: 'image',
+				multiple	: ( $el.closest('.repeater').exists() ) ? 1 : 0,
+				uploadedTo	: ( library == 'uploadedTo' ) ? acf.get('post_id') : 0,
+				select		: function( attachment, i ) {
 					
-					if( json && json.length )
+					// select / add another image field?
+			    	if( i > 1 )
 					{
-						_this.render( json );
+						// vars
+						var $td			=	$el.closest('td'),
+							$tr 		=	$td.closest('.row'),
+							$repeater 	=	$tr.closest('.repeater'),
+							key 		=	$td.attr('data-field_key'),
+							selector	=	'td .acf-image-uploader:first';
+							
+						
+						// key only exists for repeater v1.0.1 +
+						if( key )
+						{
+							selector = 'td[data-field_key="' + key + '"] .acf-image-uploader';
+						}
+						
+						
+						// add row?
+						if( ! $tr.next('.row').exists() )
+						{
+							$repeater.find('.add-row-end').trigger('click');
+							
+						}
+						
+						
+						// update current div
+						$el = $tr.next('.row').find( selector );
+						
 					}
 					
-				}
-			});
-			
-		},
-		
-		render : function( json ){
-			
-			// hide all metaboxes
-			$('.acf-postbox').addClass('acf-hidden');
-			$('.acf-postbox-toggle').addClass('acf-hidden');
-			
-			
-			// show the new postboxes
-			$.each(json, function( k, field_group ){
-				
-				// vars
-				var $el = $('#acf-' + field_group.key),
-					$toggle = $('#adv-settings .acf_postbox-toggle[for="acf-' + field_group.key + '-hide"]');
-				
-				
-				// classes
-				$el.removeClass('acf-hidden hide-if-js');
-				$toggle.removeClass('acf-hidden hide-if-js');
-				$toggle.find('input[type="checkbox"]').attr('checked', 'checked');
-				
-				
-				// replace HTML if needed
-				$el.find('.acf-replace-with-fields').each(function(){
 					
-					$(this).replaceWith( field_group.html );
+			    	// vars
+			    	var image_id = attachment.id,
+			    		image_url = attachment.attributes.url;
+			    	
 					
-					acf.do_action('append', $el);
+			    	// is preview size available?
+			    	if( attachment.attributes.sizes && attachment.attributes.sizes[ preview_size ] )
+			    	{
+				    	image_url = attachment.attributes.sizes[ preview_size ].url;
+			    	}
+			    	
+			    	
+			    	// add image to field
+			        acf.fields.image.add( $el, image_id, image_url );
 					
-				});
-				
-				
-				// update style if needed
-				if( k === 0 )
-				{
-					$('#acf-style').html( field_group.style );
 				}
-				
 			});
 			
+			
 		},
 		
-		sync_taxonomy_terms : function(){
+		add : function( $el, id, url ){
 			
-			// vars
-			var values = [];
+			// set atts
+		 	$el.find('[data-name="value-url"]').attr( 'src', url );
+			$el.find('[data-name="value-id"]').val( id ).trigger('change');
 			
 			
-			$('.categorychecklist input:checked, .acf-taxonomy-field input:checked, .acf-taxonomy-field option:selected').each(function(){
-				
-				// validate
-				if( $(this).is(':hidden') || $(this).is(':disabled') )
-				{
-					return;
-				}
-				
-				
-				// validate media popup
-				if( $(this).closest('.media-frame').exists() )
-				{
-					return;
-				}
-				
-				
-				// validate acf
-				if( $(this).closest('.acf-taxonomy-field').exists() )
-				{
-					if( $(this).closest('.acf-taxonomy-field').attr('data-save') == '0' )
-					{
-						return;
-					}
-				}
-				
-				
-				// append
-				if( values.indexOf( $(this).val() ) === -1 )
-				{
-					values.push( $(this).val() );
-				}
-				
-			});
+			// add class
+			$el.addClass('has-value');
 	
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var id = $field.find('.acf-image-uploader [data-name="value-id"]').val();
 			
-			// update screen
-			this.update( 'post_taxonomy', values ).fetch();
+			
+			// return
+			return id ? parseInt(id) : 0;
 			
 		},
 		
-		add_events : function(){
+		set_value : function( $field, value ){
 			
-			// reference
-			var _this = this;
+			// vars
+			var $el = $field.find('.acf-image-uploader'),
+				preview_size = acf.get_data( $el, 'preview_size' );
 			
 			
-			// page template
-			$(document).on('change', '#page_template', function(){
-				
-				var page_template = $(this).val();
-				
-				_this.update( 'page_template', page_template ).fetch();
-			    
-			});
+			// remove
+			if( !value )
+			{
+				this.remove( $el );
+				return;
+			}
 			
 			
-			// page parent
-			$(document).on('change', '#parent_id', function(){
-				
-				var page_type = 'parent',
-					page_parent = 0;
-				
-				
-				if( val != "" )
-				{
-					page_type = 'child';
-					page_parent = $(this).val();
-				}
-				
-				_this.update( 'page_type', page_type ).update( 'page_parent', page_parent ).fetch();
-			    
-			});
+			// object with url
+			if( $.isPlainObject(value) )
+			{
+				this.add( $el, value.id, value.url );
+				return;
+			}
 			
 			
-			// post format
-			$(document).on('change', '#post-formats-select input[type="radio"]', function(){
-				
-				var post_format = $(this).val();
-				
-				if( post_format == '0' )
-				{
-					post_format = 'standard';
-				}
-				
-				_this.update( 'post_format', post_format ).fetch();
-				
-			});
+			// bail early if wp.media does not exist
+			if( !acf.isset(window, 'wp', 'media', 'attachment') )
+			{
+				return;
+			}
 			
 			
-			// post taxonmy
-			$(document).on('change', '.categorychecklist input, .acf-taxonomy-field input, .acf-taxonomy-field select', function(){
+			// fetch attachment to find url
+			var attachment = wp.media.attachment( value );
+			
+			attachment.fetch().done(function(){
 				
-				// a taxonomy field may trigger this change event, however, the value selected is not
-				// actually a term relatinoship, it is meta data
-				if( $(this).closest('.acf-taxonomy-field').exists() )
-				{
-					if( $(this).closest('.acf-taxonomy-field').attr('data-save') == '0' )
-					{
-						return;
-					}
-				}
+				// vars
+				var url = attachment.get('url'),
+					sizes = attachment.get('sizes');
 				
 				
-				// this may be triggered from editing an imgae in a popup. Popup does not support correct metaboxes so ignore this
-				if( $(this).closest('.media-frame').exists() )
+				// is preview size available?
+				if( sizes && sizes[ preview_size ] )
 				{
-					return;
+					url = sizes[ preview_size ].url;
 				}
 				
 				
-				// set timeout to fix issue with chrome which does not register the change has yet happened
-				setTimeout(function(){
-					
-					_this.sync_taxonomy_terms();
-				
-				}, 1);
-				
-				
-			});
-			
-			
-			
-			// user role
-			/*
-			$(document).on('change', 'select[id="role"][name="role"]', function(){
-				
-				_this.update( 'user_role', $(this).val() ).fetch();
+				// add image to field
+				acf.fields.image.add( $el, value, url );
 				
 			});
-			*/
 			
 		}
 		
@@ -2312,9 +7184,9 @@ else if( acf.isset(_this, 'triggers', key) )
 	
 	
 	/*
-	*  Document Ready
+	*  Events
 	*
-	*  Initialize the object
+	*  jQuery events for this field
 	*
 	*  @type	function
 	*  @date	1/03/2011
@@ -2323,53 +7195,27 @@ else if( acf.isset(_this, 'triggers', key) )
 	*  @return	N/A
 	*/
 	
-	$(document).ready(function(){
+	$(document).on('click', '.acf-image-uploader [data-name="remove-button"]', function( e ){
 		
-		// initialize
-		acf.ajax.init();
+		e.preventDefault();
 		
+		acf.fields.image.remove( $(this) );
+			
 	});
-
-
-	
-})(jQuery);
-
-/* **********************************************
-     Begin color-picker.js
-********************************************** */
-
-(function($){
 	
-	acf.fields.color_picker = {
+	$(document).on('click', '.acf-image-uploader [data-name="edit-button"]', function( e ){
 		
-		init : function( $input ){
-			
-			$input.wpColorPicker();
+		e.preventDefault();
+		
+		acf.fields.image.edit( $(this) );
 			
-		}
-	};
-	
-	
-	/*
-	*  acf/setup_fields
-	*
-	*  run init function on all elements for this field
-	*
-	*  @type	event
-	*  @date	20/07/13
-	*
-	*  @param	{object}	e		event object
-	*  @param	{object}	el		DOM object which may contain new ACF elements
-	*  @return	N/A
-	*/
+	});
 	
-	acf.add_action('ready append', function( $el ){
+	$(document).on('click', '.acf-image-uploader [data-name="add-button"]', function( e ){
 		
-		acf.get_fields({ type : 'color_picker'}, $el).each(function(){
-			
-			acf.fields.color_picker.init( $(this).find('input[type="text"]') );
-			
-		});
+		e.preventDefault();
+		
+		acf.fields.image.popup( $(this) );
 		
 	});
 	
@@ -2377,80 +7223,170 @@ else if( acf.isset(_this, 'triggers', key) )
 })(jQuery);
 
 /* **********************************************
-     Begin date-picker.js
+     Begin oembed.js
 ********************************************** */
 
 (function($){
 	
-	/*
-	*  Date Picker
-	*
-	*  static model for this field
-	*
-	*  @type	event
-	*  @date	1/06/13
-	*
-	*/
-	
-	acf.fields.date_picker = {
+	acf.fields.oembed = {
 		
-		init : function( $el ){
+		search : function( $el ){ 
 			
 			// vars
-			var $input = $el.find('input[type="text"]'),
-				$hidden = $el.find('input[type="hidden"]');
+			var s = $el.find('[data-name="search-input"]').val();
 			
 			
-			// get options
-			var o = acf.get_data( $el );
+			// fix missing 'http://' - causes the oembed code to error and fail
+			if( s.substr(0, 4) != 'http' )
+			{
+				s = 'http://' + s;
+				$el.find('[data-name="search-input"]').val( s );
+			}
 			
 			
-			// get and set value from alt field
-			$input.val( $hidden.val() );
+			// show loading
+			$el.addClass('is-loading');
 			
 			
-			// create options
-			var args = $.extend( {}, acf.l10n.date_picker, { 
-				dateFormat		:	'yy-mm-dd',
-				altField		:	$hidden,
-				altFormat		:	'yy-mm-dd',
-				changeYear		:	true,
-				yearRange		:	"-100:+100",
-				changeMonth		:	true,
-				showButtonPanel	:	true,
-				firstDay		:	o.first_day
+			// AJAX data
+			var ajax_data = {
+				'action'	: 'acf/fields/oembed/search',
+				'nonce'		: acf.get('nonce'),
+				's'			: s,
+				'width'		: acf.get_data($el, 'width'),
+				'height'	: acf.get_data($el, 'height')
+			};
+			
+			
+			// abort XHR if this field is already loading AJAX data
+			if( $el.data('xhr') )
+			{
+				$el.data('xhr').abort();
+			}
+			
+			
+			// get HTML
+			var xhr = $.ajax({
+				url: acf.get('ajaxurl'),
+				data: ajax_data,
+				type: 'post',
+				dataType: 'html',
+				success: function( html ){
+					
+					$el.removeClass('is-loading');
+					
+					
+					// update from json
+					acf.fields.oembed.search_success( $el, s, html );
+					
+					
+					// no results?
+					if( !html )
+					{
+						acf.fields.oembed.search_error( $el );
+					}
+					
+				}
 			});
 			
 			
-			// filter for 3rd party customization
-			args = acf.apply_filters('date_picker_args', args, $el);
+			// update el data
+			$el.data('xhr', xhr);
+			
+		},
+		
+		search_success : function( $el, s, html ){
+		
+			$el.removeClass('has-error').addClass('has-value');
+			
+			$el.find('[data-name="value-input"]').val( s );
+			$el.find('[data-name="value-title"]').html( s );
+			$el.find('[data-name="value-embed"]').html( html );
+			
+		},
+		
+		search_error : function( $el ){
+			
+			// update class
+	        $el.removeClass('has-value').addClass('has-error');
+			
+		},
+		
+		clear : function( $el ){
+			
+			// update class
+	        $el.removeClass('has-error has-value');
+			
+			
+			// clear search
+			$el.find('[data-name="search-input"]').val('');
+			
+			
+			// clear inputs
+			$el.find('[data-name="value-input"]').val( '' );
+			$el.find('[data-name="value-title"]').html( '' );
+			$el.find('[data-name="value-embed"]').html( '' );
+			
+		},
+		
+		edit : function( $el ){ 
 			
+			// update class
+	        $el.addClass('is-editing');
+	        
+	        
+	        // set url and focus
+	        var url = $el.find('[data-name="value-title"]').text();
+	        
+	        $el.find('[data-name="search-input"]').val( url ).focus()
 			
-			// add date picker
-			$input.addClass('active').datepicker( args );
+		},
+		
+		blur : function( $el ){ 
 			
+			$el.removeClass('is-editing');
 			
-			// now change the format back to how it should be.
-			$input.datepicker( "option", "dateFormat", o.display_format );
 			
+	        // set url and focus
+	        var old_url = $el.find('[data-name="value-title"]').text(),
+	        	new_url = $el.find('[data-name="search-input"]').val(),
+	        	embed = $el.find('[data-name="value-embed"]').html();
+	        
+	        
+	        // detect change
+	        if( new_url != old_url )
+	        {
+		        this.search( $el );
+	        }
+	        			
+		},
+		
+		get_value : function( $field ){
 			
-			// wrap the datepicker (only if it hasn't already been wrapped)
-			if( $('body > #ui-datepicker-div').exists() )
-			{
-				$('body > #ui-datepicker-div').wrap('<div class="acf-ui-datepicker" />');
-			}
+			return $field.find('.acf-oembed [data-name="value-input"]').val();
 			
 		},
 		
-		blur : function( $input ){
+		set_value : function( $field, value ){
 			
-			if( !$input.val() )
+			// vars
+			var $el = $field.find('.acf-oembed');
+			
+			
+			// clear
+			if( !value )
 			{
-				$input.siblings('input[type="hidden"]').val('');
+				this.clear( $el );
+				return;
 			}
 			
+			
+			// search
+			$el.find('[data-name="search-input"]').val( value );
+			
+			this.search( $el );
+			
 		}
-		
 	};
 	
 	
@@ -2467,177 +7403,135 @@ else if( acf.isset(_this, 'triggers', key) )
 	*  @return	N/A
 	*/
 	
-	acf.add_action('ready append', function( $el ){
+	/*
+acf.add_action('ready append', function( $el ){
 		
-		acf.get_fields({ type : 'date_picker'}, $el).each(function(){
+		
+		// add tabs
+		acf.get_fields({ type : 'oembed'}, $el).each(function(){
 			
-			acf.fields.date_picker.init( $(this).find('.acf-date_picker') );
+			acf.fields.oembed.add_oembed( $(this) );
 			
 		});
 		
-	});
 		
+		// activate first tab
+		acf.fields.tab.refresh( $el );
+		
+	});
+*/
+	
 	
 	/*
 	*  Events
 	*
 	*  jQuery events for this field
 	*
-	*  @type	event
-	*  @date	1/06/13
+	*  @type	function
+	*  @date	1/03/2011
 	*
+	*  @param	N/A
+	*  @return	N/A
 	*/
 	
-	$(document).on('blur', '.acf-date_picker input[type="text"]', function( e ){
+	$(document).on('click', '.acf-oembed [data-name="search-button"]', function( e ){
+		
+		e.preventDefault();
+		
+		acf.fields.oembed.search( $(this).closest('.acf-oembed') );
+		
+		$(this).blur();
+		
+	});
+	
+	$(document).on('click', '.acf-oembed [data-name="clear-button"]', function( e ){
+		
+		e.preventDefault();
+		
+		acf.fields.oembed.clear( $(this).closest('.acf-oembed') );
+		
+		$(this).blur();
+		
+	});
+	
+	$(document).on('click', '.acf-oembed [data-name="value-title"]', function( e ){
+		
+		e.preventDefault();
+		
+		acf.fields.oembed.edit( $(this).closest('.acf-oembed') );
+			
+	});
+	
+	$(document).on('keypress', '.acf-oembed [data-name="search-input"]', function( e ){
+		
+		// don't submit form
+		if( e.which == 13 )
+		{
+			e.preventDefault();
+		}
+		
+	});
+	
+	
+	$(document).on('keyup', '.acf-oembed [data-name="search-input"]', function(e){
+		
+		acf.fields.oembed.search( $(this).closest('.acf-oembed') );
+		
+	});
+	
+	$(document).on('blur', '.acf-oembed [data-name="search-input"]', function(e){
+		
+		acf.fields.oembed.blur( $(this).closest('.acf-oembed') );
 		
-		acf.fields.date_picker.blur( $(this) );
-					
 	});
+		
 	
 
 })(jQuery);
 
 /* **********************************************
-     Begin file.js
+     Begin post_object.js
 ********************************************** */
 
-(function($){
-	
-	acf.fields.file = {
-		
-		edit : function( $a ) {
-			
-			// vars
-			var $el = $a.closest('.acf-file-uploader'),
-				id = $el.find('[data-name="id"]').val();
-			
-			
-			acf.media.edit_popup({
-				title		: acf._e('file', 'edit'),
-				button		: acf._e('file', 'update'),
-				id			: id,
-				select		: function( attachment, i ) {
-					
-			    	// vars
-			    	var file = {
-				    	id		:	attachment.id,
-				    	title	:	attachment.attributes.title,
-				    	name	:	attachment.attributes.filename,
-				    	url		:	attachment.attributes.url,
-				    	icon	:	attachment.attributes.icon,
-				    	size	:	attachment.attributes.filesize
-			    	};
-			    	
-			    	
-			    	// add file to field
-			        acf.fields.file.add( $el, file );
-					
-				}
-			});
-			
-		},
-		
-		remove : function( $a ) {
-			
-			// vars
-			var $el = $a.closest('.acf-file-uploader');
-			
-			
-			// set atts
-			$el.find('[data-name="icon"]').attr( 'src', '' );
-			$el.find('[data-name="title"]').text( '' );
-		 	$el.find('[data-name="name"]').text( '' ).attr( 'href', '' );
-		 	$el.find('[data-name="size"]').text( '' );
-			$el.find('[data-name="id"]').val( '' ).trigger('change');
-			
-			
-			// remove class
-			$el.removeClass('has-value');
-			
-		},
-		
-		popup : function( $a ) {
-			
-			// vars
-			var $el = $a.closest('.acf-file-uploader'),
-				library = acf.get_data( $el, 'library' );
-			
-			
-			// popup
-			var frame = acf.media.upload_popup({
-				title		: acf._e('file', 'select'),
-				type		: '',
-				multiple	: ( $el.closest('.repeater').exists() ) ? 1 : 0,
-				uploadedTo	: ( library == 'uploadedTo' ) ? acf.get('post_id') : 0,
-				select		: function( attachment, i ) {
-					
-					// select / add another file field?
-			    	if( i > 1 )
-					{
-						// vars
-						var $td			=	$el.closest('td'),
-							$tr 		=	$td.closest('.row'),
-							$repeater 	=	$tr.closest('.repeater'),
-							key 		=	$td.attr('data-field_key'),
-							selector	=	'td .acf-file-uploader:first';
-							
-						
-						// key only exists for repeater v1.0.1 +
-						if( key )
-						{
-							selector = 'td[data-field_key="' + key + '"] .acf-file-uploader';
-						}
-						
-						
-						// add row?
-						if( ! $tr.next('.row').exists() )
-						{
-							$repeater.find('.add-row-end').trigger('click');
-							
-						}
-						
-						
-						// update current div
-						$el = $tr.next('.row').find( selector );
-						
-					}
-											
-					
-			    	// vars
-			    	var file = {
-				    	id		:	attachment.id,
-				    	title	:	attachment.attributes.title,
-				    	name	:	attachment.attributes.filename,
-				    	url		:	attachment.attributes.url,
-				    	icon	:	attachment.attributes.icon,
-				    	size	:	attachment.attributes.filesize
-			    	};
-			    	
-			    	
-			    	// add file to field
-			        acf.fields.file.add( $el, file );
-					
-				}
-			});
-			
-			
-		},
 
-		add : function( $el, file ){
+
+/* **********************************************
+     Begin radio.js
+********************************************** */
+
+(function($){
+	
+	/*
+	*  Radio
+	*
+	*  static model and events for this field
+	*
+	*  @type	event
+	*  @date	1/06/13
+	*
+	*/
+	
+	acf.fields.radio = {
+	
+		change : function( $radio ){
 			
-			// set atts
-			$el.find('[data-name="icon"]').attr( 'src', file.icon );
-			$el.find('[data-name="title"]').text( file.title );
-		 	$el.find('[data-name="name"]').text( file.name ).attr( 'href', file.url );
-		 	$el.find('[data-name="size"]').text( file.size );
-			$el.find('[data-name="id"]').val( file.id ).trigger('change');
+			// vars
+			var $ul = $radio.closest('ul'),
+				$val = $ul.find('input[type="radio"]:checked'),
+				$other = $ul.find('input[type="text"]');
 			
-					 	
-		 	// set div class
-		 	$el.addClass('has-value');
-	
+			
+			if( $val.val() == 'other' )
+			{
+				$other.removeAttr('disabled');
+				$other.attr('name', $val.attr('name'));
+			}
+			else
+			{
+				$other.attr('disabled', 'disabled');
+				$other.attr('name', '');
+			}
 		}
-		
 	};
 	
 	
@@ -2653,27 +7547,9 @@ else if( acf.isset(_this, 'triggers', key) )
 	*  @return	N/A
 	*/
 	
-	$(document).on('click', '.acf-file-uploader [data-name="remove-button"]', function( e ){
-		
-		e.preventDefault();
-		
-		acf.fields.file.remove( $(this) );
-			
-	});
-	
-	$(document).on('click', '.acf-file-uploader [data-name="edit-button"]', function( e ){
-		
-		e.preventDefault();
-		
-		acf.fields.file.edit( $(this) );
-			
-	});
-	
-	$(document).on('click', '.acf-file-uploader [data-name="add-button"]', function( e ){
-		
-		e.preventDefault();
+	$(document).on('change', '.acf-radio-list input[type="radio"]', function( e ){
 		
-		acf.fields.file.popup( $(this) );
+		acf.fields.radio.change( $(this) );
 		
 	});
 	
@@ -2681,13 +7557,13 @@ else if( acf.isset(_this, 'triggers', key) )
 })(jQuery);
 
 /* **********************************************
-     Begin google-map.js
+     Begin relationship.js
 ********************************************** */
 
 (function($){
 	
 	/*
-	*  Location
+	*  Relationship
 	*
 	*  static model for this field
 	*
@@ -2696,381 +7572,465 @@ else if( acf.isset(_this, 'triggers', key) )
 	*
 	*/
 	
-	acf.fields.google_map = {
+	acf.fields.relationship = {
 		
 		$el : null,
+		$wrap : null,
 		$input : null,
-		
+		$filters : null,
+		$choices : null,
+		$values : null,
+				
 		o : {},
 		
-		ready : false,
-		geocoder : false,
-		map : false,
-		maps : {},
-		
 		set : function( o ){
 			
 			// merge in new option
 			$.extend( this, o );
 			
 			
-			// find input
-			this.$input = this.$el.find('.value');
+			// find elements
+			this.$wrap = this.$el.find('.acf-relationship');
+			this.$input = this.$wrap.find('.acf-hidden input');
+			this.$choices = this.$wrap.find('.choices'),
+			this.$values = this.$wrap.find('.values');
 			
 			
 			// get options
-			this.o = acf.get_data( this.$el );
-			
+			this.o = acf.get_data( this.$wrap );
 			
-			// get map
-			if( this.maps[ this.o.id ] )
-			{
-				this.map = this.maps[ this.o.id ];
-			}
 			
-				
 			// return this for chaining
 			return this;
 			
 		},
+		
 		init : function(){
 			
-			// geocode
-			if( !this.geocoder )
-			{
-				this.geocoder = new google.maps.Geocoder();
-			}
+			// reference
+			var _this = this;
 			
 			
-			// google maps is loaded and ready
-			this.ready = true;
+			// right sortable
+			this.$values.children('.list').sortable({
+				//axis					:	'y',
+				items					:	'li',
+				forceHelperSize			:	true,
+				forcePlaceholderSize	:	true,
+				scroll					:	true,
+				update					:	function(){
+					
+					_this.$input.trigger('change');
+					
+				}
+			});
 			
 			
-			// render map
-			this.render();
+			// infinite scroll
+			var $el = this.$el;
+			
+			this.$choices.children('.list').on('scroll', function(){
+				
+				// load the next page when near the bottom
+				if( $(this).scrollTop() + $(this).innerHeight() >= this.scrollHeight - 20 )
+				{
+					acf.fields.relationship.set({ $el : $el }).fetch_more();
+				}
+				
+			});
+			
+			
+			// ajax fetch values for left side
+			this.fetch();
 					
 		},
-		render : function(){
+		
+		fetch : function( paged ){
 			
 			// reference
-			var _this	= this,
-				_$el	= this.$el;
+			var _this = this,
+				$el = this.$el;
 			
 			
 			// vars
-			var args = {
-        		zoom		: parseInt(this.o.zoom),
-        		center		: new google.maps.LatLng(this.o.lat, this.o.lng),
-        		mapTypeId	: google.maps.MapTypeId.ROADMAP
-        	};
+			paged = paged || 1;
 			
-			// create map	        	
-        	this.map = new google.maps.Map( this.$el.find('.canvas')[0], args);
-	        
-	        
-	        // add search
-			var autocomplete = new google.maps.places.Autocomplete( this.$el.find('.search')[0] );
-			autocomplete.map = this.map;
-			autocomplete.bindTo('bounds', this.map);
 			
+			// first page
+			if( paged == 1 )
+			{
+				// add loading class, stops scroll loading
+				this.$choices.children('.list').html('<p>' + acf._e('relationship', 'loading') + '...</p>');
+			}
+			else
+			{
+				this.$choices.children('.list').append('<li class="loading"><p>' + acf._e('relationship', 'loading') + '...</p></li>');
+			}
+			
+			
+			// update el data
+			this.$el.data('paged', paged).data('more', false);
 			
-			// add dummy marker
-	        this.map.marker = new google.maps.Marker({
-		        draggable	: true,
-		        raiseOnDrag	: true,
-		        map			: this.map,
-		    });
-		    
-		    
-		    // add references
-		    this.map.$el = this.$el;
-		    
-		    
-		    // value exists?
-		    var lat = this.$el.find('.input-lat').val(),
-		    	lng = this.$el.find('.input-lng').val();
-		    
-		    if( lat && lng )
-		    {
-			    this.update( lat, lng ).center();
-		    }
-		    
-		    
-			// events
-			google.maps.event.addListener(autocomplete, 'place_changed', function( e ) {
-			    
-			    // reference
-			    var $el = this.map.$el;
-
-
-			    // manually update address
-			    var address = $el.find('.search').val();
-			    $el.find('.input-address').val( address );
-			    $el.find('.title h4').text( address );
-			    
-			    
-			    // vars
-			    var place = this.getPlace();
-			    
-			    
-			    // validate
-			    if( place.geometry )
-			    {
-			    	var lat = place.geometry.location.lat(),
-						lng = place.geometry.location.lng();
-						
-						
-				    _this.set({ $el : $el }).update( lat, lng ).center();
-			    }
-			    else
-			    {
-				    // client hit enter, manulaly get the place
-				    _this.geocoder.geocode({ 'address' : address }, function( results, status ){
-				    	
-				    	// validate
-						if( status != google.maps.GeocoderStatus.OK )
-						{
-							console.log('Geocoder failed due to: ' + status);
-							return;
-						}
-						
-						if( !results[0] )
-						{
-							console.log('No results found');
-							return;
-						}
-						
-						
-						// get place
-						place = results[0];
-						
-						var lat = place.geometry.location.lat(),
-							lng = place.geometry.location.lng();
-							
-							
-					    _this.set({ $el : $el }).update( lat, lng ).center();
-					    
-					});
-			    }
-			    
-			});
-		    
-		    
-		    google.maps.event.addListener( this.map.marker, 'dragend', function(){
-		    	
-		    	// reference
-			    var $el = this.map.$el;
-			    
-			    
-		    	// vars
-				var position = this.map.marker.getPosition(),
-					lat = position.lat(),
-			    	lng = position.lng();
-			    	
-				_this.set({ $el : $el }).update( lat, lng ).sync();
-			    
-			});
 			
+			// vars
+			var data = {
+				action		: 'acf/fields/relationship/query',
+				field_key	: this.$el.attr('data-key'),
+				nonce		: acf.get('nonce'),
+				post_id		: acf.get('post_id'),
+			};
+			
+			
+			// merge in wrap data
+			$.extend(data, this.o);
+			
+			
+			// page
+			data.paged = paged;
+			
+			
+			// abort XHR if this field is already loading AJAX data
+			if( this.$el.data('xhr') )
+			{
+				this.$el.data('xhr').abort();
+			}
 			
-			google.maps.event.addListener( this.map, 'click', function( e ) {
-				
-				// reference
-			    var $el = this.$el;
-			    
-			    
-				// vars
-				var lat = e.latLng.lat(),
-					lng = e.latLng.lng();
-				
-				
-				_this.set({ $el : $el }).update( lat, lng ).sync();
 			
+			// get results (runs the prepare_for_ajax filter)
+		    var xhr = acf.request({
+		    	url			: acf.get('ajaxurl'),
+				dataType	: 'json',
+				type		: 'get',
+				cache		: true,
+				data		: data,
+				success			:	function( json ){
+					
+					// render
+					_this.set({ $el : $el }).render( json, paged );
+					
+				},
+				complete	: function(){
+					
+					if( $el.data('xhr') === xhr )
+					{
+						$el.removeData('xhr');
+					}
+					
+				}
 			});
-
 			
 			
-	        // add to maps
-	        this.maps[ this.o.id ] = this.map;
-	        
-	        
+			// update el data
+			this.$el.data('xhr', xhr);
+			
 		},
 		
-		update : function( lat, lng ){
-			
-			// vars
-			var latlng = new google.maps.LatLng( lat, lng );
-		    
-		    
-		    // update inputs
-			this.$el.find('.input-lat').val( lat );
-			this.$el.find('.input-lng').val( lng ).trigger('change');
+		fetch_more : function(){
 			
+			// bail early if loading or no more results
+			if( this.$el.data('xhr') || !this.$el.data('more') )
+			{
+				return;
+			}
 			
-		    // update marker
-		    this.map.marker.setPosition( latlng );
-		    
-		    
-			// show marker
-			this.map.marker.setVisible( true );
-		    
-		    
-	        // update class
-	        this.$el.addClass('active');
-	        
-	        
-	        // validation
-			this.$el.closest('.acf-field').removeClass('error');
 			
+			// fetch next page
+			this.fetch( this.$el.data('paged') + 1 );
 			
-	        // return for chaining
-	        return this;
 		},
 		
-		center : function(){
+		render : function( json, paged ){
+			
+			// reference
+			var _this = this;
+			
 			
 			// vars
-			var position = this.map.marker.getPosition(),
-				lat = this.o.lat,
-				lng = this.o.lng;
+			var $list = this.$choices.children('.list'),
+				results = ( json && json.results ) ? json.results : [],
+				total = ( json && json.total ) ? json.total : 0;
 			
 			
-			// if marker exists, center on the marker
-			if( position )
+			// update el data
+			this.$el.data('more', json && json.more ? true : false);
+			
+			
+			// remove loading
+			$list.children('.loading').remove();
+			
+			
+			// total
+			this.$choices.children('.count').text( total ? acf._n('relationship', 'total', total, { total : total }) : '' );
+			
+			
+			// no results?
+			if( ! results.length )
 			{
-				lat = position.lat();
-				lng = position.lng();
+				if( paged == 1 )
+				{
+					$list.html( '<li><p>' + acf._e('relationship', 'empty') + '</p></li>' );
+				}
+				
+				return;
 			}
 			
 			
-			var latlng = new google.maps.LatLng( lat, lng );
+			// new results
+			var $html = $('<ul>' + this.walker(results) + '</ul>');
+			
+						
+			// apply .disabled to left li's
+			this.$values.find('.acf-relationship-item').each(function(){
 				
+				var id = $(this).attr('data-id');
+				
+				$html.find('.acf-relationship-item[data-id="' + id + '"]').addClass('disabled');
+				
+			});
 			
-			// set center of map
-	        this.map.setCenter( latlng );
-		},
-		
-		sync : function(){
 			
-			// reference
-			var $el	= this.$el;
+			// underline search match
+			if( this.o.s )
+			{
+				var s = this.o.s;
+				
+				$html.find('.acf-relationship-item:contains("' + s + '")').each(function(){
+					
+					// only underline the title (not the thumbnail or status)
+					var $title = $(this).children('.title').exists() ? $(this).children('.title') : $(this),
+						html = $title.html().replace( s, '<span class="match">' + s + '</span>');
+					
+					$title.html( html );
+				});
 				
+			}
 			
-			// vars
-			var position = this.map.marker.getPosition(),
-				latlng = new google.maps.LatLng( position.lat(), position.lng() );
+			
+			// replace results
+			if( paged == 1 )
+			{
+				$list.html( $html.children() ).scrollTop( 0 );
+				return;
+			}
 			
 			
-			this.geocoder.geocode({ 'latLng' : latlng }, function( results, status ){
+			// append results (a post type may continue from the previous page)
+			$html.children('li').each(function(){
 				
-				// validate
-				if( status != google.maps.GeocoderStatus.OK )
-				{
-					console.log('Geocoder failed due to: ' + status);
-					return;
-				}
+				// vars
+				var $li = $(this),
+					label = $li.children('.acf-relationship-label').text(),
+					$ul = $list.children('li').children('.acf-relationship-label').filter(function(){
+						
+						return label && $(this).text() === label;
+						
+					}).siblings('ul');
 				
-				if( !results[0] )
+				
+				// append to existing group
+				if( $ul.exists() )
 				{
-					console.log('No results found');
+					$ul.append( $li.children('ul').children() );
 					return;
 				}
 				
 				
-				// get location
-				var location = results[0];
-				
-				
-				// update h4
-				$el.find('.title h4').text( location.formatted_address );
-
-				
-				// update input
-				$el.find('.input-address').val( location.formatted_address ).trigger('change');
+				$list.append( $li );
 				
 			});
 			
+		},
+		
+		walker : function( data ){
+			
+			// vars
+			var s = '';
+			
+			
+			// loop through data
+			if( $.isArray(data) )
+			{
+				for( var k in data )
+				{
+					s += this.walker( data[ k ] );
+				}
+			}
+			else if( $.isPlainObject(data) )
+			{
+				// optgroup
+				if( data.children !== undefined )
+				{
+					s += '<li><span class="acf-relationship-label">' + data.text + '</span><ul class="acf-bl">';
+					
+						s += this.walker( data.children );
+					
+					s += '</ul></li>';
+				}
+				else
+				{
+					s += '<li><span class="acf-relationship-item" data-id="' + data.id + '">' + data.text + '</span></li>';
+				}
+			}
+			
+			
+			return s;
+		},
+		
+		add : function( $span ){
+			
+			// max posts
+			if( this.o.max > 0 )
+			{
+				if( this.$values.find('.acf-relationship-item').length >= this.o.max )
+				{
+					acf.notice( acf._n('relationship', 'max', this.o.max, { max : this.o.max }) );
+					return false;
+				}
+			}
+			
+			
+			// can be added?
+			if( $span.hasClass('disabled') )
+			{
+				return false;
+			}
+			
+			
+			// disable
+			$span.addClass('disabled');
+			
+			
+			// template
+			var data = {
+					value	:	$span.attr('data-id'),
+					text	:	$span.html(),
+					name	:	this.$input.attr('name')
+				},
+				tmpl = _.template(acf.l10n.relationship.tmpl_li, data);
+			
+			
+	
+			// add new li
+			this.$values.children('.list').append( tmpl )
+			
+			
+			// trigger change on new_li
+			this.$input.trigger('change');
+			
+			
+			// validation
+			this.$el.removeClass('error');
+			
+		},
+		remove : function( $span ){
+			
+			// vars
+			var id = $span.attr('data-id');
+			
+			
+			// remove
+			$span.parent('li').remove();
+			
+			
+			// show
+			this.$choices.find('.acf-relationship-item[data-id="' + id + '"]').removeClass('disabled');
+			
+			
+			// trigger change on new_li
+			this.$input.trigger('change');
 			
-			// return for chaining
-	        return this;
 		},
 		
-		locate : function(){
+		validate : function( $field, value, label ){
 			
-			// reference
-			var _this	= this,
-				_$el	= this.$el;
+			// vars
+			var max = acf.get_data( $field.find('.acf-relationship').first(), 'max' );
 			
 			
-			// Try HTML5 geolocation
-			if( ! navigator.geolocation )
+			// max
+			if( max > 0 && value.length > max )
 			{
-				alert( acf.l10n.google_map.browser_support );
-				return this;
+				return acf._n('relationship', 'max', max, { max : max });
 			}
 			
 			
-			// show loading text
-			_$el.find('.title h4').text(acf.l10n.google_map.locating + '...');
-			_$el.addClass('active');
+			// return
+			return true;
 			
-		    navigator.geolocation.getCurrentPosition(function(position){
-		    	
-		    	// vars
-				var lat = position.coords.latitude,
-			    	lng = position.coords.longitude;
-			    	
-				_this.set({ $el : _$el }).update( lat, lng ).sync().center();
-				
-			});
-
-				
 		},
 		
-		clear : function(){
-			
-			// update class
-	        this.$el.removeClass('active');
+		get_value : function( $field ){
 			
+			// vars
+			var value = [];
 			
-			// clear search
-			this.$el.find('.search').val('');
 			
+			// loop over values
+			$field.find('.acf-relationship .values input[type="hidden"]').each(function(){
+				
+				value.push( parseInt( $(this).val() ) );
+				
+			});
 			
-			// clear inputs
-			this.$el.find('.input-address').val('');
-			this.$el.find('.input-lat').val('');
-			this.$el.find('.input-lng').val('');
 			
+			// return
+			return value;
 			
-			// hide marker
-			this.map.marker.setVisible( false );
 		},
 		
-		edit : function(){
+		set_value : function( $field, value ){
 			
-			// update class
-	        this.$el.removeClass('active');
+			// reference
+			var _this = this;
 			
 			
-			// clear search
-			var val = this.$el.find('.title h4').text();
+			// set
+			this.set({ $el : $field });
 			
 			
-			this.$el.find('.search').val( val ).focus();
+			// remove current values
+			this.$values.children('.list').empty();
+			this.$choices.find('.acf-relationship-item').removeClass('disabled');
 			
-		},
-		
-		refresh : function(){
 			
-			// trigger resize on div
-			google.maps.event.trigger(this.map, 'resize');
+			// add new values
+			$.each( value || [], function( i, post ){
+				
+				// vars
+				var data = $.isPlainObject(post) ? post : { id : post },
+					$span = _this.$choices.find('.acf-relationship-item[data-id="' + data.id + '"]');
+				
+				
+				// text
+				if( !data.text )
+				{
+					data.text = $span.exists() ? $span.html() : data.id;
+				}
+				
+				
+				// template
+				var tmpl = _.template(acf.l10n.relationship.tmpl_li, {
+					value	:	data.id,
+					text	:	data.text,
+					name	:	_this.$input.attr('name')
+				});
+				
+				
+				// add new li
+				_this.$values.children('.list').append( tmpl );
+				
+				
+				// disable choice
+				$span.addClass('disabled');
+				
+			});
 			
-			// center map
-			this.center();
+			
+			// trigger change
+			this.$input.trigger('change');
 			
 		}
-
-	
+		
 	};
 	
 	
@@ -3089,44 +8049,11 @@ else if( acf.isset(_this, 'triggers', key) )
 	
 	acf.add_action('ready append', function( $el ){
 		
-		//vars
-		var $fields = acf.get_fields({ type : 'google_map'}, $el);
-		
-		
-		// validate
-		if( !$fields.exists() )
-		{
-			return;
-		}
-		
-		
-		// validate google
-		if( typeof google === 'undefined' )
-		{
-			$.getScript('https://www.google.com/jsapi', function(){
-			
-			    google.load('maps', '3', { other_params: 'sensor=false&libraries=places', callback: function(){
-			    
-			        $fields.each(function(){
-					
-						acf.fields.google_map.set({ $el : $(this).find('.acf-google-map') }).init();
-						
-					});
-			        
-			    }});
-			});
+		acf.get_fields({ type : 'relationship'}, $el).each(function(){
 			
-		}
-		else
-		{
-			$fields.each(function(){
-				
-				acf.fields.google_map.set({ $el : $(this).find('.acf-google-map') }).init();
-				
-			});
+			acf.fields.relationship.set({ $el : $(this) }).init();
 			
-		}
-		
+		});
 		
 	});
 	
@@ -3143,379 +8070,476 @@ else if( acf.isset(_this, 'triggers', key) )
 	*  @return	N/A
 	*/
 	
-	$(document).on('click', '.acf-google-map .acf-sprite-remove', function( e ){
-		
-		e.preventDefault();
-		
-		acf.fields.google_map.set({ $el : $(this).closest('.acf-google-map') }).clear();
+	$(document).on('keypress', '.acf-relationship .filters [data-filter]', function( e ){
 		
-		$(this).blur();
+		// don't submit form
+		if( e.which == 13 )
+		{
+			e.preventDefault();
+		}
 		
 	});
 	
 	
-	$(document).on('click', '.acf-google-map .acf-sprite-locate', function( e ){
+	$(document).on('change keyup', '.acf-relationship .filters [data-filter]', function(e){
 		
-		e.preventDefault();
+		// vars
+		var val = $(this).val(),
+			filter = $(this).attr('data-filter'),
+			$wrap = $(this).closest('.acf-relationship');
+			$el = $wrap.closest('.acf-field');
+			
 		
-		acf.fields.google_map.set({ $el : $(this).closest('.acf-google-map') }).locate();
+		// Bail early if filter has not changed
+		if( $wrap.attr('data-' + filter) == val )
+		{
+			return;
+		}
 		
-		$(this).blur();
 		
-	});
-	
-	$(document).on('click', '.acf-google-map .title h4', function( e ){
+		// update attr
+		$wrap.attr('data-' + filter, val);
 		
-		e.preventDefault();
+	    
+	    // fetch
+	    acf.fields.relationship.set({ $el : $el }).fetch();
 		
-		acf.fields.google_map.set({ $el : $(this).closest('.acf-google-map') }).edit();
-			
 	});
+
 	
-	$(document).on('keydown', '.acf-google-map .search', function( e ){
+	$(document).on('click', '.acf-relationship .choices .acf-relationship-item', function( e ){
 		
-		// prevent form from submitting
-		if( e.which == 13 )
-		{
-		    return false;
-		}
-			
-	});
-	
-	$(document).on('blur', '.acf-google-map .search', function( e ){
+		e.preventDefault();
 		
-		// vars
-		var $el = $(this).closest('.acf-google-map');
+		acf.fields.relationship.set({ $el : $(this).closest('.acf-field') }).add( $(this) );
 		
+		$(this).blur();
 		
-		// has a value?
-		if( $el.find('.input-lat').val() )
-		{
-			$el.addClass('active');
-		}
-			
 	});
 	
-	acf.add_action('show_field', function( $field ){
+	$(document).on('click', '.acf-relationship .values .acf-icon', function( e ){
 		
-		// validate
-		if( ! acf.fields.google_map.ready )
-		{
-			return;
-		}
+		e.preventDefault();
 		
+		acf.fields.relationship.set({ $el : $(this).closest('.acf-field') }).remove( $(this).closest('.acf-relationship-item') );
 		
-		// validate
-		if( acf.is_field($field, {type : 'google_map'}) )
-		{
-			acf.fields.google_map.set({ $el : $field.find('.acf-google-map') }).refresh();
-		}
+		$(this).blur();
 		
 	});
 	
+	
+	
+	
 
 })(jQuery);
 
 /* **********************************************
-     Begin image.js
+     Begin select.js
 ********************************************** */
 
 (function($){
 	
-	acf.fields.image = {
-				
-		edit : function( $a ) {
+	acf.fields.select = {
+		
+		init : function( $select ){
+			
+			// validate $select
+			if( ! $select.exists() )
+			{
+				return false;
+			}
+			
 			
 			// vars
-			var $el = $a.closest('.acf-image-uploader'),
-				id = $el.find('[data-name="value-id"]').val();
+			var o = acf.get_data( $select );
 			
 			
-			acf.media.edit_popup({
-				title : acf._e('image', 'edit'),
-				button : acf._e('image', 'update'),
-				id : id
-			});
+			// bail early if no ui
+			if( ! o.ui )
+			{
+				return false;
+			}
 			
-		},
-		
-		remove : function( $a ) {
 			
 			// vars
-			var $el = $a.closest('.acf-image-uploader');
+			var $field = acf.get_field_wrap( $select ),
+				$input = $select.siblings('input');
 			
 			
-			// set atts
-		 	$el.find('[data-name="value-url"]').attr( 'src', '' );
-			$el.find('[data-name="value-id"]').val('').trigger('change');
+			// select2 args
+			var args = {
+				width		: '100%',
+				allowClear	: o.allow_null,
+				placeholder	: o.placeholder,
+				multiple	: o.multiple,
+				data		: []
+			};
+			
+			
+			// customize HTML for selected choices
+			if( o.multiple )
+			{
+				args.formatSelection = function( object, $div ){
+					
+					$div.parent().append('<input type="hidden" name="' + $select.attr('name') + '" value="' + object.id + '" />');
+					
+					return object.text;
+				}
+			}
 			
 			
-			// remove class
-			$el.removeClass('has-value');
+			// remove the blank option as we have a clear all button!
+			if( o.allow_null )
+			{
+				args.placeholder = o.placeholder;
+				$select.find('option[value=""]').remove();
+			}
 			
-		},
-		
-		popup : function( $a ) {
 			
 			// vars
-			var $el = $a.closest('.acf-image-uploader'),
-				library = acf.get_data( $el, 'library' ),
-				preview_size = acf.get_data( $el, 'preview_size' );
+			var selection = $input.val().split(','),
+				initial_selection = [];
+				
 			
+			// populate args.data
+			var optgroups = {};
 			
-			// popup
-			var frame = acf.media.upload_popup({
-				title		: acf._e('image', 'select'),
-				type		: 'image',
-				multiple	: ( $el.closest('.repeater').exists() ) ? 1 : 0,
-				uploadedTo	: ( library == 'uploadedTo' ) ? acf.get('post_id') : 0,
-				select		: function( attachment, i ) {
+			$select.find('option').each(function( i ){
+				
+				// var
+				var parent = '_root';
+				
+				
+				// optgroup?
+				if( $(this).parent().is('optgroup') )
+				{
+					parent = $(this).parent().attr('label');
+				}
+				
+				
+				// append to choices
+				if( ! optgroups[ parent ] )
+				{
+					optgroups[ parent ] = [];
+				}
+				
+				optgroups[ parent ].push({
+					id		: $(this).attr('value'),
+					text	: $(this).text()
+				});
+				
+			});
+			
+
+			$.each( optgroups, function( label, children ){
+				
+				if( label == '_root' )
+				{
+					$.each( children, function( i, child ){
+						
+						args.data.push( child );
+						
+					});
+				}
+				else
+				{
+					args.data.push({
+						text		: label,
+						children	: children
+					});
+				}
+							
+			});
+
+			
+			// re-order options
+			$.each( selection, function( k, value ){
+				
+				$.each( args.data, function( i, choice ){
 					
-					// select / add another image field?
-			    	if( i > 1 )
+					if( value == choice.id )
 					{
-						// vars
-						var $td			=	$el.closest('td'),
-							$tr 		=	$td.closest('.row'),
-							$repeater 	=	$tr.closest('.repeater'),
-							key 		=	$td.attr('data-field_key'),
-							selector	=	'td .acf-image-uploader:first';
+						initial_selection.push( choice );
+					}
+					
+				});
 							
+			});
+			
+			
+			// ajax
+			if( o.ajax )
+			{
+				args.ajax = {
+					url			: acf.get('ajaxurl'),
+					dataType	: 'json',
+					type		: 'get',
+					cache		: true,
+					data		: function (term, page) {
 						
-						// key only exists for repeater v1.0.1 +
-						if( key )
-						{
-							selector = 'td[data-field_key="' + key + '"] .acf-image-uploader';
-						}
+						// Alow for dynamic action becuase post_object and user fields use this JS
+						var action = 'acf/fields/' + acf.get_data($field, 'type') + '/query';
 						
 						
-						// add row?
-						if( ! $tr.next('.row').exists() )
-						{
-							$repeater.find('.add-row-end').trigger('click');
-							
-						}
+						// vars
+						var data = {
+							action		: action,
+							field_key	: acf.get_data($field, 'key'),
+							nonce		: acf.get('nonce'),
+							post_id		: acf.get('post_id'),
+							s			: term
+						};
 						
 						
-						// update current div
-						$el = $tr.next('.row').find( selector );
+						// return
+						return data;
+						
+					},
+					transport	: function( params ){
+						
+						// run the prepare_for_ajax filter before sending (appends the language)
+						return acf.request( params );
+						
+					},
+					results		: function (data, page) {
+						
+						// vars
+						return {
+							results : data
+						};
 						
 					}
+				};
+				
+				args.initSelection = function (element, callback) {
 					
+					// single select requires 1 val, not an array
+					if( ! o.multiple )
+					{
+						initial_selection = initial_selection[0];
+					}
 					
-			    	// vars
-			    	var image_id = attachment.id,
-			    		image_url = attachment.attributes.url;
-			    	
-					
-			    	// is preview size available?
-			    	if( attachment.attributes.sizes && attachment.attributes.sizes[ preview_size ] )
-			    	{
-				    	image_url = attachment.attributes.sizes[ preview_size ].url;
-			    	}
-			    	
-			    	
-			    	// add image to field
-			        acf.fields.image.add( $el, image_id, image_url );
-					
-				}
-			});
+						        
+			        // callback
+			        callback( initial_selection );
+			        
+			    };
+			}
 			
 			
-		},
-		
-		add : function( $el, id, url ){
+			// filter for 3rd party customization
+			args = acf.apply_filters( 'select2_args', args, $field );
+			
+			
+			// add select2
+			$input.select2( args );
+
+			
+			// reoreder DOM
+			$input.select2('container').before( $input );
+			
+			
+			// clear input value (allow nothing to be saved)
+			$input.val('');
+			
+			
+			// sortable?
+			if( o.multiple )
+			{
+				$input.select2('container').find('ul.select2-choices').sortable({
+					 //containment: 'parent',
+					 start: function() {
+					 	$input.select2("onSortStart");
+					 },
+					 update: function() {
+					 	$input.select2("onSortEnd");
+					 }
+				});
+			}
 			
-			// set atts
-		 	$el.find('[data-name="value-url"]').attr( 'src', url );
-			$el.find('[data-name="value-id"]').val( id ).trigger('change');
 			
 			
-			// add class
-			$el.addClass('has-value');
-	
 		}
-		
 	};
 	
 	
 	/*
-	*  Events
+	*  acf/setup_fields
 	*
-	*  jQuery events for this field
+	*  run init function on all elements for this field
 	*
-	*  @type	function
-	*  @date	1/03/2011
+	*  @type	event
+	*  @date	20/07/13
 	*
-	*  @param	N/A
+	*  @param	{object}	e		event object
+	*  @param	{object}	el		DOM object which may contain new ACF elements
 	*  @return	N/A
 	*/
 	
-	$(document).on('click', '.acf-image-uploader [data-name="remove-button"]', function( e ){
-		
-		e.preventDefault();
+	acf.add_action('ready append', function( $el ){
 		
-		acf.fields.image.remove( $(this) );
+		acf.get_fields({ type : 'select'}, $el).each(function(){
 			
-	});
-	
-	$(document).on('click', '.acf-image-uploader [data-name="edit-button"]', function( e ){
+			acf.fields.select.init( $(this).find('select') );
+			
+		});
 		
-		e.preventDefault();
+		acf.get_fields({ type : 'user'}, $el).each(function(){
+			
+			acf.fields.select.init( $(this).find('select') );
+			
+		});
 		
-		acf.fields.image.edit( $(this) );
+		acf.get_fields({ type : 'post_object'}, $el).each(function(){
 			
-	});
-	
-	$(document).on('click', '.acf-image-uploader [data-name="add-button"]', function( e ){
+			acf.fields.select.init( $(this).find('select') );
+			
+		});
 		
-		e.preventDefault();
+		acf.get_fields({ type : 'page_link'}, $el).each(function(){
+			
+			acf.fields.select.init( $(this).find('select') );
+			
+		});
 		
-		acf.fields.image.popup( $(this) );
+		acf.get_fields({ type : 'taxonomy'}, $el).each(function(){
+			
+			acf.fields.select.init( $(this).find('select') );
+			
+		});
 		
 	});
 	
+	
 
 })(jQuery);
 
 /* **********************************************
-     Begin oembed.js
+     Begin tab.js
 ********************************************** */
 
 (function($){
-	
-	acf.fields.oembed = {
+
+	acf.fields.tab = {
 		
-		search : function( $el ){ 
+		add_group : function( $wrap ){
 			
 			// vars
-			var s = $el.find('[data-name="search-input"]').val();
+			var html = '';
 			
 			
-			// fix missing 'http://' - causes the oembed code to error and fail
-			if( s.substr(0, 4) != 'http' )
+			// generate html
+			if( $wrap.is('tbody') )
 			{
-				s = 'http://' + s;
-				$el.find('[data-name="search-input"]').val( s );
+				html = '<tr class="acf-tab-wrap"><td colspan="2"><ul class="acf-hl acf-tab-group"></ul></td></tr>';
 			}
-			
-			
-			// show loading
-			$el.addClass('is-loading');
-			
-			
-			// AJAX data
-			var ajax_data = {
-				'action'	: 'acf/fields/oembed/search',
-				'nonce'		: acf.get('nonce'),
-				's'			: s,
-				'width'		: acf.get_data($el, 'width'),
-				'height'	: acf.get_data($el, 'height')
-			};
-			
-			
-			// abort XHR if this field is already loading AJAX data
-			if( $el.data('xhr') )
+			else
 			{
-				$el.data('xhr').abort();
+				html = '<div class="acf-tab-wrap"><ul class="acf-hl acf-tab-group"></ul></div>';
 			}
 			
 			
-			// get HTML
-			var xhr = $.ajax({
-				url: acf.get('ajaxurl'),
-				data: ajax_data,
-				type: 'post',
-				dataType: 'html',
-				success: function( html ){
-					
-					$el.removeClass('is-loading');
-					
-					
-					// update from json
-					acf.fields.oembed.search_success( $el, s, html );
-					
-					
-					// no results?
-					if( !html )
-					{
-						acf.fields.oembed.search_error( $el );
-					}
-					
-				}
-			});
-			
-			
-			// update el data
-			$el.data('xhr', xhr);
+			// append html
+			acf.get_fields({ type : 'tab'}, $wrap).first().before( html );
 			
 		},
 		
-		search_success : function( $el, s, html ){
-		
-			$el.removeClass('has-error').addClass('has-value');
+		add_tab : function( $field ){
 			
-			$el.find('[data-name="value-input"]').val( s );
-			$el.find('[data-name="value-title"]').html( s );
-			$el.find('[data-name="value-embed"]').html( html );
+			// vars
+			var $wrap	= $field.parent(),
+				$tab	= $field.find('.acf-tab'),
+				
+				key		= acf.get_data( $field, 'key'),
+				label 	= $tab.text();
+				
+				
+			// create tab group if it doesnt exist
+			if( ! $wrap.children('.acf-tab-wrap').exists() )
+			{
+				this.add_group( $wrap );
+			}
+			
+			// add tab
+			$wrap.children('.acf-tab-wrap').find('.acf-tab-group').append('<li><a class="acf-tab-button" href="#" data-key="' + key + '">' + label + '</a></li>');
 			
 		},
 		
-		search_error : function( $el ){
+		toggle : function( $a ){
 			
-			// update class
-	        $el.removeClass('has-value').addClass('has-error');
+			// reference
+			var _this = this;
 			
-		},
-		
-		clear : function( $el ){
 			
-			// update class
-	        $el.removeClass('has-error has-value');
+			// vars
+			var $wrap	= $a.closest('.acf-tab-wrap').parent(),
+				key		= $a.attr('data-key');
 			
 			
-			// clear search
-			$el.find('[data-name="search-input"]').val('');
+			// classes
+			$a.parent('li').addClass('active').siblings('li').removeClass('active');
 			
 			
-			// clear inputs
-			$el.find('[data-name="value-input"]').val( '' );
-			$el.find('[data-name="value-title"]').html( '' );
-			$el.find('[data-name="value-embed"]').html( '' );
+			// hide / show
+			acf.get_fields({ type : 'tab'}, $wrap).each(function(){
+				
+				// vars
+				var $tab = $(this);
+					
+				
+				if( acf.is_field( $(this), {key : key} ) )
+				{
+					_this.show_tab_fields( $(this) );
+				}
+				else
+				{
+					_this.hide_tab_fields( $(this) );
+				}
+				
+			});
 			
 		},
 		
-		edit : function( $el ){ 
+		show_tab_fields : function( $field ) {
 			
-			// update class
-	        $el.addClass('is-editing');
-	        
-	        
-	        // set url and focus
-	        var url = $el.find('[data-name="value-title"]').text();
-	        
-	        $el.find('[data-name="search-input"]').val( url ).focus()
+			//console.log('show tab fields %o', $field);
+			$field.nextUntil('.acf-field[data-type="tab"]').each(function(){
+				
+				$(this).removeClass('hidden-by-tab');
+				acf.do_action('show_field', $(this));
+				
+			});
+		},
+		
+		hide_tab_fields : function( $field ) {
 			
+			$field.nextUntil('.acf-field[data-type="tab"]').each(function(){
+				
+				$(this).addClass('hidden-by-tab');
+				acf.do_action('hide_field', $(this));
+				
+			});
 		},
 		
-		blur : function( $el ){ 
+		refresh : function( $el ){
 			
-			$el.removeClass('is-editing');
+			// reference
+			var _this = this;
 			
 			
-	        // set url and focus
-	        var old_url = $el.find('[data-name="value-title"]').text(),
-	        	new_url = $el.find('[data-name="search-input"]').val(),
-	        	embed = $el.find('[data-name="value-embed"]').html();
-	        
-	        
-	        // detect change
-	        if( new_url != old_url )
-	        {
-		        this.search( $el );
-	        }
-	        			
+			// trigger
+			$el.find('.acf-tab-group').each(function(){
+				
+				$(this).find('.acf-tab-button:first').each(function(){
+					
+					_this.toggle( $(this) );
+					
+				});
+				
+			});
+			
 		}
+		
 	};
 	
 	
@@ -3532,14 +8556,13 @@ else if( acf.isset(_this, 'triggers', key) )
 	*  @return	N/A
 	*/
 	
-	/*
-acf.add_action('ready append', function( $el ){
+	acf.add_action('ready append', function( $el ){
 		
 		
 		// add tabs
-		acf.get_fields({ type : 'oembed'}, $el).each(function(){
+		acf.get_fields({ type : 'tab'}, $el).each(function(){
 			
-			acf.fields.oembed.add_oembed( $(this) );
+			acf.fields.tab.add_tab( $(this) );
 			
 		});
 		
@@ -3548,9 +8571,10 @@ acf.add_action('ready append', function( $el ){
 		acf.fields.tab.refresh( $el );
 		
 	});
-*/
 	
 	
+		
+	
 	/*
 	*  Events
 	*
@@ -3563,1161 +8587,1437 @@ acf.add_action('ready append', function( $el ){
 	*  @return	N/A
 	*/
 	
-	$(document).on('click', '.acf-oembed [data-name="search-button"]', function( e ){
+	$(document).on('click', '.acf-tab-button', function( e ){
 		
 		e.preventDefault();
 		
-		acf.fields.oembed.search( $(this).closest('.acf-oembed') );
+		acf.fields.tab.toggle( $(this) );
 		
-		$(this).blur();
+		$(this).trigger('blur');
+			
+	});
+	
+	
+	acf.add_action('hide_field', function( $field ){
+		
+		// validate
+		if( ! acf.is_field($field, {type : 'tab'}) )
+		{
+			return;
+		}
+		
+		
+		// vars
+		var $tab = $field.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($field, 'key') + '"]');
+		
+		
+		// if tab is already hidden, then ignore the following functiolnality
+		if( $tab.is(':hidden') )
+		{
+			return;
+		}
+		
+		
+		// visibility
+		$tab.parent().hide();
+		
+		
+		if( $tab.parent().siblings(':visible').exists() )
+		{
+			// if the $target to be hidden is a tab button, lets toggle a sibling tab button
+			$tab.parent().siblings(':visible').first().children('a').trigger('click');
+		}
+		else
+		{
+			// no onther tabs
+			acf.fields.tab.hide_tab_fields( $field );
+		}
 		
 	});
 	
-	$(document).on('click', '.acf-oembed [data-name="clear-button"]', function( e ){
+	
+	acf.add_action('show_field', function( $field ){
+		
+		// validate
+		if( ! acf.is_field($field, {type : 'tab'}) )
+		{
+			return;
+		}
+		
+		
+		// vars
+		var $tab = $field.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($field, 'key') + '"]');
+		
 		
-		e.preventDefault();
+		// if tab is already visible, then ignore the following functiolnality
+		if( $tab.is(':visible') )
+		{
+			return;
+		}
 		
-		acf.fields.oembed.clear( $(this).closest('.acf-oembed') );
 		
-		$(this).blur();
+		// visibility
+		$tab.parent().show();
 		
-	});
-	
-	$(document).on('click', '.acf-oembed [data-name="value-title"]', function( e ){
 		
-		e.preventDefault();
+		// if this is the active tab
+		if( $tab.parent().hasClass('active') )
+		{
+			$tab.trigger('click');
+			return;
+		}
 		
-		acf.fields.oembed.edit( $(this).closest('.acf-oembed') );
-			
-	});
-	
-	$(document).on('keypress', '.acf-oembed [data-name="search-input"]', function( e ){
 		
-		// don't submit form
-		if( e.which == 13 )
+		// if the sibling active tab is actually hidden by conditional logic, take ownership of tabs
+		if( $tab.parent().siblings('.active').hasClass('acf-conditional_logic-hide') )
 		{
-			e.preventDefault();
+			// show this tab group
+			$tab.trigger('click');
+			return;
 		}
 		
+
 	});
 	
 	
-	$(document).on('keyup', '.acf-oembed [data-name="search-input"]', function(e){
+	acf.add_action('reveal_field', function( $field ){
 		
-		acf.fields.oembed.search( $(this).closest('.acf-oembed') );
+		// show each tab containing this field (including tabs of parent fields)
+		$field.parents('.acf-field').addBack().filter('.hidden-by-tab').each(function(){
+			
+			var $tab = $(this).prevAll('.acf-field[data-type="tab"]:first');
+			
+			$tab.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($tab, 'key') + '"]').trigger('click');
+			
+		});
 		
 	});
 	
-	$(document).on('blur', '.acf-oembed [data-name="search-input"]', function(e){
-		
-		acf.fields.oembed.blur( $(this).closest('.acf-oembed') );
+	
+	acf.add_filter('validation_complete', function( json, $form ){
 		
-	});
+		// show field error messages
+		$.each( json.errors || [], function( k, item ){
 		
-	
-
-})(jQuery);
-
-/* **********************************************
-     Begin post_object.js
-********************************************** */
-
-
-
-/* **********************************************
-     Begin radio.js
-********************************************** */
-
-(function($){
-	
-	/*
-	*  Radio
-	*
-	*  static model and events for this field
-	*
-	*  @type	event
-	*  @date	1/06/13
-	*
-	*/
-	
-	acf.fields.radio = {
-	
-		change : function( $radio ){
-			
-			// vars
-			var $ul = $radio.closest('ul'),
-				$val = $ul.find('input[type="radio"]:checked'),
-				$other = $ul.find('input[type="text"]');
+			var $input = $form.find('[name="' + item.input + '"]').first(),
+				$field = acf.get_field_wrap( $input ),
+				$tab = $field.prevAll('.acf-field[data-type="tab"]:first');
 			
 			
-			if( $val.val() == 'other' )
+			// does tab group exist?
+			if( ! $tab.exists() )
 			{
-				$other.removeAttr('disabled');
-				$other.attr('name', $val.attr('name'));
+				return;
 			}
-			else
+
+			
+			// is this field hidden
+			if( $field.hasClass('hidden-by-tab') )
 			{
-				$other.attr('disabled', 'disabled');
-				$other.attr('name', '');
+				// show this tab
+				$tab.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($tab, 'key') + '"]').trigger('click');
+				
+				// end loop
+				return false;
 			}
-		}
-	};
-	
-	
-	/*
-	*  Events
-	*
-	*  jQuery events for this field
-	*
-	*  @type	function
-	*  @date	1/03/2011
-	*
-	*  @param	N/A
-	*  @return	N/A
-	*/
-	
-	$(document).on('change', '.acf-radio-list input[type="radio"]', function( e ){
+			
+			
+			// field is within a tab group, and hte tab is already showing
+			// end loop
+			return false;
+			
+		});
 		
-		acf.fields.radio.change( $(this) );
 		
+		// return
+		return json;
+				
 	});
 	
-
-})(jQuery);
-
-/* **********************************************
-     Begin relationship.js
-********************************************** */
-
-(function($){
 	
 	/*
-	*  Relationship
+	*  wizard
 	*
-	*  static model for this field
+	*  This object will show each tab of a front end acf_form as a step with Next / Back buttons and a progress bar.
+	*  The fields of a step are validated (client side rules, then the server) before moving to the next step
 	*
-	*  @type	event
-	*  @date	1/06/13
+	*  @type	object
+	*  @date	31/03/2014
+	*  @since	5.0.0
 	*
+	*  @param	n/a
+	*  @return	n/a
 	*/
 	
-	acf.fields.relationship = {
-		
-		$el : null,
-		$wrap : null,
-		$input : null,
-		$filters : null,
-		$choices : null,
-		$values : null,
-				
-		o : {},
+	acf.wizard = {
 		
-		set : function( o ){
+		init : function( $el ){
 			
-			// merge in new option
-			$.extend( this, o );
+			// vars
+			var $tabs = $el.find('.acf-tab-wrap').first();
 			
 			
-			// find elements
-			this.$wrap = this.$el.find('.acf-relationship');
-			this.$input = this.$wrap.find('.acf-hidden input');
-			this.$choices = this.$wrap.find('.choices'),
-			this.$values = this.$wrap.find('.values');
+			// bail early if no tabs
+			if( !$tabs.exists() )
+			{
+				return;
+			}
 			
 			
-			// get options
-			this.o = acf.get_data( this.$wrap );
+			// hide tabs
+			$tabs.addClass('acf-hidden');
 			
 			
-			// return this for chaining
-			return this;
+			// add progress and buttons
+			$el.prepend('<div class="acf-wizard-progress"><div class="acf-wizard-bar"><span></span></div><p></p></div>');
+			$el.after([
+				'<div class="acf-wizard-nav">',
+					'<a href="#" class="acf-button acf-wizard-back">' + acf._e('wizard', 'back') + '</a> ',
+					'<a href="#" class="acf-button blue acf-wizard-next">' + acf._e('wizard', 'next') + '</a>',
+				'</div>'
+			].join(''));
+			
+			
+			// resume step
+			var step = this.get_draft_step( $el );
+			
+			if( step > 0 )
+			{
+				this.go( $el, step );
+			}
+			else
+			{
+				this.render( $el );
+			}
 			
 		},
 		
-		init : function(){
+		get_buttons : function( $el ){
 			
-			// reference
-			var _this = this;
+			return $el.find('.acf-tab-wrap').first().find('.acf-tab-button');
 			
+		},
+		
+		get_step : function( $el ){
 			
-			// right sortable
-			this.$values.children('.list').sortable({
-				//axis					:	'y',
-				items					:	'li',
-				forceHelperSize			:	true,
-				forcePlaceholderSize	:	true,
-				scroll					:	true,
-				update					:	function(){
-					
-					_this.$input.trigger('change');
-					
-				}
-			});
+			// vars
+			var $buttons = this.get_buttons( $el );
 			
 			
-			// ajax fetch values for left side
-			this.fetch();
-					
+			// return
+			return $buttons.index( $buttons.filter(function(){
+				
+				return $(this).parent('li').hasClass('active');
+				
+			}).first() );
+			
 		},
 		
-		fetch : function(){
+		get_step_fields : function( $el ){
 			
-			// reference
-			var _this = this,
-				$el = this.$el;
+			// vars
+			var $tabs = $el.find('.acf-tab-wrap').first();
 			
 			
-			// add loading class, stops scroll loading
-			this.$choices.children('.list').html('<p>' + acf._e('relationship', 'loading') + '...</p>');
+			// return (fields before the first tab are not part of any step)
+			return $tabs.nextAll('.acf-field').not('.hidden-by-tab, .hidden-by-conditional-logic, [data-type="tab"]');
 			
+		},
+		
+		go : function( $el, step ){
 			
 			// vars
-			var data = {
-				action		: 'acf/fields/relationship/query',
-				field_key	: this.$el.attr('data-key'),
-				nonce		: acf.get('nonce'),
-				post_id		: acf.get('post_id'),
-			};
+			var $buttons = this.get_buttons( $el );
 			
 			
-			// merge in wrap data
-			$.extend(data, this.o);
-
+			// validate
+			step = Math.max( 0, Math.min( step, $buttons.length - 1 ) );
 			
-			// abort XHR if this field is already loading AJAX data
-			if( this.$el.data('xhr') )
-			{
-				this.$el.data('xhr').abort();
-			}
 			
+			// toggle tab
+			acf.fields.tab.toggle( $buttons.eq( step ) );
 			
-			// get results
-		    var xhr = $.ajax({
-		    	url			: acf.get('ajaxurl'),
-				dataType	: 'json',
-				type		: 'get',
-				cache		: true,
-				data		: data,
-				success			:	function( json ){
-					
-					// render
-					_this.set({ $el : $el }).render( json );
-					
-				}
-			});
 			
+			// render
+			this.render( $el );
+			
+			
+			// draft
+			this.save_draft( $el );
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('wizard_step', $el, step);
+			
+		},
+		
+		render : function( $el ){
+			
+			// vars
+			var $buttons = this.get_buttons( $el ),
+				step = this.get_step( $el ),
+				total = $buttons.length,
+				$form = $el.closest('form'),
+				$nav = $el.next('.acf-wizard-nav'),
+				last = ( step == total - 1 );
+			
+			
+			// progress
+			$el.find('.acf-wizard-bar span').css('width', Math.round( ( step + 1 ) / total * 100 ) + '%');
+			$el.find('.acf-wizard-progress p').text( acf.sprintf( acf._e('wizard', 'step'), step + 1, total ) + ': ' + $buttons.eq( step ).text() );
 			
-			// update el data
-			this.$el.data('xhr', xhr);
+			
+			// buttons
+			$nav.find('.acf-wizard-back').toggleClass('acf-hidden', step == 0);
+			$nav.find('.acf-wizard-next').toggleClass('acf-hidden', last);
+			$form.find('.acf-form-submit').toggleClass('acf-hidden', !last);
 			
 		},
 		
-		render : function( json ){
+		next : function( $el ){
 			
 			// reference
 			var _this = this;
 			
 			
-			// no results?
-			if( ! json || ! json.length )
-			{
-				this.$choices.children('.list').html( '<li><p>' + acf._e('relationship', 'empty') + '</p></li>' );
-
-				return;
-			}
-			
+			// vars
+			var $fields = this.get_step_fields( $el ),
+				valid = true;
 			
-			// append new results
-			this.$choices.children('.list').html( this.walker(json) );
 			
-						
-			// apply .disabled to left li's
-			this.$values.find('.acf-relationship-item').each(function(){
+			// client side validation
+			acf.get_fields({}, $fields).each(function(){
 				
-				var id = $(this).attr('data-id');
+				var message = acf.validation.validate_field( $(this) );
 				
-				_this.$choices.find('.acf-relationship-item[data-id="' + id + '"]').addClass('disabled');
+				if( message !== true )
+				{
+					acf.validation.add_error( $(this), message );
+					valid = false;
+				}
 				
 			});
 			
 			
-			// underline search match
-			if( this.o.s )
+			// bail early if not valid
+			if( !valid )
 			{
-				var s = this.o.s;
+				acf.validation.reveal_field( $fields.filter('.' + acf.validation.error_class).first() );
+				return;
+			}
+			
+			
+			// server side validation (only this step's fields are posted)
+			this.fetch( $el, $fields ).done(function(){
 				
-				this.$choices.find('.acf-relationship-item:contains("' + s + '")').each(function(){
-					
-					var html = $(this).html().replace( s, '<span class="match">' + s + '</span>');
-					
-					$(this).html( html );
-				});
+				_this.go( $el, _this.get_step( $el ) + 1 );
 				
-			}
+			});
 			
 		},
 		
-		walker : function( data ){
+		fetch : function( $el, $fields ){
 			
 			// vars
-			var s = '';
-			
-			
-			// loop through data
-			if( $.isArray(data) )
-			{
-				for( var k in data )
-				{
-					s += this.walker( data[ k ] );
-				}
-			}
-			else if( $.isPlainObject(data) )
-			{
-				// optgroup
-				if( data.children !== undefined )
-				{
-					s += '<li><span class="acf-relationship-label">' + data.text + '</span><ul class="acf-bl">';
-					
-						s += this.walker( data.children );
-					
-					s += '</ul></li>';
-				}
-				else
-				{
-					s += '<li><span class="acf-relationship-item" data-id="' + data.id + '">' + data.text + '</span></li>';
-				}
-			}
-			
+			var $form = $el.closest('form'),
+				$nav = $el.next('.acf-wizard-nav'),
+				deferred = $.Deferred(),
+				data = $.extend( acf.serialize_form( $form.find('#acf-form-data') ), acf.serialize_form( $fields ) );
 			
-			return s;
-		},
-		
-		add : function( $span ){
 			
-			// max posts
-			if( this.o.max > 0 )
-			{
-				if( this.$values.find('.acf-relationship-item').length >= this.o.max )
-				{
-					alert( acf.l10n.relationship.max.replace('{max}', this.o.max) );
-					return false;
-				}
-			}
+			// append AJAX action
+			data.action = 'acf/validate_save_post';
 			
 			
-			// can be added?
-			if( $span.hasClass('disabled') )
-			{
-				return false;
-			}
+			// loading
+			$nav.addClass('disabled');
 			
 			
-			// disable
-			$span.addClass('disabled');
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
+				
+				$.ajax({
+					url			: acf.get('ajaxurl'),
+					data		: data,
+					type		: 'post',
+					dataType	: 'json',
+					timeout		: acf.validation.timeout,
+					success		: function( json ){
+						
+						// valid
+						if( !json || json.result == 1 )
+						{
+							deferred.resolve();
+							return;
+						}
+						
+						
+						// show field error messages
+						$.each( json.errors || [], function( k, item ){
+							
+							acf.validation.add_error( acf.get_field_wrap( $form.find('[name="' + item.input + '"]').first() ), item.message );
+							
+						});
+						
+						deferred.reject();
+						
+					},
+					error		: function(){
+						
+						// the final submit will validate again
+						deferred.resolve();
+						
+					},
+					complete	: function(){
+						
+						$nav.removeClass('disabled');
+						
+					}
+				});
+				
+			}).fail(function(){
+				
+				$nav.removeClass('disabled');
+				deferred.reject();
+				
+			});
 			
 			
-			// template
-			var data = {
-					value	:	$span.attr('data-id'),
-					text	:	$span.html(),
-					name	:	this.$input.attr('name')
-				},
-				tmpl = _.template(acf.l10n.relationship.tmpl_li, data);
+			// return
+			return deferred.promise();
 			
+		},
+		
+		get_draft_key : function( $form ){
 			
-	
-			// add new li
-			this.$values.children('.list').append( tmpl )
+			return acf.drafts.get_key( $form ).replace('acf_draft_', 'acf_wizard_');
 			
+		},
+		
+		get_draft_step : function( $el ){
 			
-			// trigger change on new_li
-			this.$input.trigger('change');
+			// bail early if disabled
+			if( !acf.get_data( $el, 'draft' ) || !acf.drafts.supported() )
+			{
+				return 0;
+			}
 			
 			
-			// validation
-			this.$el.removeClass('error');
+			// return
+			return parseInt( window.localStorage.getItem( this.get_draft_key( $el.closest('form') ) ) ) || 0;
 			
 		},
-		remove : function( $span ){
-			
-			// vars
-			var id = $span.attr('data-id');
+		
+		save_draft : function( $el ){
 			
+			// bail early if disabled
+			if( !acf.get_data( $el, 'draft' ) || !acf.drafts.supported() )
+			{
+				return;
+			}
 			
-			// remove
-			$span.parent('li').remove();
 			
+			// save values and step
+			acf.drafts.snapshot();
 			
-			// show
-			this.$choices.find('.acf-relationship-item[data-id="' + id + '"]').removeClass('disabled');
+			try
+			{
+				window.localStorage.setItem( this.get_draft_key( $el.closest('form') ), this.get_step( $el ) );
+			}
+			catch(e)
+			{
+				// quota exceeded
+			}
 			
+		},
+		
+		remove_draft : function( $form ){
 			
-			// trigger change on new_li
-			this.$input.trigger('change');
+			if( acf.drafts.supported() )
+			{
+				window.localStorage.removeItem( this.get_draft_key( $form ) );
+			}
 			
 		}
 		
 	};
 	
 	
-	/*
-	*  acf/setup_fields
-	*
-	*  run init function on all elements for this field
-	*
-	*  @type	event
-	*  @date	20/07/13
-	*
-	*  @param	{object}	e		event object
-	*  @param	{object}	el		DOM object which may contain new ACF elements
-	*  @return	N/A
-	*/
-	
-	acf.add_action('ready append', function( $el ){
+	acf.add_action('ready', function( $el ){
 		
-		acf.get_fields({ type : 'relationship'}, $el).each(function(){
+		$el.find('.acf-wizard').each(function(){
 			
-			acf.fields.relationship.set({ $el : $(this) }).init();
+			acf.wizard.init( $(this) );
 			
 		});
 		
-	});
-	
+	}, 20);
 	
-	/*
-	*  Events
-	*
-	*  jQuery events for this field
-	*
-	*  @type	function
-	*  @date	1/03/2011
-	*
-	*  @param	N/A
-	*  @return	N/A
-	*/
 	
-	$(document).on('keypress', '.acf-relationship .filters [data-filter]', function( e ){
+	acf.add_action('form_saved', function( $form ){
 		
-		// don't submit form
-		if( e.which == 13 )
-		{
-			e.preventDefault();
-		}
+		acf.wizard.remove_draft( $form );
 		
 	});
 	
 	
-	$(document).on('change keyup', '.acf-relationship .filters [data-filter]', function(e){
+	acf.add_action('ready', function(){
 		
-		// vars
-		var val = $(this).val(),
-			filter = $(this).attr('data-filter'),
-			$wrap = $(this).closest('.acf-relationship');
-			$el = $wrap.closest('.acf-field');
+		// bound after acf.validation.init so that validation runs first and may prevent the form from being submitted
+		$(document).on('submit', 'form', function( e ){
 			
+			if( !e.isDefaultPrevented() && $(this).find('.acf-wizard').exists() )
+			{
+				acf.wizard.remove_draft( $(this) );
+			}
+			
+		});
 		
-		// Bail early if filter has not changed
-		if( $wrap.attr('data-' + filter) == val )
+	}, 20);
+	
+	
+	$(document).on('keydown', 'form input', function( e ){
+		
+		// bail early if not enter
+		if( e.which !== 13 || $(this).is('[type="submit"], [type="button"], [type="image"]') )
 		{
 			return;
 		}
 		
 		
-		// update attr
-		$wrap.attr('data-' + filter, val);
+		// vars
+		var $el = $(this).closest('.acf-wizard');
 		
-	    
-	    // fetch
-	    acf.fields.relationship.set({ $el : $el }).fetch();
+		if( !$el.exists() )
+		{
+			$el = $(this).closest('form').find('.acf-wizard').first();
+		}
+		
+		
+		// bail early if no wizard
+		if( !$el.exists() || !$el.next('.acf-wizard-nav').exists() )
+		{
+			return;
+		}
+		
+		
+		// enter moves to the next step until the last step
+		if( acf.wizard.get_step( $el ) < acf.wizard.get_buttons( $el ).length - 1 )
+		{
+			e.preventDefault();
+			
+			$el.next('.acf-wizard-nav').find('.acf-wizard-next').trigger('click');
+		}
 		
 	});
-
 	
-	$(document).on('click', '.acf-relationship .choices .acf-relationship-item', function( e ){
+	
+	$(document).on('click', '.acf-wizard-next', function( e ){
 		
 		e.preventDefault();
 		
-		acf.fields.relationship.set({ $el : $(this).closest('.acf-field') }).add( $(this) );
-		
-		$(this).blur();
+		if( !$(this).closest('.acf-wizard-nav').hasClass('disabled') )
+		{
+			acf.wizard.next( $(this).closest('.acf-wizard-nav').prev('.acf-wizard') );
+		}
 		
 	});
 	
-	$(document).on('click', '.acf-relationship .values .acf-icon', function( e ){
+	
+	$(document).on('click', '.acf-wizard-back', function( e ){
 		
 		e.preventDefault();
 		
-		acf.fields.relationship.set({ $el : $(this).closest('.acf-field') }).remove( $(this).closest('.acf-relationship-item') );
 		
-		$(this).blur();
+		// vars
+		var $el = $(this).closest('.acf-wizard-nav').prev('.acf-wizard');
+		
+		
+		acf.wizard.go( $el, acf.wizard.get_step( $el ) - 1 );
 		
 	});
 	
 	
-	
+	// keep the progress in sync when a tab is opened by other code (eg: the validation error summary)
+	$(document).on('click', '.acf-wizard .acf-tab-button', function(){
+		
+		acf.wizard.render( $(this).closest('.acf-wizard') );
+		
+	});
 	
 
 })(jQuery);
 
 /* **********************************************
-     Begin select.js
+     Begin validation.js
 ********************************************** */
 
 (function($){
-	
-	acf.fields.select = {
+        
+	acf.validation = {
+		
+		// vars
+		active	: 1,
+		ignore	: 0,
+		live	: 1,	// validate each field as it is left
+		delay	: 500,	// debounce (ms) for the live AJAX request
+		timeout	: 30000,	// AJAX request timeout (ms)
+		retries	: 1,	// number of times a failed request is repeated
+		busy	: 0,	// a validation request is in flight
+		
+		
+		// classes
+		error_class : 'acf-error',
+		message_class : 'acf-error-message',
+		warning_class : 'acf-warning',
+		warning_message_class : 'acf-warning-message',
+		
+		
+		// el
+		$trigger : null,
 		
-		init : function( $select ){
+		
+		// functions
+		init : function(){
 			
-			// validate $select
-			if( ! $select.exists() )
+			// bail early if disabled
+			if( this.active == 0 )
 			{
-				return false;
+				return;
 			}
 			
 			
-			// vars
-			var o = acf.get_data( $select );
+			// add events
+			this.add_events();
+		},
+		
+		add_error : function( $field, message ){
+			
+			// add class
+			$field.addClass(this.error_class);
 			
 			
-			// bail early if no ui
-			if( ! o.ui )
+			// add message
+			if( message !== undefined )
 			{
-				return false;
+				$field.children('.acf-input').children('.' + this.message_class).remove();
+				$field.children('.acf-input').prepend('<div class="' + this.message_class + '"><p>' + message + '</p></div>');
 			}
 			
 			
-			// vars
-			var $field = acf.get_field_wrap( $select ),
-				$input = $select.siblings('input');
+			// hook for 3rd party customization
+			acf.do_action('add_field_error', $field);
+		},
+		
+		remove_error : function( $field ){
 			
+			// var
+			$message = $field.children('.acf-input').children('.' + this.message_class);
 			
-			// select2 args
-			var args = {
-				width		: '100%',
-				allowClear	: o.allow_null,
-				placeholder	: o.placeholder,
-				multiple	: o.multiple,
-				data		: []
-			};
+			
+			// remove class
+			$field.removeClass(this.error_class);
 			
 			
-			// customize HTML for selected choices
-			if( o.multiple )
-			{
-				args.formatSelection = function( object, $div ){
-					
-					$div.parent().append('<input type="hidden" name="' + $select.attr('name') + '" value="' + object.id + '" />');
-					
-					return object.text;
-				}
-			}
+			// remove message
+			setTimeout(function(){
+				
+				acf.remove_el( $message );
+				
+			}, 250);
 			
 			
-			// remove the blank option as we have a clear all button!
-			if( o.allow_null )
-			{
-				args.placeholder = o.placeholder;
-				$select.find('option[value=""]').remove();
-			}
+			// hook for 3rd party customization
+			acf.do_action('remove_field_error', $field);
+		},
+		
+		/*
+		*  validate_form
+		*
+		*  This function will run the client side rules for all fields within a form and render any errors.
+		*  Server side validation is still run afterwards and remains the final authority
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @return	(boolean)
+		*/
+		
+		validate_form : function( $form ){
+			
+			// reference
+			var _this = this;
 			
 			
 			// vars
-			var selection = $input.val().split(','),
-				initial_selection = [];
-				
+			var errors = [];
 			
-			// populate args.data
-			var optgroups = {};
 			
-			$select.find('option').each(function( i ){
-				
-				// var
-				var parent = '_root';
-				
-				
-				// optgroup?
-				if( $(this).parent().is('optgroup') )
-				{
-					parent = $(this).parent().attr('label');
-				}
-				
+			// loop over fields
+			acf.get_fields({}, $form).each(function(){
 				
-				// append to choices
-				if( ! optgroups[ parent ] )
-				{
-					optgroups[ parent ] = [];
-				}
-				
-				optgroups[ parent ].push({
-					id		: $(this).attr('value'),
-					text	: $(this).text()
-				});
+				// vars
+				var $field = $(this),
+					message = _this.validate_field( $field );
 				
-			});
-			
-
-			$.each( optgroups, function( label, children ){
 				
-				if( label == '_root' )
-				{
-					$.each( children, function( i, child ){
-						
-						args.data.push( child );
-						
-					});
-				}
-				else
+				// add error
+				if( message !== true )
 				{
-					args.data.push({
-						text		: label,
-						children	: children
+					errors.push({
+						$field	: $field,
+						message	: message
 					});
 				}
-							
-			});
-
-			
-			// re-order options
-			$.each( selection, function( k, value ){
 				
-				$.each( args.data, function( i, choice ){
-					
-					if( value == choice.id )
-					{
-						initial_selection.push( choice );
-					}
-					
-				});
-							
 			});
 			
 			
-			// ajax
-			if( o.ajax )
-			{
-				args.ajax = {
-					url			: acf.get('ajaxurl'),
-					dataType	: 'json',
-					type		: 'get',
-					cache		: true,
-					data		: function (term, page) {
-						
-						// Alow for dynamic action becuase post_object and user fields use this JS
-						var action = 'acf/fields/' + acf.get_data($field, 'type') + '/query';
-						
-						
-						// vars
-						var data = {
-							action		: action,
-							field_key	: acf.get_data($field, 'key'),
-							nonce		: acf.get('nonce'),
-							post_id		: acf.get('post_id'),
-							s			: term
-						};
-						
-						
-						// return
-						return data;
-						
-					},
-					results		: function (data, page) {
-						
-						// vars
-						return {
-							results : data
-						};
-						
-					}
-				};
-				
-				args.initSelection = function (element, callback) {
-					
-					// single select requires 1 val, not an array
-					if( ! o.multiple )
-					{
-						initial_selection = initial_selection[0];
-					}
-					
-						        
-			        // callback
-			        callback( initial_selection );
-			        
-			    };
-			}
-			
-			
 			// filter for 3rd party customization
-			args = acf.apply_filters( 'select2_args', args, $field );
-			
-			
-			// add select2
-			$input.select2( args );
-
-			
-			// reoreder DOM
-			$input.select2('container').before( $input );
-			
-			
-			// clear input value (allow nothing to be saved)
-			$input.val('');
-			
-			
-			// sortable?
-			if( o.multiple )
-			{
-				$input.select2('container').find('ul.select2-choices').sortable({
-					 //containment: 'parent',
-					 start: function() {
-					 	$input.select2("onSortStart");
-					 },
-					 update: function() {
-					 	$input.select2("onSortEnd");
-					 }
-				});
-			}
-			
-			
-			
-		}
-	};
-	
-	
-	/*
-	*  acf/setup_fields
-	*
-	*  run init function on all elements for this field
-	*
-	*  @type	event
-	*  @date	20/07/13
-	*
-	*  @param	{object}	e		event object
-	*  @param	{object}	el		DOM object which may contain new ACF elements
-	*  @return	N/A
-	*/
-	
-	acf.add_action('ready append', function( $el ){
-		
-		acf.get_fields({ type : 'select'}, $el).each(function(){
-			
-			acf.fields.select.init( $(this).find('select') );
-			
-		});
-		
-		acf.get_fields({ type : 'user'}, $el).each(function(){
-			
-			acf.fields.select.init( $(this).find('select') );
+			errors = acf.apply_filters('validate_form', errors, $form);
 			
-		});
-		
-		acf.get_fields({ type : 'post_object'}, $el).each(function(){
 			
-			acf.fields.select.init( $(this).find('select') );
+			// bail early if valid
+			if( !errors.length )
+			{
+				return true;
+			}
 			
-		});
-		
-		acf.get_fields({ type : 'page_link'}, $el).each(function(){
 			
-			acf.fields.select.init( $(this).find('select') );
+			// render errors
+			this.render( $form, {
+				result	: 0,
+				message	: acf._e('validation', 'error'),
+				errors	: errors
+			});
 			
-		});
-		
-		acf.get_fields({ type : 'taxonomy'}, $el).each(function(){
 			
-			acf.fields.select.init( $(this).find('select') );
+			// return
+			return false;
 			
-		});
+		},
 		
-	});
-	
-	
-
-})(jQuery);
-
-/* **********************************************
-     Begin tab.js
-********************************************** */
-
-(function($){
-
-	acf.fields.tab = {
 		
-		add_group : function( $wrap ){
+		/*
+		*  validate_field
+		*
+		*  This function will run the client side rules for a single field.
+		*  Fields hidden by conditional logic are ignored as their values are not saved
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	(mixed) true or an error message
+		*/
+		
+		validate_field : function( $field ){
+			
+			// bail early if hidden
+			if( $field.closest('.hidden-by-conditional-logic, .acf-postbox.acf-hidden').exists() )
+			{
+				return true;
+			}
+			
 			
 			// vars
-			var html = '';
+			var type = acf.get_data( $field, 'type' ),
+				model = acf.fields[ type ],
+				value = acf.get_value( $field ),
+				label = this.get_label( $field ),
+				valid = true;
 			
 			
-			// generate html
-			if( $wrap.is('tbody') )
+			// required
+			if( acf.get_data( $field, 'required' ) && this.is_empty( value ) )
 			{
-				html = '<tr class="acf-tab-wrap"><td colspan="2"><ul class="acf-hl acf-tab-group"></ul></td></tr>';
+				valid = acf.sprintf( acf._e('validation', 'required'), label );
 			}
-			else
+			
+			
+			// field type rules
+			if( valid === true )
 			{
-				html = '<div class="acf-tab-wrap"><ul class="acf-hl acf-tab-group"></ul></div>';
+				if( model && typeof model.validate === 'function' )
+				{
+					valid = model.validate( $field, value, label );
+				}
+				else if( typeof this.rules[ type ] === 'function' )
+				{
+					valid = this.rules[ type ].call( this, $field, value, label );
+				}
 			}
 			
 			
-			// append html
-			acf.get_fields({ type : 'tab'}, $wrap).first().before( html );
+			// filter for 3rd party customization
+			valid = acf.apply_filters('validate_value', valid, $field, value);
 			
-		},
-		
-		add_tab : function( $field ){
 			
-			// vars
-			var $wrap	= $field.parent(),
-				$tab	= $field.find('.acf-tab'),
-				
-				key		= acf.get_data( $field, 'key'),
-				label 	= $tab.text();
-				
-				
-			// create tab group if it doesnt exist
-			if( ! $wrap.children('.acf-tab-wrap').exists() )
+			// allow valid to be a custom error message
+			if( valid === true || valid === undefined )
 			{
-				this.add_group( $wrap );
+				return true;
 			}
 			
-			// add tab
-			$wrap.children('.acf-tab-wrap').find('.acf-tab-group').append('<li><a class="acf-tab-button" href="#" data-key="' + key + '">' + label + '</a></li>');
-			
-		},
-		
-		toggle : function( $a ){
-			
-			// reference
-			var _this = this;
-			
+			if( !valid || typeof valid !== 'string' )
+			{
+				valid = acf.sprintf( acf._e('validation', 'required'), label );
+			}
 			
-			// vars
-			var $wrap	= $a.closest('.acf-tab-wrap').parent(),
-				key		= $a.attr('data-key');
 			
+			// return
+			return valid;
 			
-			// classes
-			$a.parent('li').addClass('active').siblings('li').removeClass('active');
+		},
+		
+		
+		/*
+		*  rules
+		*
+		*  Client side rules for field types without a JS model.
+		*  Each rule returns true or an error message. Field models may provide their own validate() function
+		*
+		*  @type	object
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*/
+		
+		rules : {
 			
+			email : function( $field, value, label ){
+				
+				if( value !== '' && ! /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) )
+				{
+					return acf.sprintf( acf._e('validation', 'email'), label );
+				}
+				
+				return true;
+				
+			},
 			
-			// hide / show
-			acf.get_fields({ type : 'tab'}, $wrap).each(function(){
+			number : function( $field, value, label ){
+				
+				// bail early if empty
+				if( value === '' )
+				{
+					return true;
+				}
+				
 				
 				// vars
-				var $tab = $(this);
-					
+				var $input = acf.get_inputs( $field ).first(),
+					min = parseFloat( $input.attr('min') ),
+					max = parseFloat( $input.attr('max') ),
+					step = parseFloat( $input.attr('step') ),
+					number = parseFloat( value );
 				
-				if( acf.is_field( $(this), {key : key} ) )
+				
+				// numeric
+				if( ! $.isNumeric(value) )
 				{
-					_this.show_tab_fields( $(this) );
+					return acf.sprintf( acf._e('validation', 'number'), label );
 				}
-				else
+				
+				
+				// min
+				if( !isNaN(min) && number < min )
 				{
-					_this.hide_tab_fields( $(this) );
+					return acf.sprintf( acf._e('validation', 'min'), label, min );
 				}
 				
-			});
-			
-		},
-		
-		show_tab_fields : function( $field ) {
-			
-			//console.log('show tab fields %o', $field);
-			$field.nextUntil('.acf-field[data-type="tab"]').each(function(){
 				
-				$(this).removeClass('hidden-by-tab');
-				acf.do_action('show_field', $(this));
+				// max
+				if( !isNaN(max) && number > max )
+				{
+					return acf.sprintf( acf._e('validation', 'max'), label, max );
+				}
 				
-			});
-		},
-		
-		hide_tab_fields : function( $field ) {
-			
-			$field.nextUntil('.acf-field[data-type="tab"]').each(function(){
 				
-				$(this).addClass('hidden-by-tab');
-				acf.do_action('hide_field', $(this));
+				// step (relative to min, allowing for floating point errors)
+				if( !isNaN(step) && step > 0 )
+				{
+					var steps = ( number - ( isNaN(min) ? 0 : min ) ) / step;
+					
+					if( Math.abs( steps - Math.round(steps) ) > 0.0000001 )
+					{
+						return acf.sprintf( acf._e('validation', 'step'), label, step );
+					}
+				}
 				
-			});
-		},
-		
-		refresh : function( $el ){
-			
-			// reference
-			var _this = this;
-			
-			
-			// trigger
-			$el.find('.acf-tab-group').each(function(){
 				
-				$(this).find('.acf-tab-button:first').each(function(){
-					
-					_this.toggle( $(this) );
-					
-				});
+				// return
+				return true;
 				
-			});
-			
-		}
-		
-	};
-	
-	
-	/*
-	*  acf/setup_fields
-	*
-	*  run init function on all elements for this field
-	*
-	*  @type	event
-	*  @date	20/07/13
-	*
-	*  @param	{object}	e		event object
-	*  @param	{object}	el		DOM object which may contain new ACF elements
-	*  @return	N/A
-	*/
-	
-	acf.add_action('ready append', function( $el ){
-		
-		
-		// add tabs
-		acf.get_fields({ type : 'tab'}, $el).each(function(){
-			
-			acf.fields.tab.add_tab( $(this) );
-			
-		});
-		
-		
-		// activate first tab
-		acf.fields.tab.refresh( $el );
-		
-	});
-	
-	
-		
-	
-	/*
-	*  Events
-	*
-	*  jQuery events for this field
-	*
-	*  @type	function
-	*  @date	1/03/2011
-	*
-	*  @param	N/A
-	*  @return	N/A
-	*/
-	
-	$(document).on('click', '.acf-tab-button', function( e ){
-		
-		e.preventDefault();
-		
-		acf.fields.tab.toggle( $(this) );
-		
-		$(this).trigger('blur');
+			},
 			
-	});
-	
-	
-	acf.add_action('hide_field', function( $field ){
-		
-		// validate
-		if( ! acf.is_field($field, {type : 'tab'}) )
-		{
-			return;
-		}
-		
-		
-		// vars
-		var $tab = $field.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($field, 'key') + '"]');
-		
-		
-		// if tab is already hidden, then ignore the following functiolnality
-		if( $tab.is(':hidden') )
-		{
-			return;
-		}
-		
-		
-		// visibility
-		$tab.parent().hide();
-		
-		
-		if( $tab.parent().siblings(':visible').exists() )
-		{
-			// if the $target to be hidden is a tab button, lets toggle a sibling tab button
-			$tab.parent().siblings(':visible').first().children('a').trigger('click');
-		}
-		else
-		{
-			// no onther tabs
-			acf.fields.tab.hide_tab_fields( $field );
-		}
-		
-	});
-	
-	
-	acf.add_action('show_field', function( $field ){
-		
-		// validate
-		if( ! acf.is_field($field, {type : 'tab'}) )
-		{
-			return;
-		}
+			text : function( $field, value, label ){
+				
+				// vars
+				var maxlength = parseInt( acf.get_inputs( $field ).first().attr('maxlength') );
+				
+				
+				// maxlength
+				if( maxlength > 0 && value.length > maxlength )
+				{
+					return acf.sprintf( acf._n('validation', 'maxlength', maxlength), label, maxlength );
+				}
+				
+				
+				// return
+				return true;
+				
+			}
+			
+		},
 		
 		
-		// vars
-		var $tab = $field.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($field, 'key') + '"]');
+		/*
+		*  is_empty
+		*
+		*  This function will return true if a value is empty (mimics the PHP empty() check used by the server)
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	value (mixed)
+		*  @return	(boolean)
+		*/
 		
+		is_empty : function( value ){
+			
+			if( $.isArray(value) )
+			{
+				return value.length == 0;
+			}
+			
+			if( $.isPlainObject(value) )
+			{
+				return $.isEmptyObject(value);
+			}
+			
+			return ( !value || value === '0' );
+			
+		},
 		
-		// if tab is already visible, then ignore the following functiolnality
-		if( $tab.is(':visible') )
-		{
-			return;
-		}
 		
+		/*
+		*  get_label
+		*
+		*  This function will return the field label (without the required asterisk) for use in messages
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	(string)
+		*/
 		
-		// visibility
-		$tab.parent().show();
+		get_label : function( $field ){
+			
+			// vars
+			var $label = $field.children('.acf-label').find('label').first().clone();
+			
+			
+			// table layout (label is found in the table header)
+			if( !$label.exists() )
+			{
+				$label = $field.closest('table').find('> thead th[data-key="' + acf.get_data( $field, 'key' ) + '"]').first().clone();
+				$label.find('.description').remove();
+			}
+			
+			
+			// remove required
+			$label.find('.acf-required').remove();
+			
+			
+			// return
+			return $.trim( $label.text() ) || acf.get_data( $field, 'name' ) || '';
+			
+		},
 		
+		/*
+		*  validate_live
+		*
+		*  This function will validate a field as the editor leaves it. Client side rules run immediately,
+		*  and if they pass, a debounced AJAX request will run the server side acf/validate_value filters
+		*
+		*  @type	function
+		*  @date	26/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	n/a
+		*/
+		
+		validate_live : function( $field ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var message = this.validate_field( $field );
+			
+			
+			// cancel pending request
+			clearTimeout( $field.data('validation_timeout') );
+			
+			
+			// client side error
+			if( message !== true )
+			{
+				this.add_error( $field, message );
+				return;
+			}
+			
+			
+			// remove previous error
+			if( $field.hasClass(this.error_class) )
+			{
+				this.remove_error( $field );
+			}
+			
+			
+			// server side
+			$field.data('validation_timeout', setTimeout(function(){
+				
+				_this.fetch_field( $field );
+				
+			}, this.delay));
+			
+		},
 		
-		// if this is the active tab
-		if( $tab.parent().hasClass('active') )
-		{
-			$tab.trigger('click');
-			return;
-		}
 		
+		/*
+		*  fetch_field
+		*
+		*  This function will post a single field's value to the acf/validate_field AJAX action
+		*
+		*  @type	function
+		*  @date	26/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	n/a
+		*/
 		
-		// if the sibling active tab is actually hidden by conditional logic, take ownership of tabs
-		if( $tab.parent().siblings('.active').hasClass('acf-conditional_logic-hide') )
-		{
-			// show this tab group
-			$tab.trigger('click');
-			return;
-		}
+		fetch_field : function( $field ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var path = acf.get_field_path( $field ),
+				$form = $field.closest('form');
+			
+			
+			// bail early if no inputs
+			if( !path )
+			{
+				return;
+			}
+			
+			
+			// vars
+			var input = path[0] + '[' + path.slice(1).join('][') + ']',
+				data = $.extend( acf.serialize_form( $form.find('#acf-form-data') ), acf.serialize_form( $field ) );
+			
+			
+			// append AJAX action
+			data.action = 'acf/validate_field';
+			data.key = acf.get_data( $field, 'key' );
+			data.input = input;
+			
+			
+			// abort previous request
+			if( $field.data('validation_xhr') )
+			{
+				$field.data('validation_xhr').abort();
+			}
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
+				
+				// ajax
+				$field.data('validation_xhr', $.ajax({
+					url			: acf.get('ajaxurl'),
+					data		: data,
+					type		: 'post',
+					dataType	: 'json',
+					success		: function( json ){
+						
+						_this.render_field( $field, input, json );
+						
+					}
+				}));
+				
+			});
+			
+		},
 		
-
-	});
-	
-	
-	acf.add_filter('validation_complete', function( json, $form ){
 		
-		// show field error messages
-		$.each( json.errors, function( k, item ){
+		/*
+		*  render_field
+		*
+		*  This function will show / remove errors for a field from an acf/validate_field response
+		*
+		*  @type	function
+		*  @date	26/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @param	input (string)
+		*  @param	json (object)
+		*  @return	n/a
+		*/
 		
-			var $input = $form.find('[name="' + item.input + '"]').first(),
-				$field = acf.get_field_wrap( $input ),
-				$tab = $field.prevAll('.acf-field[data-type="tab"]:first');
+		render_field : function( $field, input, json ){
 			
+			// reference
+			var _this = this;
 			
-			// does tab group exist?
-			if( ! $tab.exists() )
+			
+			// vars
+			var valid = true;
+			
+			
+			// show errors (sub fields may also return errors)
+			if( json && json.result == 0 && json.errors )
 			{
-				return;
+				$.each( json.errors, function( k, item ){
+					
+					if( item.input == input )
+					{
+						valid = false;
+						_this.add_error( $field, item.message );
+						return;
+					}
+					
+					
+					// sub field
+					var $input = $field.find('[name="' + item.input + '"]').first();
+					
+					if( $input.exists() )
+					{
+						_this.add_error( acf.get_field_wrap( $input ), item.message );
+					}
+					
+				});
 			}
-
 			
-			// is this field hidden
-			if( $field.hasClass('hidden-by-tab') )
+			
+			// remove error
+			if( valid && $field.hasClass(this.error_class) )
 			{
-				// show this tab
-				$tab.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($tab, 'key') + '"]').trigger('click');
-				
-				// end loop
-				return false;
+				this.remove_error( $field );
 			}
 			
 			
-			// field is within a tab group, and hte tab is already showing
-			// end loop
-			return false;
+			// warnings
+			this.remove_field_warning( $field );
 			
-		});
+			if( json && json.warnings )
+			{
+				$.each( json.warnings, function( k, item ){
+					
+					if( item.input == input )
+					{
+						_this.add_field_warning( $field, item.message );
+					}
+					
+				});
+			}
+			
+		},
+		
+		/*
+		*  resubmit
+		*
+		*  This function will submit the form again using the button which was originally clicked
+		*
+		*  @type	function
+		*  @date	29/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @return	n/a
+		*/
+		
+		resubmit : function( $form ){
+			
+			// attempt to find $trigger
+			if( ! this.$trigger )
+			{
+				if( $form.find('.submit input[type="submit"]').exists() )
+				{
+					this.$trigger = $form.find('.submit input[type="submit"]');
+				}
+			}
+			
+			
+			// submit form again
+			if( this.$trigger )
+			{
+				this.$trigger.click();
+			}
+			else
+			{
+				$form.submit();
+			}
+			
+		},
 		
 		
-		// return
-		return json;
+		/*
+		*  render_warnings
+		*
+		*  This function will show non-blocking warnings on their fields and in a form message
+		*  with a 'Save anyway' button
+		*
+		*  @type	function
+		*  @date	29/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	warnings (array)
+		*  @return	n/a
+		*/
+		
+		render_warnings : function( $form, warnings ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var $message = $('<div class="' + this.warning_message_class + '"><p>' + acf._e('validation', 'warnings') + '</p></div>'),
+				$summary = $('<ul class="acf-error-summary"></ul>');
+			
+			
+			// show field warning messages
+			$.each( warnings, function( k, item ){
 				
-	});
-	
-	
-
-})(jQuery);
-
-/* **********************************************
-     Begin validation.js
-********************************************** */
-
-(function($){
-        
-	acf.validation = {
+				var $field = item.$field || acf.get_field_wrap( $form.find('[name="' + item.input + '"]').first() );
+				
+				
+				// add warning
+				_this.add_field_warning( $field, item.message );
+				
+				
+				// add to summary
+				$summary.append( _this.get_summary_item( $field, item.message ) );
+				
+			});
+			
+			
+			// append
+			$message.append( $summary );
+			$message.append('<p><a href="#" class="acf-button acf-save-anyway">' + acf._e('validation', 'save_anyway') + '</a></p>');
+			$message.data('warnings', warnings);
+			
+			$form.prepend( $message );
+			
+		},
 		
-		// vars
-		active	: 1,
-		ignore	: 0,
 		
+		/*
+		*  acknowledge
+		*
+		*  This function will add warning ids to the form data. The server will not raise these warnings again
+		*
+		*  @type	function
+		*  @date	29/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	warnings (array)
+		*  @return	n/a
+		*/
 		
-		// classes
-		error_class : 'acf-error',
-		message_class : 'acf-error-message',
+		acknowledge : function( $form, warnings ){
+			
+			// vars
+			var $wrap = $form.find('#acf-form-data');
+			
+			
+			// add inputs
+			$.each( warnings, function( k, item ){
+				
+				if( item.id && !$wrap.find('input[name="_acfacknowledged[]"][value="' + item.id + '"]').exists() )
+				{
+					$wrap.append('<input type="hidden" name="_acfacknowledged[]" value="' + item.id + '" />');
+				}
+				
+			});
+			
+		},
+		
+		add_field_warning : function( $field, message ){
+			
+			// add class
+			$field.addClass(this.warning_class);
+			
+			
+			// add message
+			$field.children('.acf-input').children('.' + this.warning_message_class).remove();
+			$field.children('.acf-input').prepend('<div class="' + this.warning_message_class + '"><p>' + message + '</p></div>');
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('add_field_warning', $field);
+			
+		},
 		
+		remove_field_warning : function( $field ){
+			
+			// remove class
+			$field.removeClass(this.warning_class);
+			
+			
+			// remove message
+			$field.children('.acf-input').children('.' + this.warning_message_class).remove();
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('remove_field_warning', $field);
+			
+		},
 		
-		// el
-		$trigger : null,
 		
+		/*
+		*  get_summary_item
+		*
+		*  This function will return an error summary list item. Clicking the link will reveal the field
+		*
+		*  @type	function
+		*  @date	27/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @param	message (string)
+		*  @return	(jQuery)
+		*/
 		
-		// functions
-		init : function(){
+		get_summary_item : function( $field, message ){
+			
+			// vars
+			var $li = $('<li></li>');
 			
-			// bail early if disabled
-			if( this.active == 0 )
+			
+			// field not found
+			if( !$field.exists() )
 			{
-				return;
+				return $li.html( message );
 			}
 			
 			
-			// add events
-			this.add_events();
+			// link
+			var $a = $('<a href="#"></a>').text( this.get_path( $field ).join(' \u203a ') );
+			
+			$a.data('field', $field);
+			
+			
+			// return
+			return $li.append( $a ).append( ': ' + message );
+			
 		},
 		
-		add_error : function( $field, message ){
+		
+		/*
+		*  get_path
+		*
+		*  This function will return an array of labels leading to a field (eg: Sections, Row 3, Title)
+		*
+		*  @type	function
+		*  @date	27/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	(array)
+		*/
+		
+		get_path : function( $field ){
 			
-			// add class
-			$field.addClass(this.error_class);
+			// vars
+			var path = [];
 			
 			
-			// add message
-			if( message !== undefined )
+			// walk up through parent fields
+			while( $field.exists() )
 			{
-				$field.children('.acf-input').children('.' + this.message_class).remove();
-				$field.children('.acf-input').prepend('<div class="' + this.message_class + '"><p>' + message + '</p></div>');
+				// vars
+				var $parent = $field.parent().closest('.acf-field'),
+					$row = $field.closest('.acf-row'),
+					$layout = $field.closest('.layout');
+				
+				
+				// label
+				path.unshift( this.get_label( $field ) );
+				
+				
+				// repeater row
+				if( $row.exists() && $.contains( $parent[0] || document, $row[0] ) )
+				{
+					path.unshift( acf.sprintf( acf._e('validation', 'row'), $row.parent().children('.acf-row').not('.clone').index( $row ) + 1 ) );
+				}
+				
+				
+				// flexible content layout
+				else if( $layout.exists() && $.contains( $parent[0] || document, $layout[0] ) )
+				{
+					path.unshift( $.trim( $layout.children('.acf-fc-layout-handle').text() ).replace(/\s+/g, ' ') );
+				}
+				
+				
+				$field = $parent;
 			}
 			
 			
-			// hook for 3rd party customization
-			acf.do_action('add_field_error', $field);
+			// return
+			return path;
+			
 		},
 		
-		remove_error : function( $field ){
+		
+		/*
+		*  reveal_field
+		*
+		*  This function will reveal a field (open tabs, layouts and postboxes), scroll to it and focus it
+		*
+		*  @type	function
+		*  @date	27/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	n/a
+		*/
+		
+		reveal_field : function( $field ){
 			
-			// var
-			$message = $field.children('.acf-input').children('.' + this.message_class);
+			// open postbox
+			$field.closest('.postbox.closed').removeClass('closed');
 			
 			
-			// remove class
-			$field.removeClass(this.error_class);
+			// hook for 3rd party customization (tabs and layouts open themselves)
+			acf.do_action('reveal_field', $field);
 			
 			
-			// remove message
-			setTimeout(function(){
+			// scroll
+			$('html, body').animate({
+				scrollTop : $field.offset().top - 50
+			}, 250, function(){
 				
-				acf.remove_el( $message );
+				acf.get_inputs( $field ).not('[type="hidden"]').first().focus();
 				
-			}, 250);
-			
+			});
 			
-			// hook for 3rd party customization
-			acf.do_action('remove_field_error', $field);
 		},
 		
 		add_warning : function( $field, message ){
@@ -4744,67 +10044,212 @@ acf.add_action('ready append', function( $el ){
 			// append AJAX action		
 			data.action = 'acf/validate_save_post';
 			
+			
+			// update busy
+			this.busy = 1;
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
+				
+				_this.request( $form, data, 0 );
+				
+			}).fail(function( message ){
+				
+				_this.render( $form, _this.get_failure( message ) );
+				
+			});
+			
+		},
+		
+		
+		/*
+		*  request
+		*
+		*  This function will post the validation request. Failed requests (timeout, invalid JSON, server error)
+		*  are repeated before the failure is handled
+		*
+		*  @type	function
+		*  @date	28/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	data (object)
+		*  @param	attempt (int)
+		*  @return	n/a
+		*/
+		
+		request : function( $form, data, attempt ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var error = function( status ){
 				
+				// retry
+				if( attempt < _this.retries )
+				{
+					_this.request( $form, data, attempt + 1 );
+					return;
+				}
+				
+				_this.failed( $form, status );
+				
+			};
+			
+			
 			// ajax
 			$.ajax({
 				url			: acf.get('ajaxurl'),
 				data		: data,
 				type		: 'post',
 				dataType	: 'json',
+				timeout		: this.timeout,
 				success		: function( json ){
 					
+					// invalid response
+					if( !json || typeof json !== 'object' )
+					{
+						error( 'parsererror' );
+						return;
+					}
+					
 					_this.complete( $form, json );
 					
+				},
+				error		: function( xhr, status ){
+					
+					error( status );
+					
 				}
 			});
 			
 		},
 		
+		
+		/*
+		*  failed
+		*
+		*  This function will handle a validation request which could not be completed.
+		*  Administrators are given the choice to save without validating
+		*
+		*  @type	function
+		*  @date	28/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	status (string)
+		*  @return	n/a
+		*/
+		
+		failed : function( $form, status ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('validation_failed', $form, status);
+			
+			
+			// show message
+			this.render( $form, this.get_failure( acf._e('validation', 'failed') ) );
+			
+			
+			// save anyway
+			if( acf.get('validation_bypass') )
+			{
+				acf.confirm( acf._e('validation', 'bypass') ).done(function( save ){
+					
+					if( save )
+					{
+						_this.render( $form, { result : 1 } );
+					}
+					
+				});
+			}
+			
+		},
+		
 		complete : function( $form, json ){
 			
-			// filter for 3rd party customization
-			json = acf.apply_filters('validation_complete', json, $form);
+			// reference
+			var _this = this;
 			
 			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('validation_complete', json, $form).done(function( json ){
+				
+				_this.render( $form, json );
+				
+			}).fail(function( message ){
+				
+				_this.render( $form, _this.get_failure( message ) );
+				
+			});
+			
+		},
+		
+		get_failure : function( message ){
+			
+			return {
+				result	: 0,
+				message	: message || acf._e('validation', 'error'),
+				errors	: []
+			};
+			
+		},
+		
+		render : function( $form, json ){
+			
 			// reference
 			var _this = this;
 			
 			
+			// update busy
+			this.busy = 0;
+			
+			
 			// remove previous error message
-			$form.children('.' + this.message_class).remove();
+			$form.children('.' + this.message_class + ', .' + this.warning_message_class).remove();
+			
+			
+			// remove previous warnings
+			$form.find('.' + this.warning_class).each(function(){
+				
+				_this.remove_field_warning( $(this) );
+				
+			});
+			
+			
+			// vars
+			var warnings = ( json && json.warnings ) ? json.warnings : [];
 			
 			
 			// validate json
-			if( !json || json.result == 1)
+			if( !json || ( json.result == 1 && !warnings.length ) )
 			{
 			
 				// remove hidden postboxes (this will stop them from being posted to save)
 				$form.find('.acf-postbox:hidden').remove();
-					
-					
-				// bypass JS and submit form
-				this.ignore = 1;
 				
 				
-				// attempt to find $trigger
-				if( ! this.$trigger )
+				// save via AJAX
+				if( acf.form.is_ajax( $form ) )
 				{
-					if( $form.find('.submit input[type="submit"]').exists() )
-					{
-						this.$trigger = $form.find('.submit input[type="submit"]');
-					}
+					acf.form.submit( $form );
+					return;
 				}
+					
+					
+				// bypass JS and submit form
+				this.ignore = 1;
 				
 				
 				// submit form again
-				if( this.$trigger )
-				{
-					this.$trigger.click();
-				}
-				else
-				{
-					$form.submit();
-				}
+				this.resubmit( $form );
 				
 				
 				// end function
@@ -4822,22 +10267,49 @@ acf.add_action('ready append', function( $el ){
 			}
 			
 			
+			// show warnings
+			if( warnings.length )
+			{
+				this.render_warnings( $form, warnings );
+			}
+			
+			
+			// bail early if only warnings were found
+			if( json.result == 1 )
+			{
+				return;
+			}
+			
+			
 			// show error message	
-			$form.prepend('<div class="' + this.message_class + '"><p>' + json.message + '</p></div>');
+			var $message = $('<div class="' + this.message_class + '"><p>' + json.message + '</p></div>'),
+				$summary = $('<ul class="acf-error-summary"></ul>');
+			
+			$form.prepend( $message );
 			
 			
 			// show field error messages
-			$.each( json.errors, function( k, item ){
+			$.each( json.errors || [], function( k, item ){
 			
-				var $input = $form.find('[name="' + item.input + '"]').first(),
-					$field = acf.get_field_wrap( $input );
+				var $field = item.$field || acf.get_field_wrap( $form.find('[name="' + item.input + '"]').first() );
 				
 				
 				// add error
 				_this.add_error( $field, item.message );
 				
+				
+				// add to summary
+				$summary.append( _this.get_summary_item( $field, item.message ) );
+				
 			});
 			
+			
+			// append summary
+			if( $summary.children().exists() )
+			{
+				$message.append( $summary );
+			}
+			
 		},
 		
 		add_events : function(){
@@ -4853,6 +10325,77 @@ acf.add_action('ready append', function( $el ){
 			});
 			
 			
+			// live
+			$(document).on('focusout change', '.acf-field input, .acf-field textarea, .acf-field select', function( e ){
+				
+				// bail early if disabled
+				if( _this.active == 0 || _this.live == 0 )
+				{
+					return;
+				}
+				
+				
+				// bail early if this form does not contain ACF data
+				if( ! $(this).closest('form').find('#acf-form-data').exists() )
+				{
+					return;
+				}
+				
+				
+				// bail early if not a field value (relationship filters, map / oembed search, etc)
+				var name = $(this).attr('name') || '';
+				
+				if( name.indexOf('acf[') !== 0 || $(this).closest('.filters, .search').exists() )
+				{
+					return;
+				}
+				
+				
+				// vars
+				var $field = acf.get_field_wrap( $(this) );
+				
+				
+				// bail early if not ready (clone)
+				if( ! acf.apply_filters('is_field_ready_for_js', true, $field) )
+				{
+					return;
+				}
+				
+				
+				// validate
+				_this.validate_live( $field );
+				
+			});
+			
+			
+			// save anyway (acknowledge warnings)
+			$(document).on('click', '.acf-save-anyway', function( e ){
+				
+				e.preventDefault();
+				
+				
+				// vars
+				var $message = $(this).closest('.' + _this.warning_message_class),
+					$form = $message.closest('form');
+				
+				
+				// acknowledge and submit again (validation will run again without these warnings)
+				_this.acknowledge( $form, $message.data('warnings') );
+				_this.resubmit( $form );
+				
+			});
+			
+			
+			// summary
+			$(document).on('click', '.acf-error-summary a', function( e ){
+				
+				e.preventDefault();
+				
+				_this.reveal_field( $(this).data('field') );
+				
+			});
+			
+			
 			// click save
 			$(document).on('click', '#save-post', function(){
 				
@@ -4899,6 +10442,20 @@ acf.add_action('ready append', function( $el ){
 				e.preventDefault();
 				
 				
+				// bail early if a validation request is already in flight (double submit)
+				if( _this.busy == 1 )
+				{
+					return;
+				}
+				
+				
+				// run client side validation (blocks the AJAX request when errors are found)
+				if( ! _this.validate_form( $(this) ) )
+				{
+					return;
+				}
+				
+				
 				// run validation
 				_this.fetch( $(this) );
 								
@@ -5093,6 +10650,50 @@ acf.add_action('ready append', function( $el ){
 			// set active editor to null
 			wpActiveEditor = null;
 			
+		},
+		
+		get_value : function( $field ){
+			
+			// set
+			this.set({ $el : $field.find('.acf-wysiwyg-wrap') });
+			
+			
+			// vars
+			var editor = this.has_tinymce() ? tinyMCE.get( this.o.id ) : null;
+			
+			
+			// save editor content to textarea
+			if( editor && !editor.isHidden() )
+			{
+				editor.save();
+			}
+			
+			
+			// return
+			return this.$textarea.val();
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// set
+			this.set({ $el : $field.find('.acf-wysiwyg-wrap') });
+			
+			
+			// vars
+			var editor = this.has_tinymce() ? tinyMCE.get( this.o.id ) : null;
+			
+			
+			// update editor
+			if( editor )
+			{
+				editor.setContent( value || '' );
+			}
+			
+			
+			// update textarea
+			this.$textarea.val( value || '' ).trigger('change');
+			
 		}
 		
 	};
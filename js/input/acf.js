@@ -21,10 +21,15 @@ var acf = {
 	get					: null,
 	update				: null,
 	_e					: null,
+	_n					: null,
+	sprintf				: null,
 	get_atts			: null,
 	get_fields			: null,
 	get_uniqid			: null,
 	serialize_form		: null,
+	serialize_nested	: null,
+	confirm				: null,
+	notice				: null,
 	
 	
 	// hooks
@@ -33,12 +38,17 @@ var acf = {
 	do_action			: null,
 	add_filter			: null,
 	remove_filtern		: null,
+	add_action_once		: null,
+	add_filter_once		: null,
+	apply_filters_async	: null,
 	apply_filters		: null,
 	
 	
 	// modules
 	validation			:	null,
 	conditional_logic	:	null,
+	modal				:	null,
+	debug				:	null,
 	media				:	null,
 	
 	
@@ -106,6 +116,149 @@ var acf = {
 			
 		},
 		
+		
+		/*
+		*  _n
+		*
+		*  This function will return the correct plural form of a translated string for the given count.
+		*  Plural strings are exported as an array (one item per plural form of the current language)
+		*
+		*  @type	function
+		*  @date	24/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	context (string)
+		*  @param	string (string)
+		*  @param	count (int)
+		*  @param	args (object) optional placeholder values. {count} is added automatically
+		*  @return	(string)
+		*/
+		
+		_n : function( context, string, count, args ){
+			
+			// vars
+			var r = this._e( context, string );
+			
+			count = parseInt( count ) || 0;
+			
+			
+			// find plural form
+			if( $.isArray(r) )
+			{
+				r = r[ this.get_plural_form( count ) ] || r[ r.length - 1 ] || '';
+			}
+			
+			
+			// args
+			args = $.extend({ count : count }, args);
+			
+			
+			// return
+			return this.sprintf( r, args );
+			
+		},
+		
+		
+		/*
+		*  get_plural_form
+		*
+		*  This function will return the plural form index for a number by evaluating the Plural-Forms
+		*  expression exported in acf.l10n.plural_forms
+		*
+		*  @type	function
+		*  @date	24/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	n (int)
+		*  @return	(int)
+		*/
+		
+		get_plural_form : function( n ){
+			
+			// compile expression
+			if( typeof this.plural_form_callback !== 'function' )
+			{
+				var expression = this.l10n.plural_forms || 'n != 1';
+				
+				// only allow safe characters
+				if( ! /^[\sn0-9\(\)\?:%!=<>&|]+$/.test(expression) )
+				{
+					expression = 'n != 1';
+				}
+				
+				try
+				{
+					this.plural_form_callback = new Function( 'n', 'return Number( ' + expression + ' );' );
+				}
+				catch(e)
+				{
+					this.plural_form_callback = function( n ){ return Number( n != 1 ); };
+				}
+			}
+			
+			
+			// return
+			return this.plural_form_callback( n ) || 0;
+			
+		},
+		
+		
+		/*
+		*  sprintf
+		*
+		*  This function will replace placeholders in a string.
+		*  Named placeholders ({key}) are replaced by an object, %s / %d are replaced in order by extra arguments
+		*
+		*  @type	function
+		*  @date	24/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	string (string)
+		*  @param	args (object|mixed)
+		*  @return	(string)
+		*/
+		
+		sprintf : function( string, args ){
+			
+			// vars
+			var values = Array.prototype.slice.call( arguments, 1 );
+			
+			string = string || '';
+			
+			
+			// named placeholders
+			if( $.isPlainObject(args) )
+			{
+				values.shift();
+				
+				string = string.replace(/\{([a-z0-9_]+)\}/gi, function( match, key ){
+					
+					return ( typeof args[ key ] === 'undefined' ) ? match : args[ key ];
+					
+				});
+			}
+			
+			
+			// ordered placeholders
+			string = string.replace(/%(s|d)/g, function( match, type ){
+				
+				if( !values.length )
+				{
+					return match;
+				}
+				
+				var value = values.shift();
+				
+				return ( type == 'd' ) ? parseInt( value ) : value;
+				
+			});
+			
+			
+			// return
+			return string;
+			
+		},
+		
 		get_fields : function( args, $el, allow_filter ){
 			
 			// defaults
@@ -298,6 +451,21 @@ var acf = {
 			
 		},
 		
+		get_sub_fields : function( $el ){
+			
+			// vars
+			var $parent = $el.closest('.acf-field');
+			
+			
+			// only return fields which belong directly to $el (not to a nested field)
+			return this.get_fields({}, $el).filter(function(){
+				
+				return ( $(this).parent().closest('.acf-field')[0] === $parent[0] );
+				
+			});
+			
+		},
+		
 		get_uniqid : function( prefix, more_entropy ){
 		
 			// + original by: Kevin van Zonneveld (http://kevin.vanzonneveld.net)
@@ -347,7 +515,21 @@ var acf = {
 			
 		},
 		
-		serialize_form : function( $el ){
+		serialize_form : function( $el, args ){
+			
+			// defaults
+			args = $.extend({
+				nested	: false,	// return a nested object instead of a flat name -> value map
+				keys	: 'key'		// 'key' or 'name' (nested only)
+			}, args);
+			
+			
+			// nested
+			if( args.nested )
+			{
+				return this.serialize_nested( $el, args );
+			}
+			
 			
 			// vars
 			var data = {},
@@ -365,7 +547,7 @@ var acf = {
 				if( pair.name.slice(-2) === '[]' )
 				{
 					// remove []
-					pair.name = pair.name.replace('[]', '');
+					pair.name = pair.name.slice(0, -2);
 					
 					
 					// initiate counter
@@ -394,225 +576,474 @@ var acf = {
 			return data;
 		},
 		
-		remove_tr : function( $tr, callback ){
+		serialize_nested : function( $el, args ){
 			
-			// vars
-			var height = $tr.height(),
-				children = $tr.children().length;
+			// reference
+			var _this = this;
 			
 			
-			// add class
-			$tr.addClass('acf-remove-element');
+			// vars
+			var data = {},
+				order = {};
 			
 			
-			// after animation
-			setTimeout(function(){
-				
-				// remove class
-				$tr.removeClass('acf-remove-element');
-				
+			// populate data
+			$.each( $el.find('select, textarea, input').serializeArray(), function( i, pair ){
 				
 				// vars
-				$tr.html('<td style="padding:0; height:' + height + 'px" colspan="' + children + '"></td>');
+				var path = _this.parse_name( pair.name );
 				
 				
-				$tr.children('td').animate({ height : 0}, 250, function(){
+				// remember the DOM order of keys (object keys which look like numbers are not kept in order)
+				for( var j = 1; j < path.length; j++ )
+				{
+					var parent = path.slice(0, j).join('|');
 					
-					$tr.remove();
+					order[ parent ] = order[ parent ] || [];
 					
-					if( typeof(callback) == 'function' )
+					if( $.inArray( path[ j ], order[ parent ] ) < 0 )
 					{
-						callback();
+						order[ parent ].push( path[ j ] );
 					}
+				}
+				
+				
+				_this.set_path( data, path, pair.value );
+				
+			});
+			
+			
+			// convert rows to arrays (deepest fields first so that parent row ids are still in the path)
+			var $fields = this.get_fields({}, $el).filter(function(){
+				
+				var type = acf.get_data($(this), 'type');
+				
+				return ( type == 'repeater' || type == 'flexible_content' );
+				
+			});
+			
+			$fields = $fields.sort(function( a, b ){
+				
+				return $(b).parents('.acf-field').length - $(a).parents('.acf-field').length;
+				
+			});
+			
+			$fields.each(function(){
+				
+				// vars
+				var path = _this.get_field_path( $(this) ),
+					rows = path ? _this.get_path( data, path ) : null;
+				
+				
+				// validate
+				if( rows === null )
+				{
+					return;
+				}
+				
+				
+				// convert (in DOM order)
+				var value = [];
+				
+				if( $.isPlainObject(rows) )
+				{
+					$.each( order[ path.join('|') ] || [], function( i, id ){
+						
+						if( rows.hasOwnProperty( id ) )
+						{
+							value.push( rows[ id ] );
+						}
+						
+					});
+				}
+				
+				_this.set_path( data, path, value );
+				
+			});
+			
+			
+			// use field names instead of field keys
+			if( args.keys == 'name' )
+			{
+				var names = {};
+				
+				this.get_fields({}, $el).each(function(){
 					
+					names[ acf.get_data($(this), 'key') ] = acf.get_data($(this), 'name');
 					
 				});
 				
-					
-			}, 250);
+				data = this.rename_keys( data, names );
+			}
+			
+			
+			// return
+			return data;
 			
 		},
 		
-		remove_el : function( $el, callback, end_height ){
-			
-			// defaults
-			end_height = end_height || 0;
+		parse_name : function( name ){
 			
+			// vars
+			var i = name.indexOf('['),
+				path = [];
 			
-			// set layout
-			$el.css({
-				height		: $el.height(),
-				width		: $el.width(),
-				position	: 'absolute',
-				padding		: 0
-			});
 			
+			// no brackets
+			if( i < 1 )
+			{
+				return [ name ];
+			}
 			
-			// wrap field
-			$el.wrap( '<div class="acf-temp-wrap" style="height:' + $el.outerHeight(true) + 'px"></div>' );
 			
+			// base
+			path.push( name.substr(0, i) );
 			
-			// fade $el
-			$el.animate({ opacity : 0 }, 250);
 			
+			// segments
+			var matches = name.substr(i).match(/\[[^\]]*\]/g) || [];
 			
-			// remove
-			$el.parent('.acf-temp-wrap').animate({ height : end_height }, 250, function(){
-				
-				$(this).remove();
+			$.each(matches, function( k, match ){
 				
-				if( typeof(callback) == 'function' )
-				{
-					callback();
-				}
+				path.push( match.slice(1, -1) );
 				
 			});
 			
 			
+			// return
+			return path;
+			
 		},
 		
-		isset : function(){
-			
-			var a = arguments,
-		        l = a.length,
-		        c = null,
-		        undef;
+		set_path : function( data, path, value ){
 			
-		    if (l === 0) {
-		        throw new Error('Empty isset');
-		    }
+			// vars
+			var node = data;
 			
-			c = a[0];
 			
-		    for (i = 1; i < l; i++) {
-		    	
-		        if (a[i] === undef || c[ a[i] ] === undef) {
-		            return false;
-		        }
-		        
-		        c = c[ a[i] ];
-		        
-		    }
-		    
-		    return true;	
+			// walk path (an empty segment appends a new item, like PHP)
+			for( var i = 0; i < path.length; i++ )
+			{
+				// vars
+				var segment = path[ i ],
+					last = ( i == path.length - 1 );
+				
+				
+				// append
+				if( segment === '' )
+				{
+					if( !$.isArray(node) )
+					{
+						return;
+					}
+					
+					segment = node.length;
+				}
+				
+				
+				// set value
+				if( last )
+				{
+					node[ segment ] = value;
+					break;
+				}
+				
+				
+				// create child
+				if( typeof node[ segment ] !== 'object' || node[ segment ] === null )
+				{
+					node[ segment ] = ( path[ i + 1 ] === '' ) ? [] : {};
+				}
+				
+				node = node[ segment ];
+			}
 			
 		},
 		
-		open_popup : function( args ){
+		get_path : function( data, path ){
 			
 			// vars
-			$popup = $('body > #acf-poup');
+			var node = data;
 			
 			
-			// already exists?
-			if( $popup.exists() )
+			// walk path
+			for( var i = 0; i < path.length; i++ )
 			{
-				return update_popup(args);
+				if( node === null || typeof node !== 'object' || !node.hasOwnProperty(path[ i ]) )
+				{
+					return null;
+				}
+				
+				node = node[ path[ i ] ];
 			}
 			
 			
-			// template
-			var tmpl = [
-				'<div id="acf-popup">',
-					'<div class="acf-popup-box acf-box">',
-						'<div class="title"><h3></h3><a href="#" class="acf-icon"><i class="acf-sprite-delete "></i></a></div>',
-						'<div class="inner"></div>',
-						'<div class="loading"><i class="acf-loading"></i></div>',
-					'</div>',
-					'<div class="bg"></div>',
-				'</div>'
-			].join('');
+			// return
+			return node;
 			
+		},
+		
+		get_field_path : function( $field ){
 			
-			// append
-			$('body').append( tmpl );
+			// vars
+			var key = '[' + acf.get_data($field, 'key') + ']',
+				path = null;
 			
 			
-			$('#acf-popup .bg, #acf-popup .acf-icon').on('click', function(){
+			// find the input name prefix of this field
+			$field.find('[name]').each(function(){
+				
+				var name = $(this).attr('name'),
+					i = name.indexOf( key );
 				
-				acf.close_popup();
+				if( i > -1 )
+				{
+					path = acf.parse_name( name.substr(0, i + key.length) );
+					return false;
+				}
 				
 			});
 			
 			
-			// update
-			return this.update_popup(args);
+			// return
+			return path;
 			
 		},
 		
-		update_popup : function( args ){
+		rename_keys : function( data, names ){
 			
-			// vars
-			$popup = $('#acf-popup');
+			// reference
+			var _this = this;
 			
 			
-			// validate
-			if( !$popup.exists() )
+			// arrays
+			if( $.isArray(data) )
 			{
-				return false
+				return $.map(data, function( item ){
+					
+					return [ _this.rename_keys( item, names ) ];
+					
+				});
 			}
 			
 			
-			// defaults
-			args = $.extend({}, {
-				title	: '',
-				content : '',
-				width	: 0,
-				height	: 0,
-				loading : false
-			}, args);
-			
-			
-			if( args.width )
+			// objects
+			if( $.isPlainObject(data) )
 			{
-				$popup.find('.acf-popup-box').css({
-					'width'			: args.width,
-					'margin-left'	: 0 - (args.width / 2),
+				var r = {};
+				
+				$.each(data, function( k, v ){
+					
+					r[ names[ k ] || k ] = _this.rename_keys( v, names );
+					
 				});
+				
+				return r;
 			}
 			
-			if( args.height )
-			{
-				$popup.find('.acf-popup-box').css({
-					'height'		: args.height,
-					'margin-top'	: 0 - (args.height / 2),
-				});	
-			}
 			
-			if( args.title )
-			{
-				$popup.find('.title h3').html( args.title );
-			}
+			// return
+			return data;
 			
-			if( args.content )
-			{
-				$popup.find('.inner').html( args.content );
-			}
+		},
+		
+		remove_tr : function( $tr, callback ){
 			
-			if( args.loading )
+			// vars
+			var height = $tr.height(),
+				children = $tr.children().length;
+			
+			
+			// add class
+			$tr.addClass('acf-remove-element');
+			
+			
+			// after animation
+			setTimeout(function(){
+				
+				// remove class
+				$tr.removeClass('acf-remove-element');
+				
+				
+				// vars
+				$tr.html('<td style="padding:0; height:' + height + 'px" colspan="' + children + '"></td>');
+				
+				
+				$tr.children('td').animate({ height : 0}, 250, function(){
+					
+					$tr.remove();
+					
+					if( typeof(callback) == 'function' )
+					{
+						callback();
+					}
+					
+					
+				});
+				
+					
+			}, 250);
+			
+		},
+		
+		remove_el : function( $el, callback, end_height ){
+			
+			// defaults
+			end_height = end_height || 0;
+			
+			
+			// set layout
+			$el.css({
+				height		: $el.height(),
+				width		: $el.width(),
+				position	: 'absolute',
+				padding		: 0
+			});
+			
+			
+			// wrap field
+			$el.wrap( '<div class="acf-temp-wrap" style="height:' + $el.outerHeight(true) + 'px"></div>' );
+			
+			
+			// fade $el
+			$el.animate({ opacity : 0 }, 250);
+			
+			
+			// remove
+			$el.parent('.acf-temp-wrap').animate({ height : end_height }, 250, function(){
+				
+				$(this).remove();
+				
+				if( typeof(callback) == 'function' )
+				{
+					callback();
+				}
+				
+			});
+			
+			
+		},
+		
+		isset : function(){
+			
+			var a = arguments,
+		        l = a.length,
+		        c = null,
+		        undef;
+			
+		    if (l === 0) {
+		        throw new Error('Empty isset');
+		    }
+			
+			c = a[0];
+			
+		    for (i = 1; i < l; i++) {
+		    	
+		        if (a[i] === undef || c[ a[i] ] === undef) {
+		            return false;
+		        }
+		        
+		        c = c[ a[i] ];
+		        
+		    }
+		    
+		    return true;	
+			
+		},
+		
+		open_popup : function( args ){
+			
+			// vars
+			var modal = acf.modal.top();
+			
+			
+			// already exists?
+			if( modal )
 			{
-				$popup.find('.loading').show();
+				return this.update_popup( args );
 			}
-			else
+			
+			
+			// open
+			return acf.modal.open( args ).$el;
+			
+		},
+		
+		update_popup : function( args ){
+			
+			// vars
+			var modal = acf.modal.top();
+			
+			
+			// validate
+			if( !modal )
 			{
-				$popup.find('.loading').hide();
+				return false;
 			}
 			
-			return $popup;
+			
+			// update
+			return acf.modal.update( modal, args ).$el;
+			
 		},
 		
 		close_popup : function(){
 			
 			// vars
-			$popup = $('#acf-popup');
+			var modal = acf.modal.top();
 			
 			
-			// already exists?
-			if( $popup.exists() )
+			// close
+			if( modal )
 			{
-				$popup.remove();
+				acf.modal.close( modal );
 			}
 			
+		},
+		
+		confirm : function( message, args ){
+			
+			// defaults
+			args = $.extend({
+				title	: '',
+				yes		: acf.modal.l10n('ok'),
+				no		: acf.modal.l10n('cancel')
+			}, args);
+			
+			
+			// open (resolves with true / false)
+			return acf.modal.open({
+				title	: args.title,
+				content	: '<p>' + message + '</p>',
+				role	: 'alertdialog',
+				dismiss	: false,
+				buttons	: [
+					{ label : args.no, value : false },
+					{ label : args.yes, value : true, primary : true }
+				]
+			});
+			
+		},
+		
+		notice : function( message, args ){
+			
+			// defaults
+			args = $.extend({
+				title	: '',
+				ok		: acf.modal.l10n('ok')
+			}, args);
+			
+			
+			// open (resolves once closed)
+			return acf.modal.open({
+				title	: args.title,
+				content	: '<p>' + message + '</p>',
+				role	: 'alertdialog',
+				dismiss	: true,
+				buttons	: [
+					{ label : args.ok, value : true, primary : true }
+				]
+			});
 			
 		},
 		
@@ -629,1064 +1060,3458 @@ var acf = {
 			// return
 			return args;
 			
+		},
+		
+		prepare_for_ajax_async : function( args ) {
+			
+			// nonce
+			args.nonce = acf.get('nonce');
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			return acf.apply_filters_async('prepare_for_ajax', args);
+			
+		},
+		
+		
+		/*
+		*  request
+		*
+		*  This function will send an AJAX request once the data has been through the prepare_for_ajax filter.
+		*  The returned object can be aborted while the filter is still running
+		*
+		*  @type	function
+		*  @date	2/04/2014
+		*  @since	5.0.0
+		*
+		*  @param	args (object) $.ajax settings
+		*  @return	(object)
+		*/
+		
+		request : function( args ) {
+			
+			// vars
+			var request = {
+				xhr		: null,
+				aborted	: false,
+				abort	: function(){
+					
+					this.aborted = true;
+					
+					if( this.xhr )
+					{
+						this.xhr.abort();
+					}
+					
+				}
+			};
+			
+			
+			// filter
+			acf.prepare_for_ajax_async( args.data || {} ).done(function( data ){
+				
+				// bail early if aborted
+				if( request.aborted )
+				{
+					return;
+				}
+				
+				
+				// ajax
+				request.xhr = $.ajax( $.extend({}, args, { data : data }) );
+				
+			}).fail(function(){
+				
+				// bail early if aborted
+				if( request.aborted )
+				{
+					return;
+				}
+				
+				
+				// callbacks
+				if( args.error )
+				{
+					args.error();
+				}
+				
+				if( args.complete )
+				{
+					args.complete();
+				}
+				
+			});
+			
+			
+			// return
+			return request;
+			
 		}
 		
 	});
 	
 	
 	/*
-	*  Hooks
+	*  Values
 	*
-	*  These functions act as wrapper functions for the included event-manajer JS library
-	*  Wrapper functions will ensure that future changes to event-manager do not distrupt
-	*  any custom actions / filter code written by users
+	*  These functions will get / set the value of a field. A field type may provide its own
+	*  get_value / set_value functions within acf.fields to return a structured value,
+	*  otherwise the value is read from / written to the field's inputs
 	*
-	*  @type	functions
-	*  @date	30/11/2013
+	*  @type	function
+	*  @date	18/03/2014
 	*  @since	5.0.0
 	*
-	*  @param	n/a
+	*  @param	$field (jQuery)
 	*  @return	n/a
 	*/
 	
 	$.extend(acf, {
 		
-		add_action : function() {
+		get_value : function( $field ){
 			
-			// allow multiple action parameters such as 'ready append'
-			var actions = arguments[0].split(' ');
+			// vars
+			var type = acf.get_data( $field, 'type' ),
+				model = acf.fields[ type ],
+				value = null;
 			
-			for( k in actions )
+			
+			// get value
+			if( model && typeof model.get_value === 'function' )
 			{
-				// prefix action
-				arguments[0] = 'acf.' + actions[ k ];
-				
-				wp.hooks.addAction.apply(this, arguments);
+				value = model.get_value( $field );
+			}
+			else
+			{
+				value = this.get_input_value( $field );
 			}
 			
-			return this;
-		},
-		
-		remove_action : function() {
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+			// filter for 3rd party customization
+			value = acf.apply_filters('get_value', value, $field);
 			
-			wp.hooks.removeAction.apply(this, arguments);
 			
-			return this;
-		},
+			// return
+			return value;
+			
+		},
 		
-		do_action : function() {
+		set_value : function( $field, value ){
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+			// vars
+			var type = acf.get_data( $field, 'type' ),
+				model = acf.fields[ type ];
+			
+			
+			// filter for 3rd party customization
+			value = acf.apply_filters('set_value', value, $field);
+			
+			
+			// set value
+			if( model && typeof model.set_value === 'function' )
+			{
+				model.set_value( $field, value );
+			}
+			else
+			{
+				this.set_input_value( $field, value );
+			}
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('set_value', $field, value);
 			
-			wp.hooks.doAction.apply(this, arguments);
 			
+			// return this for chaining
 			return this;
+			
 		},
 		
-		add_filter : function() {
-			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+		get_inputs : function( $field ){
 			
-			wp.hooks.addFilter.apply(this, arguments);
+			return $field.children('.acf-input').find('input, textarea, select');
 			
-			return this;
 		},
 		
-		remove_filter : function() {
+		get_input_value : function( $field ){
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+			// vars
+			var $inputs = this.get_inputs( $field ),
+				value = '',
+				values = [],
+				multiple = $inputs.filter('[name$="[]"]').exists();
 			
-			wp.hooks.removeFilter.apply(this, arguments);
 			
-			return this;
+			// select2 holds its own value
+			var $select2 = $inputs.filter(function(){
+				
+				return $(this).data('select2') ? true : false;
+				
+			});
+			
+			if( $select2.exists() )
+			{
+				return $select2.first().select2('val');
+			}
+			
+			
+			// loop over inputs
+			$.each( $inputs.serializeArray(), function( i, pair ){
+				
+				// array
+				if( pair.name.slice(-2) === '[]' )
+				{
+					if( pair.value !== '' )
+					{
+						values.push( pair.value );
+					}
+					
+					return;
+				}
+				
+				
+				// last value wins (true_false, radio 'other')
+				value = pair.value;
+				
+			});
+			
+			
+			// return
+			return multiple ? values : value;
+			
 		},
 		
-		apply_filters : function() {
+		set_input_value : function( $field, value ){
 			
-			// prefix action
-			arguments[0] = 'acf.' + arguments[0];
+			// vars
+			var $inputs = this.get_inputs( $field ),
+				values = $.isArray(value) ? value : [ value ];
+			
+			
+			// convert values to strings for comparison
+			values = $.map(values, function( v ){
+				
+				if( v === true )
+				{
+					return '1';
+				}
+				else if( v === false || v === null )
+				{
+					return '0';
+				}
+				
+				return String( v );
+				
+			});
+			
+			
+			// select2
+			var $select2 = $inputs.filter(function(){
+				
+				return $(this).data('select2') ? true : false;
+				
+			});
+			
+			if( $select2.exists() )
+			{
+				$select2.first().select2('val', value).trigger('change');
+				
+				return;
+			}
+			
+			
+			// checkbox / radio
+			$inputs.filter('input[type="checkbox"], input[type="radio"]').each(function(){
+				
+				$(this).prop('checked', $.inArray($(this).val(), values) > -1);
+				
+			});
+			
+			
+			// select
+			$inputs.filter('select').val( $.isArray(value) ? values : values[0] );
+			
+			
+			// text, textarea
+			$inputs.filter('textarea, input:not([type="hidden"], [type="checkbox"], [type="radio"])').val( values[0] );
+			
+			
+			// trigger change
+			$inputs.last().trigger('change');
 			
-			return wp.hooks.applyFilters.apply(this, arguments);
 		}
 		
 	});
-    
-    
-    acf.add_filter('is_field_ready_for_js', function( ready, $field ){
+	
+	
+	/*
+	*  Inputs
+	*
+	*  These functions will disable / enable the inputs within an element (disabled inputs are not saved).
+	*  Each caller gives a reason and an input is only enabled once every reason has been removed. Inputs which
+	*  were already disabled (such as repeater / flexible content clone templates) are left untouched
+	*
+	*  @type	function
+	*  @date	2/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	$el (jQuery)
+	*  @param	reason (string)
+	*  @return	n/a
+	*/
+	
+	$.extend(acf, {
 		
-		// repeater sub field
-		if( $field.parents('.acf-row.clone').exists() )
-		{
-			ready = false;
+		disable_inputs : function( $el, reason ){
+			
+			$el.find('input, textarea, select').each(function(){
+				
+				// vars
+				var $input = $(this),
+					reasons = $input.data('acf_disabled');
+				
+				
+				// bail early if disabled by something else
+				if( !reasons && $input.is('[disabled]') )
+				{
+					return;
+				}
+				
+				
+				// add reason
+				reasons = reasons || {};
+				reasons[ reason ] = 1;
+				
+				$input.data('acf_disabled', reasons).attr('disabled', 'disabled');
+				
+			});
+			
+		},
+		
+		enable_inputs : function( $el, reason ){
+			
+			$el.find('input, textarea, select').each(function(){
+				
+				// vars
+				var $input = $(this),
+					reasons = $input.data('acf_disabled');
+				
+				
+				// bail early if not disabled for this reason
+				if( !reasons || !reasons[ reason ] )
+				{
+					return;
+				}
+				
+				
+				// remove reason
+				delete reasons[ reason ];
+				
+				if( $.isEmptyObject(reasons) )
+				{
+					$input.removeData('acf_disabled').removeAttr('disabled');
+				}
+				
+			});
+			
 		}
 		
+	});
+	
+	
+	/*
+	*  modal
+	*
+	*  This object will open accessible modal dialogs. Each modal is a promise which is resolved with the value
+	*  of the button used to close it (or the 'dismiss' value when closed via the Escape key, close icon or background).
+	*  Modals may be stacked, focus is kept within the top modal and returned to the previous element once closed
+	*
+	*  @type	object
+	*  @date	20/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.modal = {
 		
-		// flexible content sub field
-		if( $field.parents('.acf-flexible-content > .clones').exists() )
-		{
-			ready = false;
-		}
+		// vars
+		stack	: [],
+		z_index	: 159900,
+		focusable : 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])',
 		
 		
-		// widget
-		if( $field.parents('#available-widgets').exists() )
-		{
-			ready = false;
-		}
+		init : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// keyboard
+			$(document).on('keydown', function( e ){
+				
+				_this.keydown( e );
+				
+			});
+			
+		},
 		
+		l10n : function( string ){
+			
+			return acf._e('core', string) || acf._e(string);
+			
+		},
 		
-		// debug
-		//console.log('is_field_ready_for_js %o, %b', $field, ready);
+		top : function(){
+			
+			return this.stack.length ? this.stack[ this.stack.length - 1 ] : null;
+			
+		},
 		
+		open : function( args ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// defaults
+			args = $.extend({
+				title	: '',
+				content : '',
+				buttons	: [],
+				role	: 'dialog',
+				dismiss	: false
+			}, args);
+			
+			
+			// vars
+			var id = acf.get_uniqid('acf-modal-'),
+				deferred = $.Deferred(),
+				modal = {
+					id		: id,
+					args	: args,
+					$focus	: $( document.activeElement ),
+					$el		: null
+				};
+			
+			
+			// template
+			var $el = $([
+				'<div class="acf-modal" id="' + id + '">',
+					'<div class="acf-modal-box acf-box" role="' + args.role + '" aria-modal="true" aria-labelledby="' + id + '-title" tabindex="-1">',
+						'<div class="title"><h3 id="' + id + '-title"></h3><a href="#" class="acf-icon" data-name="close" aria-label="' + this.l10n('close') + '"><i class="acf-sprite-delete "></i></a></div>',
+						'<div class="inner"></div>',
+						'<div class="acf-modal-buttons"></div>',
+						'<div class="loading"><i class="acf-loading"></i></div>',
+					'</div>',
+					'<div class="bg"></div>',
+				'</div>'
+			].join(''));
+			
+			modal.$el = $el;
+			
+			
+			// buttons
+			$.each(args.buttons, function( i, button ){
+				
+				var $button = $('<button type="button" class="button"></button>');
+				
+				$button.text( button.label ).data('value', button.value);
+				
+				if( button.primary )
+				{
+					$button.addClass('button-primary');
+				}
+				
+				$el.find('.acf-modal-buttons').append( $button );
+				
+			});
+			
+			if( !args.buttons.length )
+			{
+				$el.find('.acf-modal-buttons').remove();
+			}
+			
+			
+			// events
+			$el.on('click', '.bg, [data-name="close"]', function( e ){
+				
+				e.preventDefault();
+				
+				_this.close( modal, args.dismiss );
+				
+			});
+			
+			$el.on('click', '.acf-modal-buttons .button', function( e ){
+				
+				e.preventDefault();
+				
+				_this.close( modal, $(this).data('value') );
+				
+			});
+			
+			
+			// stack
+			$el.css('z-index', this.z_index + this.stack.length);
+			
+			this.stack.push( modal );
+			
+			
+			// append
+			$('body').append( $el );
+			
+			
+			// make modal a promise
+			modal.deferred = deferred;
+			deferred.promise( modal );
+			
+			
+			// update
+			this.update( modal, args );
+			
+			
+			// focus
+			this.focus( modal );
+			
+			
+			// action for 3rd party customization
+			acf.do_action('open_modal', modal);
+			
+			
+			// return
+			return modal;
+			
+		},
 		
-		// return
-		return ready;
-	    
-    });
-	
-	
-	/*
-	*  Exists
+		update : function( modal, args ){
+			
+			// vars
+			var $box = modal.$el.find('.acf-modal-box');
+			
+			
+			// defaults
+			args = $.extend({}, {
+				title	: '',
+				content : '',
+				width	: 0,
+				height	: 0,
+				loading : false
+			}, args);
+			
+			
+			if( args.width )
+			{
+				$box.css({
+					'width'			: args.width,
+					'margin-left'	: 0 - (args.width / 2),
+				});
+			}
+			
+			if( args.height )
+			{
+				$box.css({
+					'height'		: args.height,
+					'margin-top'	: 0 - (args.height / 2),
+				});	
+			}
+			
+			if( args.title )
+			{
+				modal.$el.find('.title h3').html( args.title );
+			}
+			
+			if( args.content )
+			{
+				modal.$el.find('.inner').html( args.content );
+			}
+			
+			if( args.loading )
+			{
+				modal.$el.find('.loading').show();
+			}
+			else
+			{
+				modal.$el.find('.loading').hide();
+			}
+			
+			
+			// center vertically
+			if( !args.height && !modal.args.height )
+			{
+				$box.css('margin-top', 0 - ($box.outerHeight() / 2));
+			}
+			
+			
+			// return
+			return modal;
+			
+		},
+		
+		close : function( modal, value ){
+			
+			// vars
+			var i = $.inArray(modal, this.stack);
+			
+			
+			// bail early if already closed
+			if( i === -1 )
+			{
+				return;
+			}
+			
+			
+			// remove
+			this.stack.splice(i, 1);
+			
+			modal.$el.remove();
+			
+			
+			// return focus
+			if( modal.$focus.exists() && modal.$focus.closest('body').exists() )
+			{
+				modal.$focus.focus();
+			}
+			
+			
+			// action for 3rd party customization
+			acf.do_action('close_modal', modal, value);
+			
+			
+			// resolve
+			modal.deferred.resolve( value );
+			
+		},
+		
+		focus : function( modal ){
+			
+			// vars
+			var $focusable = modal.$el.find('.acf-modal-box').find( this.focusable ).filter(':visible'),
+				$primary = modal.$el.find('.acf-modal-buttons .button-primary');
+			
+			
+			// focus the primary button, the first focusable element or the box
+			if( $primary.exists() )
+			{
+				$primary.focus();
+			}
+			else if( $focusable.not('[data-name="close"]').exists() )
+			{
+				$focusable.not('[data-name="close"]').first().focus();
+			}
+			else
+			{
+				modal.$el.find('.acf-modal-box').focus();
+			}
+			
+		},
+		
+		keydown : function( e ){
+			
+			// vars
+			var modal = this.top();
+			
+			
+			// bail early if no modal is open
+			if( !modal )
+			{
+				return;
+			}
+			
+			
+			// escape
+			if( e.which == 27 )
+			{
+				e.preventDefault();
+				
+				this.close( modal, modal.args.dismiss );
+				
+				return;
+			}
+			
+			
+			// tab (keep focus within the top modal)
+			if( e.which == 9 )
+			{
+				// vars
+				var $focusable = modal.$el.find('.acf-modal-box').find( this.focusable ).filter(':visible'),
+					$first = $focusable.first(),
+					$last = $focusable.last(),
+					inside = $.contains( modal.$el[0], document.activeElement );
+				
+				
+				if( !$focusable.exists() )
+				{
+					e.preventDefault();
+				}
+				else if( !inside || (e.shiftKey && document.activeElement === $first[0]) )
+				{
+					e.preventDefault();
+					
+					( e.shiftKey ? $last : $first ).focus();
+				}
+				else if( !e.shiftKey && document.activeElement === $last[0] )
+				{
+					e.preventDefault();
+					
+					$first.focus();
+				}
+			}
+			
+		}
+		
+	};
+	
+	
+	$(document).ready(function(){
+		
+		acf.modal.init();
+		
+	});
+	
+	
+	/*
+	*  Hooks
+	*
+	*  These functions act as wrapper functions for the included event-manajer JS library
+	*  Wrapper functions will ensure that future changes to event-manager do not distrupt
+	*  any custom actions / filter code written by users
+	*
+	*  @type	functions
+	*  @date	30/11/2013
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	$.extend(acf, {
+		
+		add_action : function() {
+			
+			// allow multiple action parameters such as 'ready append'
+			var actions = arguments[0].split(' ');
+			
+			for( k in actions )
+			{
+				// prefix action
+				arguments[0] = 'acf.' + actions[ k ];
+				
+				wp.hooks.addAction.apply(this, arguments);
+			}
+			
+			return this;
+		},
+		
+		add_action_once : function( action, callback, priority ) {
+			
+			return this.add_action( action, callback, priority || 10, true );
+			
+		},
+		
+		remove_action : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.removeAction.apply(this, arguments);
+			
+			return this;
+		},
+		
+		do_action : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.doAction.apply(this, arguments);
+			
+			return this;
+		},
+		
+		add_filter : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.addFilter.apply(this, arguments);
+			
+			return this;
+		},
+		
+		remove_filter : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			wp.hooks.removeFilter.apply(this, arguments);
+			
+			return this;
+		},
+		
+		apply_filters : function() {
+			
+			// prefix action
+			arguments[0] = 'acf.' + arguments[0];
+			
+			return wp.hooks.applyFilters.apply(this, arguments);
+		},
+		
+		add_filter_once : function( filter, callback, priority ) {
+			
+			return this.add_filter( filter, callback, priority || 10, true );
+			
+		},
+		
+		apply_filters_async : function() {
+			
+			// vars
+			var args = Array.prototype.slice.call( arguments ),
+				filter = 'acf.' + args.shift(),
+				hooks = wp.hooks.getHooks('filters', filter) || [],
+				deferred = $.Deferred(),
+				i = 0;
+			
+			
+			// run each callback in order, waiting for any promise returned before running the next one
+			var next = function( value ){
+				
+				// done
+				if( i >= hooks.length )
+				{
+					deferred.resolve( value );
+					return;
+				}
+				
+				
+				// vars
+				var hook = hooks[ i++ ];
+				
+				
+				// remove one-shot callbacks
+				if( hook.once )
+				{
+					wp.hooks.removeFilter( filter, hook );
+				}
+				
+				
+				// run (a callback which throws rejects the filter)
+				var result;
+				
+				args[0] = value;
+				
+				try
+				{
+					result = hook.callback.apply(undefined, args);
+				}
+				catch(e)
+				{
+					deferred.reject();
+					return;
+				}
+				
+				$.when( result ).then( next, deferred.reject );
+				
+			};
+			
+			next( args[0] );
+			
+			
+			// return
+			return deferred.promise();
+			
+		}
+		
+	});
+	
+	
+	/*
+	*  debug
+	*
+	*  This object provides a console API to trace actions and filters. Debug mode can be enabled from the
+	*  console via acf.debug.enable() and will remain enabled (via localStorage) until acf.debug.disable()
+	*
+	*  @type	object
+	*  @date	21/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.debug = {
+		
+		key : 'acf_debug',
+		
+		init : function(){
+			
+			// enable if saved (runs before any hooks are fired)
+			if( this.get_setting() )
+			{
+				wp.hooks.debug( true );
+			}
+			
+		},
+		
+		get_setting : function(){
+			
+			try
+			{
+				return window.localStorage.getItem( this.key ) == '1';
+			}
+			catch(e)
+			{
+				return false;
+			}
+			
+		},
+		
+		update_setting : function( value ){
+			
+			try
+			{
+				if( value )
+				{
+					window.localStorage.setItem( this.key, '1' );
+				}
+				else
+				{
+					window.localStorage.removeItem( this.key );
+				}
+			}
+			catch(e)
+			{
+				// localStorage not available
+			}
+			
+		},
+		
+		enable : function( limit ){
+			
+			wp.hooks.debug( true, limit );
+			
+			this.update_setting( true );
+			
+			return this;
+			
+		},
+		
+		disable : function(){
+			
+			wp.hooks.debug( false );
+			
+			this.update_setting( false );
+			
+			return this;
+			
+		},
+		
+		clear : function(){
+			
+			wp.hooks.clearLog();
+			
+			return this;
+			
+		},
+		
+		warn : function( message ){
+			
+			// only warn in debug mode
+			if( wp.hooks.debug() && typeof console !== 'undefined' )
+			{
+				console.warn( 'ACF: ' + message );
+			}
+			
+			return this;
+			
+		},
+		
+		log : function( name ){
+			
+			// vars
+			var log = wp.hooks.getLog( name ? 'acf.' + name : false );
+			
+			
+			// only return acf hooks
+			return $.grep(log, function( entry ){
+				
+				return ( entry.hook.indexOf('acf.') === 0 );
+				
+			});
+			
+		},
+		
+		hooks : function( name ){
+			
+			// vars
+			var hook = 'acf.' + name;
+			
+			
+			// return
+			return {
+				actions	: wp.hooks.getHooks('actions', hook),
+				filters	: wp.hooks.getHooks('filters', hook)
+			};
+			
+		},
+		
+		dump : function( name ){
+			
+			// bail early if no console
+			if( typeof console === 'undefined' )
+			{
+				return this;
+			}
+			
+			
+			// vars
+			var log = this.log( name );
+			
+			
+			// warn if not enabled
+			if( !wp.hooks.debug() )
+			{
+				console.warn('ACF: debug mode is disabled. Enable it with acf.debug.enable()');
+			}
+			
+			
+			// loop
+			$.each(log, function( i, entry ){
+				
+				// vars
+				var title = entry.type.slice(0, -1) + ' "' + entry.hook.substr(4) + '" (' + entry.callbacks.length + ' callbacks, ' + entry.time.toFixed(2) + 'ms)';
+				
+				
+				if( console.groupCollapsed )
+				{
+					console.groupCollapsed( title );
+				}
+				else
+				{
+					console.log( title );
+				}
+				
+				
+				console.log( 'arguments', entry.args );
+				
+				$.each(entry.callbacks, function( j, callback ){
+					
+					console.log( 'priority ' + callback.priority + ', ' + callback.time.toFixed(2) + 'ms', callback.callback );
+					
+				});
+				
+				if( entry.type == 'filters' )
+				{
+					console.log( 'result', entry.result );
+				}
+				
+				
+				if( console.groupEnd )
+				{
+					console.groupEnd();
+				}
+				
+			});
+			
+			
+			// return
+			return this;
+			
+		}
+		
+	};
+	
+	acf.debug.init();
+    
+    
+    acf.add_filter('is_field_ready_for_js', function( ready, $field ){
+		
+		// repeater sub field
+		if( $field.parents('.acf-row.clone').exists() )
+		{
+			ready = false;
+		}
+		
+		
+		// flexible content sub field
+		if( $field.parents('.acf-flexible-content > .clones').exists() )
+		{
+			ready = false;
+		}
+		
+		
+		// widget
+		if( $field.parents('#available-widgets').exists() )
+		{
+			ready = false;
+		}
+		
+		
+		// debug
+		//console.log('is_field_ready_for_js %o, %b', $field, ready);
+		
+		
+		// return
+		return ready;
+	    
+    });
+	
+	
+	/*
+	*  Exists
+	*
+	*  @description: returns true / false		
+	*  @created: 1/03/2011
+	*/
+	
+	$.fn.exists = function()
+	{
+		return $(this).length>0;
+	};
+	
+	
+	/*
+	*  outerHTML
+	*
+	*  This function will return a string containing the HTML of the selected element
+	*
+	*  @type	function
+	*  @date	19/11/2013
+	*  @since	5.0.0
+	*
+	*  @param	$.fn
+	*  @return	(string)
+	*/
+	
+	$.fn.outerHTML = function() {
+	    
+	    return $(this).clone().wrap('<div>').parent().html();
+	    
+	}
+	
+	
+	/*
+	*  3.5 Media
+	*
+	*  @description: 
+	*  @since: 3.5.7
+	*  @created: 16/01/13
+	*/
+	
+	acf.media = {
+		
+		upload_popup : function( args ) {
+			
+			// defaults
+			args = $.extend({}, {
+				title		: '',		// Uploade Image
+				type		: '',		// image
+				query		: {},		// library query
+				uploadedTo	: 0,		// restrict browsing to post_id
+				multiple	: 0,		// allow multiple attachments to be selected
+				activate	: function(){},
+				select		: function( attachment, i ){}
+			}, args);
+			
+			
+			// args.query
+			if( args.type )
+			{
+				args.query = { 
+					type : args.type
+				};
+			}
+			
+			
+			// create frame
+			var frame = wp.media({
+				states : [
+					new wp.media.controller.Library({
+						title		: args.title,
+						multiple	: args.multiple,
+						library		: wp.media.query(args.query),
+						priority	: 20,
+						filterable	: 'all'
+					})
+				]
+			});
+			
+			
+			// events
+			frame.on('content:activate', function(){
+				
+				// vars
+				var toolbar = null,
+					filters = null;
+					
+				
+				// populate above vars making sure to allow for failure
+				try
+				{
+					toolbar = frame.content.get().toolbar;
+					filters = toolbar.get('filters');
+				} 
+				catch(e)
+				{
+					// one of the objects was 'undefined'... perhaps the frame open is Upload Files
+					//console.log( e );
+				}
+				
+				
+				// validate
+				if( !filters )
+				{
+					return false;
+				}
+				
+				
+				// no need for 'uploaded' filter
+				if( args.uploadedTo )
+				{
+					filters.$el.find('option[value="uploaded"]').remove();
+					filters.$el.after('<span>' + acf._e('image', 'uploadedTo') + '</span>')
+					
+					$.each( filters.filters, function( k, v ){
+						
+						v.props.uploadedTo = args.uploadedTo;
+						
+					});
+				}
+				
+				
+				// image
+				if( args.type == 'image' )
+				{
+					// filter only images
+					$.each( filters.filters, function( k, v ){
+					
+						v.props.type = 'image';
+						
+					});
+					
+					
+					// remove non image options from filter list
+					filters.$el.find('option').each(function(){
+						
+						// vars
+						var v = $(this).attr('value');
+						
+						
+						// don't remove the 'uploadedTo' if the library option is 'all'
+						if( v == 'uploaded' && !args.uploadedTo )
+						{
+							return;
+						}
+						
+						if( v.indexOf('image') === -1 )
+						{
+							$(this).remove();
+						}
+						
+					});
+					
+					
+					// set default filter
+					filters.$el.val('image').trigger('change');
+					
+				}
+				
+				
+				// callback
+				if( typeof args.activate === 'function' )
+				{
+					args.activate.apply( this, [ frame ] );
+				}
+			});
+			
+			
+			// select callback
+			frame.on( 'select', function() {
+				
+				
+				// validate
+				if( typeof args.select !== 'function' )
+				{
+					return false;
+				}
+				
+				
+				// get selected images
+				var selection = frame.state().get('selection');
+				
+				
+				// loop over selection
+				if( selection )
+				{
+					var i = -1;
+					
+					selection.each(function( attachment ){
+						
+						i++;
+						
+						args.select.apply( this, [ attachment, i] );
+						
+					});
+				}
+				
+			});
+			
+			
+			// close
+			frame.on('close',function(){
+			
+				setTimeout(function(){
+					
+					// detach
+					frame.detach();
+					frame.dispose();
+					
+					
+					// reset var
+					frame = null;
+					
+				}, 500);
+				
+			});
+			
+			
+			// open popup
+			frame.open();
+			
+			
+			// return
+			return frame;
+			
+		},
+		
+		edit_popup : function( args ) {
+			
+			// defaults
+			args = $.extend({}, {
+				title		: '',
+				button		: '',
+				id			: 0
+			}, args);
+			
+			
+			// create frame
+			var frame = wp.media({
+				title		: args.title,
+				multiple	: 0,
+				button		: { text : args.button }
+			});
+			
+			
+			// open
+			frame.on('open',function() {
+				
+				// set to browse
+				if( frame.content._mode != 'browse' )
+				{
+					frame.content.mode('browse');
+				}
+				
+				
+				// add class
+				frame.$el.closest('.media-modal').addClass('acf-media-modal acf-expanded');
+					
+				
+				// set selection
+				var selection	=	frame.state().get('selection'),
+					attachment	=	wp.media.attachment( args.id );
+				
+				
+				// to fetch or not to fetch
+				if( $.isEmptyObject(attachment.changed) )
+				{
+					attachment.fetch();
+				}
+				
+
+				selection.add( attachment );
+						
+			});
+			
+			
+			// select callback
+			frame.on( 'select', function() {
+				
+				
+				// validate
+				if( typeof args.select !== 'function' )
+				{
+					return false;
+				}
+				
+				
+				// get selected images
+				var selection = frame.state().get('selection');
+				
+				
+				// loop over selection
+				if( selection )
+				{
+					var i = -1;
+					
+					selection.each(function( attachment ){
+						
+						i++;
+						
+						args.select( attachment, i );
+						
+					});
+				}
+				
+			});
+			
+			
+			// close
+			frame.on('close',function(){
+				
+				setTimeout(function(){
+					
+					// detach
+					frame.detach();
+					frame.dispose();
+					
+					
+					// reset var
+					frame = null;
+					
+				}, 500);
+				
+				
+				// remove class
+				frame.$el.closest('.media-modal').removeClass('acf-media-modal');
+				
+			});
+			
+			
+			// open popup
+			frame.open();
+			
+			
+			// return
+			return frame;
+
+		},
+		
+		init : function(){
+			
+			// bail early if wp.media does not exist (field group edit page)
+			if( typeof wp == 'undefined' )
+			{
+				return false;
+			}
+			
+			
+			// validate prototype
+			if( ! acf.isset(wp, 'media', 'view', 'AttachmentCompat', 'prototype') )
+			{
+				return false;	
+			}
+			
+			
+			// vars
+			var _prototype = wp.media.view.AttachmentCompat.prototype;
+			
+			
+			// orig
+			_prototype.orig_render = _prototype.render;
+			_prototype.orig_dispose = _prototype.dispose;
+			
+			
+			// update class
+			_prototype.className = 'compat-item acf_postbox no_box';
+			
+			
+			// modify render
+			_prototype.render = function() {
+				
+				// reference
+				var _this = this;
+				
+				
+				// validate
+				if( _this.ignore_render )
+				{
+					return this;	
+				}
+				
+				
+				// run the old render function
+				this.orig_render();
+				
+				
+				// add button
+				setTimeout(function(){
+					
+					// vars
+					var $media_model = _this.$el.closest('.media-modal');
+					
+					
+					// is this an edit only modal?
+					if( $media_model.hasClass('acf-media-modal') )
+					{
+						return;	
+					}
+					
+					
+					// does button already exist?
+					if( $media_model.find('.media-frame-router .acf-expand-details').exists() )
+					{
+						return;	
+					}
+					
+					
+					// create button
+					var button = $([
+						'<a href="#" class="acf-expand-details">',
+							'<span class="is-closed"><span class="acf-icon small"><i class="acf-sprite-left"></i></span>' + acf.l10n.core.expand_details +  '</span>',
+							'<span class="is-open"><span class="acf-icon small"><i class="acf-sprite-right"></i></span>' + acf.l10n.core.collapse_details +  '</span>',
+						'</a>'
+					].join('')); 
+					
+					
+					// add events
+					button.on('click', function( e ){
+						
+						e.preventDefault();
+						
+						if( $media_model.hasClass('acf-expanded') )
+						{
+							$media_model.removeClass('acf-expanded');
+						}
+						else
+						{
+							$media_model.addClass('acf-expanded');
+						}
+						
+					});
+					
+					
+					// append
+					$media_model.find('.media-frame-router').append( button );
+						
+				
+				}, 0);
+				
+				
+				// setup fields
+				// The clearTimout is needed to prevent many setup functions from running at the same time
+				clearTimeout( acf.media.render_timout );
+				acf.media.render_timout = setTimeout(function(){
+
+					$(document).trigger( 'acf/setup_fields', [ _this.$el ] );
+					
+				}, 50);
+
+				
+				// return based on the origional render function
+				return this;
+			};
+			
+			
+			// modify dispose
+			_prototype.dispose = function() {
+				
+				// remove
+				$(document).trigger('acf/remove_fields', [ this.$el ]);
+				
+				
+				// run the old render function
+				this.orig_dispose();
+				
+			};
+			
+			
+			// override save
+			_prototype.save = function( event ) {
+			
+				var data = {},
+					names = {};
+				
+				if ( event )
+					event.preventDefault();
+					
+					
+				_.each( this.$el.serializeArray(), function( pair ) {
+				
+					// initiate name
+					if( pair.name.slice(-2) === '[]' )
+					{
+						// remove []
+						pair.name = pair.name.replace('[]', '');
+						
+						
+						// initiate counter
+						if( typeof names[ pair.name ] === 'undefined'){
+							
+							names[ pair.name ] = -1;
+							//console.log( names[ pair.name ] );
+							
+						}
+						
+						
+						names[ pair.name ]++
+						
+						pair.name += '[' + names[ pair.name ] +']';
+						
+						
+					}
+ 
+					data[ pair.name ] = pair.value;
+				});
+ 
+				this.ignore_render = true;
+				this.model.saveCompat( data );
+				
+			};
+		}
+	};
+	
+	
+	/*
+	*  conditional_logic
+	*
+	*  description
+	*
+	*  @type	function
+	*  @date	21/02/2014
+	*  @since	3.5.1
+	*
+	*  @param	$post_id (int)
+	*  @return	$post_id (int)
+	*/
+		
+	acf.conditional_logic = {
+		
+		items : {},
+		groups : {},
+		triggers : {},
+		cycles : {},
+		
+		init : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// events
+			$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+				
+				_this.change( $(this) );
+				
+			});
+			
+			
+			// actions
+			acf.add_action('append', function( $el ){
+				
+				//console.log('acf/setup_fields calling acf.conditional_logic.refresh()');
+				_this.render( $el );
+				
+			});
+			
+			
+			//console.log('acf.conditional_logic.init() calling acf.conditional_logic.refresh()');
+			_this.render();
+			
+		},
+		
+		add : function( key, groups ){
+			
+			// append items
+			this.items[ key ] = groups;
+			
+			
+			// populate triggers
+			this.add_triggers( key, groups );
+			
+		},
+		
+		add_group : function( key, groups ){
+			
+			// append field group (postbox)
+			this.groups[ key ] = groups;
+			
+			
+			// populate triggers
+			this.add_triggers( key, groups );
+			
+		},
+		
+		add_triggers : function( key, groups ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// populate triggers
+			$.each(groups, function( k1, group ){
+				
+				$.each(group, function( k2, rule ){
+					
+					// add rule.field to triggers
+					if( !acf.isset(_this, 'triggers', rule.field) )
+					{
+						_this.triggers[ rule.field ] = [];
+					}
+					
+					
+					// add key to this trigger
+					if( _this.triggers[ rule.field ].indexOf(key) === -1 )
+					{
+						 _this.triggers[ rule.field ].push( key );
+					}
+										
+				});
+				
+			});
+			
+		},
+		
+		change : function( $el ){
+			
+			// vars
+			var key = acf.get_field_data($el, 'key');
+			
+			
+			// update visibility of all fields depending on this field (directly or through other fields)
+			this.render_fields( this.get_dependents( key ) );
+			
+		},
+		
+		get_dependents : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var dependents = [],
+				queue = [ key ];
+			
+			
+			// walk the triggers map
+			while( queue.length )
+			{
+				var trigger = queue.shift();
+				
+				$.each(_this.get_targets( trigger ), function( i, target ){
+					
+					if( $.inArray(target, dependents) === -1 )
+					{
+						dependents.push( target );
+						queue.push( target );
+					}
+					
+				});
+			}
+			
+			
+			// return
+			return dependents;
+			
+		},
+		
+		get_targets : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var targets = ( this.triggers[ key ] || [] ).slice();
+			
+			
+			// a field group also affects every trigger field within it (hidden fields count as empty)
+			if( acf.isset(this, 'groups', key) )
+			{
+				acf.get_fields({}, $('#acf-' + key)).each(function(){
+					
+					var field_key = acf.get_data($(this), 'key');
+					
+					if( acf.isset(_this, 'triggers', field_key) && $.inArray(field_key, targets) === -1 )
+					{
+						targets.push( field_key );
+					}
+					
+				});
+			}
+			
+			
+			// return
+			return targets;
+			
+		},
+		
+		sort : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var sorted = [],
+				incoming = {},
+				queue = [];
+			
+			
+			// count incoming edges (triggers within keys)
+			$.each(keys, function( i, key ){
+				
+				incoming[ key ] = 0;
+				
+			});
+			
+			$.each(keys, function( i, key ){
+				
+				$.each(_this.get_targets( key ), function( j, target ){
+					
+					if( incoming.hasOwnProperty(target) && target !== key )
+					{
+						incoming[ target ]++;
+					}
+					
+				});
+				
+			});
+			
+			
+			// start with keys which do not depend on any other key
+			$.each(keys, function( i, key ){
+				
+				if( incoming[ key ] === 0 )
+				{
+					queue.push( key );
+				}
+				
+			});
+			
+			
+			// topological sort
+			while( queue.length )
+			{
+				var key = queue.shift();
+				
+				sorted.push( key );
+				
+				$.each(_this.get_targets( key ), function( j, target ){
+					
+					if( incoming.hasOwnProperty(target) && target !== key )
+					{
+						incoming[ target ]--;
+						
+						if( incoming[ target ] === 0 )
+						{
+							queue.push( target );
+						}
+					}
+					
+				});
+			}
+			
+			
+			// any remaining keys are part of (or depend on) a cycle
+			if( sorted.length < keys.length )
+			{
+				var cycle = $.grep(keys, function( key ){
+					
+					return ( $.inArray(key, sorted) === -1 );
+					
+				});
+				
+				
+				// report
+				this.report_cycle( cycle );
+				
+				
+				// render the remaining keys once, in their original order
+				sorted = sorted.concat( cycle );
+			}
+			
+			
+			// return
+			return sorted;
+			
+		},
+		
+		report_cycle : function( keys ){
+			
+			// vars
+			var id = keys.slice().sort().join(',');
+			
+			
+			// only report each cycle once
+			if( acf.isset(this, 'cycles', id) )
+			{
+				return;
+			}
+			
+			this.cycles[ id ] = keys;
+			
+			
+			// report
+			acf.debug.warn( 'conditional logic cycle detected between fields ' + keys.join(', ') );
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('conditional_logic_cycle', keys);
+			
+		},
+		
+		render_fields : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// render in dependency order so that triggers are rendered before their targets
+			$.each(this.sort( keys ), function( i, key ){
+				
+				if( acf.isset(_this, 'items', key) )
+				{
+					_this.render_field( key );
+				}
+				else if( acf.isset(_this, 'groups', key) )
+				{
+					_this.render_group( key );
+				}
+				
+			});
+			
+		},
+		
+		render_field : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// get conditional logic
+			var groups = this.items[ key ];
+			
+			
+			// get targets
+			var $targets = acf.get_fields({key : key});
+			
+			
+			// may be multiple targets (sub fields)
+			$targets.each(function(){
+			
+				// vars
+				var visibility = false;
+				
+				
+				// $el
+				var $target = $(this);
+				
+				
+				// loop over groups
+				$.each( groups, function( k, group ){
+					
+					var match_group = true;
+					
+					
+					// loop over rules
+					$.each( group, function( k2, rule ){
+						
+						if( !_this.get_visibility( $target, rule) )
+						{
+							match_group = false;
+							return false;
+						}
+						
+					});
+					
+					
+					if( match_group )
+					{
+						visibility = true;
+						return false;
+					}
+					
+				});
+				
+				
+				// hide / show field
+				if( visibility )
+				{
+					_this.show_field( $target );					
+				}
+				else
+				{
+					_this.hide_field( $target );
+				}
+				
+				
+			});
+			
+			
+		},
+		
+		
+		show_field : function( $field ){
+			
+			// vars
+			var key = acf.get_data($field, 'key'),
+				c = 'hidden-by-conditional-logic';
+			
+			
+			if( acf.is_sub_field($field) )
+			{
+				var $repeater = $field.closest('table').parent('.acf-repeater');
+				
+				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
+				{
+					c += ' appear-empty';
+					
+					$repeater.find('> table > thead th[data-key="' + key + '"]').removeClass( c );
+				}
+				
+			}
+			
+			
+			// add class
+			$field.removeClass( c );
+			
+			
+			// remove "disabled"
+			acf.enable_inputs( $field, 'conditional_logic_' + key );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_show', $field );
+			
+		},
+		
+		hide_field : function( $field ){
+			
+			// vars
+			var key = acf.get_data($field, 'key'),
+				c = 'hidden-by-conditional-logic';
+			
+			
+			if( acf.is_sub_field($field) )
+			{
+				var $repeater = $field.closest('table').parent('.acf-repeater');
+				
+				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
+				{
+					c += ' appear-empty';
+					
+					$repeater.find('> table > thead th[data-key="' + key + '"]').addClass( c );
+				}
+				
+			}
+			
+			
+			// add class
+			$field.addClass( c );
+			
+			
+			// add "disabled"
+			acf.disable_inputs( $field, 'conditional_logic_' + key );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_hide', $field );
+			
+		},
+		
+		render_group : function( key ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var $postbox = $('#acf-' + key),
+				visibility = false;
+			
+			
+			// bail early if this field group is not on the screen
+			if( !$postbox.exists() )
+			{
+				return;
+			}
+			
+			
+			// loop over groups
+			$.each( this.groups[ key ], function( k, group ){
+				
+				var match_group = true;
+				
+				
+				// loop over rules
+				$.each( group, function( k2, rule ){
+					
+					if( !_this.get_visibility( $postbox, rule) )
+					{
+						match_group = false;
+						return false;
+					}
+					
+				});
+				
+				
+				if( match_group )
+				{
+					visibility = true;
+					return false;
+				}
+				
+			});
+			
+			
+			// hide / show field group
+			if( visibility )
+			{
+				this.show_group( $postbox );
+			}
+			else
+			{
+				this.hide_group( $postbox );
+			}
+			
+		},
+		
+		show_group : function( $postbox ){
+			
+			// vars
+			var c = 'hidden-by-conditional-logic';
+			
+			
+			// bail early if already visible
+			if( !$postbox.hasClass(c) )
+			{
+				return;
+			}
+			
+			
+			// remove class
+			$postbox.removeClass( c );
+			
+			
+			// remove "disabled" (fields hidden by their own conditional logic or the location rules remain disabled)
+			acf.enable_inputs( $postbox, 'conditional_logic_group' );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_show_group', $postbox );
+			
+		},
+		
+		hide_group : function( $postbox ){
+			
+			// vars
+			var c = 'hidden-by-conditional-logic';
+			
+			
+			// bail early if already hidden
+			if( $postbox.hasClass(c) )
+			{
+				return;
+			}
+			
+			
+			// add class
+			$postbox.addClass( c );
+			
+			
+			// add "disabled"
+			acf.disable_inputs( $postbox, 'conditional_logic_group' );
+			
+			
+			// hook
+			acf.do_action('conditional_logic_hide_group', $postbox );
+			
+		},
+		
+		get_visibility : function( $target, rule ){
+			
+			// vars
+			var $search = acf.is_sub_field( $target ) ? $target.parent() : $('body');
+			
+			
+			// vars
+			var $trigger = acf.get_fields({key : rule.field}, $search);
+			
+			
+			if( !$trigger.exists() )
+			{
+				// loop through all the parents that could contain sub fields
+				$target.parents('tr').each(function(){
+					
+					$trigger = acf.get_fields({key : rule.field}, $(this));
+					
+					if( $trigger.length == 1 )
+					{
+						return false;
+					}
+					
+				});
+				
+			}
+			
+						
+			//console.log('this.calculate( %o, %o, %o );', rule, $trigger, $target);
+			
+			
+			// calculate
+			var visibility = this.calculate( rule, $trigger, $target );
+			
+			
+			// return
+			return visibility;
+		},
+		
+		render : function( $el ){
+			
+			// defaults
+			$el = $el || $('body');
+			
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var keys = [];
+			
+			
+			// find fields with conditional logic
+			acf.get_fields({},$el).each(function(){
+				
+				var key = acf.get_data($(this), 'key');
+				
+				if( acf.isset(_this, 'items', key) && $.inArray(key, keys) === -1 )
+				{
+					keys.push( key );
+				}
+				
+			});
+			
+			
+			// render (dependents of these fields may live outside $el)
+			$.each(keys.slice(), function( i, key ){
+				
+				$.each(_this.get_dependents( key ), function( j, dependent ){
+					
+					if( $.inArray(dependent, keys) === -1 )
+					{
+						keys.push( dependent );
+					}
+					
+				});
+				
+			});
+			
+			// a full render also includes all field groups with conditional logic
+			if( $el.is('body') )
+			{
+				$.each(this.groups, function( key ){
+					
+					if( $.inArray(key, keys) === -1 )
+					{
+						keys.push( key );
+					}
+					
+				});
+			}
+			
+			
+			this.render_fields( keys );
+			
+		},
+		
+		calculate : function( rule, $trigger, $target ){
+			
+			// vars
+			var type = acf.get_data( $trigger.first(), 'type' ),
+				values = [];
+			
+			
+			// a trigger hidden by conditional logic (or within a hidden field group) counts as empty
+			if( $trigger.exists() && !$trigger.first().closest('.hidden-by-conditional-logic').exists() )
+			{
+				values = this.get_trigger_values( $trigger.first() );
+			}
+			
+			
+			// return
+			return this.compare( rule, values, type );
+			
+		},
+		
+		get_trigger_values : function( $trigger ){
+			
+			// vars
+			var values = [];
+			
+			
+			// choice fields compare against the checked inputs
+			if( $trigger.hasClass('field_type-true_false') || $trigger.hasClass('field_type-checkbox') || $trigger.hasClass('field_type-radio') )
+			{
+				$trigger.find('input:checked').each(function(){
+					
+					values.push( $(this).val() );
+					
+				});
+				
+				return values;
+			}
+			
+			
+			// get value and make sure it is an array
+			var value = acf.get_value( $trigger );
+			
+			if( $.isArray(value) )
+			{
+				values = value;
+			}
+			else if( value !== null && typeof value !== 'object' && typeof value !== 'undefined' )
+			{
+				values = [ value ];
+			}
+			
+			
+			// convert to strings (relational fields use 0 as an empty value)
+			return $.map( values, function( v ){
+				
+				return ( v === 0 || v === null ) ? null : String( v );
+				
+			});
+			
+		},
+		
+		cast : function( value, type ){
+			
+			// number
+			if( type == 'number' )
+			{
+				return parseFloat( value );
+			}
+			
+			
+			// date (yyyy-mm-dd or yyyymmdd)
+			if( type == 'date_picker' )
+			{
+				var m = String( value ).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+				
+				if( m )
+				{
+					return new Date( m[1], m[2] - 1, m[3] ).getTime();
+				}
+				
+				return Date.parse( value );
+			}
+			
+			
+			// string
+			return String( value );
+			
+		},
+		
+		compare : function( rule, values, type ){
+			
+			// vars
+			var r = false,
+				value = ( rule.value === null || typeof rule.value === 'undefined' ) ? '' : String( rule.value ),
+				filled = $.grep( values, function( v ){
+					
+					return ( v !== '' );
+					
+				}),
+				typed = ( type == 'number' || type == 'date_picker' ),
+				_this = this,
+				matches = function( callback ){
+					
+					return $.grep( filled, callback ).length > 0;
+					
+				};
+			
+			
+			// compare values
+			switch( rule.operator )
+			{
+				case '==':
+					r = typed ? matches(function( v ){ return _this.cast(v, type) === _this.cast(value, type); }) : ( $.inArray(value, values) > -1 );
+					break;
+				
+				case '!=':
+					r = typed ? !matches(function( v ){ return _this.cast(v, type) === _this.cast(value, type); }) : ( $.inArray(value, values) < 0 );
+					break;
+				
+				case '>':
+					r = matches(function( v ){ return _this.cast(v, typed ? type : 'number') > _this.cast(value, typed ? type : 'number'); });
+					break;
+				
+				case '<':
+					r = matches(function( v ){ return _this.cast(v, typed ? type : 'number') < _this.cast(value, typed ? type : 'number'); });
+					break;
+				
+				case 'contains':
+					r = matches(function( v ){ return String(v).indexOf( value ) > -1; });
+					break;
+				
+				case 'starts_with':
+					r = matches(function( v ){ return String(v).indexOf( value ) === 0; });
+					break;
+				
+				case 'empty':
+					r = ( filled.length == 0 );
+					break;
+				
+				case 'not_empty':
+					r = ( filled.length > 0 );
+					break;
+				
+				case 'regex':
+					
+					// an invalid pattern never matches
+					try
+					{
+						var regex = new RegExp( value );
+						
+						r = matches(function( v ){ return regex.test( v ); });
+					}
+					catch(e)
+					{
+						r = false;
+					}
+					
+					break;
+			}
+			
+			
+			// filter for 3rd party customization
+			r = acf.apply_filters('conditional_logic_compare', r, rule, values, type);
+			
+			
+			// return
+			return r;
+			
+		}
+		
+	}; 
+	
+	
+	/*
+	*  ready
 	*
-	*  @description: returns true / false		
-	*  @created: 1/03/2011
+	*  description
+	*
+	*  @type	function
+	*  @date	19/02/2014
+	*  @since	5.0.0
+	*
+	*  @param	$post_id (int)
+	*  @return	$post_id (int)
 	*/
 	
-	$.fn.exists = function()
-	{
-		return $(this).length>0;
-	};
+	$(document).ready(function(){
+		
+		// fire ready
+		acf.do_action('ready', $('body'));
+		
+		
+		// initialize conditional logic
+		acf.conditional_logic.init();
+		
+	});
+	
 	
 	
 	/*
-	*  outerHTML
+	*  Force revisions
 	*
-	*  This function will return a string containing the HTML of the selected element
+	*  description
 	*
 	*  @type	function
-	*  @date	19/11/2013
+	*  @date	19/02/2014
 	*  @since	5.0.0
 	*
-	*  @param	$.fn
-	*  @return	(string)
+	*  @param	$post_id (int)
+	*  @return	$post_id (int)
 	*/
 	
-	$.fn.outerHTML = function() {
-	    
-	    return $(this).clone().wrap('<div>').parent().html();
-	    
-	}
+	$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+		
+		// preview hack
+		if( $('#acf-form-data input[name="_acfchanged"]').exists() )
+		{
+			$('#acf-form-data input[name="_acfchanged"]').val(1);
+		}
+		
+	});
 	
 	
 	/*
-	*  3.5 Media
+	*  unload
 	*
-	*  @description: 
-	*  @since: 3.5.7
-	*  @created: 16/01/13
+	*  This object will track changes made to ACF fields and prompt the user before leaving the page with unsaved changes
+	*
+	*  @type	object
+	*  @date	13/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
 	*/
 	
-	acf.media = {
+	acf.unload = {
 		
-		upload_popup : function( args ) {
+		// vars
+		active	: 1,
+		changed	: 0,
+		
+		
+		// changes within these elements are saved via AJAX and do not need a prompt
+		ignore	: '.media-frame, .widget, #addtag',
+		
+		
+		init : function(){
 			
-			// defaults
-			args = $.extend({}, {
-				title		: '',		// Uploade Image
-				type		: '',		// image
-				query		: {},		// library query
-				uploadedTo	: 0,		// restrict browsing to post_id
-				multiple	: 0,		// allow multiple attachments to be selected
-				activate	: function(){},
-				select		: function( attachment, i ){}
-			}, args);
+			// reference
+			var _this = this;
 			
 			
-			// args.query
-			if( args.type )
+			// bail early if this page does not contain an ACF form
+			if( !$('#acf-form-data').exists() )
 			{
-				args.query = { 
-					type : args.type
-				};
+				return;
 			}
 			
 			
-			// create frame
-			var frame = wp.media({
-				states : [
-					new wp.media.controller.Library({
-						title		: args.title,
-						multiple	: args.multiple,
-						library		: wp.media.query(args.query),
-						priority	: 20,
-						filterable	: 'all'
-					})
-				]
+			// field changes
+			$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+				
+				_this.change( $(this) );
+				
 			});
 			
 			
-			// events
-			frame.on('content:activate', function(){
-				
-				// vars
-				var toolbar = null,
-					filters = null;
-					
-				
-				// populate above vars making sure to allow for failure
-				try
-				{
-					toolbar = frame.content.get().toolbar;
-					filters = toolbar.get('filters');
-				} 
-				catch(e)
-				{
-					// one of the objects was 'undefined'... perhaps the frame open is Upload Files
-					//console.log( e );
-				}
-				
-				
-				// validate
-				if( !filters )
-				{
-					return false;
-				}
+			// actions (repeater rows, flexible content layouts, gallery attachments)
+			acf.add_action('change_field', function( $field ){
 				
+				_this.change( $field );
 				
-				// no need for 'uploaded' filter
-				if( args.uploadedTo )
-				{
-					filters.$el.find('option[value="uploaded"]').remove();
-					filters.$el.after('<span>' + acf._e('image', 'uploadedTo') + '</span>')
-					
-					$.each( filters.filters, function( k, v ){
-						
-						v.props.uploadedTo = args.uploadedTo;
-						
-					});
-				}
+			});
+			
+			acf.add_action('sortstop', function( $item ){
 				
+				_this.change( $item );
 				
-				// image
-				if( args.type == 'image' )
-				{
-					// filter only images
-					$.each( filters.filters, function( k, v ){
-					
-						v.props.type = 'image';
-						
-					});
-					
-					
-					// remove non image options from filter list
-					filters.$el.find('option').each(function(){
-						
-						// vars
-						var v = $(this).attr('value');
-						
-						
-						// don't remove the 'uploadedTo' if the library option is 'all'
-						if( v == 'uploaded' && !args.uploadedTo )
-						{
-							return;
-						}
-						
-						if( v.indexOf('image') === -1 )
-						{
-							$(this).remove();
-						}
-						
-					});
-					
-					
-					// set default filter
-					filters.$el.val('image').trigger('change');
-					
-				}
+			});
+			
+			
+			// AJAX form saved
+			acf.add_action('form_saved', function(){
 				
+				_this.off();
 				
-				// callback
-				if( typeof args.activate === 'function' )
-				{
-					args.activate.apply( this, [ frame ] );
-				}
 			});
 			
 			
-			// select callback
-			frame.on( 'select', function() {
-				
+			// submit (validation runs first and may prevent the form from being submitted)
+			$(document).on('submit', 'form', function( e ){
 				
-				// validate
-				if( typeof args.select !== 'function' )
+				if( !e.isDefaultPrevented() && $(this).find('#acf-form-data').exists() )
 				{
-					return false;
+					_this.off();
 				}
 				
+			});
+			
+			
+			// prompt
+			$(window).on('beforeunload', function(){
 				
-				// get selected images
-				var selection = frame.state().get('selection');
-				
-				
-				// loop over selection
-				if( selection )
+				if( _this.active && _this.changed )
 				{
-					var i = -1;
-					
-					selection.each(function( attachment ){
-						
-						i++;
-						
-						args.select.apply( this, [ attachment, i] );
-						
-					});
+					return acf._e('core', 'unload');
 				}
 				
 			});
 			
+		},
+		
+		change : function( $el ){
 			
-			// close
-			frame.on('close',function(){
-			
-				setTimeout(function(){
-					
-					// detach
-					frame.detach();
-					frame.dispose();
-					
-					
-					// reset var
-					frame = null;
-					
-				}, 500);
-				
-			});
+			// bail early if this change is not part of an ACF form
+			if( $el.closest( this.ignore ).exists() || !$el.closest('form').find('#acf-form-data').exists() )
+			{
+				return;
+			}
 			
 			
-			// open popup
-			frame.open();
+			this.on();
 			
+		},
+		
+		on : function(){
 			
-			// return
-			return frame;
+			this.changed = 1;
 			
 		},
 		
-		edit_popup : function( args ) {
+		off : function(){
+			
+			this.changed = 0;
+			
+		}
+		
+	};
+	
+	
+	acf.add_action('ready', function(){
+		
+		acf.unload.init();
+		
+	}, 20);
+	
+	
+	/*
+	*  drafts
+	*
+	*  This object will periodically save a snapshot of all field values to localStorage and offer to restore it
+	*  on the next page load if it is newer than the saved data
+	*
+	*  @type	object
+	*  @date	14/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.drafts = {
+		
+		// vars
+		active		: 1,
+		interval	: 10000,
+		timeout		: null,
+		last		: '',
+		key			: '',
+		message_class : 'acf-draft-message',
+		
+		
+		// el
+		$form : null,
+		
+		
+		init : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			this.$form = $('#acf-form-data').closest('form');
+			
 			
-			// defaults
-			args = $.extend({}, {
-				title		: '',
-				button		: '',
-				id			: 0
-			}, args);
+			// bail early if disabled, not supported or this page does not contain an ACF form
+			if( this.active == 0 || !this.supported() || !this.$form.exists() )
+			{
+				return;
+			}
 			
 			
-			// create frame
-			var frame = wp.media({
-				title		: args.title,
-				multiple	: 0,
-				button		: { text : args.button }
-			});
+			// key
+			this.key = this.get_key();
 			
 			
-			// open
-			frame.on('open',function() {
-				
-				// set to browse
-				if( frame.content._mode != 'browse' )
+			// offer to restore an existing draft
+			var draft = this.get();
+			
+			if( draft )
+			{
+				if( this.is_newer( draft ) )
 				{
-					frame.content.mode('browse');
+					this.offer( draft );
 				}
-				
-				
-				// add class
-				frame.$el.closest('.media-modal').addClass('acf-media-modal acf-expanded');
-					
-				
-				// set selection
-				var selection	=	frame.state().get('selection'),
-					attachment	=	wp.media.attachment( args.id );
-				
-				
-				// to fetch or not to fetch
-				if( $.isEmptyObject(attachment.changed) )
+				else
 				{
-					attachment.fetch();
+					this.remove();
 				}
-				
-
-				selection.add( attachment );
-						
-			});
+			}
 			
 			
-			// select callback
-			frame.on( 'select', function() {
-				
+			// mark the draft as submitted (validation runs first and may prevent the form from being submitted)
+			$(document).on('submit', 'form', function( e ){
 				
-				// validate
-				if( typeof args.select !== 'function' )
+				if( !e.isDefaultPrevented() && this === _this.$form[0] )
 				{
-					return false;
+					_this.snapshot( true );
 				}
 				
+			});
+			
+			
+			// AJAX form saved
+			acf.add_action('form_saved', function( $form ){
 				
-				// get selected images
-				var selection = frame.state().get('selection');
-				
-				
-				// loop over selection
-				if( selection )
+				if( $form[0] === _this.$form[0] )
 				{
-					var i = -1;
-					
-					selection.each(function( attachment ){
-						
-						i++;
-						
-						args.select( attachment, i );
-						
-					});
+					_this.remove();
 				}
 				
 			});
 			
 			
-			// close
-			frame.on('close',function(){
+			// snapshot
+			this.timeout = setInterval(function(){
 				
-				setTimeout(function(){
-					
-					// detach
-					frame.detach();
-					frame.dispose();
-					
-					
-					// reset var
-					frame = null;
-					
-				}, 500);
+				_this.snapshot();
 				
+			}, this.interval);
+			
+		},
+		
+		supported : function(){
+			
+			try
+			{
+				return ( 'localStorage' in window && window.localStorage !== null );
+			}
+			catch(e)
+			{
+				return false;
+			}
+			
+		},
+		
+		get_key : function( $form ){
+			
+			// defaults
+			$form = $form || this.$form;
+			
+			
+			// vars
+			var identity = $form.attr('id') || '',
+				hash = 0;
+			
+			
+			// the fields in this form (many forms may share a post_id such as 'new')
+			acf.get_fields({}, $form).each(function(){
 				
-				// remove class
-				frame.$el.closest('.media-modal').removeClass('acf-media-modal');
+				if( !$(this).parent().closest('.acf-field').exists() )
+				{
+					identity += '|' + acf.get_data($(this), 'key');
+				}
 				
 			});
 			
 			
-			// open popup
-			frame.open();
+			// hash
+			for( var i = 0; i < identity.length; i++ )
+			{
+				hash = ( ( hash << 5 ) - hash + identity.charCodeAt(i) ) | 0;
+			}
 			
 			
 			// return
-			return frame;
-
+			return 'acf_draft_' + acf.get('post_id') + '_' + ( hash >>> 0 ).toString(36);
+			
 		},
 		
-		init : function(){
+		get : function(){
 			
-			// bail early if wp.media does not exist (field group edit page)
-			if( typeof wp == 'undefined' )
+			try
 			{
-				return false;
+				return $.parseJSON( window.localStorage.getItem( this.key ) );
+			}
+			catch(e)
+			{
+				return null;
 			}
 			
+		},
+		
+		remove : function(){
 			
-			// validate prototype
-			if( ! acf.isset(wp, 'media', 'view', 'AttachmentCompat', 'prototype') )
+			window.localStorage.removeItem( this.key );
+			
+		},
+		
+		is_newer : function( draft ){
+			
+			// vars
+			var modified = parseInt( acf.get('modified') ) || 0;
+			
+			
+			// the post has been saved since this draft was taken (modified is issued by the server, clocks are not compared)
+			if( ( parseInt(draft.modified) || 0 ) !== modified )
 			{
-				return false;	
+				return false;
 			}
 			
 			
-			// vars
-			var _prototype = wp.media.view.AttachmentCompat.prototype;
+			// without a saved date, a submitted draft can not be compared and is assumed to be saved
+			if( draft.submitted && !modified )
+			{
+				return false;
+			}
 			
 			
-			// orig
-			_prototype.orig_render = _prototype.render;
-			_prototype.orig_dispose = _prototype.dispose;
+			// return
+			return true;
 			
+		},
+		
+		serialize : function(){
 			
-			// update class
-			_prototype.className = 'compat-item acf_postbox no_box';
+			// vars
+			var data = {};
 			
 			
-			// modify render
-			_prototype.render = function() {
-				
-				// reference
-				var _this = this;
+			// only keep field values
+			$.each( acf.serialize_form( this.$form ), function( name, value ){
 				
-				
-				// validate
-				if( _this.ignore_render )
+				if( name.indexOf('acf[') === 0 )
 				{
-					return this;	
+					data[ name ] = value;
 				}
 				
-				
-				// run the old render function
-				this.orig_render();
-				
-				
-				// add button
-				setTimeout(function(){
-					
-					// vars
-					var $media_model = _this.$el.closest('.media-modal');
-					
-					
-					// is this an edit only modal?
-					if( $media_model.hasClass('acf-media-modal') )
-					{
-						return;	
-					}
-					
-					
-					// does button already exist?
-					if( $media_model.find('.media-frame-router .acf-expand-details').exists() )
-					{
-						return;	
-					}
-					
-					
-					// create button
-					var button = $([
-						'<a href="#" class="acf-expand-details">',
-							'<span class="is-closed"><span class="acf-icon small"><i class="acf-sprite-left"></i></span>' + acf.l10n.core.expand_details +  '</span>',
-							'<span class="is-open"><span class="acf-icon small"><i class="acf-sprite-right"></i></span>' + acf.l10n.core.collapse_details +  '</span>',
-						'</a>'
-					].join('')); 
-					
-					
-					// add events
-					button.on('click', function( e ){
-						
-						e.preventDefault();
-						
-						if( $media_model.hasClass('acf-expanded') )
-						{
-							$media_model.removeClass('acf-expanded');
-						}
-						else
-						{
-							$media_model.addClass('acf-expanded');
-						}
-						
-					});
-					
-					
-					// append
-					$media_model.find('.media-frame-router').append( button );
-						
-				
-				}, 0);
-				
-				
-				// setup fields
-				// The clearTimout is needed to prevent many setup functions from running at the same time
-				clearTimeout( acf.media.render_timout );
-				acf.media.render_timout = setTimeout(function(){
-
-					$(document).trigger( 'acf/setup_fields', [ _this.$el ] );
-					
-				}, 50);
-
-				
-				// return based on the origional render function
-				return this;
-			};
+			});
+			
+			
+			// return
+			return data;
+			
+		},
+		
+		snapshot : function( submitted ){
+			
+			// defaults
+			submitted = submitted || false;
+			
+			
+			// bail early if nothing has changed
+			if( !submitted && !acf.unload.changed )
+			{
+				return;
+			}
+			
+			
+			// vars
+			var data = JSON.stringify( this.serialize() );
+			
+			
+			// bail early if the values are the same as the last snapshot
+			if( !submitted && data === this.last )
+			{
+				return;
+			}
+			
+			this.last = data;
+			
+			
+			// save
+			try
+			{
+				window.localStorage.setItem( this.key, JSON.stringify({
+					time		: new Date().getTime(),
+					modified	: parseInt( acf.get('modified') ) || 0,
+					submitted	: submitted ? 1 : 0,
+					data		: $.parseJSON( data )
+				}));
+			}
+			catch(e)
+			{
+				// quota exceeded
+			}
 			
+		},
+		
+		offer : function( draft ){
 			
-			// modify dispose
-			_prototype.dispose = function() {
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var $message = $([
+				'<div class="' + this.message_class + '">',
+					'<p>' + acf._e('core', 'draft_found') + ' ',
+						'<a href="#" data-name="restore">' + acf._e('core', 'draft_restore') + '</a> | ',
+						'<a href="#" data-name="dismiss">' + acf._e('core', 'draft_dismiss') + '</a>',
+					'</p>',
+				'</div>'
+			].join(''));
+			
+			
+			// events
+			$message.on('click', 'a', function( e ){
 				
-				// remove
-				$(document).trigger('acf/remove_fields', [ this.$el ]);
+				e.preventDefault();
 				
+				if( $(this).attr('data-name') == 'restore' )
+				{
+					_this.restore( draft.data );
+				}
 				
-				// run the old render function
-				this.orig_dispose();
+				_this.remove();
 				
-			};
+				$message.remove();
+				
+			});
 			
 			
-			// override save
-			_prototype.save = function( event ) {
+			// show message
+			this.$form.prepend( $message );
 			
-				var data = {},
-					names = {};
-				
-				if ( event )
-					event.preventDefault();
-					
-					
-				_.each( this.$el.serializeArray(), function( pair ) {
-				
-					// initiate name
-					if( pair.name.slice(-2) === '[]' )
-					{
-						// remove []
-						pair.name = pair.name.replace('[]', '');
-						
-						
-						// initiate counter
-						if( typeof names[ pair.name ] === 'undefined'){
-							
-							names[ pair.name ] = -1;
-							//console.log( names[ pair.name ] );
-							
-						}
-						
-						
-						names[ pair.name ]++
-						
-						pair.name += '[' + names[ pair.name ] +']';
-						
-						
-					}
- 
-					data[ pair.name ] = pair.value;
-				});
- 
-				this.ignore_render = true;
-				this.model.saveCompat( data );
-				
-			};
-		}
-	};
-	
-	
-	/*
-	*  conditional_logic
-	*
-	*  description
-	*
-	*  @type	function
-	*  @date	21/02/2014
-	*  @since	3.5.1
-	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
-	*/
-		
-	acf.conditional_logic = {
-		
-		items : {},
-		triggers : {},
+		},
 		
-		init : function(){
+		restore : function( data ){
 			
 			// reference
 			var _this = this;
 			
 			
-			// events
-			$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
-				
-				_this.change( $(this) );
+			// restore top level fields (sub fields are restored by their parent)
+			acf.get_fields({}, this.$form).each(function(){
 				
-			});
-			
-			
-			// actions
-			acf.add_action('append', function( $el ){
+				if( $(this).parent().closest('.acf-field').exists() )
+				{
+					return;
+				}
 				
-				//console.log('acf/setup_fields calling acf.conditional_logic.refresh()');
-				_this.render( $el );
+				_this.restore_field( $(this), 'acf[' + acf.get_data($(this), 'key') + ']', data );
 				
 			});
 			
 			
-			//console.log('acf.conditional_logic.init() calling acf.conditional_logic.refresh()');
-			_this.render();
+			// the restored values are not saved yet
+			acf.unload.on();
 			
 		},
 		
-		add : function( key, groups ){
+		restore_field : function( $field, name, data ){
 			
 			// reference
 			var _this = this;
 			
 			
-			// append items
-			_this.items[ key ] = groups;
+			// vars
+			var type = acf.get_data($field, 'type'),
+				ids = this.get_children( name, data );
 			
 			
-			// populate triggers
-			$.each(groups, function( k1, group ){
+			// repeater
+			if( type == 'repeater' )
+			{
+				// vars
+				var repeater = acf.fields.repeater.set( $field ),
+					$rows = repeater.get_rows();
 				
-				$.each(group, function( k2, rule ){
+				
+				// remove extra rows
+				if( $rows.length > ids.length )
+				{
+					var $remove = $rows.slice( ids.length );
 					
-					// add rule.field to triggers
-					if( !acf.isset(_this, 'triggers', rule.field) )
-					{
-						_this.triggers[ rule.field ] = [];
-					}
+					acf.do_action('remove', $remove);
 					
+					$remove.remove();
+				}
+				
+				
+				// add missing rows
+				for( var i = $rows.length; i < ids.length; i++ )
+				{
+					acf.fields.repeater.set( $field ).add( $() );
+				}
+				
+				
+				// restore sub fields
+				$rows = acf.fields.repeater.set( $field ).get_rows();
+				
+				$.each(ids, function( i, id ){
+					
+					acf.get_sub_fields( $rows.eq(i) ).each(function(){
+						
+						_this.restore_field( $(this), name + '[' + id + '][' + acf.get_data($(this), 'key') + ']', data );
+						
+					});
 					
-					// add key to this trigger
-					if( _this.triggers[ rule.field ].indexOf(key) === -1 )
-					{
-						 _this.triggers[ rule.field ].push( key );
-					}
-										
 				});
 				
-			});
+				
+				// render
+				acf.fields.repeater.set( $field ).render();
+				
+			}
+			
+			
+			// flexible content
+			else if( type == 'flexible_content' )
+			{
+				// vars
+				var flexible_content = acf.fields.flexible_content.set( $field ),
+					$layouts = flexible_content.$values.children('.layout');
+				
+				
+				// remove current layouts
+				acf.do_action('remove', $layouts);
+				
+				$layouts.remove();
+				
+				
+				// add layouts and restore sub fields
+				$.each(ids, function( i, id ){
+					
+					acf.fields.flexible_content.set( $field ).add( data[ name + '[' + id + '][acf_fc_layout]' ] );
+					
+					
+					// vars
+					var $layout = acf.fields.flexible_content.$values.children('.layout').last();
+					
+					
+					acf.get_sub_fields( $layout ).each(function(){
+						
+						_this.restore_field( $(this), name + '[' + id + '][' + acf.get_data($(this), 'key') + ']', data );
+						
+					});
+					
+				});
+				
+				
+				// no value message
+				if( !ids.length )
+				{
+					flexible_content.$el.children('.no-value-message').show();
+				}
+				
+			}
+			
+			
+			// other fields
+			else
+			{
+				var value = this.get_value( name, ids, data );
+				
+				if( value !== null )
+				{
+					acf.set_value( $field, value );
+				}
+			}
 			
 		},
 		
-		change : function( $el ){
+		get_children : function( name, data ){
 			
-			console.log('change %o', $el);
+			// vars
+			var children = [],
+				prefix = name + '[';
 			
 			
-			// reference
-			var _this = this;
+			// find the next segment of each name within this name (in order)
+			$.each( data, function( k ){
+				
+				if( k.indexOf(prefix) !== 0 )
+				{
+					return;
+				}
+				
+				
+				// vars
+				var child = k.substr( prefix.length ).split(']')[0];
+				
+				
+				// ignore clones
+				if( child != 'acfcloneindex' && $.inArray(child, children) === -1 )
+				{
+					children.push( child );
+				}
+				
+			});
 			
 			
-			// vars
-			var key = acf.get_field_data($el, 'key');
+			// return
+			return children;
+			
+		},
+		
+		get_value : function( name, children, data ){
+			
+			// array (checkbox, multiple select, relationship, gallery, etc)
+			if( children.length && $.isNumeric(children[0]) )
+			{
+				return $.map(children, function( child ){
+					
+					return data[ name + '[' + child + ']' ];
+					
+				});
+			}
 			
 			
-			// does this field trigger any actions
-			if( acf.isset(_this, 'triggers', key) )
+			// object (google map, etc)
+			if( children.length )
 			{
-				// update visibiliy
-				$.each(_this.triggers[ key ], function( i, target ){
+				var value = {};
+				
+				$.each(children, function( i, child ){
 					
-					_this.render_field( target );
+					value[ child ] = data[ name + '[' + child + ']' ];
 					
 				});
+				
+				return value;
+			}
+			
+			
+			// single value
+			if( data.hasOwnProperty(name) )
+			{
+				return data[ name ];
 			}
 			
+			
+			// return
+			return null;
+			
+		}
+		
+	};
+	
+	
+	acf.add_action('ready', function(){
+		
+		acf.drafts.init();
+		
+	}, 20);
+	
+	
+	/*
+	*  form
+	*
+	*  This object will save a front end acf_form via AJAX (when the 'ajax' setting is used).
+	*  acf.validation calls submit() instead of submitting the form again once validation has passed
+	*
+	*  @type	object
+	*  @date	30/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.form = {
+		
+		is_ajax : function( $form ){
+			
+			return ( $form.find('input[name="_acfajax"]').val() == 1 );
+			
 		},
 		
-		render_field : function( key ){
+		submit : function( $form ){
 			
 			// reference
 			var _this = this;
 			
 			
-			// get conditional logic
-			var groups = this.items[ key ];
+			// vars
+			var data = acf.serialize_form( $form ),
+				$submit = $form.find('[type="submit"]');
 			
 			
-			// get targets
-			var $targets = acf.get_fields({key : key});
+			// append AJAX action
+			data.action = 'acf/form/submit';
 			
 			
-			// may be multiple targets (sub fields)
-			$targets.each(function(){
+			// loading
+			acf.validation.busy = 1;
+			$submit.prop('disabled', true);
+			$form.find('.acf-form-updated').addClass('acf-hidden');
 			
-				// vars
-				var visibility = false;
-				
-				
-				// $el
-				var $target = $(this);
-				
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
 				
-				// loop over groups
-				$.each( groups, function( k, group ){
-					
-					var match_group = true;
-					
-					
-					// loop over rules
-					$.each( group, function( k2, rule ){
+				$.ajax({
+					url			: acf.get('ajaxurl'),
+					data		: data,
+					type		: 'post',
+					dataType	: 'json',
+					timeout		: acf.validation.timeout,
+					success		: function( json ){
 						
-						if( !_this.get_visibility( $target, rule) )
-						{
-							match_group = false;
-							return false;
-						}
+						$submit.prop('disabled', false);
+						_this.complete( $form, json );
+						
+					},
+					error		: function(){
+						
+						$submit.prop('disabled', false);
+						acf.validation.render( $form, acf.validation.get_failure( acf._e('validation', 'failed') ) );
 						
-					});
-					
-					
-					if( match_group )
-					{
-						visibility = true;
-						return false;
 					}
-					
 				});
 				
+			}).fail(function( message ){
 				
-				// hide / show field
-				if( visibility )
-				{
-					_this.show_field( $target );					
-				}
-				else
-				{
-					_this.hide_field( $target );
-				}
-				
+				$submit.prop('disabled', false);
+				acf.validation.render( $form, acf.validation.get_failure( message ) );
 				
 			});
 			
-			
 		},
 		
+		complete : function( $form, json ){
+			
+			// validate
+			if( !json || json.result != 1 )
+			{
+				acf.validation.render( $form, json || acf.validation.get_failure() );
+				return;
+			}
+			
+			
+			// update busy
+			acf.validation.busy = 0;
+			
+			
+			// hook for 3rd party customization (acf.get('post_id') is still the previous value, eg: 'new')
+			acf.do_action('form_saved', $form, json.post_id, json);
+			
+			
+			// update post_id (a new post was created, future saves will update it)
+			$form.find('input[name="post_id"]').val( json.post_id );
+			$form.find('input[name="new_post"], input[name="new_post_hash"]').remove();
+			acf.update('post_id', json.post_id);
+			
+			
+			// redirect
+			if( json['return'] )
+			{
+				window.location.href = json['return'];
+				return;
+			}
+			
+			
+			// show message
+			$form.find('.acf-form-updated').removeClass('acf-hidden');
+			
+		}
+		
+	};
+	
+	
+	/*
+	*  language
+	*
+	*  This object will find the current language from the active multilingual plugin via a list of providers.
+	*  The language is sent with all AJAX requests (field groups, relationship / post object queries, validation)
+	*
+	*  @type	object
+	*  @date	1/04/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.language = {
+		
+		lang		: null,
+		providers	: [],
 		
-		show_field : function( $field ){
+		add_provider : function( provider ){
 			
-			// vars
-			var key = acf.get_data($field, 'key'),
-				c = 'hidden-by-conditional-logic';
+			// defaults
+			provider = $.extend({
+				name		: '',
+				priority	: 10,
+				selector	: '',	// an input which changes the language (optional)
+				get			: function(){ return ''; }
+			}, provider);
 			
 			
-			if( acf.is_sub_field($field) )
+			// insert after providers of a lower or equal priority
+			var i = 0;
+			
+			while( i < this.providers.length && this.providers[ i ].priority <= provider.priority )
 			{
-				var $repeater = $field.closest('table').parent('.acf-repeater');
-				
-				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
-				{
-					c += ' appear-empty';
-					
-					$repeater.find('> table > thead th[data-key="' + key + '"]').removeClass( c );
-				}
-				
+				i++;
 			}
 			
+			this.providers.splice( i, 0, provider );
 			
-			// add class
-			$field.removeClass( c );
 			
+			// return
+			return this;
 			
-			// remove "disabled"
-			$field.find('input, textarea, select').removeAttr('disabled');
+		},
+		
+		get : function(){
 			
+			// find language once
+			if( this.lang === null )
+			{
+				this.lang = this.detect();
+			}
 			
-			// hook
-			acf.do_action('conditional_logic_show', $field );
+			
+			// return
+			return this.lang;
 			
 		},
 		
-		hide_field : function( $field ){
+		detect : function(){
 			
 			// vars
-			var key = acf.get_data($field, 'key'),
-				c = 'hidden-by-conditional-logic';
+			var lang = '';
 			
 			
-			if( acf.is_sub_field($field) )
-			{
-				var $repeater = $field.closest('table').parent('.acf-repeater');
+			// loop over providers
+			$.each( this.providers, function( i, provider ){
 				
-				if( $repeater.exists() && acf.get_data($repeater, 'max') != 1)
+				lang = provider.get() || '';
+				
+				if( lang )
 				{
-					c += ' appear-empty';
-					
-					$repeater.find('> table > thead th[data-key="' + key + '"]').addClass( c );
+					return false;
 				}
 				
-			}
-			
-			
-			// add class
-			$field.addClass( c );
-			
-			
-			// add "disabled"
-			$field.find('input, textarea, select').attr('disabled', 'disabled');
+			});
 			
 			
-			// hook
-			acf.do_action('conditional_logic_hide', $field );
+			// filter for 3rd party customization
+			return acf.apply_filters('get_language', lang);
 			
 		},
 		
-		get_visibility : function( $target, rule ){
+		refresh : function(){
 			
 			// vars
-			var $search = acf.is_sub_field( $target ) ? $target.parent() : $('body');
+			var prev = this.lang;
 			
 			
-			// vars
-			var $trigger = acf.get_fields({key : rule.field}, $search);
+			// find language
+			this.lang = this.detect();
 			
 			
-			if( !$trigger.exists() )
+			// hook
+			if( this.lang !== prev )
 			{
-				// loop through all the parents that could contain sub fields
-				$target.parents('tr').each(function(){
-					
-					$trigger = acf.get_fields({key : rule.field}, $(this));
-					
-					if( $trigger.length == 1 )
-					{
-						return false;
-					}
-					
-				});
-				
+				acf.do_action('change_language', this.lang, prev);
 			}
 			
-						
-			//console.log('this.calculate( %o, %o, %o );', rule, $trigger, $target);
+		},
+		
+		prepare_for_ajax : function( args ){
 			
+			// vars
+			var lang = this.get();
 			
-			// calculate
-			var visibility = this.calculate( rule, $trigger, $target );
+			
+			// append lang (without overriding an explicit value)
+			if( lang && !args.lang )
+			{
+				args.lang = lang;
+			}
 			
 			
 			// return
-			return visibility;
+			return args;
+			
 		},
 		
-		render : function( $el ){
-			
-			// defaults
-			$el = $el || $('body');
-			
+		init : function(){
 			
 			// reference
 			var _this = this;
 			
 			
-			acf.get_fields({},$el).each(function(){
-				
-				var key = acf.get_data($(this), 'key');
+			// listen to language changes
+			$.each( this.providers, function( i, provider ){
 				
-				if( acf.isset(_this, 'items', key) )
+				if( !provider.selector )
 				{
-					_this.render_field( key );
-				}
-				/*
-else if( acf.isset(_this, 'triggers', key) )
-				{
-					key = _this.triggers[ key ];
-					_this.render_field( key );
+					return;
 				}
-*/
+				
+				$(document).on('change', provider.selector, function(){
+					
+					_this.refresh();
+					
+				});
 				
 			});
 			
-		},
+		}
 		
-		calculate : function( rule, $trigger, $target ){
+	};
+	
+	
+	// WPML
+	acf.language.add_provider({
+		name		: 'wpml',
+		selector	: 'select[name="icl_post_language"]',
+		get			: function(){
 			
-			// vars
-			var r = false;
+			// post language
+			var $select = $('select[name="icl_post_language"]');
 			
-
-			// compare values
-			if( $trigger.hasClass('field_type-true_false') || $trigger.hasClass('field_type-checkbox') || $trigger.hasClass('field_type-radio') )
+			if( $select.exists() )
 			{
-				var exists = $trigger.find('input[value="' + rule.value + '"]:checked').exists();
-				
-				
-				if( rule.operator == "==" )
-				{
-					if( exists )
-					{
-						r = true;
-					}
-				}
-				else
-				{
-					if( ! exists )
-					{
-						r = true;
-					}
-				}
-				
+				return $select.val();
 			}
-			else
+			
+			
+			// admin language
+			if( typeof icl_this_lang !== 'undefined' )
 			{
-				// get val and make sure it is an array
-				var val = $trigger.find('input, textarea, select').last().val();
-				
-				if( ! $.isArray(val) )
-				{
-					val = [ val ];
-				}
-				
-				
-				if( rule.operator == "==" )
-				{
-					if( $.inArray(rule.value, val) > -1 )
-					{
-						r = true;
-					}
-				}
-				else
-				{
-					if( $.inArray(rule.value, val) < 0 )
-					{
-						r = true;
-					}
-				}
-				
+				return icl_this_lang;
 			}
 			
 			
-			// return
-			return r;
+			// admin language switcher
+			var results = /lang=([^&#]*)/.exec( $('#icl-als-first').children('a').attr('href') || '' );
+			
+			return results ? results[1] : '';
 			
 		}
-		
-	}; 
+	});
 	
 	
-	/*
-	*  ready
-	*
-	*  description
-	*
-	*  @type	function
-	*  @date	19/02/2014
-	*  @since	5.0.0
-	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
-	*/
+	// Polylang
+	acf.language.add_provider({
+		name		: 'polylang',
+		selector	: '#post_lang_choice',
+		get			: function(){
+			
+			return $('#post_lang_choice').val() || '';
+			
+		}
+	});
 	
-	$(document).ready(function(){
-		
-		// fire ready
-		acf.do_action('ready', $('body'));
-		
-		
-		// initialize conditional logic
-		acf.conditional_logic.init();
-		
+	
+	// server (see acf_get_language)
+	acf.language.add_provider({
+		name		: 'acf',
+		priority	: 20,
+		get			: function(){
+			
+			return acf.get('lang') || '';
+			
+		}
 	});
 	
 	
+	acf.add_filter('prepare_for_ajax', function( args ){
+		
+		return acf.language.prepare_for_ajax( args );
+		
+	}, 5);
 	
-	/*
-	*  Force revisions
-	*
-	*  description
-	*
-	*  @type	function
-	*  @date	19/02/2014
-	*  @since	5.0.0
-	*
-	*  @param	$post_id (int)
-	*  @return	$post_id (int)
-	*/
 	
-	$(document).on('change', '.acf-field input, .acf-field textarea, .acf-field select', function(){
+	acf.add_action('ready', function(){
 		
-		// preview hack
-		if( $('#acf-form-data input[name="_acfchanged"]').exists() )
-		{
-			$('#acf-form-data input[name="_acfchanged"]').val(1);
-		}
+		acf.language.init();
 		
 	});
 			
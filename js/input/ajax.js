@@ -15,13 +15,48 @@
 			nonce			:	0
 		},
 		
+		
+		// request
+		delay	: 300,	// changes within this time (ms) are coalesced into 1 request
+		timeout	: null,
+		xhr		: null,
+		index	: 0,
+		
+		
+		// location rules of the field groups on this screen (added by each postbox)
+		groups	: {},
+		changed	: {},
+		
+		
+		// values of hidden field groups
+		values	: {},
+		
+		
+		// location rule params evaluated in JS, and the options they depend on
+		params	: {
+			page_template	: [ 'page_template' ],
+			post_format		: [ 'post_format' ],
+			post_category	: [ 'post_taxonomy' ],
+			page_type		: [ 'page_type', 'page_parent' ],
+			page_parent		: [ 'page_parent' ],
+			post_taxonomy	: [ 'post_taxonomy' ],
+			user_role		: [ 'user_role' ]
+		},
+		
 		update : function( k, v ){
 			
 			this.o[ k ] = v;
+			this.changed[ k ] = 1;
 			return this;
 			
 		},
 		
+		add_group : function( key, group ){
+			
+			this.groups[ key ] = group;
+			
+		},
+		
 		get : function( k ){
 			
 			return this.o[ k ] || null;
@@ -40,19 +75,11 @@
 			// vars
 			this.update('post_id', acf.o.post_id);
 			this.update('nonce', acf.o.nonce);
+			this.update('lang', acf.language.get());
 			
 			
-			// MPML
-			if( $('#icl-als-first').length > 0 )
-			{
-				var href = $('#icl-als-first').children('a').attr('href'),
-					regex = new RegExp( "lang=([^&#]*)" ),
-					results = regex.exec( href );
-				
-				// lang
-				this.update('lang', results[1]);
-				
-			}
+			// changes made after this point are evaluated against the location rules
+			this.changed = {};
 			
 			
 			// add triggers
@@ -65,43 +92,598 @@
 			var _this = this;
 			
 			
+			// coalesce changes
+			clearTimeout( this.timeout );
+			
+			
+			// bring the location rules up to date with the changes made since the last fetch
+			this.update_rules();
+			
+			
+			// evaluate location rules in JS (falls back to the server for rules which can not be decided)
+			var keys = this.get_visible_groups();
+			
+			if( keys !== false )
+			{
+				this.cancel();
+				this.show_groups( keys );
+				return;
+			}
+			
+			
+			this.timeout = setTimeout(function(){
+				
+				_this.send();
+				
+			}, this.delay);
+			
+		},
+		
+		send : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var index = ++this.index;
+			
+			
+			// abort previous request
+			if( this.xhr )
+			{
+				this.xhr.abort();
+			}
+			
+			
+			// loading
+			this.loading( true );
+			
+			
 			// ajax
-			$.ajax({
+			this.xhr = $.ajax({
 				url			: acf.get('ajaxurl'),
-				data		: this.o,
+				data		: $.extend({}, this.o),
 				type		: 'post',
 				dataType	: 'json',
 				success		: function( json ){
 					
+					// only render the latest response
+					if( index !== _this.index )
+					{
+						return;
+					}
+					
 					if( json && json.length )
 					{
 						_this.render( json );
 					}
 					
+				},
+				complete	: function(){
+					
+					// a newer request is in flight
+					if( index !== _this.index )
+					{
+						return;
+					}
+					
+					_this.xhr = null;
+					_this.loading( false );
+					
+				}
+			});
+			
+		},
+		
+		cancel : function(){
+			
+			// invalidate the current request
+			this.index++;
+			
+			
+			// abort
+			if( this.xhr )
+			{
+				this.xhr.abort();
+				this.xhr = null;
+			}
+			
+			
+			this.loading( false );
+			
+		},
+		
+		get_visible_groups : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var keys = [],
+				r = true;
+			
+			
+			// bail early if no location rules
+			if( $.isEmptyObject(this.groups) )
+			{
+				return false;
+			}
+			
+			
+			// loop over groups
+			$.each( this.groups, function( key, group ){
+				
+				// vars
+				var visible = _this.match_location( group.location );
+				
+				
+				// can not be decided
+				if( visible === null )
+				{
+					r = false;
+					return false;
+				}
+				
+				
+				if( visible )
+				{
+					// fields have not been loaded yet
+					if( $('#acf-' + key).find('.acf-replace-with-fields').exists() )
+					{
+						r = false;
+						return false;
+					}
+					
+					keys.push( key );
+				}
+				
+			});
+			
+			
+			// return
+			return r ? keys : false;
+			
+		},
+		
+		match_location : function( location ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var visibility = false;
+			
+			
+			// groups (or)
+			$.each( location, function( i, group ){
+				
+				// vars
+				var match_group = true;
+				
+				
+				// rules (and)
+				$.each( group, function( j, rule ){
+					
+					var match = _this.match_rule( rule );
+					
+					if( match === false )
+					{
+						match_group = false;
+						return false;
+					}
+					
+					if( match === null )
+					{
+						match_group = null;
+					}
+					
+				});
+				
+				
+				if( match_group === true )
+				{
+					visibility = true;
+					return false;
+				}
+				
+				if( match_group === null )
+				{
+					visibility = null;
+				}
+				
+			});
+			
+			
+			// return
+			return visibility;
+			
+		},
+		
+		update_rules : function(){
+			
+			// reference
+			var _this = this;
+			
+			
+			// loop over rules
+			$.each( this.groups, function( key, group ){
+				
+				$.each( group.location, function( i, rules ){
+					
+					$.each( rules, function( j, rule ){
+						
+						if( _this.is_changed( rule ) )
+						{
+							rule.match = _this.evaluate_rule( rule );
+						}
+						
+					});
+					
+				});
+				
+			});
+			
+			
+			// changes have now been applied to the rules
+			this.changed = {};
+			
+		},
+		
+		is_changed : function( rule ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var params = this.params[ rule.param ] || [],
+				changed = false;
+			
+			
+			// the result from the server is only valid for the language it was found in
+			if( this.changed.lang )
+			{
+				return true;
+			}
+			
+			
+			// find changes
+			$.each( params, function( i, k ){
+				
+				if( _this.changed[ k ] )
+				{
+					changed = true;
+					return false;
+				}
+				
+			});
+			
+			
+			// return
+			return changed;
+			
+		},
+		
+		evaluate_rule : function( rule ){
+			
+			// a language change can only be evaluated by the server
+			if( this.changed.lang )
+			{
+				return null;
+			}
+			
+			
+			// evaluate
+			if( typeof this.rules[ rule.param ] === 'function' )
+			{
+				return this.rules[ rule.param ].call( this, rule );
+			}
+			
+			
+			// can not be decided
+			return null;
+			
+		},
+		
+		match_rule : function( rule ){
+			
+			// null is used for rules which can only be decided by the server
+			if( rule.match === null )
+			{
+				return null;
+			}
+			
+			
+			// return
+			return rule.match ? true : false;
+			
+		},
+		
+		compare : function( rule, match ){
+			
+			return ( rule.operator == '!=' ) ? !match : match;
+			
+		},
+		
+		rules : {
+			
+			page_template : function( rule ){
+				
+				return this.compare( rule, this.o.page_template === rule.value );
+				
+			},
+			
+			post_format : function( rule ){
+				
+				return this.compare( rule, this.o.post_format === rule.value );
+				
+			},
+			
+			post_category : function( rule ){
+				
+				// vars
+				var terms = $.isArray( this.o.post_taxonomy ) ? this.o.post_taxonomy : [];
+				
+				
+				// return
+				return this.compare( rule, $.inArray( String(rule.value), terms ) > -1 );
+				
+			},
+			
+			page_type : function( rule ){
+				
+				// top level / child depend on the page parent
+				if( rule.value == 'top_level' )
+				{
+					return this.compare( rule, this.o.page_type == 'parent' );
+				}
+				
+				if( rule.value == 'child' )
+				{
+					return this.compare( rule, this.o.page_type == 'child' );
+				}
+				
+				
+				// front_page, posts_page and parent do not change on this screen
+				return rule.match;
+				
+			},
+			
+			user_role : function( rule ){
+				
+				// all
+				if( rule.value === 'all' )
+				{
+					return this.compare( rule, true );
+				}
+				
+				
+				// return
+				return this.compare( rule, this.o.user_role === rule.value );
+				
+			}
+			
+		},
+		
+		show_groups : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// hide other metaboxes
+			this.hide_groups( keys );
+			
+			
+			// show the postboxes
+			$.each( keys, function( k, key ){
+				
+				_this.show_group( key );
+				
+				
+				// update style
+				if( k === 0 )
+				{
+					$('#acf-style').html( _this.groups[ key ].style );
+				}
+				
+			});
+			
+		},
+		
+		hide_groups : function( keys ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			keys = keys || [];
+			
+			
+			$('.acf-postbox').each(function(){
+				
+				// vars
+				var key = $(this).attr('id').substr(4);
+				
+				
+				if( $.inArray(key, keys) === -1 )
+				{
+					_this.hide_group( key );
 				}
+				
 			});
 			
 		},
 		
+		hide_group : function( key ){
+			
+			// vars
+			var $el = $('#acf-' + key),
+				$toggle = $('#adv-settings .acf-postbox-toggle[for="acf-' + key + '-hide"]');
+			
+			
+			// toggle
+			$toggle.addClass('acf-hidden');
+			
+			
+			// bail early if already hidden
+			if( $el.hasClass('acf-hidden') )
+			{
+				return $el;
+			}
+			
+			
+			// remember values
+			this.values[ key ] = this.get_values( $el );
+			
+			
+			// add class
+			$el.addClass('acf-hidden');
+			
+			
+			// add "disabled" (hidden field groups are not saved)
+			acf.disable_inputs( $el, 'location' );
+			
+			
+			// return
+			return $el;
+			
+		},
+		
+		show_group : function( key ){
+			
+			// vars
+			var $el = $('#acf-' + key),
+				$toggle = $('#adv-settings .acf-postbox-toggle[for="acf-' + key + '-hide"]');
+			
+			
+			// toggle
+			$toggle.removeClass('acf-hidden hide-if-js');
+			$toggle.find('input[type="checkbox"]').attr('checked', 'checked');
+			
+			
+			// bail early if already visible
+			if( !$el.hasClass('acf-hidden') )
+			{
+				$el.removeClass('hide-if-js');
+				return $el;
+			}
+			
+			
+			// remove class
+			$el.removeClass('acf-hidden hide-if-js');
+			
+			
+			// remove "disabled" (fields hidden by conditional logic remain disabled)
+			acf.enable_inputs( $el, 'location' );
+			
+			
+			// restore values
+			this.restore_values( key );
+			
+			
+			// return
+			return $el;
+			
+		},
+		
+		get_values : function( $el ){
+			
+			// vars
+			var values = {};
+			
+			
+			// top level fields (sub fields are part of their parent's value)
+			acf.get_fields({}, $el).each(function(){
+				
+				if( $(this).parent().closest('.acf-field').exists() )
+				{
+					return;
+				}
+				
+				values[ acf.get_data($(this), 'key') ] = acf.get_value( $(this) );
+				
+			});
+			
+			
+			// return
+			return values;
+			
+		},
+		
+		restore_values : function( key ){
+			
+			// vars
+			var $el = $('#acf-' + key),
+				values = this.values[ key ];
+			
+			
+			// bail early if no values
+			if( !values )
+			{
+				return;
+			}
+			
+			
+			acf.get_fields({}, $el).each(function(){
+				
+				// vars
+				var $field = $(this),
+					field_key = acf.get_data($field, 'key');
+				
+				
+				// bail early if sub field or not remembered
+				if( $field.parent().closest('.acf-field').exists() || !values.hasOwnProperty(field_key) )
+				{
+					return;
+				}
+				
+				
+				// set value via the field type (updates the UI and triggers change)
+				if( JSON.stringify( acf.get_value($field) ) !== JSON.stringify( values[ field_key ] ) )
+				{
+					acf.set_value( $field, values[ field_key ] );
+				}
+				
+			});
+			
+		},
+		
+		loading : function( loading ){
+			
+			$('.acf-postbox').toggleClass('acf-loading', loading);
+			
+		},
+		
 		render : function( json ){
 			
-			// hide all metaboxes
-			$('.acf-postbox').addClass('acf-hidden');
-			$('.acf-postbox-toggle').addClass('acf-hidden');
+			// reference
+			var _this = this;
 			
 			
-			// show the new postboxes
+			// vars
+			var keys = [];
+			
 			$.each(json, function( k, field_group ){
 				
-				// vars
-				var $el = $('#acf-' + field_group.key),
-					$toggle = $('#adv-settings .acf_postbox-toggle[for="acf-' + field_group.key + '-hide"]');
+				keys.push( field_group.key );
 				
+			});
+			
+			
+			// hide other metaboxes
+			this.hide_groups( keys );
+			
+			
+			// show the new postboxes
+			$.each(json, function( k, field_group ){
 				
-				// classes
-				$el.removeClass('acf-hidden hide-if-js');
-				$toggle.removeClass('acf-hidden hide-if-js');
-				$toggle.find('input[type="checkbox"]').attr('checked', 'checked');
+				// vars
+				var $el = _this.show_group( field_group.key );
 				
 				
 				// replace HTML if needed
@@ -111,6 +693,8 @@
 					
 					acf.do_action('append', $el);
 					
+					_this.restore_values( field_group.key );
+					
 				});
 				
 				
@@ -189,7 +773,8 @@
 			// page parent
 			$(document).on('change', '#parent_id', function(){
 				
-				var page_type = 'parent',
+				var val = $(this).val(),
+					page_type = 'parent',
 					page_parent = 0;
 				
 				
@@ -252,14 +837,20 @@
 			
 			
 			
+			// language
+			acf.add_action('change_language', function( lang ){
+				
+				_this.update( 'lang', lang ).fetch();
+				
+			});
+			
+			
 			// user role
-			/*
 			$(document).on('change', 'select[id="role"][name="role"]', function(){
 				
 				_this.update( 'user_role', $(this).val() ).fetch();
 				
 			});
-			*/
 			
 		}
 		
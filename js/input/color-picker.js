@@ -6,6 +6,24 @@
 			
 			$input.wpColorPicker();
 			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $input = $field.find('input[type="text"]');
+			
+			
+			// update color picker
+			if( $input.closest('.wp-picker-container').exists() )
+			{
+				$input.wpColorPicker('color', value);
+			}
+			
+			
+			// update input
+			$input.val( value ).trigger('change');
+			
 		}
 	};
 	
@@ -67,6 +67,36 @@
 				$input.siblings('input[type="hidden"]').val('');
 			}
 			
+		},
+		
+		get_value : function( $field ){
+			
+			return $field.find('.acf-date_picker input[type="hidden"]').val();
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $el = $field.find('.acf-date_picker'),
+				$input = $el.find('input[type="text"]'),
+				$hidden = $el.find('input[type="hidden"]');
+			
+			
+			// update hidden value
+			$hidden.val( value || '' );
+			
+			
+			// update datepicker (altField will remain in sync)
+			if( $input.hasClass('hasDatepicker') )
+			{
+				$input.datepicker('setDate', value ? $.datepicker.parseDate('yy-mm-dd', value) : null);
+			}
+			
+			
+			// trigger change
+			$hidden.trigger('change');
+			
 		}
 		
 	};
@@ -16,7 +16,11 @@
 			addFilter : addFilter,
 			removeAction : removeAction,
 			doAction : doAction,
-			addAction : addAction
+			addAction : addAction,
+			debug : debug,
+			getLog : getLog,
+			clearLog : clearLog,
+			getHooks : getHooks
 		};
 
 		/**
@@ -28,20 +32,30 @@
 			filters : {}
 		};
 
+		/**
+		 * Contains the debug state and a log of every action / filter that ran while debugging was enabled.
+		 */
+		var DEBUG = {
+			enabled : false,
+			limit : 1000,
+			log : []
+		};
+
 		/**
 		 * Adds an action to the event manager.
 		 *
 		 * @param action Must contain namespace.identifier
 		 * @param callback Must be a valid callback function before this action is added
 		 * @param priority Defaults to 10
+		 * @param once If true, the callback is removed after it has run once
 		 */
-		function addAction( action, callback, priority ) {
+		function addAction( action, callback, priority, once ) {
 			if( _validateNamespace( action ) === false || typeof callback !== 'function' ) {
 				return MethodsAvailable;
 			}
 
 			priority = parseInt( ( priority || 10 ), 10 );
-			_addHook( 'actions', action, callback, priority );
+			_addHook( 'actions', action, callback, priority, once );
 			return MethodsAvailable;
 		}
 
@@ -66,13 +80,14 @@
 		 * Removes the specified action if it contains a namespace.identifier & exists.
 		 *
 		 * @param action The action to remove
+		 * @param callback Optional. Only remove this callback, otherwise all callbacks are removed
 		 */
-		function removeAction( action ) {
+		function removeAction( action, callback ) {
 			if( _validateNamespace( action ) === false ) {
 				return MethodsAvailable;
 			}
 
-			_removeHook( 'actions', action );
+			_removeHook( 'actions', action, callback );
 			return MethodsAvailable;
 		}
 
@@ -82,14 +97,15 @@
 		 * @param filter Must contain namespace.identifier
 		 * @param callback Must be a valid callback function before this action is added
 		 * @param priority Defaults to 10
+		 * @param once If true, the callback is removed after it has run once
 		 */
-		function addFilter( filter, callback, priority ) {
+		function addFilter( filter, callback, priority, once ) {
 			if( _validateNamespace( filter ) === false || typeof callback !== 'function' ) {
 				return MethodsAvailable;
 			}
 
 			priority = parseInt( ( priority || 10 ), 10 );
-			_addHook( 'filters', filter, callback, priority );
+			_addHook( 'filters', filter, callback, priority, once );
 			return MethodsAvailable;
 		}
 
@@ -113,27 +129,132 @@
 		 * Removes the specified filter if it contains a namespace.identifier & exists.
 		 *
 		 * @param filter The action to remove
+		 * @param callback Optional. Only remove this callback, otherwise all callbacks are removed
 		 */
-		function removeFilter( filter ) {
+		function removeFilter( filter, callback ) {
 			if( _validateNamespace( filter ) === false ) {
 				return MethodsAvailable;
 			}
 
-			_removeHook( 'filters', filter );
+			_removeHook( 'filters', filter, callback );
+			return MethodsAvailable;
+		}
+
+		/**
+		 * Enables or disables debug mode. While enabled, each action / filter call is recorded in the log along with
+		 * its arguments, the registered callbacks, their priorities and execution time.
+		 *
+		 * @param enabled Boolean. Returns the current state when omitted
+		 * @param limit Maximum number of log entries to keep. Defaults to 1000
+		 */
+		function debug( enabled, limit ) {
+			if( typeof enabled === 'undefined' ) {
+				return DEBUG.enabled;
+			}
+
+			DEBUG.enabled = !!enabled;
+			DEBUG.limit = parseInt( ( limit || DEBUG.limit ), 10 );
 			return MethodsAvailable;
 		}
 
 		/**
-		 * Removes the specified hook by resetting the value of it.
+		 * Returns the debug log. May be limited to a single hook.
+		 *
+		 * @param hook Optional hook (namespace.identifier)
+		 */
+		function getLog( hook ) {
+			var log = [];
+
+			for( var i = 0, len = DEBUG.log.length; i < len; i++ ) {
+				if( !hook || DEBUG.log[ i ].hook === hook ) {
+					log.push( DEBUG.log[ i ] );
+				}
+			}
+
+			return log;
+		}
+
+		/**
+		 * Empties the debug log.
+		 */
+		function clearLog() {
+			DEBUG.log = [];
+			return MethodsAvailable;
+		}
+
+		/**
+		 * Returns the callbacks (and their priorities) currently registered to a hook.
+		 *
+		 * @param type 'actions' or 'filters'
+		 * @param hook Optional hook (namespace.identifier). Returns all hooks of this type when omitted
+		 */
+		function getHooks( type, hook ) {
+			if( !STORAGE[ type ] ) {
+				return false;
+			}
+
+			if( typeof hook === 'undefined' ) {
+				return STORAGE[ type ];
+			}
+
+			return ( STORAGE[ type ][ hook ] || [] ).slice();
+		}
+
+		/**
+		 * Returns the current time in milliseconds (high resolution if available).
+		 *
+		 * @private
+		 */
+		function _now() {
+			if( window.performance && window.performance.now ) {
+				return window.performance.now();
+			}
+
+			return new Date().getTime();
+		}
+
+		/**
+		 * Adds an entry to the debug log, removing the oldest entries once the limit is reached.
+		 *
+		 * @param entry The log entry
+		 * @private
+		 */
+		function _log( entry ) {
+			DEBUG.log.push( entry );
+
+			if( DEBUG.log.length > DEBUG.limit ) {
+				DEBUG.log.splice( 0, DEBUG.log.length - DEBUG.limit );
+			}
+		}
+
+		/**
+		 * Removes the specified hook by resetting the value of it. If a callback is given, only that callback is removed.
 		 *
 		 * @param type Type of hook, either 'actions' or 'filters'
 		 * @param hook The hook (namespace.identifier) to remove
+		 * @param callback Optional. The callback (or hook object) to remove
 		 * @private
 		 */
-		function _removeHook( type, hook ) {
-			if( STORAGE[ type ][ hook ] ) {
+		function _removeHook( type, hook, callback ) {
+			var hooks = STORAGE[ type ][ hook ];
+			if( !hooks ) {
+				return;
+			}
+
+			if( typeof callback === 'undefined' ) {
 				STORAGE[ type ][ hook ] = [];
+				return;
+			}
+
+			// build a new array so that hooks currently running are not affected
+			var remaining = [];
+			for( var i = 0, len = hooks.length; i < len; i++ ) {
+				if( hooks[ i ] !== callback && hooks[ i ].callback !== callback ) {
+					remaining.push( hooks[ i ] );
+				}
 			}
+
+			STORAGE[ type ][ hook ] = remaining;
 		}
 
 		/**
@@ -161,12 +282,14 @@
 		 * @param hook The hook (namespace.identifier) to add to our event manager
 		 * @param callback The function that will be called when the hook is executed.
 		 * @param priority The priority of this hook. Must be an integer.
+		 * @param once If true, the hook is removed after it has run once.
 		 * @private
 		 */
-		function _addHook( type, hook, callback, priority ) {
+		function _addHook( type, hook, callback, priority, once ) {
 			var hookObject = {
 				callback : callback,
-				priority : priority
+				priority : priority,
+				once : !!once
 			};
 
 			// Utilize 'prop itself' : http://jsperf.com/hasownproperty-vs-in-vs-undefined/19
@@ -213,6 +336,10 @@
 		 * @private
 		 */
 		function _runHook( type, hook, args ) {
+			if( DEBUG.enabled ) {
+				return _debugHook( type, hook, args );
+			}
+
 			var hooks = STORAGE[ type ][ hook ];
 			if( typeof hooks === 'undefined' ) {
 				if( type === 'filters' ) {
@@ -222,6 +349,10 @@
 			}
 
 			for( var i = 0, len = hooks.length; i < len; i++ ) {
+				if( hooks[ i ].once ) {
+					_removeHook( type, hook, hooks[ i ] );
+				}
+
 				if( type === 'actions' ) {
 					hooks[ i ].callback.apply( undefined, args );
 				}
@@ -237,6 +368,59 @@
 			return args[ 0 ];
 		}
 
+		/**
+		 * Runs the specified hook (same as _runHook) and records it in the debug log.
+		 *
+		 * @param type 'actions' or 'filters'
+		 * @param hook The hook ( namespace.identifier ) to be ran.
+		 * @param args Arguments to pass to the action/filter.
+		 * @private
+		 */
+		function _debugHook( type, hook, args ) {
+			var hooks = ( STORAGE[ type ][ hook ] || [] ).slice();
+			var start = _now();
+			var entry = {
+				type : type,
+				hook : hook,
+				args : args.slice(),
+				callbacks : [],
+				time : 0
+			};
+
+			// log before running so that nested hooks appear after their parent
+			_log( entry );
+
+			for( var i = 0, len = hooks.length; i < len; i++ ) {
+				var callbackStart = _now();
+
+				if( hooks[ i ].once ) {
+					_removeHook( type, hook, hooks[ i ] );
+				}
+
+				if( type === 'actions' ) {
+					hooks[ i ].callback.apply( undefined, args );
+				}
+				else {
+					args[ 0 ] = hooks[ i ].callback.apply( undefined, args );
+				}
+
+				entry.callbacks.push( {
+					callback : hooks[ i ].callback,
+					priority : hooks[ i ].priority,
+					time : _now() - callbackStart
+				} );
+			}
+
+			entry.time = _now() - start;
+
+			if( type === 'actions' ) {
+				return ( typeof STORAGE[ type ][ hook ] !== 'undefined' );
+			}
+
+			entry.result = args[ 0 ];
+			return args[ 0 ];
+		}
+
 		// return all of the publicly available methods
 		return MethodsAvailable;
 
@@ -133,6 +133,64 @@
 		 	// set div class
 		 	$el.addClass('has-value');
 	
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var id = $field.find('.acf-file-uploader [data-name="id"]').val();
+			
+			
+			// return
+			return id ? parseInt(id) : 0;
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $el = $field.find('.acf-file-uploader');
+			
+			
+			// remove
+			if( !value )
+			{
+				this.remove( $el );
+				return;
+			}
+			
+			
+			// file object
+			if( $.isPlainObject(value) )
+			{
+				this.add( $el, value );
+				return;
+			}
+			
+			
+			// bail early if wp.media does not exist
+			if( !acf.isset(window, 'wp', 'media', 'attachment') )
+			{
+				return;
+			}
+			
+			
+			// fetch attachment to find file data
+			var attachment = wp.media.attachment( value );
+			
+			attachment.fetch().done(function(){
+				
+				acf.fields.file.add( $el, {
+					id		:	attachment.id,
+					title	:	attachment.get('title'),
+					name	:	attachment.get('filename'),
+					url		:	attachment.get('url'),
+					icon	:	attachment.get('icon'),
+					size	:	attachment.get('filesize')
+				});
+				
+			});
+			
 		}
 		
 	};
@@ -318,7 +318,7 @@
 			// Try HTML5 geolocation
 			if( ! navigator.geolocation )
 			{
-				alert( acf.l10n.google_map.browser_support );
+				acf.notice( acf.l10n.google_map.browser_support );
 				return this;
 			}
 			
@@ -382,6 +382,79 @@
 			// center map
 			this.center();
 			
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var $el = $field.find('.acf-google-map'),
+				lat = $el.find('.input-lat').val(),
+				lng = $el.find('.input-lng').val();
+			
+			
+			// no value
+			if( !lat || !lng )
+			{
+				return null;
+			}
+			
+			
+			// return
+			return {
+				address	: $el.find('.input-address').val(),
+				lat		: parseFloat( lat ),
+				lng		: parseFloat( lng )
+			};
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $el = $field.find('.acf-google-map');
+			
+			
+			// set
+			this.set({ $el : $el });
+			
+			
+			// vars
+			var has_map = ( this.ready && this.maps[ this.o.id ] ) ? true : false;
+			
+			
+			// clear
+			if( !value )
+			{
+				if( has_map )
+				{
+					this.clear();
+				}
+				else
+				{
+					$el.removeClass('active').find('.input-address, .input-lat, .input-lng').val('');
+				}
+				
+				return;
+			}
+			
+			
+			// update address
+			$el.find('.input-address').val( value.address );
+			$el.find('.title h4').text( value.address );
+			
+			
+			// update map
+			if( has_map )
+			{
+				this.update( value.lat, value.lng ).center();
+			}
+			else
+			{
+				$el.find('.input-lat').val( value.lat );
+				$el.find('.input-lng').val( value.lng ).trigger('change');
+				$el.addClass('active');
+			}
+			
 		}
 
 	
@@ -112,6 +112,71 @@
 			// add class
 			$el.addClass('has-value');
 	
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var id = $field.find('.acf-image-uploader [data-name="value-id"]').val();
+			
+			
+			// return
+			return id ? parseInt(id) : 0;
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $el = $field.find('.acf-image-uploader'),
+				preview_size = acf.get_data( $el, 'preview_size' );
+			
+			
+			// remove
+			if( !value )
+			{
+				this.remove( $el );
+				return;
+			}
+			
+			
+			// object with url
+			if( $.isPlainObject(value) )
+			{
+				this.add( $el, value.id, value.url );
+				return;
+			}
+			
+			
+			// bail early if wp.media does not exist
+			if( !acf.isset(window, 'wp', 'media', 'attachment') )
+			{
+				return;
+			}
+			
+			
+			// fetch attachment to find url
+			var attachment = wp.media.attachment( value );
+			
+			attachment.fetch().done(function(){
+				
+				// vars
+				var url = attachment.get('url'),
+					sizes = attachment.get('sizes');
+				
+				
+				// is preview size available?
+				if( sizes && sizes[ preview_size ] )
+				{
+					url = sizes[ preview_size ].url;
+				}
+				
+				
+				// add image to field
+				acf.fields.image.add( $el, value, url );
+				
+			});
+			
 		}
 		
 	};
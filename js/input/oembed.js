@@ -131,6 +131,33 @@
 		        this.search( $el );
 	        }
 	        			
+		},
+		
+		get_value : function( $field ){
+			
+			return $field.find('.acf-oembed [data-name="value-input"]').val();
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var $el = $field.find('.acf-oembed');
+			
+			
+			// clear
+			if( !value )
+			{
+				this.clear( $el );
+				return;
+			}
+			
+			
+			// search
+			$el.find('[data-name="search-input"]').val( value );
+			
+			this.search( $el );
+			
 		}
 	};
 	
@@ -64,20 +64,50 @@
 			});
 			
 			
+			// infinite scroll
+			var $el = this.$el;
+			
+			this.$choices.children('.list').on('scroll', function(){
+				
+				// load the next page when near the bottom
+				if( $(this).scrollTop() + $(this).innerHeight() >= this.scrollHeight - 20 )
+				{
+					acf.fields.relationship.set({ $el : $el }).fetch_more();
+				}
+				
+			});
+			
+			
 			// ajax fetch values for left side
 			this.fetch();
 					
 		},
 		
-		fetch : function(){
+		fetch : function( paged ){
 			
 			// reference
 			var _this = this,
 				$el = this.$el;
 			
 			
-			// add loading class, stops scroll loading
-			this.$choices.children('.list').html('<p>' + acf._e('relationship', 'loading') + '...</p>');
+			// vars
+			paged = paged || 1;
+			
+			
+			// first page
+			if( paged == 1 )
+			{
+				// add loading class, stops scroll loading
+				this.$choices.children('.list').html('<p>' + acf._e('relationship', 'loading') + '...</p>');
+			}
+			else
+			{
+				this.$choices.children('.list').append('<li class="loading"><p>' + acf._e('relationship', 'loading') + '...</p></li>');
+			}
+			
+			
+			// update el data
+			this.$el.data('paged', paged).data('more', false);
 			
 			
 			// vars
@@ -91,7 +121,11 @@
 			
 			// merge in wrap data
 			$.extend(data, this.o);
-
+			
+			
+			// page
+			data.paged = paged;
+			
 			
 			// abort XHR if this field is already loading AJAX data
 			if( this.$el.data('xhr') )
@@ -100,8 +134,8 @@
 			}
 			
 			
-			// get results
-		    var xhr = $.ajax({
+			// get results (runs the prepare_for_ajax filter)
+		    var xhr = acf.request({
 		    	url			: acf.get('ajaxurl'),
 				dataType	: 'json',
 				type		: 'get',
@@ -110,7 +144,15 @@
 				success			:	function( json ){
 					
 					// render
-					_this.set({ $el : $el }).render( json );
+					_this.set({ $el : $el }).render( json, paged );
+					
+				},
+				complete	: function(){
+					
+					if( $el.data('xhr') === xhr )
+					{
+						$el.removeData('xhr');
+					}
 					
 				}
 			});
@@ -121,23 +163,58 @@
 			
 		},
 		
-		render : function( json ){
+		fetch_more : function(){
+			
+			// bail early if loading or no more results
+			if( this.$el.data('xhr') || !this.$el.data('more') )
+			{
+				return;
+			}
+			
+			
+			// fetch next page
+			this.fetch( this.$el.data('paged') + 1 );
+			
+		},
+		
+		render : function( json, paged ){
 			
 			// reference
 			var _this = this;
 			
 			
+			// vars
+			var $list = this.$choices.children('.list'),
+				results = ( json && json.results ) ? json.results : [],
+				total = ( json && json.total ) ? json.total : 0;
+			
+			
+			// update el data
+			this.$el.data('more', json && json.more ? true : false);
+			
+			
+			// remove loading
+			$list.children('.loading').remove();
+			
+			
+			// total
+			this.$choices.children('.count').text( total ? acf._n('relationship', 'total', total, { total : total }) : '' );
+			
+			
 			// no results?
-			if( ! json || ! json.length )
+			if( ! results.length )
 			{
-				this.$choices.children('.list').html( '<li><p>' + acf._e('relationship', 'empty') + '</p></li>' );
-
+				if( paged == 1 )
+				{
+					$list.html( '<li><p>' + acf._e('relationship', 'empty') + '</p></li>' );
+				}
+				
 				return;
 			}
 			
 			
-			// append new results
-			this.$choices.children('.list').html( this.walker(json) );
+			// new results
+			var $html = $('<ul>' + this.walker(results) + '</ul>');
 			
 						
 			// apply .disabled to left li's
@@ -145,7 +222,7 @@
 				
 				var id = $(this).attr('data-id');
 				
-				_this.$choices.find('.acf-relationship-item[data-id="' + id + '"]').addClass('disabled');
+				$html.find('.acf-relationship-item[data-id="' + id + '"]').addClass('disabled');
 				
 			});
 			
@@ -155,15 +232,51 @@
 			{
 				var s = this.o.s;
 				
-				this.$choices.find('.acf-relationship-item:contains("' + s + '")').each(function(){
+				$html.find('.acf-relationship-item:contains("' + s + '")').each(function(){
 					
-					var html = $(this).html().replace( s, '<span class="match">' + s + '</span>');
+					// only underline the title (not the thumbnail or status)
+					var $title = $(this).children('.title').exists() ? $(this).children('.title') : $(this),
+						html = $title.html().replace( s, '<span class="match">' + s + '</span>');
 					
-					$(this).html( html );
+					$title.html( html );
 				});
 				
 			}
 			
+			
+			// replace results
+			if( paged == 1 )
+			{
+				$list.html( $html.children() ).scrollTop( 0 );
+				return;
+			}
+			
+			
+			// append results (a post type may continue from the previous page)
+			$html.children('li').each(function(){
+				
+				// vars
+				var $li = $(this),
+					label = $li.children('.acf-relationship-label').text(),
+					$ul = $list.children('li').children('.acf-relationship-label').filter(function(){
+						
+						return label && $(this).text() === label;
+						
+					}).siblings('ul');
+				
+				
+				// append to existing group
+				if( $ul.exists() )
+				{
+					$ul.append( $li.children('ul').children() );
+					return;
+				}
+				
+				
+				$list.append( $li );
+				
+			});
+			
 		},
 		
 		walker : function( data ){
@@ -208,7 +321,7 @@
 			{
 				if( this.$values.find('.acf-relationship-item').length >= this.o.max )
 				{
-					alert( acf.l10n.relationship.max.replace('{max}', this.o.max) );
+					acf.notice( acf._n('relationship', 'max', this.o.max, { max : this.o.max }) );
 					return false;
 				}
 			}
@@ -264,6 +377,96 @@
 			// trigger change on new_li
 			this.$input.trigger('change');
 			
+		},
+		
+		validate : function( $field, value, label ){
+			
+			// vars
+			var max = acf.get_data( $field.find('.acf-relationship').first(), 'max' );
+			
+			
+			// max
+			if( max > 0 && value.length > max )
+			{
+				return acf._n('relationship', 'max', max, { max : max });
+			}
+			
+			
+			// return
+			return true;
+			
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var value = [];
+			
+			
+			// loop over values
+			$field.find('.acf-relationship .values input[type="hidden"]').each(function(){
+				
+				value.push( parseInt( $(this).val() ) );
+				
+			});
+			
+			
+			// return
+			return value;
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// set
+			this.set({ $el : $field });
+			
+			
+			// remove current values
+			this.$values.children('.list').empty();
+			this.$choices.find('.acf-relationship-item').removeClass('disabled');
+			
+			
+			// add new values
+			$.each( value || [], function( i, post ){
+				
+				// vars
+				var data = $.isPlainObject(post) ? post : { id : post },
+					$span = _this.$choices.find('.acf-relationship-item[data-id="' + data.id + '"]');
+				
+				
+				// text
+				if( !data.text )
+				{
+					data.text = $span.exists() ? $span.html() : data.id;
+				}
+				
+				
+				// template
+				var tmpl = _.template(acf.l10n.relationship.tmpl_li, {
+					value	:	data.id,
+					text	:	data.text,
+					name	:	_this.$input.attr('name')
+				});
+				
+				
+				// add new li
+				_this.$values.children('.list').append( tmpl );
+				
+				
+				// disable choice
+				$span.addClass('disabled');
+				
+			});
+			
+			
+			// trigger change
+			this.$input.trigger('change');
+			
 		}
 		
 	};
@@ -155,6 +155,12 @@
 						// return
 						return data;
 						
+					},
+					transport	: function( params ){
+						
+						// run the prepare_for_ajax filter before sending (appends the language)
+						return acf.request( params );
+						
 					},
 					results		: function (data, page) {
 						
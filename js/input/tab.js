@@ -260,10 +260,24 @@
 	});
 	
 	
+	acf.add_action('reveal_field', function( $field ){
+		
+		// show each tab containing this field (including tabs of parent fields)
+		$field.parents('.acf-field').addBack().filter('.hidden-by-tab').each(function(){
+			
+			var $tab = $(this).prevAll('.acf-field[data-type="tab"]:first');
+			
+			$tab.siblings('.acf-tab-wrap').find('a[data-key="' + acf.get_data($tab, 'key') + '"]').trigger('click');
+			
+		});
+		
+	});
+	
+	
 	acf.add_filter('validation_complete', function( json, $form ){
 		
 		// show field error messages
-		$.each( json.errors, function( k, item ){
+		$.each( json.errors || [], function( k, item ){
 		
 			var $input = $form.find('[name="' + item.input + '"]').first(),
 				$field = acf.get_field_wrap( $input ),
@@ -301,5 +315,415 @@
 	});
 	
 	
+	/*
+	*  wizard
+	*
+	*  This object will show each tab of a front end acf_form as a step with Next / Back buttons and a progress bar.
+	*  The fields of a step are validated (client side rules, then the server) before moving to the next step
+	*
+	*  @type	object
+	*  @date	31/03/2014
+	*  @since	5.0.0
+	*
+	*  @param	n/a
+	*  @return	n/a
+	*/
+	
+	acf.wizard = {
+		
+		init : function( $el ){
+			
+			// vars
+			var $tabs = $el.find('.acf-tab-wrap').first();
+			
+			
+			// bail early if no tabs
+			if( !$tabs.exists() )
+			{
+				return;
+			}
+			
+			
+			// hide tabs
+			$tabs.addClass('acf-hidden');
+			
+			
+			// add progress and buttons
+			$el.prepend('<div class="acf-wizard-progress"><div class="acf-wizard-bar"><span></span></div><p></p></div>');
+			$el.after([
+				'<div class="acf-wizard-nav">',
+					'<a href="#" class="acf-button acf-wizard-back">' + acf._e('wizard', 'back') + '</a> ',
+					'<a href="#" class="acf-button blue acf-wizard-next">' + acf._e('wizard', 'next') + '</a>',
+				'</div>'
+			].join(''));
+			
+			
+			// resume step
+			var step = this.get_draft_step( $el );
+			
+			if( step > 0 )
+			{
+				this.go( $el, step );
+			}
+			else
+			{
+				this.render( $el );
+			}
+			
+		},
+		
+		get_buttons : function( $el ){
+			
+			return $el.find('.acf-tab-wrap').first().find('.acf-tab-button');
+			
+		},
+		
+		get_step : function( $el ){
+			
+			// vars
+			var $buttons = this.get_buttons( $el );
+			
+			
+			// return
+			return $buttons.index( $buttons.filter(function(){
+				
+				return $(this).parent('li').hasClass('active');
+				
+			}).first() );
+			
+		},
+		
+		get_step_fields : function( $el ){
+			
+			// vars
+			var $tabs = $el.find('.acf-tab-wrap').first();
+			
+			
+			// return (fields before the first tab are not part of any step)
+			return $tabs.nextAll('.acf-field').not('.hidden-by-tab, .hidden-by-conditional-logic, [data-type="tab"]');
+			
+		},
+		
+		go : function( $el, step ){
+			
+			// vars
+			var $buttons = this.get_buttons( $el );
+			
+			
+			// validate
+			step = Math.max( 0, Math.min( step, $buttons.length - 1 ) );
+			
+			
+			// toggle tab
+			acf.fields.tab.toggle( $buttons.eq( step ) );
+			
+			
+			// render
+			this.render( $el );
+			
+			
+			// draft
+			this.save_draft( $el );
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('wizard_step', $el, step);
+			
+		},
+		
+		render : function( $el ){
+			
+			// vars
+			var $buttons = this.get_buttons( $el ),
+				step = this.get_step( $el ),
+				total = $buttons.length,
+				$form = $el.closest('form'),
+				$nav = $el.next('.acf-wizard-nav'),
+				last = ( step == total - 1 );
+			
+			
+			// progress
+			$el.find('.acf-wizard-bar span').css('width', Math.round( ( step + 1 ) / total * 100 ) + '%');
+			$el.find('.acf-wizard-progress p').text( acf.sprintf( acf._e('wizard', 'step'), step + 1, total ) + ': ' + $buttons.eq( step ).text() );
+			
+			
+			// buttons
+			$nav.find('.acf-wizard-back').toggleClass('acf-hidden', step == 0);
+			$nav.find('.acf-wizard-next').toggleClass('acf-hidden', last);
+			$form.find('.acf-form-submit').toggleClass('acf-hidden', !last);
+			
+		},
+		
+		next : function( $el ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var $fields = this.get_step_fields( $el ),
+				valid = true;
+			
+			
+			// client side validation
+			acf.get_fields({}, $fields).each(function(){
+				
+				var message = acf.validation.validate_field( $(this) );
+				
+				if( message !== true )
+				{
+					acf.validation.add_error( $(this), message );
+					valid = false;
+				}
+				
+			});
+			
+			
+			// bail early if not valid
+			if( !valid )
+			{
+				acf.validation.reveal_field( $fields.filter('.' + acf.validation.error_class).first() );
+				return;
+			}
+			
+			
+			// server side validation (only this step's fields are posted)
+			this.fetch( $el, $fields ).done(function(){
+				
+				_this.go( $el, _this.get_step( $el ) + 1 );
+				
+			});
+			
+		},
+		
+		fetch : function( $el, $fields ){
+			
+			// vars
+			var $form = $el.closest('form'),
+				$nav = $el.next('.acf-wizard-nav'),
+				deferred = $.Deferred(),
+				data = $.extend( acf.serialize_form( $form.find('#acf-form-data') ), acf.serialize_form( $fields ) );
+			
+			
+			// append AJAX action
+			data.action = 'acf/validate_save_post';
+			
+			
+			// loading
+			$nav.addClass('disabled');
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
+				
+				$.ajax({
+					url			: acf.get('ajaxurl'),
+					data		: data,
+					type		: 'post',
+					dataType	: 'json',
+					timeout		: acf.validation.timeout,
+					success		: function( json ){
+						
+						// valid
+						if( !json || json.result == 1 )
+						{
+							deferred.resolve();
+							return;
+						}
+						
+						
+						// show field error messages
+						$.each( json.errors || [], function( k, item ){
+							
+							acf.validation.add_error( acf.get_field_wrap( $form.find('[name="' + item.input + '"]').first() ), item.message );
+							
+						});
+						
+						deferred.reject();
+						
+					},
+					error		: function(){
+						
+						// the final submit will validate again
+						deferred.resolve();
+						
+					},
+					complete	: function(){
+						
+						$nav.removeClass('disabled');
+						
+					}
+				});
+				
+			}).fail(function(){
+				
+				$nav.removeClass('disabled');
+				deferred.reject();
+				
+			});
+			
+			
+			// return
+			return deferred.promise();
+			
+		},
+		
+		get_draft_key : function( $form ){
+			
+			return acf.drafts.get_key( $form ).replace('acf_draft_', 'acf_wizard_');
+			
+		},
+		
+		get_draft_step : function( $el ){
+			
+			// bail early if disabled
+			if( !acf.get_data( $el, 'draft' ) || !acf.drafts.supported() )
+			{
+				return 0;
+			}
+			
+			
+			// return
+			return parseInt( window.localStorage.getItem( this.get_draft_key( $el.closest('form') ) ) ) || 0;
+			
+		},
+		
+		save_draft : function( $el ){
+			
+			// bail early if disabled
+			if( !acf.get_data( $el, 'draft' ) || !acf.drafts.supported() )
+			{
+				return;
+			}
+			
+			
+			// save values and step
+			acf.drafts.snapshot();
+			
+			try
+			{
+				window.localStorage.setItem( this.get_draft_key( $el.closest('form') ), this.get_step( $el ) );
+			}
+			catch(e)
+			{
+				// quota exceeded
+			}
+			
+		},
+		
+		remove_draft : function( $form ){
+			
+			if( acf.drafts.supported() )
+			{
+				window.localStorage.removeItem( this.get_draft_key( $form ) );
+			}
+			
+		}
+		
+	};
+	
+	
+	acf.add_action('ready', function( $el ){
+		
+		$el.find('.acf-wizard').each(function(){
+			
+			acf.wizard.init( $(this) );
+			
+		});
+		
+	}, 20);
+	
+	
+	acf.add_action('form_saved', function( $form ){
+		
+		acf.wizard.remove_draft( $form );
+		
+	});
+	
+	
+	acf.add_action('ready', function(){
+		
+		// bound after acf.validation.init so that validation runs first and may prevent the form from being submitted
+		$(document).on('submit', 'form', function( e ){
+			
+			if( !e.isDefaultPrevented() && $(this).find('.acf-wizard').exists() )
+			{
+				acf.wizard.remove_draft( $(this) );
+			}
+			
+		});
+		
+	}, 20);
+	
+	
+	$(document).on('keydown', 'form input', function( e ){
+		
+		// bail early if not enter
+		if( e.which !== 13 || $(this).is('[type="submit"], [type="button"], [type="image"]') )
+		{
+			return;
+		}
+		
+		
+		// vars
+		var $el = $(this).closest('.acf-wizard');
+		
+		if( !$el.exists() )
+		{
+			$el = $(this).closest('form').find('.acf-wizard').first();
+		}
+		
+		
+		// bail early if no wizard
+		if( !$el.exists() || !$el.next('.acf-wizard-nav').exists() )
+		{
+			return;
+		}
+		
+		
+		// enter moves to the next step until the last step
+		if( acf.wizard.get_step( $el ) < acf.wizard.get_buttons( $el ).length - 1 )
+		{
+			e.preventDefault();
+			
+			$el.next('.acf-wizard-nav').find('.acf-wizard-next').trigger('click');
+		}
+		
+	});
+	
+	
+	$(document).on('click', '.acf-wizard-next', function( e ){
+		
+		e.preventDefault();
+		
+		if( !$(this).closest('.acf-wizard-nav').hasClass('disabled') )
+		{
+			acf.wizard.next( $(this).closest('.acf-wizard-nav').prev('.acf-wizard') );
+		}
+		
+	});
+	
+	
+	$(document).on('click', '.acf-wizard-back', function( e ){
+		
+		e.preventDefault();
+		
+		
+		// vars
+		var $el = $(this).closest('.acf-wizard-nav').prev('.acf-wizard');
+		
+		
+		acf.wizard.go( $el, acf.wizard.get_step( $el ) - 1 );
+		
+	});
+	
+	
+	// keep the progress in sync when a tab is opened by other code (eg: the validation error summary)
+	$(document).on('click', '.acf-wizard .acf-tab-button', function(){
+		
+		acf.wizard.render( $(this).closest('.acf-wizard') );
+		
+	});
+	
 
 })(jQuery);
\ No newline at end of file
@@ -5,11 +5,18 @@
 		// vars
 		active	: 1,
 		ignore	: 0,
+		live	: 1,	// validate each field as it is left
+		delay	: 500,	// debounce (ms) for the live AJAX request
+		timeout	: 30000,	// AJAX request timeout (ms)
+		retries	: 1,	// number of times a failed request is repeated
+		busy	: 0,	// a validation request is in flight
 		
 		
 		// classes
 		error_class : 'acf-error',
 		message_class : 'acf-error-message',
+		warning_class : 'acf-warning',
+		warning_message_class : 'acf-warning-message',
 		
 		
 		// el
@@ -70,6 +77,795 @@
 			acf.do_action('remove_field_error', $field);
 		},
 		
+		/*
+		*  validate_form
+		*
+		*  This function will run the client side rules for all fields within a form and render any errors.
+		*  Server side validation is still run afterwards and remains the final authority
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @return	(boolean)
+		*/
+		
+		validate_form : function( $form ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var errors = [];
+			
+			
+			// loop over fields
+			acf.get_fields({}, $form).each(function(){
+				
+				// vars
+				var $field = $(this),
+					message = _this.validate_field( $field );
+				
+				
+				// add error
+				if( message !== true )
+				{
+					errors.push({
+						$field	: $field,
+						message	: message
+					});
+				}
+				
+			});
+			
+			
+			// filter for 3rd party customization
+			errors = acf.apply_filters('validate_form', errors, $form);
+			
+			
+			// bail early if valid
+			if( !errors.length )
+			{
+				return true;
+			}
+			
+			
+			// render errors
+			this.render( $form, {
+				result	: 0,
+				message	: acf._e('validation', 'error'),
+				errors	: errors
+			});
+			
+			
+			// return
+			return false;
+			
+		},
+		
+		
+		/*
+		*  validate_field
+		*
+		*  This function will run the client side rules for a single field.
+		*  Fields hidden by conditional logic are ignored as their values are not saved
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	(mixed) true or an error message
+		*/
+		
+		validate_field : function( $field ){
+			
+			// bail early if hidden
+			if( $field.closest('.hidden-by-conditional-logic, .acf-postbox.acf-hidden').exists() )
+			{
+				return true;
+			}
+			
+			
+			// vars
+			var type = acf.get_data( $field, 'type' ),
+				model = acf.fields[ type ],
+				value = acf.get_value( $field ),
+				label = this.get_label( $field ),
+				valid = true;
+			
+			
+			// required
+			if( acf.get_data( $field, 'required' ) && this.is_empty( value ) )
+			{
+				valid = acf.sprintf( acf._e('validation', 'required'), label );
+			}
+			
+			
+			// field type rules
+			if( valid === true )
+			{
+				if( model && typeof model.validate === 'function' )
+				{
+					valid = model.validate( $field, value, label );
+				}
+				else if( typeof this.rules[ type ] === 'function' )
+				{
+					valid = this.rules[ type ].call( this, $field, value, label );
+				}
+			}
+			
+			
+			// filter for 3rd party customization
+			valid = acf.apply_filters('validate_value', valid, $field, value);
+			
+			
+			// allow valid to be a custom error message
+			if( valid === true || valid === undefined )
+			{
+				return true;
+			}
+			
+			if( !valid || typeof valid !== 'string' )
+			{
+				valid = acf.sprintf( acf._e('validation', 'required'), label );
+			}
+			
+			
+			// return
+			return valid;
+			
+		},
+		
+		
+		/*
+		*  rules
+		*
+		*  Client side rules for field types without a JS model.
+		*  Each rule returns true or an error message. Field models may provide their own validate() function
+		*
+		*  @type	object
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*/
+		
+		rules : {
+			
+			email : function( $field, value, label ){
+				
+				if( value !== '' && ! /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) )
+				{
+					return acf.sprintf( acf._e('validation', 'email'), label );
+				}
+				
+				return true;
+				
+			},
+			
+			number : function( $field, value, label ){
+				
+				// bail early if empty
+				if( value === '' )
+				{
+					return true;
+				}
+				
+				
+				// vars
+				var $input = acf.get_inputs( $field ).first(),
+					min = parseFloat( $input.attr('min') ),
+					max = parseFloat( $input.attr('max') ),
+					step = parseFloat( $input.attr('step') ),
+					number = parseFloat( value );
+				
+				
+				// numeric
+				if( ! $.isNumeric(value) )
+				{
+					return acf.sprintf( acf._e('validation', 'number'), label );
+				}
+				
+				
+				// min
+				if( !isNaN(min) && number < min )
+				{
+					return acf.sprintf( acf._e('validation', 'min'), label, min );
+				}
+				
+				
+				// max
+				if( !isNaN(max) && number > max )
+				{
+					return acf.sprintf( acf._e('validation', 'max'), label, max );
+				}
+				
+				
+				// step (relative to min, allowing for floating point errors)
+				if( !isNaN(step) && step > 0 )
+				{
+					var steps = ( number - ( isNaN(min) ? 0 : min ) ) / step;
+					
+					if( Math.abs( steps - Math.round(steps) ) > 0.0000001 )
+					{
+						return acf.sprintf( acf._e('validation', 'step'), label, step );
+					}
+				}
+				
+				
+				// return
+				return true;
+				
+			},
+			
+			text : function( $field, value, label ){
+				
+				// vars
+				var maxlength = parseInt( acf.get_inputs( $field ).first().attr('maxlength') );
+				
+				
+				// maxlength
+				if( maxlength > 0 && value.length > maxlength )
+				{
+					return acf.sprintf( acf._n('validation', 'maxlength', maxlength), label, maxlength );
+				}
+				
+				
+				// return
+				return true;
+				
+			}
+			
+		},
+		
+		
+		/*
+		*  is_empty
+		*
+		*  This function will return true if a value is empty (mimics the PHP empty() check used by the server)
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	value (mixed)
+		*  @return	(boolean)
+		*/
+		
+		is_empty : function( value ){
+			
+			if( $.isArray(value) )
+			{
+				return value.length == 0;
+			}
+			
+			if( $.isPlainObject(value) )
+			{
+				return $.isEmptyObject(value);
+			}
+			
+			return ( !value || value === '0' );
+			
+		},
+		
+		
+		/*
+		*  get_label
+		*
+		*  This function will return the field label (without the required asterisk) for use in messages
+		*
+		*  @type	function
+		*  @date	25/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	(string)
+		*/
+		
+		get_label : function( $field ){
+			
+			// vars
+			var $label = $field.children('.acf-label').find('label').first().clone();
+			
+			
+			// table layout (label is found in the table header)
+			if( !$label.exists() )
+			{
+				$label = $field.closest('table').find('> thead th[data-key="' + acf.get_data( $field, 'key' ) + '"]').first().clone();
+				$label.find('.description').remove();
+			}
+			
+			
+			// remove required
+			$label.find('.acf-required').remove();
+			
+			
+			// return
+			return $.trim( $label.text() ) || acf.get_data( $field, 'name' ) || '';
+			
+		},
+		
+		/*
+		*  validate_live
+		*
+		*  This function will validate a field as the editor leaves it. Client side rules run immediately,
+		*  and if they pass, a debounced AJAX request will run the server side acf/validate_value filters
+		*
+		*  @type	function
+		*  @date	26/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	n/a
+		*/
+		
+		validate_live : function( $field ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var message = this.validate_field( $field );
+			
+			
+			// cancel pending request
+			clearTimeout( $field.data('validation_timeout') );
+			
+			
+			// client side error
+			if( message !== true )
+			{
+				this.add_error( $field, message );
+				return;
+			}
+			
+			
+			// remove previous error
+			if( $field.hasClass(this.error_class) )
+			{
+				this.remove_error( $field );
+			}
+			
+			
+			// server side
+			$field.data('validation_timeout', setTimeout(function(){
+				
+				_this.fetch_field( $field );
+				
+			}, this.delay));
+			
+		},
+		
+		
+		/*
+		*  fetch_field
+		*
+		*  This function will post a single field's value to the acf/validate_field AJAX action
+		*
+		*  @type	function
+		*  @date	26/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	n/a
+		*/
+		
+		fetch_field : function( $field ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var path = acf.get_field_path( $field ),
+				$form = $field.closest('form');
+			
+			
+			// bail early if no inputs
+			if( !path )
+			{
+				return;
+			}
+			
+			
+			// vars
+			var input = path[0] + '[' + path.slice(1).join('][') + ']',
+				data = $.extend( acf.serialize_form( $form.find('#acf-form-data') ), acf.serialize_form( $field ) );
+			
+			
+			// append AJAX action
+			data.action = 'acf/validate_field';
+			data.key = acf.get_data( $field, 'key' );
+			data.input = input;
+			
+			
+			// abort previous request
+			if( $field.data('validation_xhr') )
+			{
+				$field.data('validation_xhr').abort();
+			}
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
+				
+				// ajax
+				$field.data('validation_xhr', $.ajax({
+					url			: acf.get('ajaxurl'),
+					data		: data,
+					type		: 'post',
+					dataType	: 'json',
+					success		: function( json ){
+						
+						_this.render_field( $field, input, json );
+						
+					}
+				}));
+				
+			});
+			
+		},
+		
+		
+		/*
+		*  render_field
+		*
+		*  This function will show / remove errors for a field from an acf/validate_field response
+		*
+		*  @type	function
+		*  @date	26/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @param	input (string)
+		*  @param	json (object)
+		*  @return	n/a
+		*/
+		
+		render_field : function( $field, input, json ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var valid = true;
+			
+			
+			// show errors (sub fields may also return errors)
+			if( json && json.result == 0 && json.errors )
+			{
+				$.each( json.errors, function( k, item ){
+					
+					if( item.input == input )
+					{
+						valid = false;
+						_this.add_error( $field, item.message );
+						return;
+					}
+					
+					
+					// sub field
+					var $input = $field.find('[name="' + item.input + '"]').first();
+					
+					if( $input.exists() )
+					{
+						_this.add_error( acf.get_field_wrap( $input ), item.message );
+					}
+					
+				});
+			}
+			
+			
+			// remove error
+			if( valid && $field.hasClass(this.error_class) )
+			{
+				this.remove_error( $field );
+			}
+			
+			
+			// warnings
+			this.remove_field_warning( $field );
+			
+			if( json && json.warnings )
+			{
+				$.each( json.warnings, function( k, item ){
+					
+					if( item.input == input )
+					{
+						_this.add_field_warning( $field, item.message );
+					}
+					
+				});
+			}
+			
+		},
+		
+		/*
+		*  resubmit
+		*
+		*  This function will submit the form again using the button which was originally clicked
+		*
+		*  @type	function
+		*  @date	29/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @return	n/a
+		*/
+		
+		resubmit : function( $form ){
+			
+			// attempt to find $trigger
+			if( ! this.$trigger )
+			{
+				if( $form.find('.submit input[type="submit"]').exists() )
+				{
+					this.$trigger = $form.find('.submit input[type="submit"]');
+				}
+			}
+			
+			
+			// submit form again
+			if( this.$trigger )
+			{
+				this.$trigger.click();
+			}
+			else
+			{
+				$form.submit();
+			}
+			
+		},
+		
+		
+		/*
+		*  render_warnings
+		*
+		*  This function will show non-blocking warnings on their fields and in a form message
+		*  with a 'Save anyway' button
+		*
+		*  @type	function
+		*  @date	29/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	warnings (array)
+		*  @return	n/a
+		*/
+		
+		render_warnings : function( $form, warnings ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var $message = $('<div class="' + this.warning_message_class + '"><p>' + acf._e('validation', 'warnings') + '</p></div>'),
+				$summary = $('<ul class="acf-error-summary"></ul>');
+			
+			
+			// show field warning messages
+			$.each( warnings, function( k, item ){
+				
+				var $field = item.$field || acf.get_field_wrap( $form.find('[name="' + item.input + '"]').first() );
+				
+				
+				// add warning
+				_this.add_field_warning( $field, item.message );
+				
+				
+				// add to summary
+				$summary.append( _this.get_summary_item( $field, item.message ) );
+				
+			});
+			
+			
+			// append
+			$message.append( $summary );
+			$message.append('<p><a href="#" class="acf-button acf-save-anyway">' + acf._e('validation', 'save_anyway') + '</a></p>');
+			$message.data('warnings', warnings);
+			
+			$form.prepend( $message );
+			
+		},
+		
+		
+		/*
+		*  acknowledge
+		*
+		*  This function will add warning ids to the form data. The server will not raise these warnings again
+		*
+		*  @type	function
+		*  @date	29/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	warnings (array)
+		*  @return	n/a
+		*/
+		
+		acknowledge : function( $form, warnings ){
+			
+			// vars
+			var $wrap = $form.find('#acf-form-data');
+			
+			
+			// add inputs
+			$.each( warnings, function( k, item ){
+				
+				if( item.id && !$wrap.find('input[name="_acfacknowledged[]"][value="' + item.id + '"]').exists() )
+				{
+					$wrap.append('<input type="hidden" name="_acfacknowledged[]" value="' + item.id + '" />');
+				}
+				
+			});
+			
+		},
+		
+		add_field_warning : function( $field, message ){
+			
+			// add class
+			$field.addClass(this.warning_class);
+			
+			
+			// add message
+			$field.children('.acf-input').children('.' + this.warning_message_class).remove();
+			$field.children('.acf-input').prepend('<div class="' + this.warning_message_class + '"><p>' + message + '</p></div>');
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('add_field_warning', $field);
+			
+		},
+		
+		remove_field_warning : function( $field ){
+			
+			// remove class
+			$field.removeClass(this.warning_class);
+			
+			
+			// remove message
+			$field.children('.acf-input').children('.' + this.warning_message_class).remove();
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('remove_field_warning', $field);
+			
+		},
+		
+		
+		/*
+		*  get_summary_item
+		*
+		*  This function will return an error summary list item. Clicking the link will reveal the field
+		*
+		*  @type	function
+		*  @date	27/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @param	message (string)
+		*  @return	(jQuery)
+		*/
+		
+		get_summary_item : function( $field, message ){
+			
+			// vars
+			var $li = $('<li></li>');
+			
+			
+			// field not found
+			if( !$field.exists() )
+			{
+				return $li.html( message );
+			}
+			
+			
+			// link
+			var $a = $('<a href="#"></a>').text( this.get_path( $field ).join(' \u203a ') );
+			
+			$a.data('field', $field);
+			
+			
+			// return
+			return $li.append( $a ).append( ': ' + message );
+			
+		},
+		
+		
+		/*
+		*  get_path
+		*
+		*  This function will return an array of labels leading to a field (eg: Sections, Row 3, Title)
+		*
+		*  @type	function
+		*  @date	27/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	(array)
+		*/
+		
+		get_path : function( $field ){
+			
+			// vars
+			var path = [];
+			
+			
+			// walk up through parent fields
+			while( $field.exists() )
+			{
+				// vars
+				var $parent = $field.parent().closest('.acf-field'),
+					$row = $field.closest('.acf-row'),
+					$layout = $field.closest('.layout');
+				
+				
+				// label
+				path.unshift( this.get_label( $field ) );
+				
+				
+				// repeater row
+				if( $row.exists() && $.contains( $parent[0] || document, $row[0] ) )
+				{
+					path.unshift( acf.sprintf( acf._e('validation', 'row'), $row.parent().children('.acf-row').not('.clone').index( $row ) + 1 ) );
+				}
+				
+				
+				// flexible content layout
+				else if( $layout.exists() && $.contains( $parent[0] || document, $layout[0] ) )
+				{
+					path.unshift( $.trim( $layout.children('.acf-fc-layout-handle').text() ).replace(/\s+/g, ' ') );
+				}
+				
+				
+				$field = $parent;
+			}
+			
+			
+			// return
+			return path;
+			
+		},
+		
+		
+		/*
+		*  reveal_field
+		*
+		*  This function will reveal a field (open tabs, layouts and postboxes), scroll to it and focus it
+		*
+		*  @type	function
+		*  @date	27/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$field (jQuery)
+		*  @return	n/a
+		*/
+		
+		reveal_field : function( $field ){
+			
+			// open postbox
+			$field.closest('.postbox.closed').removeClass('closed');
+			
+			
+			// hook for 3rd party customization (tabs and layouts open themselves)
+			acf.do_action('reveal_field', $field);
+			
+			
+			// scroll
+			$('html, body').animate({
+				scrollTop : $field.offset().top - 50
+			}, 250, function(){
+				
+				acf.get_inputs( $field ).not('[type="hidden"]').first().focus();
+				
+			});
+			
+		},
+		
 		add_warning : function( $field, message ){
 			
 			this.add_error( $field, message );
@@ -94,67 +890,212 @@
 			// append AJAX action		
 			data.action = 'acf/validate_save_post';
 			
+			
+			// update busy
+			this.busy = 1;
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('prepare_for_ajax', data).done(function( data ){
+				
+				_this.request( $form, data, 0 );
+				
+			}).fail(function( message ){
+				
+				_this.render( $form, _this.get_failure( message ) );
+				
+			});
+			
+		},
+		
+		
+		/*
+		*  request
+		*
+		*  This function will post the validation request. Failed requests (timeout, invalid JSON, server error)
+		*  are repeated before the failure is handled
+		*
+		*  @type	function
+		*  @date	28/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	data (object)
+		*  @param	attempt (int)
+		*  @return	n/a
+		*/
+		
+		request : function( $form, data, attempt ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var error = function( status ){
+				
+				// retry
+				if( attempt < _this.retries )
+				{
+					_this.request( $form, data, attempt + 1 );
+					return;
+				}
 				
+				_this.failed( $form, status );
+				
+			};
+			
+			
 			// ajax
 			$.ajax({
 				url			: acf.get('ajaxurl'),
 				data		: data,
 				type		: 'post',
 				dataType	: 'json',
+				timeout		: this.timeout,
 				success		: function( json ){
 					
+					// invalid response
+					if( !json || typeof json !== 'object' )
+					{
+						error( 'parsererror' );
+						return;
+					}
+					
 					_this.complete( $form, json );
 					
+				},
+				error		: function( xhr, status ){
+					
+					error( status );
+					
 				}
 			});
 			
 		},
 		
+		
+		/*
+		*  failed
+		*
+		*  This function will handle a validation request which could not be completed.
+		*  Administrators are given the choice to save without validating
+		*
+		*  @type	function
+		*  @date	28/03/2014
+		*  @since	5.0.0
+		*
+		*  @param	$form (jQuery)
+		*  @param	status (string)
+		*  @return	n/a
+		*/
+		
+		failed : function( $form, status ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// hook for 3rd party customization
+			acf.do_action('validation_failed', $form, status);
+			
+			
+			// show message
+			this.render( $form, this.get_failure( acf._e('validation', 'failed') ) );
+			
+			
+			// save anyway
+			if( acf.get('validation_bypass') )
+			{
+				acf.confirm( acf._e('validation', 'bypass') ).done(function( save ){
+					
+					if( save )
+					{
+						_this.render( $form, { result : 1 } );
+					}
+					
+				});
+			}
+			
+		},
+		
 		complete : function( $form, json ){
 			
-			// filter for 3rd party customization
-			json = acf.apply_filters('validation_complete', json, $form);
+			// reference
+			var _this = this;
+			
+			
+			// filter for 3rd party customization (callbacks may return a promise)
+			acf.apply_filters_async('validation_complete', json, $form).done(function( json ){
+				
+				_this.render( $form, json );
+				
+			}).fail(function( message ){
+				
+				_this.render( $form, _this.get_failure( message ) );
+				
+			});
+			
+		},
+		
+		get_failure : function( message ){
 			
+			return {
+				result	: 0,
+				message	: message || acf._e('validation', 'error'),
+				errors	: []
+			};
+			
+		},
+		
+		render : function( $form, json ){
 			
 			// reference
 			var _this = this;
 			
 			
+			// update busy
+			this.busy = 0;
+			
+			
 			// remove previous error message
-			$form.children('.' + this.message_class).remove();
+			$form.children('.' + this.message_class + ', .' + this.warning_message_class).remove();
+			
+			
+			// remove previous warnings
+			$form.find('.' + this.warning_class).each(function(){
+				
+				_this.remove_field_warning( $(this) );
+				
+			});
+			
+			
+			// vars
+			var warnings = ( json && json.warnings ) ? json.warnings : [];
 			
 			
 			// validate json
-			if( !json || json.result == 1)
+			if( !json || ( json.result == 1 && !warnings.length ) )
 			{
 			
 				// remove hidden postboxes (this will stop them from being posted to save)
 				$form.find('.acf-postbox:hidden').remove();
-					
-					
-				// bypass JS and submit form
-				this.ignore = 1;
 				
 				
-				// attempt to find $trigger
-				if( ! this.$trigger )
+				// save via AJAX
+				if( acf.form.is_ajax( $form ) )
 				{
-					if( $form.find('.submit input[type="submit"]').exists() )
-					{
-						this.$trigger = $form.find('.submit input[type="submit"]');
-					}
+					acf.form.submit( $form );
+					return;
 				}
+					
+					
+				// bypass JS and submit form
+				this.ignore = 1;
 				
 				
 				// submit form again
-				if( this.$trigger )
-				{
-					this.$trigger.click();
-				}
-				else
-				{
-					$form.submit();
-				}
+				this.resubmit( $form );
 				
 				
 				// end function
@@ -172,22 +1113,49 @@
 			}
 			
 			
+			// show warnings
+			if( warnings.length )
+			{
+				this.render_warnings( $form, warnings );
+			}
+			
+			
+			// bail early if only warnings were found
+			if( json.result == 1 )
+			{
+				return;
+			}
+			
+			
 			// show error message	
-			$form.prepend('<div class="' + this.message_class + '"><p>' + json.message + '</p></div>');
+			var $message = $('<div class="' + this.message_class + '"><p>' + json.message + '</p></div>'),
+				$summary = $('<ul class="acf-error-summary"></ul>');
+			
+			$form.prepend( $message );
 			
 			
 			// show field error messages
-			$.each( json.errors, function( k, item ){
+			$.each( json.errors || [], function( k, item ){
 			
-				var $input = $form.find('[name="' + item.input + '"]').first(),
-					$field = acf.get_field_wrap( $input );
+				var $field = item.$field || acf.get_field_wrap( $form.find('[name="' + item.input + '"]').first() );
 				
 				
 				// add error
 				_this.add_error( $field, item.message );
 				
+				
+				// add to summary
+				$summary.append( _this.get_summary_item( $field, item.message ) );
+				
 			});
 			
+			
+			// append summary
+			if( $summary.children().exists() )
+			{
+				$message.append( $summary );
+			}
+			
 		},
 		
 		add_events : function(){
@@ -203,6 +1171,77 @@
 			});
 			
 			
+			// live
+			$(document).on('focusout change', '.acf-field input, .acf-field textarea, .acf-field select', function( e ){
+				
+				// bail early if disabled
+				if( _this.active == 0 || _this.live == 0 )
+				{
+					return;
+				}
+				
+				
+				// bail early if this form does not contain ACF data
+				if( ! $(this).closest('form').find('#acf-form-data').exists() )
+				{
+					return;
+				}
+				
+				
+				// bail early if not a field value (relationship filters, map / oembed search, etc)
+				var name = $(this).attr('name') || '';
+				
+				if( name.indexOf('acf[') !== 0 || $(this).closest('.filters, .search').exists() )
+				{
+					return;
+				}
+				
+				
+				// vars
+				var $field = acf.get_field_wrap( $(this) );
+				
+				
+				// bail early if not ready (clone)
+				if( ! acf.apply_filters('is_field_ready_for_js', true, $field) )
+				{
+					return;
+				}
+				
+				
+				// validate
+				_this.validate_live( $field );
+				
+			});
+			
+			
+			// save anyway (acknowledge warnings)
+			$(document).on('click', '.acf-save-anyway', function( e ){
+				
+				e.preventDefault();
+				
+				
+				// vars
+				var $message = $(this).closest('.' + _this.warning_message_class),
+					$form = $message.closest('form');
+				
+				
+				// acknowledge and submit again (validation will run again without these warnings)
+				_this.acknowledge( $form, $message.data('warnings') );
+				_this.resubmit( $form );
+				
+			});
+			
+			
+			// summary
+			$(document).on('click', '.acf-error-summary a', function( e ){
+				
+				e.preventDefault();
+				
+				_this.reveal_field( $(this).data('field') );
+				
+			});
+			
+			
 			// click save
 			$(document).on('click', '#save-post', function(){
 				
@@ -249,6 +1288,20 @@
 				e.preventDefault();
 				
 				
+				// bail early if a validation request is already in flight (double submit)
+				if( _this.busy == 1 )
+				{
+					return;
+				}
+				
+				
+				// run client side validation (blocks the AJAX request when errors are found)
+				if( ! _this.validate_form( $(this) ) )
+				{
+					return;
+				}
+				
+				
 				// run validation
 				_this.fetch( $(this) );
 								
@@ -169,6 +169,50 @@
 			// set active editor to null
 			wpActiveEditor = null;
 			
+		},
+		
+		get_value : function( $field ){
+			
+			// set
+			this.set({ $el : $field.find('.acf-wysiwyg-wrap') });
+			
+			
+			// vars
+			var editor = this.has_tinymce() ? tinyMCE.get( this.o.id ) : null;
+			
+			
+			// save editor content to textarea
+			if( editor && !editor.isHidden() )
+			{
+				editor.save();
+			}
+			
+			
+			// return
+			return this.$textarea.val();
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// set
+			this.set({ $el : $field.find('.acf-wysiwyg-wrap') });
+			
+			
+			// vars
+			var editor = this.has_tinymce() ? tinyMCE.get( this.o.id ) : null;
+			
+			
+			// update editor
+			if( editor )
+			{
+				editor.setContent( value || '' );
+			}
+			
+			
+			// update textarea
+			this.$textarea.val( value || '' ).trigger('change');
+			
 		}
 		
 	};
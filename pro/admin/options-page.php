@@ -386,6 +386,13 @@ class acf_pro_options_page {
 				$('#<?php echo $id; ?>').addClass('<?php echo $class; ?>').removeClass('hide-if-js');
 				$('#adv-settings label[for="<?php echo $id; ?>-hide"]').addClass('<?php echo $toggle_class; ?>');
 				
+				<?php if( !empty($field_group['conditional_logic']) ): ?>
+				if( typeof acf !== 'undefined' )
+				{
+					acf.conditional_logic.add_group( '<?php echo $field_group['key']; ?>', <?php echo json_encode($field_group['conditional_logic']); ?>);
+				}
+				<?php endif; ?>
+				
 			})(jQuery);	
 			</script>
 			<?php
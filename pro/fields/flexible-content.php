@@ -26,14 +26,13 @@ class acf_field_flexible_content extends acf_field
 		);
 		$this->l10n = array(
 			'layout' 		=> __("layout", 'acf'),
-			'layouts'		=> __("layouts", 'acf'),
 			'remove'		=> __("remove {layout}?", 'acf'),
-			'min'			=> __("This field requires at least {min} {identifier}",'acf'),
-			'max'			=> __("This field has a limit of {max} {identifier}",'acf'),
-			'min_layout'	=> __("This field requires at least {min} {label} {identifier}",'acf'),
-			'max_layout'	=> __("Maximum {label} limit reached ({max} {identifier})",'acf'),
-			'available'		=> __("{available} {label} {identifier} available (max {max})",'acf'),
-			'required'		=> __("{required} {label} {identifier} required (min {min})",'acf'),
+			'min'			=> acf_get_plural_strings( _n_noop("This field requires at least {min} layout", "This field requires at least {min} layouts", 'acf') ),
+			'max'			=> acf_get_plural_strings( _n_noop("This field has a limit of {max} layout", "This field has a limit of {max} layouts", 'acf') ),
+			'min_layout'	=> acf_get_plural_strings( _n_noop("This field requires at least {min} {label} layout", "This field requires at least {min} {label} layouts", 'acf') ),
+			'max_layout'	=> acf_get_plural_strings( _n_noop("Maximum {label} limit reached ({max} layout)", "Maximum {label} limit reached ({max} layouts)", 'acf') ),
+			'available'		=> acf_get_plural_strings( _n_noop("{available} {label} layout available (max {max})", "{available} {label} layouts available (max {max})", 'acf') ),
+			'required'		=> acf_get_plural_strings( _n_noop("{required} {label} layout required (min {min})", "{required} {label} layouts required (min {min})", 'acf') ),
 		);		
 		
 		// do not delete!
@@ -29,7 +29,8 @@ class acf_field_gallery extends acf_field
 			'edit'			=>	__("Edit Image",'acf'),
 			'update'		=>	__("Update Image",'acf'),
 			'uploadedTo'	=>	__("uploaded to this post",'acf'),
-			'max'			=>	__("Maximum selection reached",'acf'),
+			'min'			=>	acf_get_plural_strings( _n_noop('%s requires at least %s selection', '%s requires at least %s selections', 'acf') ),
+			'max'			=>	acf_get_plural_strings( _n_noop("Maximum selection reached ({max} image)", "Maximum selection reached ({max} images)", 'acf') ),
 			
 			'tmpl'			=> '<div data-id="<%= id %>" class="acf-gallery-attachment">
 									<input type="hidden" value="<%= id %>" name="<%= name %>[]">
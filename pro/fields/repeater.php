@@ -26,8 +26,8 @@ class acf_field_repeater extends acf_field
 			'button_label'	=> __("Add Row",'acf'),
 		);
 		$this->l10n = array(
-			'min'	=>	__("Minimum rows reached ({min} rows)",'acf'),
-			'max'	=>	__("Maximum rows reached ({max} rows)",'acf'),
+			'min'	=>	acf_get_plural_strings( _n_noop("Minimum rows reached ({min} row)", "Minimum rows reached ({min} rows)", 'acf') ),
+			'max'	=>	acf_get_plural_strings( _n_noop("Maximum rows reached ({max} row)", "Maximum rows reached ({max} rows)", 'acf') ),
 		);
 		
 		
@@ -410,7 +410,7 @@
 			
 			if( $tr.siblings('tr[data-name="fc_layout"]').length == 0 )
 			{
-				alert( acf._e('flexible_content','delete') );
+				acf.notice( acf._e('flexible_content','delete') );
 				return false;
 			}
 			
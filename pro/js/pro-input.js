@@ -132,7 +132,7 @@
 			// validate
 			if( this.o.max > 0 && this.count() >= this.o.max )
 			{
-				alert( acf._e('repeater','max').replace('{max}', this.o.max) );
+				acf.notice( acf._n('repeater', 'max', this.o.max, { max : this.o.max }) );
 				return false;
 			}
 			
@@ -179,6 +179,10 @@
 			// setup fields
 			acf.do_action('append', $html);
 			
+			
+			// hook
+			acf.do_action('change_field', this.$field);
+			
 		},
 		
 		remove : function( $tr ){
@@ -190,7 +194,7 @@
 			// validate
 			if( this.count() <= this.o.min )
 			{
-				alert( acf._e('repeater','min').replace('{min}', this.o.min) );
+				acf.notice( acf._n('repeater', 'min', this.o.min, { min : this.o.min }) );
 				return false;
 			}
 			
@@ -207,6 +211,131 @@
 				
 			});
 			
+			
+			// hook
+			acf.do_action('change_field', $field);
+			
+		},
+		
+		get_rows : function(){
+			
+			return this.$el.find('> table > tbody > tr.acf-row').not('.clone');
+			
+		},
+		
+		validate : function( $field, value, label ){
+			
+			// vars
+			var count = this.set( $field ).count();
+			
+			
+			// min
+			if( this.o.min > 0 && count < this.o.min )
+			{
+				return acf._n('repeater', 'min', this.o.min, { min : this.o.min });
+			}
+			
+			
+			// max
+			if( this.o.max > 0 && count > this.o.max )
+			{
+				return acf._n('repeater', 'max', this.o.max, { max : this.o.max });
+			}
+			
+			
+			// return
+			return true;
+			
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var value = [];
+			
+			
+			// loop over rows
+			this.set( $field ).get_rows().each(function(){
+				
+				// vars
+				var row = {};
+				
+				
+				// loop over sub fields
+				acf.get_sub_fields( $(this) ).each(function(){
+					
+					row[ acf.get_data($(this), 'name') ] = acf.get_value( $(this) );
+					
+				});
+				
+				
+				// append
+				value.push( row );
+				
+			});
+			
+			
+			// return
+			return value;
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// defaults
+			value = value || [];
+			
+			
+			// vars
+			var $rows = this.set( $field ).get_rows();
+			
+			
+			// remove extra rows
+			if( $rows.length > value.length )
+			{
+				var $remove = $rows.slice( value.length );
+				
+				acf.do_action('remove', $remove);
+				
+				$remove.remove();
+			}
+			
+			
+			// add missing rows
+			for( var i = $rows.length; i < value.length; i++ )
+			{
+				this.set( $field ).add( $() );
+			}
+			
+			
+			// update sub fields
+			this.set( $field ).get_rows().each(function( i ){
+				
+				// vars
+				var row = value[ i ] || {};
+				
+				
+				// loop over sub fields
+				acf.get_sub_fields( $(this) ).each(function(){
+					
+					// vars
+					var name = acf.get_data($(this), 'name');
+					
+					
+					// update value
+					if( row.hasOwnProperty(name) )
+					{
+						acf.set_value( $(this), row[ name ] );
+					}
+					
+				});
+				
+			});
+			
+			
+			// render
+			this.set( $field ).render();
+			
 		}
 		
 		
@@ -455,16 +584,11 @@
 			// vadiate max
 			if( this.o.max > 0 && this.count() >= this.o.max )
 			{
-				var identifier	= ( this.o.max == 1 ) ? 'layout' : 'layouts',
-					s 			= acf._e('flexible_content', 'max');
-				
-				// translate
-				s = s.replace('{max}', this.o.max);
-				s = s.replace('{identifier}', acf._e('flexible_content', identifier));
+				var s = acf._n('flexible_content', 'max', this.o.max, { max : this.o.max });
 				
 				r = false;
 				
-				alert( s );
+				acf.notice( s );
 			}
 			
 			
@@ -478,17 +602,14 @@
 			layout_max = parseInt(layout_max);
 			if( layout_max > 0 && layout_count >= layout_max )
 			{
-				var identifier	= ( layout_max == 1 ) ? 'layout' : 'layouts',
-					s 			= acf._e('flexible_content', 'max_layout');
-				
-				// translate
-				s = s.replace('{max}', layout_count);
-				s = s.replace('{label}', '"' + $a.text() + '"');
-				s = s.replace('{identifier}', acf._e('flexible_content', identifier));
+				var s = acf._n('flexible_content', 'max_layout', layout_max, {
+					max		: layout_count,
+					label	: '"' + $a.text() + '"'
+				});
 				
 				r = false;
 				
-				alert( s );
+				acf.notice( s );
 			}
 			
 			
@@ -502,15 +623,9 @@
 			// vadiate min
 			if( this.o.min > 0 && this.count() <= this.o.min )
 			{
-				var identifier	= ( this.o.min == 1 ) ? 'layout' : 'layouts',
-					s 			= acf._e('flexible_content', 'min') + ', ' + acf._e('flexible_content', 'remove');
-				
-				// translate
-				s = s.replace('{min}', this.o.min);
-				s = s.replace('{identifier}', acf._e('flexible_content', identifier));
-				s = s.replace('{layout}', acf._e('flexible_content', 'layout'));
+				var s = acf._n('flexible_content', 'min', this.o.min, { min : this.o.min }) + ', ' + acf.sprintf( acf._e('flexible_content', 'remove'), { layout : acf._e('flexible_content', 'layout') } );
 				
-				return confirm( s );
+				return acf.confirm( s );
 
 			}
 			
@@ -526,16 +641,12 @@
 			layout_min = parseInt(layout_min);
 			if( layout_min > 0 && layout_count <= layout_min )
 			{
-				var identifier	= ( layout_min == 1 ) ? 'layout' : 'layouts',
-					s 			= acf._e('flexible_content', 'min_layout') + ', ' + acf._e('flexible_content', 'remove');
+				var s = acf._n('flexible_content', 'min_layout', layout_min, {
+					min		: layout_count,
+					label	: '"' + $a.text() + '"'
+				}) + ', ' + acf.sprintf( acf._e('flexible_content', 'remove'), { layout : acf._e('flexible_content', 'layout') } );
 				
-				// translate
-				s = s.replace('{min}', layout_count);
-				s = s.replace('{label}', '"' + $a.text() + '"');
-				s = s.replace('{identifier}', acf._e('flexible_content', identifier));
-				s = s.replace('{layout}', acf._e('flexible_content', 'layout'));
-				
-				return confirm( s );
+				return acf.confirm( s );
 			}
 			
 			
@@ -593,36 +704,204 @@
 			// validation
 			acf.validation.remove_error( this.$field );
 			
+			
+			// hook
+			acf.do_action('change_field', this.$field);
+			
 		},
 		
 		remove : function( $layout ){
 			
-			// bail early if validation fails
-			if( !this.validate_remove( $layout.attr('data-layout') ) )
+			// vars
+			var $field = this.$field;
+			
+			
+			// validation may ask the user to confirm (promise)
+			$.when( this.validate_remove( $layout.attr('data-layout') ) ).done(function( valid ){
+				
+				// bail early if validation fails
+				if( !valid )
+				{
+					return;
+				}
+				
+				
+				// close field
+				var end_height = 0,
+					$message = acf.fields.flexible_content.set( $field ).$el.children('.no-value-message');
+				
+				if( $layout.siblings('.layout').length == 0 )
+				{
+					end_height = $message.outerHeight();
+				}
+				
+				
+				// remove
+				acf.remove_el( $layout, function(){
+					
+					if( end_height > 0 )
+					{
+						$message.show();
+					}
+					
+				}, end_height);
+				
+				
+				// hook
+				acf.do_action('change_field', $field);
+				
+			});
+			
+		},
+		
+		validate : function( $field, value, label ){
+			
+			// reference
+			var _this = this;
+			
+			
+			// vars
+			var count = this.set( $field ).count(),
+				valid = true;
+			
+			
+			// min
+			if( this.o.min > 0 && count < this.o.min )
 			{
-				return;
+				return acf._n('flexible_content', 'min', this.o.min, { min : this.o.min });
 			}
 			
 			
-			// close field
-			var end_height = 0,
-				$message = this.$el.children('.no-value-message');
-			
-			if( $layout.siblings('.layout').length == 0 )
+			// max
+			if( this.o.max > 0 && count > this.o.max )
 			{
-				end_height = $message.outerHeight();
+				return acf._n('flexible_content', 'max', this.o.max, { max : this.o.max });
 			}
 			
 			
-			// remove
-			acf.remove_el( $layout, function(){
+			// min / max layout
+			$( this.$el.children('.tmpl-popup').html() ).find('a').each(function(){
+				
+				// vars
+				var min		= parseInt( $(this).attr('data-min') ),
+					max		= parseInt( $(this).attr('data-max') ),
+					label	= '"' + $(this).text() + '"',
+					count	= _this.$values.children('.layout[data-layout="' + $(this).attr('data-layout') + '"]').length;
 				
-				if( end_height > 0 )
+				
+				if( min > 0 && count < min )
 				{
-					$message.show();
+					valid = acf._n('flexible_content', 'min_layout', min, { min : min, label : label });
+					return false;
 				}
 				
-			}, end_height);
+				if( max > 0 && count > max )
+				{
+					valid = acf._n('flexible_content', 'max_layout', max, { max : max, label : label });
+					return false;
+				}
+				
+			});
+			
+			
+			// return
+			return valid;
+			
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var value = [];
+			
+			
+			// loop over layouts
+			this.set( $field ).$values.children('.layout').each(function(){
+				
+				// vars
+				var row = {
+					acf_fc_layout : $(this).attr('data-layout')
+				};
+				
+				
+				// loop over sub fields
+				acf.get_sub_fields( $(this) ).each(function(){
+					
+					row[ acf.get_data($(this), 'name') ] = acf.get_value( $(this) );
+					
+				});
+				
+				
+				// append
+				value.push( row );
+				
+			});
+			
+			
+			// return
+			return value;
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// defaults
+			value = value || [];
+			
+			
+			// remove current layouts
+			var $layouts = this.set( $field ).$values.children('.layout');
+			
+			acf.do_action('remove', $layouts);
+			
+			$layouts.remove();
+			
+			
+			// add layouts
+			for( var i = 0; i < value.length; i++ )
+			{
+				// vars
+				var row = value[ i ],
+					count = this.set( $field ).count();
+				
+				
+				// add
+				this.add( row.acf_fc_layout );
+				
+				
+				// validate
+				if( this.set( $field ).count() == count )
+				{
+					continue;
+				}
+				
+				
+				// update sub fields
+				acf.get_sub_fields( this.$values.children('.layout').last() ).each(function(){
+					
+					// vars
+					var name = acf.get_data($(this), 'name');
+					
+					
+					// update value
+					if( row.hasOwnProperty(name) )
+					{
+						acf.set_value( $(this), row[ name ] );
+					}
+					
+				});
+			}
+			
+			
+			// no value message
+			if( this.set( $field ).count() == 0 )
+			{
+				this.$el.children('.no-value-message').show();
+			}
+			
+			
+			// render
+			this.render();
 			
 		},
 		
@@ -670,14 +949,11 @@
 				{
 					// find diff
 					var available	= max - count,
-						s			= acf.l10n.flexible_content.available,
-						identifier	= ( available == 1 ) ? 'layout' : 'layouts',
-				
-					// translate
-					s = s.replace('{available}', available);
-					s = s.replace('{max}', max);
-					s = s.replace('{label}', '"' + label + '"');
-					s = s.replace('{identifier}', acf.l10n.flexible_content[ identifier ]);
+						s			= acf._n('flexible_content', 'available', available, {
+										available	: available,
+										max			: max,
+										label		: '"' + label + '"'
+									});
 					
 					
 					$status.show().text( available ).attr('title', s);
@@ -694,14 +970,11 @@
 				{
 					// find diff
 					var required	= min - count,
-						s			= acf.l10n.flexible_content.required,
-						identifier	= ( required == 1 ) ? 'layout' : 'layouts',
-				
-					// translate
-					s = s.replace('{required}', required);
-					s = s.replace('{min}', min);
-					s = s.replace('{label}', '"' + label + '"');
-					s = s.replace('{identifier}', acf.l10n.flexible_content[ identifier ]);
+						s			= acf._n('flexible_content', 'required', required, {
+										required	: required,
+										min			: min,
+										label		: '"' + label + '"'
+									});
 					
 					
 					if( required > 0 )
@@ -906,6 +1179,18 @@
 	});
 	
 	
+	acf.add_action('reveal_field', function( $field ){
+		
+		// open each closed layout containing this field
+		$field.parents('.layout[data-toggle="closed"]').each(function(){
+			
+			acf.fields.flexible_content.toggle( $(this) );
+			
+		});
+		
+	});
+	
+	
 	/*
 	*  Validate
 	*
@@ -951,12 +1236,7 @@
 		{
 			if( $el.children('.values').children('.layout').length < min )
 			{
-				var identifier	= ( min == 1 ) ? 'layout' : 'layouts',
-					s 			= acf.l10n.flexible_content.min;
-				
-				// translate
-				s = s.replace('{min}', min);
-				s = s.replace('{identifier}', acf.l10n.flexible_content[ identifier ]);
+				var s = acf._n('flexible_content', 'min', min, { min : min });
 				
 				
 				$field.data('validation', false);
@@ -980,13 +1260,10 @@
 			
 			if( count < min )
 			{
-				var identifier	= ( min == 1 ) ? 'layout' : 'layouts',
-					s 			= acf.l10n.flexible_content.min_layout;
-				
-				// translate
-				s = s.replace('{min}', min);
-				s = s.replace('{label}', '"' + label + '"');
-				s = s.replace('{identifier}', acf.l10n.flexible_content[ identifier ]);
+				var s = acf._n('flexible_content', 'min_layout', min, {
+					min		: min,
+					label	: '"' + label + '"'
+				});
 				
 				$field.data('validation', false);
 				$field.data('validation_message', s);
@@ -1281,7 +1558,7 @@ close : function( $a ){
 			// vars
 			var $a = this.$el.find('[data-name="save-attachment-button"]')
 				$form = this.$el.find('.acf-gallery-side-data'),
-				data = acf.serialize_form( $form );
+				data = acf.serialize_form( $form, { nested : true } );
 				
 				
 			// validate
@@ -1322,7 +1599,7 @@ close : function( $a ){
 			// validate
 			if( this.o.max > 0 && this.count() >= this.o.max )
 			{
-				acf.validation.add_warning( this.$field, acf._e('gallery', 'max'));
+				acf.validation.add_warning( this.$field, acf._n('gallery', 'max', this.o.max, { max : this.o.max }) );
 				return false;
 			}
 			
@@ -1343,6 +1620,10 @@ close : function( $a ){
 			// render
 			this.render();
 			
+			
+			// hook
+			acf.do_action('change_field', this.$field);
+			
 		},
 		
 		remove : function( id ){
@@ -1368,6 +1649,10 @@ close : function( $a ){
 			
 			// render
 			this.render();
+			
+			
+			// hook
+			acf.do_action('change_field', this.$field);
 		},
 		
 		render_collection : function( frame, $el ){
@@ -1416,7 +1701,7 @@ close : function( $a ){
 			// validate
 			if( this.o.max > 0 && this.count() >= this.o.max )
 			{
-				acf.validation.add_warning( this.$field, acf._e('gallery', 'max'));
+				acf.validation.add_warning( this.$field, acf._n('gallery', 'max', this.o.max, { max : this.o.max }) );
 				return false;
 			}
 			
@@ -1511,6 +1796,135 @@ close : function( $a ){
 			// update data
 			this.$el.attr('data-columns', columns);
 			
+		},
+		
+		validate : function( $field, value, label ){
+			
+			// vars
+			var count = this.set( $field ).count();
+			
+			
+			// min
+			if( this.o.min > 0 && count < this.o.min )
+			{
+				return acf.sprintf( acf._n('gallery', 'min', this.o.min), label, this.o.min );
+			}
+			
+			
+			// max
+			if( this.o.max > 0 && count > this.o.max )
+			{
+				return acf._n('gallery', 'max', this.o.max, { max : this.o.max });
+			}
+			
+			
+			// return
+			return true;
+			
+		},
+		
+		get_value : function( $field ){
+			
+			// vars
+			var value = [];
+			
+			
+			// loop over attachments
+			this.set( $field ).$el.find('.acf-gallery-attachment').each(function(){
+				
+				value.push( parseInt( $(this).attr('data-id') ) );
+				
+			});
+			
+			
+			// return
+			return value;
+			
+		},
+		
+		set_value : function( $field, value ){
+			
+			// vars
+			var preview_size = this.set( $field ).o.preview_size,
+				images = [],
+				deferreds = [];
+			
+			
+			// remove current attachments
+			this.clear_selection();
+			this.$el.find('.acf-gallery-attachment').remove();
+			
+			
+			// find images
+			$.each( value || [], function( i, image ){
+				
+				// image object
+				if( $.isPlainObject(image) )
+				{
+					images[ i ] = image;
+					return;
+				}
+				
+				
+				// bail early if wp.media does not exist
+				if( !acf.isset(window, 'wp', 'media', 'attachment') )
+				{
+					return;
+				}
+				
+				
+				// fetch attachment to find url
+				var attachment = wp.media.attachment( image );
+				
+				deferreds.push( attachment.fetch().done(function(){
+					
+					// vars
+					var url = attachment.get('url'),
+						sizes = attachment.get('sizes');
+					
+					
+					// file?
+					if( attachment.get('type') != 'image' )
+					{
+						url = attachment.get('icon');
+					}
+					
+					
+					// is preview size available?
+					if( sizes && sizes[ preview_size ] )
+					{
+						url = sizes[ preview_size ].url;
+					}
+					
+					
+					images[ i ] = {
+						id	: attachment.id,
+						url	: url
+					};
+					
+				}) );
+				
+			});
+			
+			
+			// add images in order once all attachments are loaded
+			$.when.apply( $, deferreds ).always(function(){
+				
+				$.each( images, function( i, image ){
+					
+					if( image )
+					{
+						acf.fields.gallery.set( $field ).add( image );
+					}
+					
+				});
+				
+				
+				// render
+				acf.fields.gallery.set( $field ).render();
+				
+			});
+			
 		}
 		
 	};